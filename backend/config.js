@@ -7,9 +7,12 @@ const { name } = require("./package.json");
 const configData = envSchema({
   data: process.env,
   schema: S.object()
+    .prop("ACCOUNT_DELETION_COOLING_OFF_DAYS", S.number().default(14))
+    .prop("ACCOUNT_DELETION_INTERVAL_MINUTES", S.number().default(60))
     .prop("AIRTABLE_API_KEY", S.string())
     .prop("AIRTABLE_BASE_ID", S.string())
     .prop("APP_DOMAIN", S.string().default("localhost"))
+    .prop("APP_URL", S.string().default("http://localhost:3000"))
     .prop("AUTH_APP_URL", S.string())
     .prop("AUTH_CLIENT_ID", S.string().required())
     .prop("AUTH_COOKIE_MAX_AGE_SECONDS", S.number().default(86400))
@@ -28,6 +31,7 @@ const configData = envSchema({
       S.string().default("http://localhost:4566/fp-dev-cdn"),
     )
     .prop("COMMIT_HASH", S.string())
+    .prop("EXPIRY_REMINDER_INTERVAL_MINUTES", S.number().default(60))
     .prop("GOOGLE_MAPS_API_KEY", S.string())
     .prop("LOGGER_HOST", S.string())
     .prop("LOGGER_LEVEL", S.string().default("info"))
@@ -45,11 +49,16 @@ const configData = envSchema({
 });
 
 const config = {
+  accountDeletion: {
+    coolingOffDays: configData.ACCOUNT_DELETION_COOLING_OFF_DAYS,
+    intervalMinutes: configData.ACCOUNT_DELETION_INTERVAL_MINUTES,
+  },
   airtable: {
     apiKey: configData.AIRTABLE_API_KEY,
     baseId: configData.AIRTABLE_BASE_ID,
   },
   appDomain: configData.APP_DOMAIN,
+  appUrl: configData.APP_URL,
   auth: {
     appUrl: configData.AUTH_APP_URL,
     clientId: configData.AUTH_CLIENT_ID,
@@ -73,6 +82,9 @@ const config = {
     release: configData.COMMIT_HASH,
     url: configData.SENTRY_DSN,
   },
+  expiryReminders: {
+    intervalMinutes: configData.EXPIRY_REMINDER_INTERVAL_MINUTES,
+  },
   geo: {
     googleMapsApiKey: configData.GOOGLE_MAPS_API_KEY,
   },
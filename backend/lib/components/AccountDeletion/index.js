@@ -0,0 +1,200 @@
+const moment = require("moment");
+
+// shown instead of the name of deleted accounts on content that is kept
+const DELETED_ACCOUNT_NAME = "Deleted user";
+
+const getDeletionDate = (coolingOffDays, now = new Date()) =>
+  moment(now).add(coolingOffDays, "days").toDate();
+
+const isDeletionDue = ({ deletionScheduledAt }, now = new Date()) =>
+  !!deletionScheduledAt && deletionScheduledAt <= now;
+
+/**
+ * Update replacing the identity of a deleted account in an embedded author,
+ * like a comment author or a thread participant at `path`.
+ */
+const getAnonymisedAuthorUpdate = (path) => ({
+  $set: { [`${path}.name`]: DELETED_ACCOUNT_NAME },
+  $unset: { [`${path}.location`]: "", [`${path}.photo`]: "" },
+});
+
+const getExportFilename = (now = new Date()) =>
+  `fightpandemics-data-${moment(now).format("YYYY-MM-DD")}.json`;
+
+// reports stay anonymous, even to the authors of what was reported
+const EXPORT_PROJECTION = "-reportedBy";
+
+/**
+ * Everything stored about a user and the organisations they own, null when
+ * the user doesn't exist.
+ */
+const exportAccount = async (app, userId) => {
+  const Bookmark = app.mongo.model("Bookmark");
+  const Comment = app.mongo.model("Comment");
+  const IndividualUser = app.mongo.model("IndividualUser");
+  const Message = app.mongo.model("Message");
+  const Notification = app.mongo.model("Notification");
+  const OrganisationUser = app.mongo.model("OrganisationUser");
+  const Post = app.mongo.model("Post");
+  const Thread = app.mongo.model("Thread");
+
+  const user = await IndividualUser.findById(userId)
+    .select(EXPORT_PROJECTION)
+    .lean();
+  if (user === null) return null;
+
+  const organisations = await OrganisationUser.find({ ownerId: userId })
+    .select(EXPORT_PROJECTION)
+    .lean();
+  const accountIds = [user._id, ...organisations.map(({ _id }) => _id)];
+  const threads = await Thread.find({
+    "participants.id": { $in: accountIds },
+  }).lean();
+
+  const [
+    bookmarks,
+    comments,
+    messages,
+    notifications,
+    posts,
+  ] = await Promise.all([
+    Bookmark.find({ userId }).lean(),
+    Comment.find({ "author.id": { $in: accountIds } })
+      .select(EXPORT_PROJECTION)
+      .lean(),
+    Message.find({ threadId: { $in: threads.map(({ _id }) => _id) } }).lean(),
+    Notification.find({ receiver: { $in: accountIds } }).lean(),
+    Post.find({ "author.id": { $in: accountIds } })
+      .select(EXPORT_PROJECTION)
+      .lean(),
+  ]);
+
+  return {
+    bookmarks,
+    comments,
+    exportedAt: new Date(),
+    messages,
+    notifications,
+    organisations,
+    posts,
+    profile: user,
+    threads,
+  };
+};
+
+// accounts already removed from Auth0 by an earlier, interrupted run are fine
+const removeAuthUser = async (auth0, authId) => {
+  const token = await auth0.authenticate("client_credentials");
+  try {
+    await auth0.deleteUser(token, authId);
+  } catch (err) {
+    if (err.statusCode !== 404) throw err;
+  }
+};
+
+/**
+ * Removes an account with the organisations it owns. Their posts are removed,
+ * while comments, conversations and notifications others received are kept
+ * under an anonymous name. Every step can be run again, so an account failing
+ * halfway is finished by the next run. `auth0` is the Auth0 client the
+ * login is removed with.
+ */
+const deleteAccount = async (app, auth0, user) => {
+  const Bookmark = app.mongo.model("Bookmark");
+  const Comment = app.mongo.model("Comment");
+  const Feedback = app.mongo.model("Feedback");
+  const Notification = app.mongo.model("Notification");
+  const OrganisationInvite = app.mongo.model("OrganisationInvite");
+  const OrganisationUser = app.mongo.model("OrganisationUser");
+  const Post = app.mongo.model("Post");
+  const Revision = app.mongo.model("Revision");
+  const Thread = app.mongo.model("Thread");
+  const User = app.mongo.model("User");
+
+  const organisations = await OrganisationUser.find(
+    { ownerId: user._id },
+    { _id: true },
+  ).lean();
+  const accountIds = [user._id, ...organisations.map(({ _id }) => _id)];
+  const posts = await Post.find(
+    { "author.id": { $in: accountIds } },
+    { _id: true },
+  ).lean();
+  const postIds = posts.map(({ _id }) => _id);
+  const { $set, $unset } = getAnonymisedAuthorUpdate("participants.$[deleted]");
+
+  await removeAuthUser(auth0, user.authId);
+  await Promise.all([
+    Bookmark.deleteMany({
+      $or: [{ postId: { $in: postIds } }, { userId: user._id }],
+    }),
+    Comment.deleteMany({ postId: { $in: postIds } }),
+    Comment.updateMany(
+      { "author.id": { $in: accountIds } },
+      getAnonymisedAuthorUpdate("author"),
+    ),
+    Feedback.updateMany({ userId: user._id }, { $unset: { userId: "" } }),
+    Notification.deleteMany({
+      $or: [{ "post.id": { $in: postIds } }, { receiver: { $in: accountIds } }],
+    }),
+    Notification.updateMany(
+      { "triggeredBy.id": { $in: accountIds } },
+      getAnonymisedAuthorUpdate("triggeredBy"),
+    ),
+    OrganisationInvite.deleteMany({ organisationId: { $in: accountIds } }),
+    OrganisationUser.updateMany(
+      { "members.userId": user._id },
+      { $pull: { members: { userId: user._id } } },
+    ),
+    OrganisationUser.updateMany(
+      { "ownershipTransfer.nomineeId": user._id },
+      { $unset: { ownershipTransfer: "" } },
+    ),
+    Revision.deleteMany({ postId: { $in: postIds } }),
+    Thread.updateMany(
+      { "participants.id": { $in: accountIds } },
+      { $set, $unset },
+      { arrayFilters: [{ "deleted.id": { $in: accountIds } }] },
+    ),
+  ]);
+  // posts go last, the steps above find the ones left by a failed run
+  await Post.deleteMany({ _id: { $in: postIds } });
+  await User.deleteMany({ _id: { $in: accountIds } });
+};
+
+// Deletes the accounts whose cooling-off period is over
+const deleteDueAccounts = async (app, auth0) => {
+  const IndividualUser = app.mongo.model("IndividualUser");
+  const [err, users] = await app.to(
+    IndividualUser.find(
+      { deletionScheduledAt: { $lte: new Date() } },
+      { authId: true, deletionScheduledAt: true },
+    ).lean(),
+  );
+  if (err) {
+    app.log.error(err, "Failed finding accounts to delete");
+    return;
+  }
+
+  // one at a time, each deletion touches many collections
+  await users.reduce(async (previous, user) => {
+    await previous;
+    const [deleteErr] = await app.to(deleteAccount(app, auth0, user));
+    if (deleteErr) {
+      app.log.error(deleteErr, `Failed deleting account userId=${user._id}`);
+    } else {
+      app.log.info(`Deleted account userId=${user._id}`);
+    }
+  }, Promise.resolve());
+};
+
+module.exports = {
+  DELETED_ACCOUNT_NAME,
+  deleteAccount,
+  deleteDueAccounts,
+  exportAccount,
+  getAnonymisedAuthorUpdate,
+  getDeletionDate,
+  getExportFilename,
+  isDeletionDue,
+};
@@ -0,0 +1,192 @@
+const assert = require("assert");
+
+const {
+  DELETED_ACCOUNT_NAME,
+  deleteAccount,
+  deleteDueAccounts,
+  exportAccount,
+  getAnonymisedAuthorUpdate,
+  getDeletionDate,
+  getExportFilename,
+  isDeletionDue,
+} = require(".");
+
+// applies the exclusions of a projection like "-field"
+const project = (document, projection) => {
+  const projected = { ...document };
+  projection
+    .split(" ")
+    .filter((field) => field.startsWith("-"))
+    .forEach((field) => delete projected[field.slice(1)]);
+  return projected;
+};
+
+// models answering queries with fixed documents and recording the writes
+const createApp = (documents = {}) => {
+  const writes = [];
+  const models = {};
+  const query = (getResult) => {
+    let projection = "";
+    const chain = {
+      lean: async () => {
+        const result = await getResult();
+        if (Array.isArray(result)) {
+          return result.map((document) => project(document, projection));
+        }
+        return result && project(result, projection);
+      },
+      select: (fields) => {
+        projection = fields;
+        return chain;
+      },
+    };
+    return chain;
+  };
+  const model = (name) => {
+    if (!models[name]) {
+      const record = (operation) => async (filter, update) => {
+        writes.push({ filter, model: name, operation, update });
+      };
+      const find = (filter) =>
+        typeof documents[name] === "function"
+          ? documents[name](filter)
+          : documents[name] || [];
+      models[name] = {
+        deleteMany: record("deleteMany"),
+        find: (filter) => query(() => find(filter)),
+        findById: (id) =>
+          query(() => find({}).find(({ _id }) => _id === id) || null),
+        updateMany: record("updateMany"),
+      };
+    }
+    return models[name];
+  };
+  const errors = [];
+  return {
+    errors,
+    log: { error: (err) => errors.push(err), info: () => {} },
+    mongo: { model },
+    to: (promise) => promise.then((data) => [null, data]).catch((err) => [err]),
+    writes,
+  };
+};
+
+// Auth0 client recording the removed logins
+const createAuth0 = () => {
+  const removedAuthIds = [];
+  return {
+    authenticate: async () => "token",
+    deleteUser: async (token, authId) => {
+      removedAuthIds.push(authId);
+    },
+    removedAuthIds,
+  };
+};
+
+describe("Test account deletion", () => {
+  const now = new Date("2020-06-30T12:00:00Z");
+
+  it("Should schedule the deletion after the cooling-off period", () => {
+    const deletionScheduledAt = getDeletionDate(14, now);
+    assert.strictEqual(
+      deletionScheduledAt.toISOString(),
+      "2020-07-14T12:00:00.000Z",
+    );
+    assert.ok(!isDeletionDue({ deletionScheduledAt }, now));
+    assert.ok(isDeletionDue({ deletionScheduledAt }, deletionScheduledAt));
+    assert.ok(!isDeletionDue({}, now));
+  });
+
+  it("Should anonymise embedded authors", () => {
+    assert.deepStrictEqual(getAnonymisedAuthorUpdate("author"), {
+      $set: { "author.name": DELETED_ACCOUNT_NAME },
+      $unset: { "author.location": "", "author.photo": "" },
+    });
+  });
+
+  it("Should name the export after its date", () => {
+    assert.strictEqual(
+      getExportFilename(now),
+      "fightpandemics-data-2020-06-30.json",
+    );
+  });
+
+  it("Should export the account without who reported its content", async () => {
+    const reportedBy = [{ id: "reporter", reason: "Spam" }];
+    const app = createApp({
+      Comment: [{ _id: "comment", reportedBy }],
+      IndividualUser: [{ _id: "user", reportedBy }],
+      OrganisationUser: [{ _id: "org", reportedBy }],
+      Post: [{ _id: "post", reportedBy, title: "Groceries" }],
+    });
+    const data = await exportAccount(app, "user");
+
+    assert.deepStrictEqual(data.posts, [{ _id: "post", title: "Groceries" }]);
+    assert.ok(!JSON.stringify(data).includes("reporter"));
+    assert.strictEqual(await exportAccount(app, "unknown"), null);
+  });
+
+  describe("Deletion jobs", () => {
+    const user = { _id: "user", authId: "auth0|user" };
+
+    it("Should delete the account with its organisations and their posts", async () => {
+      const app = createApp({
+        OrganisationUser: [{ _id: "org" }],
+        Post: [{ _id: "post" }],
+      });
+      const auth0 = createAuth0();
+      await deleteAccount(app, auth0, user);
+
+      assert.deepStrictEqual(auth0.removedAuthIds, ["auth0|user"]);
+      const write = (model, operation) =>
+        app.writes.filter(
+          (w) => w.model === model && w.operation === operation,
+        );
+      assert.deepStrictEqual(write("Post", "deleteMany")[0].filter, {
+        _id: { $in: ["post"] },
+      });
+      assert.deepStrictEqual(write("User", "deleteMany")[0].filter, {
+        _id: { $in: ["user", "org"] },
+      });
+      assert.deepStrictEqual(write("Comment", "updateMany")[0].filter, {
+        "author.id": { $in: ["user", "org"] },
+      });
+      // users are deleted last so a failed run is picked up again
+      assert.strictEqual(app.writes[app.writes.length - 1].model, "User");
+    });
+
+    it("Should only delete the accounts which are due", async () => {
+      let filter = null;
+      const app = createApp({
+        IndividualUser: (query) => {
+          filter = query;
+          return [user];
+        },
+      });
+      const auth0 = createAuth0();
+      await deleteDueAccounts(app, auth0);
+
+      assert.deepStrictEqual(app.errors, []);
+      assert.ok(filter.deletionScheduledAt.$lte <= new Date());
+      assert.deepStrictEqual(auth0.removedAuthIds, ["auth0|user"]);
+    });
+
+    it("Should keep going when an account fails to be deleted", async () => {
+      const app = createApp({
+        IndividualUser: [
+          { _id: "failing", authId: "auth0|failing" },
+          { _id: "user", authId: "auth0|user" },
+        ],
+        OrganisationUser: (query) => {
+          if (query.ownerId === "failing") throw new Error("Connection lost");
+          return [];
+        },
+      });
+      const auth0 = createAuth0();
+      await deleteDueAccounts(app, auth0);
+
+      assert.strictEqual(app.errors.length, 1);
+      assert.deepStrictEqual(auth0.removedAuthIds, ["auth0|user"]);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+// authors can appeal each removal of their post once, a removal after the
+// last appeal can be appealed again
+const hasAppealedRemoval = (post) =>
+  !!post.appeal && !(post.removedAt > post.appeal.createdAt);
+
+// finds the post only if no other appeal was saved since it was read
+const getAppealFilter = (post) => ({
+  _id: post._id,
+  "appeal.createdAt": post.appeal ? post.appeal.createdAt : { $exists: false },
+});
+
+/**
+ * What deciding a pending appeal changes: accepted appeals restore the post,
+ * denied ones leave it removed. Also returns the audit action and the
+ * notification the author receives.
+ */
+const getAppealDecision = (
+  action,
+  moderatorId,
+  justification,
+  now = new Date(),
+) => {
+  const isAccepted = action === "accept";
+  const updates = {
+    "appeal.decidedAt": now,
+    "appeal.justification": justification,
+    "appeal.moderatorId": moderatorId,
+    "appeal.status": isAccepted ? "accepted" : "denied",
+  };
+  if (isAccepted) {
+    updates.held = false;
+    updates.status = "public";
+  }
+  return {
+    auditAction: isAccepted ? "acceptAppeal" : "denyAppeal",
+    notification: isAccepted ? "appealAccepted" : "appealDenied",
+    updates,
+  };
+};
+
+module.exports = {
+  getAppealDecision,
+  getAppealFilter,
+  hasAppealedRemoval,
+};
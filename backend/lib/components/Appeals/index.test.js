@@ -0,0 +1,65 @@
+const assert = require("assert");
+const { ObjectId } = require("mongoose").Types;
+
+const { getAppealDecision, getAppealFilter, hasAppealedRemoval } = require(".");
+
+describe("Test post appeals", () => {
+  const removedAt = new Date("2020-10-01T10:00:00Z");
+  const post = { _id: new ObjectId(), removedAt, status: "removed" };
+
+  it("Should allow one appeal per removal", () => {
+    assert.ok(!hasAppealedRemoval(post));
+    const appealed = {
+      ...post,
+      appeal: { createdAt: new Date("2020-10-02T10:00:00Z") },
+    };
+    assert.ok(hasAppealedRemoval(appealed));
+    // removed again after the appeal was accepted
+    assert.ok(
+      !hasAppealedRemoval({
+        ...appealed,
+        removedAt: new Date("2020-10-03T10:00:00Z"),
+      }),
+    );
+  });
+
+  it("Should only save an appeal if no other one was saved since", () => {
+    const createdAt = new Date("2020-10-02T10:00:00Z");
+    assert.deepStrictEqual(getAppealFilter(post), {
+      _id: post._id,
+      "appeal.createdAt": { $exists: false },
+    });
+    assert.deepStrictEqual(
+      getAppealFilter({ ...post, appeal: { createdAt } }),
+      {
+        _id: post._id,
+        "appeal.createdAt": createdAt,
+      },
+    );
+  });
+
+  it("Should restore the post of accepted appeals only", () => {
+    const now = new Date("2020-10-04T10:00:00Z");
+    const moderatorId = new ObjectId();
+    const accepted = getAppealDecision("accept", moderatorId, "Fine", now);
+    assert.deepStrictEqual(accepted, {
+      auditAction: "acceptAppeal",
+      notification: "appealAccepted",
+      updates: {
+        "appeal.decidedAt": now,
+        "appeal.justification": "Fine",
+        "appeal.moderatorId": moderatorId,
+        "appeal.status": "accepted",
+        held: false,
+        status: "public",
+      },
+    });
+
+    const denied = getAppealDecision("deny", moderatorId, "Spam", now);
+    assert.strictEqual(denied.auditAction, "denyAppeal");
+    assert.strictEqual(denied.notification, "appealDenied");
+    assert.strictEqual(denied.updates["appeal.status"], "denied");
+    assert.ok(!("status" in denied.updates));
+    assert.ok(!("held" in denied.updates));
+  });
+});
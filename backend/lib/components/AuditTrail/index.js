@@ -0,0 +1,83 @@
+// columns of exported audit logs, in order
+const EXPORT_FIELDS = [
+  "createdAt",
+  "moderator",
+  "action",
+  "targetType",
+  "targetId",
+  "postId",
+  "justification",
+  "before",
+  "after",
+];
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * The fields that differ between two versions of a document, as the `before`
+ * and `after` values of an audit log. Only `fields` are compared when given.
+ */
+const getChanges = (before = {}, after = {}, fields = null) => {
+  const keys = fields || [
+    ...new Set([...Object.keys(before), ...Object.keys(after)]),
+  ];
+  const changed = keys.filter((key) => !isSameValue(before[key], after[key]));
+  const pick = (values) =>
+    changed.reduce((picked, key) => ({ ...picked, [key]: values[key] }), {});
+  return { after: pick(after), before: pick(before) };
+};
+
+const setPath = (object, [key, ...keys], value) => ({
+  ...object,
+  [key]: keys.length ? setPath(object[key] || {}, keys, value) : value,
+});
+
+// mongo doesn't store keys with dots, "appeal.status" is kept as nested fields
+const nestPaths = (values) =>
+  Object.entries(values).reduce(
+    (nested, [path, value]) => setPath(nested, path.split("."), value),
+    {},
+  );
+
+// changes made by a mongo update, from the document it was applied to
+const getUpdateChanges = (previous, updates) => {
+  const { after, before } = getChanges(
+    Object.keys(updates).reduce(
+      (values, path) => ({ ...values, [path]: previous.get(path) }),
+      {},
+    ),
+    updates,
+  );
+  return { after: nestPaths(after), before: nestPaths(before) };
+};
+
+const toCsvText = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = toCsvText(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// audit logs as returned by GET /api/reports/logs, one row per log
+const toCsv = (logs) =>
+  [
+    EXPORT_FIELDS.join(","),
+    ...logs.map((log) =>
+      EXPORT_FIELDS.map((field) =>
+        toCsvValue(field === "moderator" ? log.moderator.name : log[field]),
+      ).join(","),
+    ),
+    "",
+  ].join("\n");
+
+module.exports = {
+  EXPORT_FIELDS,
+  getChanges,
+  getUpdateChanges,
+  toCsv,
+};
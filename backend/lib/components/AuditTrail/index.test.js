@@ -0,0 +1,66 @@
+const assert = require("assert");
+
+const { EXPORT_FIELDS, getChanges, getUpdateChanges, toCsv } = require(".");
+
+describe("Test audit trail helpers", () => {
+  it("Should only keep the fields that changed", () => {
+    assert.deepStrictEqual(
+      getChanges(
+        { enabled: true, name: "Scams", params: { phrases: ["a"] } },
+        { enabled: false, name: "Scams", params: { phrases: ["a"] } },
+      ),
+      { after: { enabled: false }, before: { enabled: true } },
+    );
+    assert.deepStrictEqual(
+      getChanges({ permissions: 0, role: "user" }, { permissions: 7 }, [
+        "permissions",
+      ]),
+      { after: { permissions: 7 }, before: { permissions: 0 } },
+    );
+  });
+
+  it("Should list created and deleted fields", () => {
+    assert.deepStrictEqual(getChanges(undefined, { name: "Links" }), {
+      after: { name: "Links" },
+      before: { name: undefined },
+    });
+  });
+
+  it("Should compare an update with the document it was applied to", () => {
+    const previous = {
+      get: (path) => ({ "appeal.status": "pending", status: "removed" }[path]),
+    };
+    assert.deepStrictEqual(
+      getUpdateChanges(previous, {
+        "appeal.status": "accepted",
+        status: "public",
+      }),
+      {
+        after: { appeal: { status: "accepted" }, status: "public" },
+        before: { appeal: { status: "pending" }, status: "removed" },
+      },
+    );
+  });
+
+  it("Should export logs as csv", () => {
+    const csv = toCsv([
+      {
+        action: "updatePermissions",
+        after: { permissions: 7 },
+        before: { permissions: 0 },
+        createdAt: new Date("2020-10-01T10:00:00Z"),
+        justification: 'Said "hi", twice',
+        moderator: { name: "Jane Doe" },
+        targetId: "5f75e1d3b3c6b1a8e6c0a001",
+        targetType: "users",
+      },
+    ]).split("\n");
+
+    assert.strictEqual(csv[0], EXPORT_FIELDS.join(","));
+    assert.strictEqual(
+      csv[1],
+      '2020-10-01T10:00:00.000Z,Jane Doe,updatePermissions,users,5f75e1d3b3c6b1a8e6c0a001,,"Said ""hi"", twice","{""permissions"":0}","{""permissions"":7}"',
+    );
+    assert.strictEqual(csv.length, 3);
+  });
+});
@@ -98,6 +98,18 @@ const updateUser = async (token, userId, payload) => {
   }
 };
 
+const deleteUser = async (token, userId) => {
+  try {
+    const res = await axios.delete(
+      `${AUTH_DOMAIN}/api/v2/users/${userId}`,
+      getAuthHeaders(token),
+    );
+    return res.data;
+  } catch (err) {
+    return wrapError(err);
+  }
+};
+
 const sendChangePasswordEmail = async (token, email) => {
   const client_id = config.auth.clientId;
   const connection = "Username-Password-Authentication";
@@ -155,6 +167,7 @@ module.exports = {
   authenticate,
   buildOauthUrl,
   createUser,
+  deleteUser,
   getAccountsWithSameEmail,
   getUser,
   linkAccounts,
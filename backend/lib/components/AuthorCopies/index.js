@@ -0,0 +1,131 @@
+const { isDeepStrictEqual } = require("util");
+
+// account fields copied into the content of other collections
+const AUTHOR_FIELDS = ["location", "name", "photo", "type"];
+
+/**
+ * Every copy of an account kept in another collection, with the fields it
+ * keeps. Copies inside arrays are matched by their `id`. Comment mentions
+ * aren't copies, they keep the name as written in the comment.
+ */
+const AUTHOR_COPIES = [
+  {
+    fields: ["location", "name", "photo", "type"],
+    model: "Post",
+    path: "author",
+  },
+  // the location places reported comments in the regions of moderators,
+  // comments older than it get it when the consistency check repairs them
+  {
+    fields: ["location", "name", "photo", "type"],
+    model: "Comment",
+    path: "author",
+  },
+  {
+    fields: ["name", "photo", "type"],
+    model: "Notification",
+    path: "triggeredBy",
+  },
+  {
+    array: true,
+    fields: ["name", "photo", "type"],
+    model: "Thread",
+    path: "participants",
+  },
+];
+
+// missing values are stored as null, like a deleted avatar
+const toAuthorFields = (account) =>
+  AUTHOR_FIELDS.reduce(
+    (fields, field) => ({
+      ...fields,
+      [field]: account[field] === undefined ? null : account[field],
+    }),
+    {},
+  );
+
+// author fields which differ between two versions of an account
+const getChangedFields = (before, after) => {
+  const previous = toAuthorFields(before);
+  const current = toAuthorFields(after);
+  return AUTHOR_FIELDS.filter(
+    (field) => !isDeepStrictEqual(previous[field], current[field]),
+  );
+};
+
+/**
+ * Filter, update and options bringing the copies of an account up to date
+ * in the collection of `copy`.
+ */
+const getCopyUpdate = ({ array, fields, path }, account) => {
+  const values = toAuthorFields(account);
+  const fieldPath = array ? `${path}.$[account]` : path;
+  return {
+    filter: { [`${path}.id`]: account._id },
+    options: array ? { arrayFilters: [{ "account.id": account._id }] } : {},
+    update: {
+      $set: fields.reduce(
+        (set, field) => ({ ...set, [`${fieldPath}.${field}`]: values[field] }),
+        {},
+      ),
+    },
+  };
+};
+
+// groups the distinct copies of each account, to compare them in bulk
+const getCopiesPipeline = ({ array, fields, path }) => [
+  ...(array ? [{ $unwind: `$${path}` }] : []),
+  {
+    $group: {
+      _id: fields.reduce(
+        (group, field) => ({ ...group, [field]: `$${path}.${field}` }),
+        { id: `$${path}.id` },
+      ),
+    },
+  },
+  { $replaceRoot: { newRoot: "$_id" } },
+];
+
+/**
+ * Ids of the accounts whose copies in `copies` are stale, and of the copies
+ * left by accounts which don't exist anymore.
+ */
+const findDrift = ({ fields }, copies, accounts) => {
+  const byId = new Map(
+    accounts.map((account) => [
+      account._id.toString(),
+      toAuthorFields(account),
+    ]),
+  );
+  const drifted = new Set();
+  const orphaned = new Set();
+  copies.forEach((copy) => {
+    if (!copy.id) return;
+    const id = copy.id.toString();
+    const account = byId.get(id);
+    if (!account) {
+      orphaned.add(id);
+    } else if (
+      fields.some(
+        (field) =>
+          !isDeepStrictEqual(
+            copy[field] === undefined ? null : copy[field],
+            account[field],
+          ),
+      )
+    ) {
+      drifted.add(id);
+    }
+  });
+  return { drifted: [...drifted], orphaned: [...orphaned] };
+};
+
+module.exports = {
+  AUTHOR_COPIES,
+  AUTHOR_FIELDS,
+  findDrift,
+  getChangedFields,
+  getCopiesPipeline,
+  getCopyUpdate,
+  toAuthorFields,
+};
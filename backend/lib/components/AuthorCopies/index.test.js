@@ -0,0 +1,67 @@
+const assert = require("assert");
+
+const {
+  AUTHOR_COPIES,
+  findDrift,
+  getChangedFields,
+  getCopyUpdate,
+} = require(".");
+
+describe("Test denormalized author copies", () => {
+  const [postAuthor, , , participants] = AUTHOR_COPIES;
+  const account = {
+    _id: "a1",
+    location: { city: "paris", coordinates: [2.35, 48.85] },
+    name: "Jane Doe",
+    photo: "jane.png",
+    type: "Individual",
+  };
+
+  it("Should find the changed author fields", () => {
+    assert.deepStrictEqual(
+      getChangedFields(account, {
+        ...account,
+        location: { coordinates: [2.35, 48.85], city: "paris" }, // eslint-disable-line sort-keys
+        photo: undefined,
+      }),
+      ["photo"],
+    );
+    assert.deepStrictEqual(getChangedFields(account, { ...account }), []);
+  });
+
+  it("Should update embedded and array copies", () => {
+    assert.deepStrictEqual(getCopyUpdate(postAuthor, account), {
+      filter: { "author.id": "a1" },
+      options: {},
+      update: {
+        $set: {
+          "author.location": account.location,
+          "author.name": "Jane Doe",
+          "author.photo": "jane.png",
+          "author.type": "Individual",
+        },
+      },
+    });
+    const { options, update } = getCopyUpdate(participants, {
+      ...account,
+      photo: undefined,
+    });
+    assert.deepStrictEqual(options, { arrayFilters: [{ "account.id": "a1" }] });
+    assert.strictEqual(update.$set["participants.$[account].photo"], null);
+  });
+
+  it("Should report stale and orphaned copies", () => {
+    assert.deepStrictEqual(
+      findDrift(
+        participants,
+        [
+          { id: "a1", name: "Jane Doe", photo: "jane.png", type: "Individual" },
+          { id: "a1", name: "Jane", photo: "jane.png", type: "Individual" },
+          { id: "b2", name: "Deleted user", type: "Individual" },
+        ],
+        [account],
+      ),
+      { drifted: ["a1"], orphaned: ["b2"] },
+    );
+  });
+});
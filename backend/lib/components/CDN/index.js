@@ -3,6 +3,9 @@ const {
 } = require("../../../config");
 const path = require("path");
 const { upload } = require("./s3");
+const { getExtension } = require("../FileTypes");
+
+const POST_ATTACHMENTS_PATH = "content/attachments/posts";
 
 async function uploadOrgAvatar(id, file) {
   return _uploadAvatar("organisations", id, file);
@@ -20,7 +23,28 @@ async function _uploadAvatar(userType, id, file) {
   return `${cdn.baseUrl}/${key}`;
 }
 
+// each uploader has their own folder
+async function uploadPostAttachment(uploaderId, file, mimeType) {
+  const extension = getExtension(mimeType);
+  const timestamp = new Date().getTime();
+  const key = `${POST_ATTACHMENTS_PATH}/${uploaderId}/${timestamp}${extension}`;
+  // content type lets browsers show images and PDFs inline
+  await upload(cdn.s3Bucket, key, file.data, mimeType);
+  return `${cdn.baseUrl}/${key}`;
+}
+
+// posts may only reference attachments uploaded by the same user through
+// uploadPostAttachment
+function isPostAttachmentUrl(url, uploaderId) {
+  const folder = `${cdn.baseUrl}/${POST_ATTACHMENTS_PATH}/${uploaderId}/`;
+  return (
+    url.startsWith(folder) && /^\d+\.[a-z]+$/.test(url.slice(folder.length))
+  );
+}
+
 module.exports = {
+  isPostAttachmentUrl,
   uploadOrgAvatar,
+  uploadPostAttachment,
   uploadUserAvatar,
 };
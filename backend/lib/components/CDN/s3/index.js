@@ -20,11 +20,12 @@ if (env === "dev") {
 AWS.config.update(awsConfig);
 const s3 = new AWS.S3(s3Config);
 
-function upload(Bucket, Key, Body) {
+function upload(Bucket, Key, Body, ContentType) {
   const uploadParams = {
     Bucket,
     Key,
     Body,
+    ContentType,
   };
   return s3.upload(uploadParams).promise();
 }
@@ -0,0 +1,66 @@
+// grouped field of each facet, types are unwound first as posts have several
+const FACET_FIELDS = {
+  objective: "$objective",
+  providers: "$author.type",
+  type: "$types",
+  visibility: "$visibility",
+};
+
+const matchAll = (filters) => ({
+  $match: filters.length ? { $and: filters } : {},
+});
+
+/**
+ * $facet stage counting the posts per value of each facet, along with the
+ * total. `facetFilters` holds the filters of each facet by name; a facet
+ * ignores its own filters so its other values still get counted.
+ */
+const facetStage = (facetFilters) => {
+  const filtersExcept = (excluded) =>
+    Object.entries(facetFilters)
+      .filter(([name]) => name !== excluded)
+      .reduce((filters, [, facet]) => [...filters, ...facet], []);
+
+  const facets = Object.entries(FACET_FIELDS).reduce(
+    (stages, [name, field]) => ({
+      ...stages,
+      [name]: [
+        matchAll(filtersExcept(name)),
+        ...(name === "type" ? [{ $unwind: field }] : []),
+        { $group: { _id: field, count: { $sum: 1 } } },
+      ],
+    }),
+    {},
+  );
+
+  return {
+    $facet: {
+      ...facets,
+      total: [matchAll(filtersExcept()), { $count: "count" }],
+    },
+  };
+};
+
+// result of facetStage as counts by value, e.g. { objective: { offer: 3 } }
+const getFacetCounts = ({ total, ...facets }) => ({
+  facets: Object.entries(facets).reduce(
+    (counts, [name, groups]) => ({
+      ...counts,
+      [name]: groups.reduce(
+        (values, { _id, count }) =>
+          _id === null || _id === undefined
+            ? values
+            : { ...values, [_id]: count },
+        {},
+      ),
+    }),
+    {},
+  ),
+  total: total.length ? total[0].count : 0,
+});
+
+module.exports = {
+  FACET_FIELDS,
+  facetStage,
+  getFacetCounts,
+};
@@ -0,0 +1,65 @@
+const assert = require("assert");
+
+const { facetStage, getFacetCounts } = require(".");
+
+describe("Test feed facet counts", () => {
+  const facetFilters = {
+    objective: [{ objective: "offer" }],
+    providers: [{ "author.type": { $in: ["Individual"] } }],
+    type: [],
+  };
+
+  it("Should leave the filters of a facet out of its own counts", () => {
+    const { $facet } = facetStage(facetFilters);
+    assert.deepStrictEqual($facet.objective[0], {
+      $match: { $and: facetFilters.providers },
+    });
+    assert.deepStrictEqual($facet.providers[0], {
+      $match: { $and: facetFilters.objective },
+    });
+    assert.deepStrictEqual($facet.total[0], {
+      $match: { $and: [...facetFilters.objective, ...facetFilters.providers] },
+    });
+  });
+
+  it("Should count each type of a post", () => {
+    const { $facet } = facetStage(facetFilters);
+    assert.deepStrictEqual($facet.type[1], { $unwind: "$types" });
+    assert.deepStrictEqual($facet.visibility[1], {
+      $group: { _id: "$visibility", count: { $sum: 1 } },
+    });
+  });
+
+  it("Should turn facet results into counts by value", () => {
+    const counts = getFacetCounts({
+      objective: [
+        { _id: "offer", count: 3 },
+        { _id: "request", count: 2 },
+      ],
+      providers: [{ _id: "Individual", count: 5 }],
+      total: [{ count: 5 }],
+      type: [],
+      visibility: [{ _id: null, count: 1 }],
+    });
+    assert.deepStrictEqual(counts, {
+      facets: {
+        objective: { offer: 3, request: 2 },
+        providers: { Individual: 5 },
+        type: {},
+        visibility: {},
+      },
+      total: 5,
+    });
+  });
+
+  it("Should count no posts for an empty result", () => {
+    const counts = getFacetCounts({
+      objective: [],
+      providers: [],
+      total: [],
+      type: [],
+      visibility: [],
+    });
+    assert.strictEqual(counts.total, 0);
+  });
+});
@@ -0,0 +1,39 @@
+// bytes files of each type start with, at the given offset
+const SIGNATURES = {
+  "application/pdf": [[0, "%PDF-"]],
+  "image/gif": [[0, "GIF8"]],
+  "image/jpeg": [[0, "\xff\xd8\xff"]],
+  "image/png": [[0, "\x89PNG\r\n\x1a\n"]],
+  "image/webp": [
+    [0, "RIFF"],
+    [8, "WEBP"],
+  ],
+};
+
+const EXTENSIONS = {
+  "application/pdf": ".pdf",
+  "image/gif": ".gif",
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+};
+
+/**
+ * The type of a file read from its content, the one sent by clients can't be
+ * trusted. Returns null for types which aren't recognised.
+ */
+const detectMimeType = (data) =>
+  Object.keys(SIGNATURES).find((mimeType) =>
+    SIGNATURES[mimeType].every(([offset, bytes]) =>
+      data
+        .slice(offset, offset + bytes.length)
+        .equals(Buffer.from(bytes, "latin1")),
+    ),
+  ) || null;
+
+const getExtension = (mimeType) => EXTENSIONS[mimeType] || "";
+
+module.exports = {
+  detectMimeType,
+  getExtension,
+};
@@ -0,0 +1,35 @@
+const assert = require("assert");
+
+const { detectMimeType, getExtension } = require(".");
+
+describe("Test file type detection", () => {
+  it("Should recognise the supported types from their content", () => {
+    const png = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+    const webp = Buffer.concat([
+      Buffer.from("RIFF"),
+      Buffer.from("24000000", "hex"),
+      Buffer.from("WEBPVP8 "),
+    ]);
+    assert.strictEqual(detectMimeType(png), "image/png");
+    assert.strictEqual(detectMimeType(webp), "image/webp");
+    assert.strictEqual(
+      detectMimeType(Buffer.from("%PDF-1.4\n")),
+      "application/pdf",
+    );
+    assert.strictEqual(
+      detectMimeType(Buffer.from("ffd8ffe0", "hex")),
+      "image/jpeg",
+    );
+    assert.strictEqual(getExtension("image/jpeg"), ".jpg");
+  });
+
+  it("Should not trust the name or the claimed type of a file", () => {
+    assert.strictEqual(
+      detectMimeType(Buffer.from("<html><script></script></html>")),
+      null,
+    );
+    assert.strictEqual(detectMimeType(Buffer.from("RIFF")), null);
+    assert.strictEqual(detectMimeType(Buffer.alloc(0)), null);
+    assert.strictEqual(getExtension(null), "");
+  });
+});
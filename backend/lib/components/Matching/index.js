@@ -0,0 +1,152 @@
+const mongoose = require("mongoose");
+const { radiusVisibilityStage, visibilityFilter } = require("../Visibility");
+
+// Candidates further than this (in meters) are never suggested
+const MATCH_MAX_DISTANCE = 100000;
+// Candidates older than this (in days) get no recency score
+const MATCH_RECENCY_DAYS = 30;
+const MATCH_CANDIDATES_LIMIT = 50;
+const MATCH_DEFAULT_LIMIT = 5;
+const STRONG_MATCH_SCORE = 0.75;
+const MATCH_WEIGHTS = {
+  distance: 0.3,
+  recency: 0.2,
+  types: 0.5,
+};
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const oppositeObjective = (objective) =>
+  objective === "request" ? "offer" : "request";
+
+// share of the post types that the candidate also covers
+const typeOverlapScore = (types = [], candidateTypes = []) => {
+  if (!types.length) return 0;
+  const shared = types.filter((type) => candidateTypes.includes(type));
+  return shared.length / types.length;
+};
+
+// distance is undefined when the post has no coordinates to compare
+const distanceScore = (distance) => {
+  if (distance === undefined || distance === null) return 0;
+  return Math.max(0, 1 - distance / MATCH_MAX_DISTANCE);
+};
+
+const recencyScore = (createdAt, now = new Date()) => {
+  const ageInDays = (now - new Date(createdAt)) / DAY_IN_MS;
+  return Math.min(1, Math.max(0, 1 - ageInDays / MATCH_RECENCY_DAYS));
+};
+
+const scoreMatch = (post, candidate, now = new Date()) => {
+  const score =
+    MATCH_WEIGHTS.types * typeOverlapScore(post.types, candidate.types) +
+    MATCH_WEIGHTS.distance * distanceScore(candidate.distance) +
+    MATCH_WEIGHTS.recency * recencyScore(candidate.createdAt, now);
+  return Math.round(score * 100) / 100;
+};
+
+const buildMatchFilters = (post, now) => {
+  const { location } = post.author;
+
+  /* eslint-disable sort-keys */
+  const filters = [
+    {
+      "author.id": { $ne: mongoose.Types.ObjectId(post.author.id) },
+      objective: oppositeObjective(post.objective),
+      types: { $in: post.types },
+      status: { $ne: "removed" },
+      // held posts wait for a moderator before anyone sees them
+      held: { $ne: true },
+      state: { $nin: ["fulfilled", "closed"] },
+      $or: [{ expireAt: null }, { expireAt: { $gt: now } }],
+    },
+  ];
+
+  // only suggest posts that the post author is allowed to see
+  if (location) {
+    filters.push(visibilityFilter(location));
+  }
+  /* eslint-enable sort-keys */
+
+  return filters;
+};
+
+/**
+ * Finds posts with the opposite objective that could satisfy the given post,
+ * sorted by their match score (0 to 1).
+ */
+const findMatches = async (
+  Post,
+  post,
+  { limit = MATCH_DEFAULT_LIMIT } = {},
+) => {
+  const now = new Date();
+  const filters = buildMatchFilters(post, now);
+  const coordinates = post.author.location && post.author.location.coordinates;
+
+  /* eslint-disable sort-keys */
+  const candidatesSteps = coordinates
+    ? [
+        {
+          $geoNear: {
+            distanceField: "distance",
+            key: "author.location.coordinates",
+            maxDistance: MATCH_MAX_DISTANCE,
+            near: {
+              $geometry: {
+                coordinates,
+                type: "Point",
+              },
+            },
+            query: { $and: filters },
+          },
+        },
+        radiusVisibilityStage,
+        { $limit: MATCH_CANDIDATES_LIMIT },
+      ]
+    : [
+        { $match: { $and: filters } },
+        { $sort: { _id: -1 } },
+        { $limit: MATCH_CANDIDATES_LIMIT },
+      ];
+
+  const candidates = await Post.aggregate([
+    ...candidatesSteps,
+    {
+      $project: {
+        _id: true,
+        "author.id": true,
+        "author.location.city": true,
+        "author.location.country": true,
+        "author.location.state": true,
+        "author.name": true,
+        "author.photo": true,
+        "author.type": true,
+        distance: true,
+        objective: true,
+        state: true,
+        title: true,
+        types: true,
+        createdAt: true,
+      },
+    },
+  ]);
+  /* eslint-enable sort-keys */
+
+  return candidates
+    .map((candidate) => ({
+      ...candidate,
+      matchScore: scoreMatch(post, candidate, now),
+    }))
+    .sort((a, b) => b.matchScore - a.matchScore)
+    .slice(0, limit);
+};
+
+module.exports = {
+  MATCH_DEFAULT_LIMIT,
+  MATCH_MAX_DISTANCE,
+  STRONG_MATCH_SCORE,
+  buildMatchFilters,
+  findMatches,
+  oppositeObjective,
+  scoreMatch,
+};
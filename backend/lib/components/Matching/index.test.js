@@ -0,0 +1,62 @@
+const assert = require("assert");
+
+const { ObjectId } = require("mongoose").Types;
+
+const {
+  STRONG_MATCH_SCORE,
+  buildMatchFilters,
+  oppositeObjective,
+  scoreMatch,
+} = require(".");
+
+describe("Test post matching scores", () => {
+  const now = new Date("2020-06-30T00:00:00Z");
+  const post = {
+    objective: "request",
+    types: ["Groceries/Food", "Medical Supplies"],
+  };
+
+  it("Should match requests with offers and vice versa", () => {
+    assert.strictEqual(oppositeObjective("request"), "offer");
+    assert.strictEqual(oppositeObjective("offer"), "request");
+  });
+
+  it("Should give a strong score to a recent nearby offer covering all types", () => {
+    const candidate = {
+      createdAt: now,
+      distance: 0,
+      types: ["Groceries/Food", "Medical Supplies", "Housing"],
+    };
+    assert.strictEqual(scoreMatch(post, candidate, now), 1);
+  });
+
+  it("Should weigh partial type overlap, distance and age", () => {
+    const candidate = {
+      createdAt: new Date("2020-06-15T00:00:00Z"),
+      distance: 50000,
+      types: ["Groceries/Food"],
+    };
+    // 0.5 * 0.5 (types) + 0.3 * 0.5 (distance) + 0.2 * 0.5 (recency)
+    const score = scoreMatch(post, candidate, now);
+    assert.strictEqual(score, 0.5);
+    assert.ok(score < STRONG_MATCH_SCORE);
+  });
+
+  it("Should ignore distance when the post has no coordinates", () => {
+    const candidate = { createdAt: now, types: ["Groceries/Food"] };
+    assert.strictEqual(scoreMatch(post, candidate, now), 0.45);
+  });
+
+  it("Should only suggest posts everyone can see", () => {
+    const [filter] = buildMatchFilters(
+      {
+        author: { id: new ObjectId() },
+        objective: "request",
+        types: ["Groceries/Food"],
+      },
+      new Date(),
+    );
+    assert.deepStrictEqual(filter.status, { $ne: "removed" });
+    assert.deepStrictEqual(filter.held, { $ne: true });
+  });
+});
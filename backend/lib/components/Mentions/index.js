@@ -0,0 +1,34 @@
+const MAX_MENTIONS = 10;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// matches names with a word starting with the typed text, e.g. "do" for "Jane Doe"
+const mentionSearchRegex = (keywords) =>
+  new RegExp(`(^|\\s)${escapeRegex(keywords.trim())}`, "i");
+
+/**
+ * Users picked in the mention autocomplete are only kept while "@name" is
+ * still part of the comment, so deleting the text drops the mention.
+ */
+const resolveMentions = (content, users) =>
+  users
+    .filter(({ name }) => name && content.includes(`@${name}`))
+    .filter(
+      ({ _id }, idx, kept) =>
+        kept.findIndex((user) => user._id.equals(_id)) === idx,
+    )
+    .slice(0, MAX_MENTIONS)
+    .map(({ _id, name, type }) => ({ id: _id, name, type }));
+
+// mentions that weren't there before an edit, so they're only notified once
+const getNewMentions = (previous, current) =>
+  current.filter(
+    ({ id }) => !previous.some((mention) => mention.id.equals(id)),
+  );
+
+module.exports = {
+  MAX_MENTIONS,
+  getNewMentions,
+  mentionSearchRegex,
+  resolveMentions,
+};
@@ -0,0 +1,39 @@
+const assert = require("assert");
+const { ObjectId } = require("mongoose").Types;
+
+const { getNewMentions, mentionSearchRegex, resolveMentions } = require(".");
+
+describe("Test comment mentions", () => {
+  const jane = { _id: ObjectId(), name: "Jane Doe", type: "Individual" };
+  const redCross = { _id: ObjectId(), name: "Red Cross", type: "Non-profit" };
+
+  it("Should match names on the start of a word", () => {
+    assert.ok(mentionSearchRegex("jan").test(jane.name));
+    assert.ok(mentionSearchRegex("Do").test(jane.name));
+    assert.ok(!mentionSearchRegex("oe").test(jane.name));
+    assert.ok(!mentionSearchRegex("(").test(jane.name));
+  });
+
+  it("Should only keep users still mentioned in the comment", () => {
+    const mentions = resolveMentions("Thanks @Jane Doe!", [
+      jane,
+      redCross,
+      jane,
+    ]);
+    assert.deepStrictEqual(mentions, [
+      { id: jane._id, name: "Jane Doe", type: "Individual" },
+    ]);
+  });
+
+  it("Should find mentions added by an edit", () => {
+    const previous = resolveMentions("@Jane Doe", [jane]);
+    const current = resolveMentions("@Jane Doe and @Red Cross", [
+      jane,
+      redCross,
+    ]);
+    assert.deepStrictEqual(
+      getNewMentions(previous, current).map(({ name }) => name),
+      ["Red Cross"],
+    );
+  });
+});
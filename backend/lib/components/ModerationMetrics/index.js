@@ -0,0 +1,147 @@
+const HOUR = 60 * 60 * 1000;
+
+// upper bounds of the duration histograms, the last bucket is open ended
+const DURATION_BUCKETS = [
+  { label: "<1h", max: HOUR },
+  { label: "1-4h", max: 4 * HOUR },
+  { label: "4-12h", max: 12 * HOUR },
+  { label: "12-24h", max: 24 * HOUR },
+  { label: "1-3d", max: 72 * HOUR },
+  { label: "3-7d", max: 168 * HOUR },
+  { label: ">7d", max: Infinity },
+];
+
+const PERCENTILES = [50, 90, 99];
+
+// moderator decisions, holds by moderation rules also count as a first action
+const FIRST_ACTIONS = ["accept", "hold", "reject"];
+const RESOLUTIONS = ["accept", "reject"];
+
+// nearest-rank percentile of sorted values
+const percentile = (sorted, p) =>
+  sorted.length
+    ? sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)]
+    : null;
+
+/**
+ * Summarises durations (in ms) as percentiles and a histogram, so they can be
+ * charted without sending every value.
+ */
+const getDistribution = (durations) => {
+  const sorted = [...durations].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    histogram: DURATION_BUCKETS.map(({ label, max }, index) => ({
+      bucket: label,
+      count: sorted.filter(
+        (duration) =>
+          duration < max &&
+          (!index || duration >= DURATION_BUCKETS[index - 1].max),
+      ).length,
+    })),
+    percentiles: PERCENTILES.reduce(
+      (values, p) => ({ ...values, [`p${p}`]: percentile(sorted, p) }),
+      {},
+    ),
+  };
+};
+
+/**
+ * Durations from the first report of each item to its first action and to its
+ * resolution (the latest decision). Actions taken before an item was reported,
+ * like holds on creation, don't count.
+ */
+const getResponseTimes = (actedItems, firstReports) =>
+  actedItems.reduce(
+    (times, { _id: { targetId, targetType }, actions }) => {
+      const reportedAt = firstReports[`${targetType}:${targetId}`];
+      if (!reportedAt) return times;
+      const elapsed = actions
+        .filter(({ createdAt }) => createdAt >= reportedAt)
+        .sort((a, b) => a.createdAt - b.createdAt);
+      const first = elapsed.find(({ action }) =>
+        FIRST_ACTIONS.includes(action),
+      );
+      const resolutions = elapsed.filter(({ action }) =>
+        RESOLUTIONS.includes(action),
+      );
+      const last = resolutions[resolutions.length - 1];
+      return {
+        firstAction: first
+          ? [...times.firstAction, first.createdAt - reportedAt]
+          : times.firstAction,
+        resolution: last
+          ? [...times.resolution, last.createdAt - reportedAt]
+          : times.resolution,
+      };
+    },
+    { firstAction: [], resolution: [] },
+  );
+
+const toRate = (part, total) => (total ? part / total : null);
+
+/**
+ * Decisions per moderator, with how many of the posts they removed were
+ * appealed and restored.
+ */
+const getModeratorStats = (
+  decisionCounts,
+  appealDecisions,
+  removers,
+  names,
+) => {
+  const byModerator = {};
+  const moderator = (id) => {
+    const key = id.toString();
+    byModerator[key] = byModerator[key] || {
+      accept: 0,
+      acceptAppeal: 0,
+      appealed: 0,
+      denyAppeal: 0,
+      id: key,
+      name: names[key] || null,
+      reject: 0,
+      reversed: 0,
+    };
+    return byModerator[key];
+  };
+
+  decisionCounts.forEach(({ _id: { action, moderatorId }, count }) => {
+    moderator(moderatorId)[action] += count;
+  });
+  appealDecisions.forEach(({ action, targetId }) => {
+    const removerId = removers[targetId.toString()];
+    if (!removerId) return;
+    const remover = moderator(removerId);
+    remover.appealed += 1;
+    if (action === "acceptAppeal") remover.reversed += 1;
+  });
+
+  return Object.values(byModerator)
+    .map((stats) => ({
+      ...stats,
+      reversalRate: toRate(stats.reversed, stats.appealed),
+    }))
+    .sort((a, b) => b.accept + b.reject - (a.accept + a.reject));
+};
+
+// share of decided appeals that restored the post
+const getAppealStats = (appealDecisions) => {
+  const accepted = appealDecisions.filter(
+    ({ action }) => action === "acceptAppeal",
+  ).length;
+  return {
+    accepted,
+    denied: appealDecisions.length - accepted,
+    reversalRate: toRate(accepted, appealDecisions.length),
+  };
+};
+
+module.exports = {
+  DURATION_BUCKETS,
+  getAppealStats,
+  getDistribution,
+  getModeratorStats,
+  getResponseTimes,
+  percentile,
+};
@@ -0,0 +1,92 @@
+const assert = require("assert");
+
+const {
+  getAppealStats,
+  getDistribution,
+  getModeratorStats,
+  getResponseTimes,
+  percentile,
+} = require(".");
+
+describe("Test moderation performance metrics", () => {
+  const HOUR = 60 * 60 * 1000;
+  const reportedAt = new Date("2020-10-01T10:00:00Z");
+  const after = (hours) => new Date(reportedAt.getTime() + hours * HOUR);
+
+  it("Should compute nearest-rank percentiles", () => {
+    assert.strictEqual(percentile([], 50), null);
+    assert.strictEqual(percentile([1, 2, 3, 4], 50), 2);
+    assert.strictEqual(percentile([1, 2, 3, 4], 90), 4);
+    assert.strictEqual(percentile([5], 99), 5);
+  });
+
+  it("Should bucket durations", () => {
+    const { count, histogram, percentiles } = getDistribution([
+      30 * 60 * 1000,
+      2 * HOUR,
+      200 * HOUR,
+    ]);
+    assert.strictEqual(count, 3);
+    assert.deepStrictEqual(
+      histogram.filter((bucket) => bucket.count).map(({ bucket }) => bucket),
+      ["<1h", "1-4h", ">7d"],
+    );
+    assert.strictEqual(percentiles.p50, 2 * HOUR);
+  });
+
+  it("Should time actions from the first report", () => {
+    const times = getResponseTimes(
+      [
+        {
+          _id: { targetId: "a", targetType: "posts" },
+          actions: [
+            { action: "hold", createdAt: after(-1) },
+            { action: "accept", createdAt: after(2) },
+            { action: "reject", createdAt: after(5) },
+          ],
+        },
+        {
+          _id: { targetId: "b", targetType: "comments" },
+          actions: [{ action: "hold", createdAt: after(1) }],
+        },
+        {
+          _id: { targetId: "c", targetType: "posts" },
+          actions: [{ action: "accept", createdAt: after(1) }],
+        },
+      ],
+      { "comments:b": reportedAt, "posts:a": reportedAt },
+    );
+    assert.deepStrictEqual(times, {
+      firstAction: [2 * HOUR, HOUR],
+      resolution: [5 * HOUR],
+    });
+  });
+
+  it("Should count decisions and reversals per moderator", () => {
+    const appeals = [
+      { action: "acceptAppeal", targetId: "p1" },
+      { action: "denyAppeal", targetId: "p2" },
+    ];
+    const [first, second] = getModeratorStats(
+      [
+        { _id: { action: "accept", moderatorId: "m1" }, count: 3 },
+        { _id: { action: "reject", moderatorId: "m1" }, count: 1 },
+        { _id: { action: "accept", moderatorId: "m2" }, count: 1 },
+        { _id: { action: "acceptAppeal", moderatorId: "m2" }, count: 1 },
+      ],
+      appeals,
+      { p1: "m1", p2: "m1" },
+      { m1: "Jane Doe" },
+    );
+    assert.strictEqual(first.id, "m1");
+    assert.strictEqual(first.name, "Jane Doe");
+    assert.strictEqual(first.reversalRate, 0.5);
+    assert.strictEqual(second.acceptAppeal, 1);
+    assert.strictEqual(second.reversalRate, null);
+    assert.deepStrictEqual(getAppealStats(appeals), {
+      accepted: 1,
+      denied: 1,
+      reversalRate: 0.5,
+    });
+  });
+});
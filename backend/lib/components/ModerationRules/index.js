@@ -0,0 +1,65 @@
+const moment = require("moment");
+
+// automatic actions are logged as taken by this moderator, which has no user
+const SYSTEM_MODERATOR_ID = "000000000000000000000000";
+
+const REQUIRED_PARAMS = {
+  blocklist: ["phrases"],
+  links: ["maxLinks"],
+  newAccounts: ["accountAgeDays", "maxItems", "periodHours"],
+  reports: ["reportsCount"],
+};
+
+const LINK_REGEX = /(https?:\/\/|www\.)\S+/gi;
+
+// params a rule of the given kind can't be evaluated without
+const getMissingParams = ({ kind, params = {} }) =>
+  REQUIRED_PARAMS[kind].filter((param) =>
+    Array.isArray(params[param])
+      ? !params[param].length
+      : params[param] == null,
+  );
+
+const countLinks = (content = "") => (content.match(LINK_REGEX) || []).length;
+
+const matchesBlocklist = (content = "", phrases = []) => {
+  const text = content.toLowerCase();
+  return phrases.some(
+    (phrase) => phrase && text.includes(phrase.toLowerCase()),
+  );
+};
+
+// the first blocklist or links rule new content breaks
+const findContentRule = (rules, content) =>
+  rules.find(
+    ({ kind, params }) =>
+      (kind === "blocklist" && matchesBlocklist(content, params.phrases)) ||
+      (kind === "links" && countLinks(content) > params.maxLinks),
+  );
+
+const isNewAccount = ({ params }, accountCreatedAt, now = new Date()) =>
+  moment(accountCreatedAt).add(params.accountAgeDays, "days").isAfter(now);
+
+// start of the period items are counted over for a "newAccounts" rule
+const getRateLimitSince = ({ params }, now = new Date()) =>
+  moment(now).subtract(params.periodHours, "hours").toDate();
+
+const isRateLimited = (rule, { accountCreatedAt, recentCount, now }) =>
+  isNewAccount(rule, accountCreatedAt, now) &&
+  recentCount >= rule.params.maxItems;
+
+const reachesReportThreshold = ({ params }, reportsCount) =>
+  reportsCount >= params.reportsCount;
+
+module.exports = {
+  REQUIRED_PARAMS,
+  SYSTEM_MODERATOR_ID,
+  countLinks,
+  findContentRule,
+  getMissingParams,
+  getRateLimitSince,
+  isNewAccount,
+  isRateLimited,
+  matchesBlocklist,
+  reachesReportThreshold,
+};
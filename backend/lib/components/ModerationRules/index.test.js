@@ -0,0 +1,86 @@
+const assert = require("assert");
+const moment = require("moment");
+
+const {
+  countLinks,
+  findContentRule,
+  getMissingParams,
+  isRateLimited,
+  reachesReportThreshold,
+} = require(".");
+
+describe("Test auto-moderation rules", () => {
+  const blocklist = {
+    kind: "blocklist",
+    name: "Scams",
+    params: { phrases: ["Free Bitcoin"] },
+  };
+  const links = { kind: "links", name: "Link spam", params: { maxLinks: 2 } };
+  const newAccounts = {
+    kind: "newAccounts",
+    name: "New accounts",
+    params: { accountAgeDays: 2, maxItems: 3, periodHours: 24 },
+  };
+
+  it("Should list the params a rule is missing", () => {
+    assert.deepStrictEqual(getMissingParams(links), []);
+    assert.deepStrictEqual(
+      getMissingParams({ kind: "blocklist", params: { phrases: [] } }),
+      ["phrases"],
+    );
+    assert.deepStrictEqual(
+      getMissingParams({ kind: "newAccounts", params: { maxItems: 0 } }),
+      ["accountAgeDays", "periodHours"],
+    );
+  });
+
+  it("Should find the first rule content breaks", () => {
+    const rules = [blocklist, links];
+    assert.strictEqual(countLinks("see https://a.org and www.b.org"), 2);
+    assert.strictEqual(
+      findContentRule(rules, "get free bitcoin now"),
+      blocklist,
+    );
+    assert.strictEqual(
+      findContentRule(rules, "http://a.org http://b.org http://c.org"),
+      links,
+    );
+    assert.strictEqual(
+      findContentRule(rules, "I can help http://a.org"),
+      undefined,
+    );
+  });
+
+  it("Should only rate-limit new accounts", () => {
+    const now = new Date();
+    const newAccount = moment(now).subtract(1, "day").toDate();
+    const oldAccount = moment(now).subtract(1, "month").toDate();
+    assert.ok(
+      isRateLimited(newAccounts, {
+        accountCreatedAt: newAccount,
+        now,
+        recentCount: 3,
+      }),
+    );
+    assert.ok(
+      !isRateLimited(newAccounts, {
+        accountCreatedAt: newAccount,
+        now,
+        recentCount: 2,
+      }),
+    );
+    assert.ok(
+      !isRateLimited(newAccounts, {
+        accountCreatedAt: oldAccount,
+        now,
+        recentCount: 20,
+      }),
+    );
+  });
+
+  it("Should hide content once it reaches the reports threshold", () => {
+    const rule = { kind: "reports", params: { reportsCount: 3 } };
+    assert.ok(!reachesReportThreshold(rule, 2));
+    assert.ok(reachesReportThreshold(rule, 3));
+  });
+});
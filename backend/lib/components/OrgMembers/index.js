@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+
+const DAY = 24 * 60 * 60 * 1000;
+const INVITE_EXPIRY_DAYS = 7;
+
+// what each member role can do for the organisation, the owner can do it all
+const ORG_ROLE_ACTIONS = {
+  admin: ["editProfile", "manageMembers", "message", "post"],
+  editor: ["editProfile", "message", "post"],
+  responder: ["message"],
+};
+
+const isSameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// "owner", the role of the user among the members, or null
+const getOrgRole = (organisation, userId) => {
+  if (isSameId(organisation.ownerId, userId)) return "owner";
+  const member = (organisation.members || []).find((m) =>
+    isSameId(m.userId, userId),
+  );
+  return member ? member.role : null;
+};
+
+/**
+ * Whether the user can do `action` as the account, which is either their own
+ * account or an organisation. Without `action` any role is enough.
+ */
+const canActAs = (account, userId, action = null) => {
+  // the account may have been deleted
+  if (!account) return false;
+  if (isSameId(account._id, userId)) return true;
+  const role = getOrgRole(account, userId);
+  if (!role) return false;
+  if (role === "owner" || !action) return true;
+  return ORG_ROLE_ACTIONS[role].includes(action);
+};
+
+const generateInviteToken = () => crypto.randomBytes(24).toString("hex");
+
+const getInviteExpiry = (now = new Date()) =>
+  new Date(now.getTime() + INVITE_EXPIRY_DAYS * DAY);
+
+const isInviteUsable = (invite, now = new Date()) =>
+  invite.status === "pending" && invite.expiresAt > now;
+
+/**
+ * Error key of nominating `nominee` as the new owner, null when they can be.
+ * `nominee` is the individual user found for the nominated id, organisations
+ * aren't individual users and can't own another organisation.
+ */
+const getNominationError = (organisation, nominee) => {
+  if (!nominee) return "invalidNominee";
+  if (isSameId(organisation.ownerId, nominee._id)) return "alreadyOwner";
+  return null;
+};
+
+const isTransferNominee = (organisation, userId) =>
+  !!organisation.ownershipTransfer &&
+  isSameId(organisation.ownershipTransfer.nomineeId, userId);
+
+// a pending transfer is withdrawn by the owner or declined by the nominee
+const getTransferCancelFilter = (organisationId, userId) => ({
+  $or: [{ ownerId: userId }, { "ownershipTransfer.nomineeId": userId }],
+  _id: organisationId,
+  "ownershipTransfer.nomineeId": { $exists: true },
+});
+
+/**
+ * Filter and update making the nominee the owner, as long as neither the
+ * owner nor the transfer changed. The new owner doesn't need a member role
+ * anymore, and the previous one keeps none, they can be invited back.
+ */
+const getTransferAcceptance = (organisation, nomineeId) => ({
+  filter: {
+    _id: organisation._id,
+    ownerId: organisation.ownerId,
+    "ownershipTransfer.nomineeId": nomineeId,
+  },
+  update: {
+    $pull: { members: { userId: nomineeId } },
+    $set: { ownerId: nomineeId },
+    $unset: { ownershipTransfer: "" },
+  },
+});
+
+module.exports = {
+  INVITE_EXPIRY_DAYS,
+  ORG_ROLE_ACTIONS,
+  canActAs,
+  generateInviteToken,
+  getInviteExpiry,
+  getNominationError,
+  getOrgRole,
+  getTransferAcceptance,
+  getTransferCancelFilter,
+  isInviteUsable,
+  isTransferNominee,
+};
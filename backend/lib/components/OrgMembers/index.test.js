@@ -0,0 +1,102 @@
+const assert = require("assert");
+const { ObjectId } = require("mongoose").Types;
+
+const {
+  canActAs,
+  generateInviteToken,
+  getInviteExpiry,
+  getNominationError,
+  getOrgRole,
+  getTransferAcceptance,
+  getTransferCancelFilter,
+  isInviteUsable,
+  isTransferNominee,
+} = require(".");
+
+describe("Test organisation members", () => {
+  const ownerId = new ObjectId();
+  const editorId = new ObjectId();
+  const responderId = new ObjectId();
+  const organisation = {
+    _id: new ObjectId(),
+    members: [
+      { role: "editor", userId: editorId },
+      { role: "responder", userId: responderId },
+    ],
+    ownerId,
+  };
+
+  it("Should find the role of a user", () => {
+    assert.strictEqual(getOrgRole(organisation, ownerId), "owner");
+    assert.strictEqual(getOrgRole(organisation, editorId.toString()), "editor");
+    assert.strictEqual(getOrgRole(organisation, new ObjectId()), null);
+  });
+
+  it("Should only allow the actions of the role", () => {
+    assert.ok(canActAs(organisation, ownerId, "manageMembers"));
+    assert.ok(canActAs(organisation, editorId, "post"));
+    assert.ok(!canActAs(organisation, editorId, "manageMembers"));
+    assert.ok(canActAs(organisation, responderId, "message"));
+    assert.ok(!canActAs(organisation, responderId, "post"));
+    assert.ok(canActAs(organisation, responderId));
+    assert.ok(!canActAs(organisation, new ObjectId()));
+    assert.ok(canActAs({ _id: editorId }, editorId, "post"));
+  });
+
+  it("Should only accept pending invites before they expire", () => {
+    const now = new Date("2020-06-30T12:00:00Z");
+    const expiresAt = getInviteExpiry(now);
+    assert.strictEqual(expiresAt.toISOString(), "2020-07-07T12:00:00.000Z");
+    assert.ok(isInviteUsable({ expiresAt, status: "pending" }, now));
+    assert.ok(!isInviteUsable({ expiresAt, status: "revoked" }, now));
+    assert.ok(!isInviteUsable({ expiresAt, status: "pending" }, expiresAt));
+    assert.notStrictEqual(generateInviteToken(), generateInviteToken());
+  });
+
+  it("Should only let individual users other than the owner be nominated", () => {
+    assert.strictEqual(
+      getNominationError(organisation, { _id: editorId }),
+      null,
+    );
+    assert.strictEqual(
+      getNominationError(organisation, { _id: ownerId }),
+      "alreadyOwner",
+    );
+    // organisation ids aren't found among individual users
+    assert.strictEqual(
+      getNominationError(organisation, null),
+      "invalidNominee",
+    );
+  });
+
+  it("Should only let the nominee accept a transfer", () => {
+    const transferring = {
+      ...organisation,
+      ownershipTransfer: { nomineeId: editorId, requestedAt: new Date() },
+    };
+    assert.ok(isTransferNominee(transferring, editorId.toString()));
+    assert.ok(!isTransferNominee(transferring, ownerId));
+    assert.ok(!isTransferNominee(transferring, null));
+    assert.ok(!isTransferNominee(organisation, editorId));
+
+    const { filter, update } = getTransferAcceptance(transferring, editorId);
+    assert.deepStrictEqual(filter, {
+      _id: organisation._id,
+      ownerId,
+      "ownershipTransfer.nomineeId": editorId,
+    });
+    assert.deepStrictEqual(update, {
+      $pull: { members: { userId: editorId } },
+      $set: { ownerId: editorId },
+      $unset: { ownershipTransfer: "" },
+    });
+  });
+
+  it("Should let the owner or the nominee cancel a transfer", () => {
+    assert.deepStrictEqual(getTransferCancelFilter(organisation._id, ownerId), {
+      $or: [{ ownerId }, { "ownershipTransfer.nomineeId": ownerId }],
+      _id: organisation._id,
+      "ownershipTransfer.nomineeId": { $exists: true },
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// orderings supported by cursors, with the direction of their sort key;
+// ties are always broken by descending _id
+const CURSOR_SORTS = {
+  distance: 1,
+  recent: null,
+  score: -1,
+};
+
+const encodeCursor = (sort, post) =>
+  Buffer.from(
+    JSON.stringify(
+      CURSOR_SORTS[sort] ? [sort, post._id, post[sort]] : [sort, post._id],
+    ),
+  ).toString("base64");
+
+/**
+ * Decodes an opaque cursor created by encodeCursor for the given ordering.
+ * Returns null if the cursor is malformed or was created for another ordering.
+ */
+const decodeCursor = (sort, cursor) => {
+  try {
+    const [cursorSort, id, value] = JSON.parse(
+      Buffer.from(cursor, "base64").toString(),
+    );
+    if (
+      cursorSort !== sort ||
+      !mongoose.Types.ObjectId.isValid(id) ||
+      (CURSOR_SORTS[sort] && typeof value !== "number")
+    ) {
+      return null;
+    }
+    return { id: mongoose.Types.ObjectId(id), value };
+  } catch (err) {
+    return null;
+  }
+};
+
+// $match stage keeping only posts sorted after the decoded cursor
+const cursorMatchStage = (sort, { id, value }) => {
+  const direction = CURSOR_SORTS[sort];
+  if (!direction) return { $match: { _id: { $lt: id } } };
+
+  /* eslint-disable sort-keys */
+  return {
+    $match: {
+      $or: [
+        { [sort]: { [direction > 0 ? "$gt" : "$lt"]: value } },
+        { [sort]: value, _id: { $lt: id } },
+      ],
+    },
+  };
+  /* eslint-enable sort-keys */
+};
+
+module.exports = {
+  CURSOR_SORTS,
+  cursorMatchStage,
+  decodeCursor,
+  encodeCursor,
+};
@@ -0,0 +1,46 @@
+const assert = require("assert");
+const mongoose = require("mongoose");
+
+const { cursorMatchStage, decodeCursor, encodeCursor } = require(".");
+
+describe("Test feed pagination cursors", () => {
+  const post = {
+    _id: mongoose.Types.ObjectId("5ef2a3b2c1d0e9f8a7b6c5d4"),
+    distance: 1234.5,
+    score: 1.75,
+  };
+
+  it("Should decode the sort key and id of an encoded cursor", () => {
+    const { id, value } = decodeCursor(
+      "distance",
+      encodeCursor("distance", post),
+    );
+    assert.ok(id.equals(post._id));
+    assert.strictEqual(value, 1234.5);
+  });
+
+  it("Should reject malformed cursors and cursors of another ordering", () => {
+    assert.strictEqual(decodeCursor("recent", "not a cursor"), null);
+    assert.strictEqual(
+      decodeCursor("score", encodeCursor("distance", post)),
+      null,
+    );
+  });
+
+  it("Should continue after the cursor in sort order", () => {
+    const recent = decodeCursor("recent", encodeCursor("recent", post));
+    assert.deepStrictEqual(cursorMatchStage("recent", recent), {
+      $match: { _id: { $lt: post._id } },
+    });
+
+    const score = decodeCursor("score", encodeCursor("score", post));
+    assert.deepStrictEqual(cursorMatchStage("score", score), {
+      $match: {
+        $or: [
+          { score: { $lt: 1.75 } },
+          { _id: { $lt: post._id }, score: 1.75 },
+        ],
+      },
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const moment = require("moment");
+
+const EXPIRY_REMINDER_WINDOW_HOURS = 24;
+const RENEWAL_GRACE_PERIOD_DAYS = 14;
+
+// posts created before the option was stored get the closest one
+const getExpirationOption = ({ createdAt, expirationOption, expireAt }) => {
+  if (expirationOption) return expirationOption;
+  const days = moment(expireAt).diff(createdAt, "days", true);
+  if (days < 3) return "day";
+  if (days < 10) return "week";
+  return "month";
+};
+
+// posts that never expire can't be renewed
+const isRenewable = ({ expireAt }, now = new Date()) =>
+  !!expireAt &&
+  moment(expireAt).add(RENEWAL_GRACE_PERIOD_DAYS, "days").isAfter(now);
+
+/**
+ * Extends the expiration of a post by its original expiration option, from
+ * the current expiration or from now if the post already expired.
+ */
+const getRenewedExpireAt = (post, now = new Date()) =>
+  moment
+    .max(moment(post.expireAt), moment(now))
+    .add(1, getExpirationOption(post))
+    .toDate();
+
+module.exports = {
+  EXPIRY_REMINDER_WINDOW_HOURS,
+  RENEWAL_GRACE_PERIOD_DAYS,
+  getExpirationOption,
+  getRenewedExpireAt,
+  isRenewable,
+};
@@ -0,0 +1,54 @@
+const assert = require("assert");
+
+const { getExpirationOption, getRenewedExpireAt, isRenewable } = require(".");
+
+describe("Test post expiry renewal", () => {
+  const now = new Date("2020-06-30T00:00:00Z");
+
+  it("Should infer the expiration option of older posts", () => {
+    const createdAt = new Date("2020-06-01T00:00:00Z");
+    assert.strictEqual(
+      getExpirationOption({ createdAt, expireAt: new Date("2020-06-02") }),
+      "day",
+    );
+    assert.strictEqual(
+      getExpirationOption({ createdAt, expireAt: new Date("2020-06-08") }),
+      "week",
+    );
+    assert.strictEqual(
+      getExpirationOption({ createdAt, expireAt: new Date("2020-07-01") }),
+      "month",
+    );
+    assert.strictEqual(
+      getExpirationOption({ createdAt, expirationOption: "day" }),
+      "day",
+    );
+  });
+
+  it("Should only renew expiring posts within the grace period", () => {
+    assert.ok(isRenewable({ expireAt: new Date("2020-07-01") }, now));
+    assert.ok(isRenewable({ expireAt: new Date("2020-06-20") }, now));
+    assert.ok(!isRenewable({ expireAt: new Date("2020-06-01") }, now));
+    assert.ok(!isRenewable({ expireAt: null }, now));
+  });
+
+  it("Should extend from the expiration, or from now once expired", () => {
+    assert.strictEqual(
+      getRenewedExpireAt(
+        {
+          expirationOption: "week",
+          expireAt: new Date("2020-07-01T00:00:00Z"),
+        },
+        now,
+      ).toISOString(),
+      "2020-07-08T00:00:00.000Z",
+    );
+    assert.strictEqual(
+      getRenewedExpireAt(
+        { expirationOption: "day", expireAt: new Date("2020-06-20T00:00:00Z") },
+        now,
+      ).toISOString(),
+      "2020-07-01T00:00:00.000Z",
+    );
+  });
+});
@@ -0,0 +1,35 @@
+// 2 decimals is ~1km, enough to place a post without giving away an address
+const COORDINATES_PRECISION = 2;
+
+const coarsen = (degrees) => Number(degrees.toFixed(COORDINATES_PRECISION));
+
+const coarsenCoordinates = ([lng, lat]) => [coarsen(lng), coarsen(lat)];
+
+/**
+ * GeoJSON of posts for the map view, placed at the coarsened location of their
+ * author. Posts without coordinates are left out.
+ */
+const toFeatureCollection = (posts) => ({
+  features: posts
+    .filter(({ author }) => author.location && author.location.coordinates)
+    .map(({ _id, author, objective, title, types }) => ({
+      geometry: {
+        coordinates: coarsenCoordinates(author.location.coordinates),
+        type: "Point",
+      },
+      properties: {
+        author: { name: author.name, type: author.type },
+        id: _id,
+        objective,
+        title,
+        types,
+      },
+      type: "Feature",
+    })),
+  type: "FeatureCollection",
+});
+
+module.exports = {
+  coarsenCoordinates,
+  toFeatureCollection,
+};
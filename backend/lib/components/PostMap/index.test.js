@@ -0,0 +1,58 @@
+const assert = require("assert");
+
+const { coarsenCoordinates, toFeatureCollection } = require(".");
+
+describe("Test post map GeoJSON", () => {
+  const post = {
+    _id: "5f1b2c3d4e5f6a7b8c9d0e1f",
+    author: {
+      id: "5f1b2c3d4e5f6a7b8c9d0e00",
+      location: {
+        address: "1 Yonge St, Toronto",
+        city: "toronto",
+        coordinates: [-79.376321, 43.642567],
+        country: "ca",
+      },
+      name: "Jane Doe",
+      type: "Individual",
+    },
+    objective: "offer",
+    title: "Grocery delivery",
+    types: ["Groceries/Food"],
+  };
+
+  it("Should coarsen coordinates to about a kilometre", () => {
+    assert.deepStrictEqual(coarsenCoordinates([-79.376321, 43.642567]), [
+      -79.38,
+      43.64,
+    ]);
+  });
+
+  it("Should only expose coarse locations and post previews", () => {
+    const { features, type } = toFeatureCollection([post]);
+    assert.strictEqual(type, "FeatureCollection");
+    assert.strictEqual(features.length, 1);
+    assert.deepStrictEqual(features[0].geometry, {
+      coordinates: [-79.38, 43.64],
+      type: "Point",
+    });
+    assert.deepStrictEqual(features[0].properties, {
+      author: { name: "Jane Doe", type: "Individual" },
+      id: post._id,
+      objective: "offer",
+      title: "Grocery delivery",
+      types: ["Groceries/Food"],
+    });
+  });
+
+  it("Should leave out posts without coordinates", () => {
+    const withoutCoordinates = {
+      ...post,
+      author: { ...post.author, location: { country: "ca" } },
+    };
+    assert.strictEqual(
+      toFeatureCollection([withoutCoordinates]).features.length,
+      0,
+    );
+  });
+});
@@ -0,0 +1,32 @@
+const { POST_STATE_TRANSITIONS } = require("../../models/Post");
+
+// posts created before the lifecycle was introduced have no state
+const getPostState = (post) => post.state || "open";
+
+// filter of the posts in a state, posts without one are open
+const getStateFilter = (state) =>
+  state === "open"
+    ? { $or: [{ state: "open" }, { state: { $exists: false } }] }
+    : { state };
+
+// null when the post can move to the state, the error message otherwise
+const getStateChangeError = (post, state) => {
+  const currentState = getPostState(post);
+  return POST_STATE_TRANSITIONS[currentState].includes(state)
+    ? null
+    : `Cannot change post state from ${currentState} to ${state}`;
+};
+
+// only fulfilled and closed posts keep why they were closed
+const getStateUpdate = (state, closingReason) => ({
+  closingReason: ["fulfilled", "closed"].includes(state)
+    ? closingReason
+    : undefined,
+  state,
+});
+
+module.exports = {
+  getStateChangeError,
+  getStateFilter,
+  getStateUpdate,
+};
@@ -0,0 +1,86 @@
+const assert = require("assert");
+const { ObjectId } = require("mongoose").Types;
+
+const { getStateChangeError, getStateFilter, getStateUpdate } = require(".");
+const { canActAs } = require("../OrgMembers");
+
+describe("Test post states", () => {
+  it("Should let open and in progress posts be fulfilled or closed", () => {
+    ["open", "inProgress"].forEach((state) => {
+      assert.strictEqual(getStateChangeError({ state }, "fulfilled"), null);
+      assert.strictEqual(getStateChangeError({ state }, "closed"), null);
+    });
+    assert.strictEqual(
+      getStateChangeError({ state: "open" }, "inProgress"),
+      null,
+    );
+    // posts created before states were introduced are open
+    assert.strictEqual(getStateChangeError({}, "fulfilled"), null);
+  });
+
+  it("Should only let fulfilled and closed posts be reopened", () => {
+    ["fulfilled", "closed"].forEach((state) => {
+      assert.strictEqual(getStateChangeError({ state }, "open"), null);
+      assert.strictEqual(
+        getStateChangeError({ state }, "inProgress"),
+        `Cannot change post state from ${state} to inProgress`,
+      );
+    });
+    assert.strictEqual(
+      getStateChangeError({ state: "fulfilled" }, "closed"),
+      "Cannot change post state from fulfilled to closed",
+    );
+    assert.strictEqual(
+      getStateChangeError({ state: "open" }, "open"),
+      "Cannot change post state from open to open",
+    );
+  });
+
+  it("Should list posts created before states were introduced as open", () => {
+    const legacyPost = { _id: new ObjectId(), title: "Need groceries" };
+    const { $or: openFilters } = getStateFilter("open");
+    assert.deepStrictEqual(openFilters, [
+      { state: "open" },
+      { state: { $exists: false } },
+    ]);
+    // the legacy post has no state field
+    assert.ok(!("state" in legacyPost));
+    assert.strictEqual(getStateChangeError(legacyPost, "inProgress"), null);
+    assert.deepStrictEqual(getStateFilter("fulfilled"), { state: "fulfilled" });
+  });
+
+  it("Should only keep the closing reason of fulfilled and closed posts", () => {
+    assert.deepStrictEqual(getStateUpdate("fulfilled", "Found help"), {
+      closingReason: "Found help",
+      state: "fulfilled",
+    });
+    assert.deepStrictEqual(getStateUpdate("closed", "No longer needed"), {
+      closingReason: "No longer needed",
+      state: "closed",
+    });
+    assert.deepStrictEqual(getStateUpdate("open", "Found help"), {
+      closingReason: undefined,
+      state: "open",
+    });
+  });
+
+  it("Should only let the author or their editors change the state", () => {
+    const authorId = new ObjectId();
+    const editorId = new ObjectId();
+    const organisation = {
+      _id: new ObjectId(),
+      members: [
+        { role: "editor", userId: editorId },
+        { role: "responder", userId: authorId },
+      ],
+      ownerId: new ObjectId(),
+    };
+    assert.ok(canActAs({ _id: authorId }, authorId.toString(), "post"));
+    assert.ok(!canActAs({ _id: authorId }, new ObjectId(), "post"));
+    assert.ok(canActAs(organisation, organisation.ownerId, "post"));
+    assert.ok(canActAs(organisation, editorId, "post"));
+    assert.ok(!canActAs(organisation, authorId, "post"));
+    // deleted authors
+    assert.ok(!canActAs(null, authorId, "post"));
+  });
+});
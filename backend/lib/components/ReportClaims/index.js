@@ -0,0 +1,33 @@
+const moment = require("moment");
+const { CLAIM_TIMEOUT_MINUTES } = require("../../models/ReportClaim");
+
+// socket.io room of the users allowed to read reports
+const MODERATORS_ROOM = "moderators";
+
+const getClaimExpiry = (now = new Date()) =>
+  moment(now).add(CLAIM_TIMEOUT_MINUTES, "minutes").toDate();
+
+// expired claims may still be stored until mongo removes them
+const isClaimActive = (claim, now = new Date()) =>
+  !!claim && new Date(claim.expiresAt) > now;
+
+const isClaimedByOther = (claim, moderatorId, now = new Date()) =>
+  isClaimActive(claim, now) &&
+  claim.moderatorId.toString() !== moderatorId.toString();
+
+// what the queue shows of a claim, null once it's released or expired
+const toClaimView = (claim, now = new Date()) =>
+  isClaimActive(claim, now)
+    ? {
+        expiresAt: claim.expiresAt,
+        moderator: { id: claim.moderatorId, name: claim.moderatorName },
+      }
+    : null;
+
+module.exports = {
+  MODERATORS_ROOM,
+  getClaimExpiry,
+  isClaimActive,
+  isClaimedByOther,
+  toClaimView,
+};
@@ -0,0 +1,50 @@
+const assert = require("assert");
+
+const {
+  getClaimExpiry,
+  isClaimActive,
+  isClaimedByOther,
+  toClaimView,
+} = require(".");
+
+describe("Test moderation queue claims", () => {
+  const now = new Date("2020-10-01T10:00:00Z");
+  const claim = {
+    expiresAt: getClaimExpiry(now),
+    moderatorId: "5f75e1d3b3c6b1a8e6c0a001",
+    moderatorName: "Jane Doe",
+  };
+
+  it("Should expire claims after the timeout", () => {
+    assert.strictEqual(
+      claim.expiresAt.toISOString(),
+      "2020-10-01T10:15:00.000Z",
+    );
+    assert.ok(isClaimActive(claim, now));
+    assert.ok(!isClaimActive(claim, new Date("2020-10-01T10:15:00Z")));
+    assert.ok(!isClaimActive(null, now));
+  });
+
+  it("Should only block other moderators", () => {
+    assert.ok(!isClaimedByOther(claim, "5f75e1d3b3c6b1a8e6c0a001", now));
+    assert.ok(isClaimedByOther(claim, "5f75e1d3b3c6b1a8e6c0a002", now));
+    assert.ok(
+      !isClaimedByOther(
+        claim,
+        "5f75e1d3b3c6b1a8e6c0a002",
+        new Date("2020-10-01T11:00:00Z"),
+      ),
+    );
+  });
+
+  it("Should show who is reviewing an item", () => {
+    assert.deepStrictEqual(toClaimView(claim, now), {
+      expiresAt: claim.expiresAt,
+      moderator: { id: claim.moderatorId, name: "Jane Doe" },
+    });
+    assert.strictEqual(
+      toClaimView(claim, new Date("2020-10-01T11:00:00Z")),
+      null,
+    );
+  });
+});
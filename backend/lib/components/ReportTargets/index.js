@@ -0,0 +1,53 @@
+// models holding the reports of each target type. Users are looked up as
+// individual users, organisations are only reported and moderated as such
+const TARGET_MODELS = {
+  comments: "Comment",
+  organisations: "OrganisationUser",
+  posts: "Post",
+  users: "IndividualUser",
+};
+
+// adds a report, users can only report a target once
+const getReportUpdate = (targetId, report) => ({
+  // the only way to ensure unique reports, mongoose doesn't support subdocuments unqiue indexes
+  filter: { _id: targetId, "reportedBy.id": { $ne: report.id } },
+  update: { $addToSet: { reportedBy: report }, status: "flagged" },
+});
+
+/**
+ * The update a moderator decision makes to its target. Accepted reports
+ * remove it, rejected ones make it public again and release the content held
+ * by moderation rules.
+ */
+const getModerationUpdate = (targetType, action, now = new Date()) => {
+  const updates = {};
+  if (action === "accept") {
+    updates.status = "removed";
+    // starts a new removal its author can appeal
+    if (targetType === "posts") updates.removedAt = now;
+  } else if (action === "reject") {
+    updates.status = "public";
+    if (["comments", "posts"].includes(targetType)) updates.held = false;
+  }
+  return updates;
+};
+
+// comment decisions stay linked to the post they were made on
+const getDecisionPostId = (targetType, target) => {
+  if (targetType === "posts") return target._id;
+  if (targetType === "comments") return target.postId;
+  return undefined;
+};
+
+// held posts kept by a moderator are announced like they would have been on
+// creation, `target` is the post as it was before the decision
+const isReleasedPost = (targetType, action, target) =>
+  targetType === "posts" && action === "reject" && !!target.held;
+
+module.exports = {
+  TARGET_MODELS,
+  getDecisionPostId,
+  getModerationUpdate,
+  getReportUpdate,
+  isReleasedPost,
+};
@@ -0,0 +1,84 @@
+const assert = require("assert");
+const { ObjectId } = require("mongoose").Types;
+
+const {
+  TARGET_MODELS,
+  getDecisionPostId,
+  getModerationUpdate,
+  getReportUpdate,
+  isReleasedPost,
+} = require(".");
+const { REPORT_TARGETS } = require("../../models/Report");
+
+describe("Test report targets", () => {
+  const now = new Date("2020-10-01T10:00:00Z");
+
+  it("Should route every target type to the model holding its reports", () => {
+    assert.deepStrictEqual(
+      Object.keys(TARGET_MODELS).sort(),
+      [...REPORT_TARGETS].sort(),
+    );
+    assert.strictEqual(TARGET_MODELS.posts, "Post");
+    assert.strictEqual(TARGET_MODELS.comments, "Comment");
+    // organisations can't be reported or moderated as users
+    assert.strictEqual(TARGET_MODELS.users, "IndividualUser");
+    assert.strictEqual(TARGET_MODELS.organisations, "OrganisationUser");
+  });
+
+  it("Should only let a user report a target once", () => {
+    const targetId = new ObjectId();
+    const report = { id: new ObjectId(), reason: "Spam" };
+    assert.deepStrictEqual(getReportUpdate(targetId, report), {
+      filter: { _id: targetId, "reportedBy.id": { $ne: report.id } },
+      update: { $addToSet: { reportedBy: report }, status: "flagged" },
+    });
+  });
+
+  it("Should remove the target of accepted reports", () => {
+    assert.deepStrictEqual(getModerationUpdate("posts", "accept", now), {
+      removedAt: now,
+      status: "removed",
+    });
+    ["comments", "users", "organisations"].forEach((targetType) => {
+      assert.deepStrictEqual(getModerationUpdate(targetType, "accept", now), {
+        status: "removed",
+      });
+    });
+  });
+
+  it("Should restore the target of rejected reports", () => {
+    ["posts", "comments"].forEach((targetType) => {
+      assert.deepStrictEqual(getModerationUpdate(targetType, "reject", now), {
+        held: false,
+        status: "public",
+      });
+    });
+    ["users", "organisations"].forEach((targetType) => {
+      assert.deepStrictEqual(getModerationUpdate(targetType, "reject", now), {
+        status: "public",
+      });
+    });
+  });
+
+  it("Should link decisions on posts and comments to their post", () => {
+    const postId = new ObjectId();
+    const comment = { _id: new ObjectId(), postId };
+    assert.strictEqual(getDecisionPostId("posts", { _id: postId }), postId);
+    assert.strictEqual(getDecisionPostId("comments", comment), postId);
+    assert.strictEqual(
+      getDecisionPostId("users", { _id: new ObjectId() }),
+      undefined,
+    );
+    assert.strictEqual(
+      getDecisionPostId("organisations", { _id: new ObjectId() }),
+      undefined,
+    );
+  });
+
+  it("Should only announce held posts kept by a moderator", () => {
+    assert.ok(isReleasedPost("posts", "reject", { held: true }));
+    assert.ok(!isReleasedPost("posts", "reject", { held: false }));
+    assert.ok(!isReleasedPost("posts", "accept", { held: true }));
+    assert.ok(!isReleasedPost("comments", "reject", { held: true }));
+  });
+});
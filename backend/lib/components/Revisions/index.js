@@ -0,0 +1,58 @@
+const isSameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// like the feed does for logged out users, counting code points like $substrCP
+const truncate = (content, maxLength) => {
+  const characters = [...content];
+  return characters.length > maxLength
+    ? `${characters.slice(0, maxLength).join("")}...`
+    : content;
+};
+
+/**
+ * Whether the history of a comment is shown, following the comment list:
+ * removed comments are gone and held ones are only left to their author.
+ * Comments are only listed to logged in users.
+ */
+const isCommentVisible = (comment, actor, canReadReports = false) => {
+  if (canReadReports) return true;
+  if (!actor || comment.status === "removed") return false;
+  return !comment.held || isSameId(comment.author.id, actor._id);
+};
+
+/**
+ * The revisions of a post and of its comments the actor can see, newest
+ * first like `revisions`. `comments` are the existing comments of the post,
+ * the history of deleted ones goes away with them. Post contents are cut
+ * to `maxContentLength` when it is set.
+ */
+const getVisibleRevisions = (
+  revisions,
+  comments,
+  { actor, canReadReports = false, maxContentLength = null },
+) => {
+  const visibleCommentIds = comments
+    .filter((comment) => isCommentVisible(comment, actor, canReadReports))
+    .map(({ _id }) => _id);
+  return {
+    comments: revisions.filter(
+      ({ targetId, targetType }) =>
+        targetType === "Comment" &&
+        visibleCommentIds.some((commentId) => isSameId(commentId, targetId)),
+    ),
+    post: revisions
+      .filter(({ targetType }) => targetType === "Post")
+      .map((revision) =>
+        maxContentLength
+          ? {
+              ...revision,
+              content: truncate(revision.content, maxContentLength),
+            }
+          : revision,
+      ),
+  };
+};
+
+module.exports = {
+  getVisibleRevisions,
+  isCommentVisible,
+};
@@ -0,0 +1,71 @@
+const assert = require("assert");
+const { ObjectId } = require("mongoose").Types;
+
+const { getVisibleRevisions, isCommentVisible } = require(".");
+
+describe("Test post revisions", () => {
+  const authorId = new ObjectId();
+  const actor = { _id: new ObjectId() };
+  const comments = {
+    held: { _id: new ObjectId(), author: { id: authorId }, held: true },
+    heldByActor: { _id: new ObjectId(), author: { id: actor._id }, held: true },
+    removed: {
+      _id: new ObjectId(),
+      author: { id: authorId },
+      status: "removed",
+    },
+    visible: {
+      _id: new ObjectId(),
+      author: { id: authorId },
+      status: "public",
+    },
+  };
+  const deletedCommentId = new ObjectId();
+  const revisions = [
+    { content: "é".repeat(130), targetType: "Post" },
+    ...Object.values(comments).map(({ _id }) => ({
+      content: "comment",
+      targetId: _id,
+      targetType: "Comment",
+    })),
+    { content: "deleted", targetId: deletedCommentId, targetType: "Comment" },
+  ];
+  const commentIds = (visible) =>
+    visible.comments.map(({ targetId }) => targetId.toString());
+
+  it("Should only show the history of comments listed to the actor", () => {
+    assert.ok(isCommentVisible(comments.visible, actor));
+    assert.ok(isCommentVisible(comments.heldByActor, actor));
+    assert.ok(!isCommentVisible(comments.held, actor));
+    assert.ok(!isCommentVisible(comments.removed, actor));
+    assert.ok(!isCommentVisible(comments.visible, null));
+    assert.ok(isCommentVisible(comments.removed, actor, true));
+
+    const visible = getVisibleRevisions(revisions, Object.values(comments), {
+      actor,
+    });
+    assert.deepStrictEqual(commentIds(visible), [
+      comments.heldByActor._id.toString(),
+      comments.visible._id.toString(),
+    ]);
+    assert.strictEqual(visible.post[0].content.length, 130);
+  });
+
+  it("Should keep hidden and deleted comments from readers of reports", () => {
+    const visible = getVisibleRevisions(revisions, Object.values(comments), {
+      actor,
+      canReadReports: true,
+    });
+    assert.strictEqual(visible.comments.length, 4);
+    assert.ok(!commentIds(visible).includes(deletedCommentId.toString()));
+  });
+
+  it("Should cut the post history for logged out users", () => {
+    const visible = getVisibleRevisions(revisions, Object.values(comments), {
+      actor: null,
+      maxContentLength: 120,
+    });
+    assert.deepStrictEqual(visible.comments, []);
+    assert.strictEqual(visible.post[0].content, `${"é".repeat(120)}...`);
+  });
+});
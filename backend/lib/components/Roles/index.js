@@ -0,0 +1,44 @@
+// where the location of a reported item is stored, reported content is
+// located by its author, see AuthorCopies for the copies kept up to date
+const LOCATION_PATHS = {
+  comments: "author.location",
+  organisations: "location",
+  posts: "author.location",
+  users: "location",
+};
+
+// locations aren't always stored lowercase
+const exactMatch = (value) =>
+  new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i");
+
+/**
+ * Mongo filter keeping the items of a target type inside the regions of a
+ * role, or null when the role isn't restricted.
+ */
+const getRegionFilter = (regions, targetType) => {
+  if (!regions || !regions.length) return null;
+  const path = LOCATION_PATHS[targetType];
+  return {
+    $or: regions.map(({ country, state }) => ({
+      [`${path}.country`]: exactMatch(country),
+      ...(state && { [`${path}.state`]: exactMatch(state) }),
+    })),
+  };
+};
+
+// SCOPES bitmask of a list of scope names
+const toPermissions = (scopeNames, scopes) =>
+  scopeNames.reduce((total, name) => total | scopes[name], 0); // eslint-disable-line no-bitwise
+
+// the scope names granted by a bitmask
+const toScopeNames = (permissions, scopes) =>
+  Object.keys(scopes).filter(
+    (name) => scopes[name] && (permissions & scopes[name]) === scopes[name], // eslint-disable-line no-bitwise
+  );
+
+module.exports = {
+  LOCATION_PATHS,
+  getRegionFilter,
+  toPermissions,
+  toScopeNames,
+};
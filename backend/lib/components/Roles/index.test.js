@@ -0,0 +1,34 @@
+const assert = require("assert");
+
+const { getRegionFilter, toPermissions, toScopeNames } = require(".");
+
+describe("Test custom roles", () => {
+  const SCOPES = { NONE: 0, REPORT_READ: 1, REPORT_WRITE: 2, STATS_READ: 16 };
+  const regions = [{ country: "us", state: "new york" }, { country: "fr" }];
+
+  it("Should convert scopes to permissions and back", () => {
+    const permissions = toPermissions(["REPORT_READ", "STATS_READ"], SCOPES);
+    assert.strictEqual(permissions, 17);
+    assert.deepStrictEqual(toScopeNames(permissions, SCOPES), [
+      "REPORT_READ",
+      "STATS_READ",
+    ]);
+  });
+
+  it("Should filter reported items by region", () => {
+    assert.strictEqual(getRegionFilter([], "posts"), null);
+    const filter = getRegionFilter(regions, "posts");
+    assert.strictEqual(filter.$or.length, 2);
+    assert.ok(filter.$or[0]["author.location.country"].test("US"));
+    assert.ok(filter.$or[0]["author.location.state"].test("New York"));
+    assert.ok(!filter.$or[0]["author.location.state"].test("New York City"));
+    assert.deepStrictEqual(
+      Object.keys(getRegionFilter(regions, "users").$or[1]),
+      ["location.country"],
+    );
+    assert.deepStrictEqual(
+      Object.keys(getRegionFilter(regions, "comments").$or[0]),
+      ["author.location.country", "author.location.state"],
+    );
+  });
+});
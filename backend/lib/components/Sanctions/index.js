@@ -0,0 +1,75 @@
+const moment = require("moment");
+const { SANCTION_TYPES } = require("../../models/Sanction");
+const { getRegionFilter } = require("../Roles");
+
+// sanctions without a duration are permanent
+const getSanctionExpiry = (durationDays, now = new Date()) =>
+  durationDays ? moment(now).add(durationDays, "days").toDate() : undefined;
+
+// matches the sanctions still in effect, expired and revoked ones are kept
+const activeSanctionQuery = (now = new Date()) => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  revokedAt: null,
+});
+
+const isSanctionActive = (sanction, now = new Date()) =>
+  !sanction.revokedAt &&
+  (!sanction.expiresAt || new Date(sanction.expiresAt) > now);
+
+// the most severe active sanction, the longest one of that type
+const getActiveSanction = (sanctions = [], now = new Date()) =>
+  sanctions
+    .filter((sanction) => isSanctionActive(sanction, now))
+    .sort(
+      (a, b) =>
+        SANCTION_TYPES.indexOf(b.type) - SANCTION_TYPES.indexOf(a.type) ||
+        (b.expiresAt ? new Date(b.expiresAt) : Infinity) -
+          (a.expiresAt ? new Date(a.expiresAt) : Infinity),
+    )[0] || null;
+
+/**
+ * The error key a request is refused with: banned accounts can't do anything
+ * and suspended ones can only read.
+ */
+const getSanctionError = (sanction, method) => {
+  if (!sanction) return null;
+  if (sanction.type === "ban") return "accountBanned";
+  if (sanction.type === "suspension" && !["GET", "HEAD"].includes(method)) {
+    return "accountSuspended";
+  }
+  return null;
+};
+
+/**
+ * Finds an account a moderator can sanction: moderators whose role is
+ * restricted to some regions can only sanction the accounts located there.
+ */
+const getSanctionTargetFilter = (targetId, targetType, regions) => ({
+  _id: targetId,
+  ...getRegionFilter(regions, targetType),
+});
+
+// accounts with scopes the moderator lacks, like administrators, are out of
+// their reach
+const canSanction = (permissions, target) =>
+  !((target.permissions || 0) & ~permissions); // eslint-disable-line no-bitwise
+
+// what the sanctioned account is told
+const toSanctionView = (sanction) =>
+  sanction && {
+    createdAt: sanction.createdAt,
+    expiresAt: sanction.expiresAt,
+    reason: sanction.reason,
+    type: sanction.type,
+  };
+
+module.exports = {
+  activeSanctionQuery,
+  canSanction,
+  getActiveSanction,
+  getSanctionError,
+  getSanctionExpiry,
+  getSanctionTargetFilter,
+  isSanctionActive,
+  toSanctionView,
+};
@@ -0,0 +1,93 @@
+const assert = require("assert");
+
+const {
+  canSanction,
+  getActiveSanction,
+  getSanctionError,
+  getSanctionExpiry,
+  getSanctionTargetFilter,
+  isSanctionActive,
+} = require(".");
+const { ROLES } = require("../../constants");
+
+describe("Test account sanctions", () => {
+  const now = new Date("2020-10-01T10:00:00Z");
+  const warning = {
+    expiresAt: new Date("2020-11-01T10:00:00Z"),
+    reason: "Spam",
+    type: "warning",
+  };
+  const suspension = {
+    expiresAt: new Date("2020-10-08T10:00:00Z"),
+    reason: "Repeated spam",
+    type: "suspension",
+  };
+  const ban = { reason: "Scams", type: "ban" };
+
+  it("Should make sanctions without a duration permanent", () => {
+    assert.strictEqual(
+      getSanctionExpiry(7, now).toISOString(),
+      "2020-10-08T10:00:00.000Z",
+    );
+    assert.strictEqual(getSanctionExpiry(undefined, now), undefined);
+  });
+
+  it("Should ignore expired and revoked sanctions", () => {
+    assert.ok(isSanctionActive(ban, now));
+    assert.ok(!isSanctionActive({ ...ban, revokedAt: now }, now));
+    assert.ok(!isSanctionActive(suspension, new Date("2020-10-09T10:00:00Z")));
+  });
+
+  it("Should apply the most severe active sanction", () => {
+    assert.strictEqual(getActiveSanction([], now), null);
+    assert.strictEqual(getActiveSanction(undefined, now), null);
+    assert.strictEqual(
+      getActiveSanction([warning, suspension], now),
+      suspension,
+    );
+    assert.strictEqual(getActiveSanction([warning, suspension, ban], now), ban);
+    assert.strictEqual(
+      getActiveSanction(
+        [warning, suspension],
+        new Date("2020-10-09T10:00:00Z"),
+      ),
+      warning,
+    );
+    const longer = { ...suspension, expiresAt: new Date("2020-12-01") };
+    assert.strictEqual(getActiveSanction([suspension, longer], now), longer);
+  });
+
+  it("Should make suspended accounts read-only and lock banned ones", () => {
+    assert.strictEqual(getSanctionError(null, "POST"), null);
+    assert.strictEqual(getSanctionError(warning, "POST"), null);
+    assert.strictEqual(getSanctionError(suspension, "GET"), null);
+    assert.strictEqual(
+      getSanctionError(suspension, "PATCH"),
+      "accountSuspended",
+    );
+    assert.strictEqual(getSanctionError(ban, "GET"), "accountBanned");
+  });
+
+  it("Should not let moderators sanction accounts with more scopes", () => {
+    const { administrator, moderator } = ROLES;
+    assert.ok(canSanction(moderator, {}));
+    assert.ok(canSanction(moderator, { permissions: 0 }));
+    assert.ok(canSanction(moderator, { permissions: moderator }));
+    assert.ok(!canSanction(moderator, { permissions: administrator }));
+    assert.ok(canSanction(administrator, { permissions: moderator }));
+  });
+
+  it("Should only find accounts in the regions of the moderator", () => {
+    assert.deepStrictEqual(getSanctionTargetFilter("user", "users", []), {
+      _id: "user",
+    });
+    const filter = getSanctionTargetFilter("org", "organisations", [
+      { country: "CA", state: "Ontario" },
+    ]);
+    assert.strictEqual(filter._id, "org");
+    const [region] = filter.$or;
+    assert.ok(region["location.country"].test("ca"));
+    assert.ok(region["location.state"].test("ontario"));
+    assert.ok(!region["location.state"].test("Quebec"));
+  });
+});
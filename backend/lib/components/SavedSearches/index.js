@@ -0,0 +1,68 @@
+const { createSearchRegex } = require("../../utils");
+const { isVisibleFrom } = require("../Visibility");
+
+const matchesKeywords = (post, keywords) => {
+  const keywordsRegex = createSearchRegex(keywords);
+  const { location = {}, name } = post.author;
+  return [
+    post.title,
+    post.content,
+    name,
+    ...(post.types || []),
+    location.country,
+    location.state,
+    location.city,
+  ].some((text) => text && keywordsRegex.test(text));
+};
+
+const matchesSavedSearch = (post, { filters = {} }) => {
+  const { keywords, location, objective, providers, type } = filters;
+
+  if (objective && objective !== post.objective) return false;
+  if (providers && providers.length && !providers.includes(post.author.type)) {
+    return false;
+  }
+  if (type && type.length && !type.some((t) => post.types.includes(t))) {
+    return false;
+  }
+  if (location && !isVisibleFrom(post, location)) return false;
+  if (keywords && !matchesKeywords(post, keywords)) return false;
+
+  return true;
+};
+
+// the filters of saved searches a post matches which the database can check
+const getSavedSearchQuery = (post, path = "filters") => ({
+  [`${path}.objective`]: { $in: [null, post.objective] },
+  [`${path}.providers`]: { $in: [null, [], post.author.type] },
+  [`${path}.type`]: { $in: [null, [], ...(post.types || [])] },
+});
+
+/**
+ * Returns every saved search, with the id of the user who saved it, that the
+ * given post matches. Authors are never alerted about their own posts.
+ * Locations and keywords are matched here, on the searches the query found.
+ */
+const findSavedSearchMatches = async (User, post) => {
+  const candidates = await User.aggregate([
+    {
+      $match: {
+        _id: { $ne: post.author.id },
+        savedSearches: { $elemMatch: getSavedSearchQuery(post) },
+      },
+    },
+    { $unwind: "$savedSearches" },
+    { $match: getSavedSearchQuery(post, "savedSearches.filters") },
+    { $project: { _id: false, savedSearch: "$savedSearches", userId: "$_id" } },
+  ]);
+
+  return candidates.filter(({ savedSearch }) =>
+    matchesSavedSearch(post, savedSearch),
+  );
+};
+
+module.exports = {
+  findSavedSearchMatches,
+  getSavedSearchQuery,
+  matchesSavedSearch,
+};
@@ -0,0 +1,93 @@
+const assert = require("assert");
+
+const {
+  findSavedSearchMatches,
+  getSavedSearchQuery,
+  matchesSavedSearch,
+} = require(".");
+
+describe("Test saved search matching for new posts", () => {
+  const post = {
+    author: {
+      location: { city: "toronto", country: "ca", state: "on" },
+      name: "Jane Doe",
+      type: "Individual",
+    },
+    content: "I can deliver groceries to anyone in my neighborhood",
+    objective: "offer",
+    title: "Grocery delivery",
+    types: ["Groceries/Food"],
+    visibility: "state",
+  };
+
+  it("Should match a saved search without filters", () => {
+    assert.ok(matchesSavedSearch(post, { filters: {} }));
+  });
+
+  it("Should match on objective, providers and type", () => {
+    const filters = {
+      objective: "offer",
+      providers: ["Individual", "Company"],
+      type: ["Groceries/Food", "Medical Supplies"],
+    };
+    assert.ok(matchesSavedSearch(post, { filters }));
+    assert.ok(
+      !matchesSavedSearch(post, {
+        filters: { ...filters, objective: "request" },
+      }),
+    );
+    assert.ok(
+      !matchesSavedSearch(post, { filters: { ...filters, type: ["Housing"] } }),
+    );
+  });
+
+  it("Should respect post visibility from the saved location", () => {
+    const location = { city: "ottawa", country: "ca", state: "on" };
+    assert.ok(matchesSavedSearch(post, { filters: { location } }));
+    assert.ok(
+      !matchesSavedSearch(post, {
+        filters: { location: { ...location, state: "qc" } },
+      }),
+    );
+  });
+
+  it("Should match keywords in title and content", () => {
+    assert.ok(matchesSavedSearch(post, { filters: { keywords: "delivery" } }));
+    assert.ok(!matchesSavedSearch(post, { filters: { keywords: "housing" } }));
+  });
+
+  it("Should only load the saved searches matching the post", async () => {
+    const authorId = "author";
+    const location = { city: "toronto", country: "ca", state: "on" };
+    let pipeline = null;
+    const User = {
+      aggregate: async (stages) => {
+        pipeline = stages;
+        return [
+          { savedSearch: { filters: { location } }, userId: "near" },
+          {
+            savedSearch: {
+              filters: { location: { ...location, state: "qc" } },
+            },
+            userId: "far",
+          },
+        ];
+      },
+    };
+    const matches = await findSavedSearchMatches(User, {
+      ...post,
+      author: { ...post.author, id: authorId },
+    });
+
+    assert.deepStrictEqual(
+      matches.map(({ userId }) => userId),
+      ["near"],
+    );
+    assert.deepStrictEqual(pipeline[0].$match._id, { $ne: authorId });
+    assert.deepStrictEqual(getSavedSearchQuery(post), {
+      "filters.objective": { $in: [null, "offer"] },
+      "filters.providers": { $in: [null, [], "Individual"] },
+      "filters.type": { $in: [null, [], "Groceries/Food"] },
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const FEED_TITLE = "FightPandemics help board";
+const FEED_DESCRIPTION = "Requests and offers of help posted on FightPandemics";
+
+const XML_ENTITIES = {
+  '"': "&quot;",
+  "&": "&amp;",
+  "'": "&apos;",
+  "<": "&lt;",
+  ">": "&gt;",
+};
+
+const escapeXml = (text = "") =>
+  String(text).replace(/["&'<>]/g, (char) => XML_ENTITIES[char]);
+
+const postUrl = (appUrl, post) => `${appUrl}/post/${post._id}`;
+
+// the most recent change of the listed posts, or now for an empty feed
+const getUpdatedAt = (posts) =>
+  posts.reduce(
+    (latest, { updatedAt }) =>
+      updatedAt && new Date(updatedAt) > latest ? new Date(updatedAt) : latest,
+    posts.length ? new Date(0) : new Date(),
+  );
+
+const getCategories = (post) => [post.objective, ...(post.types || [])];
+
+/**
+ * Renders posts as an RSS 2.0 channel. `feedUrl` is the url the feed was
+ * requested from and `appUrl` the url posts link back to.
+ */
+const renderRss = ({ appUrl, feedUrl, posts }) => {
+  const items = posts.map((post) => {
+    const url = escapeXml(postUrl(appUrl, post));
+    return [
+      "    <item>",
+      `      <title>${escapeXml(post.title)}</title>`,
+      `      <link>${url}</link>`,
+      `      <guid isPermaLink="true">${url}</guid>`,
+      `      <description>${escapeXml(post.content)}</description>`,
+      // <author> is meant for email addresses
+      `      <dc:creator>${escapeXml(post.author.name)}</dc:creator>`,
+      `      <pubDate>${new Date(post.createdAt).toUTCString()}</pubDate>`,
+      ...getCategories(post).map(
+        (category) => `      <category>${escapeXml(category)}</category>`,
+      ),
+      "    </item>",
+    ].join("\n");
+  });
+  const selfUrl = escapeXml(feedUrl);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "  <channel>",
+    `    <title>${FEED_TITLE}</title>`,
+    `    <link>${escapeXml(appUrl)}/feed</link>`,
+    `    <description>${FEED_DESCRIPTION}</description>`,
+    `    <atom:link href="${selfUrl}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${getUpdatedAt(posts).toUTCString()}</lastBuildDate>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+};
+
+const renderAtom = ({ appUrl, feedUrl, posts }) => {
+  const entries = posts.map((post) => {
+    const url = escapeXml(postUrl(appUrl, post));
+    return [
+      "  <entry>",
+      `    <id>${url}</id>`,
+      `    <title>${escapeXml(post.title)}</title>`,
+      `    <link href="${url}"/>`,
+      `    <author><name>${escapeXml(post.author.name)}</name></author>`,
+      `    <published>${new Date(post.createdAt).toISOString()}</published>`,
+      `    <updated>${new Date(post.updatedAt).toISOString()}</updated>`,
+      `    <content type="text">${escapeXml(post.content)}</content>`,
+      ...getCategories(post).map(
+        (category) => `    <category term="${escapeXml(category)}"/>`,
+      ),
+      "  </entry>",
+    ].join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feedUrl)}</id>`,
+    `  <title>${FEED_TITLE}</title>`,
+    `  <subtitle>${FEED_DESCRIPTION}</subtitle>`,
+    `  <link href="${escapeXml(appUrl)}/feed"/>`,
+    `  <link href="${escapeXml(feedUrl)}" rel="self"/>`,
+    `  <updated>${getUpdatedAt(posts).toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+};
+
+// https://www.jsonfeed.org/version/1.1/
+const renderJsonFeed = ({ appUrl, feedUrl, posts }) =>
+  JSON.stringify({
+    description: FEED_DESCRIPTION,
+    feed_url: feedUrl,
+    home_page_url: `${appUrl}/feed`,
+    items: posts.map((post) => ({
+      authors: [{ name: post.author.name }],
+      content_text: post.content,
+      date_modified: new Date(post.updatedAt).toISOString(),
+      date_published: new Date(post.createdAt).toISOString(),
+      id: postUrl(appUrl, post),
+      tags: getCategories(post),
+      title: post.title,
+      url: postUrl(appUrl, post),
+    })),
+    title: FEED_TITLE,
+    version: "https://jsonfeed.org/version/1.1",
+  });
+
+module.exports = {
+  escapeXml,
+  renderAtom,
+  renderJsonFeed,
+  renderRss,
+};
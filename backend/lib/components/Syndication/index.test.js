@@ -0,0 +1,60 @@
+const assert = require("assert");
+
+const { escapeXml, renderAtom, renderJsonFeed, renderRss } = require(".");
+
+describe("Test help board syndication feeds", () => {
+  const feed = {
+    appUrl: "https://fightpandemics.com",
+    feedUrl: "https://fightpandemics.com/api/posts/feed.rss?objective=offer",
+    posts: [
+      {
+        _id: "5ef2a3b2c1d0e9f8a7b6c5d4",
+        author: { name: "Tom & Jerry" },
+        content: "Delivering <groceries> to neighbours",
+        createdAt: new Date("2020-10-17T01:51:52.534Z"),
+        objective: "offer",
+        title: "Groceries delivery",
+        types: ["Groceries/Food"],
+        updatedAt: new Date("2020-10-18T01:51:52.534Z"),
+      },
+    ],
+  };
+
+  it("Should escape XML special characters", () => {
+    assert.strictEqual(
+      escapeXml(`<a href="x">Tom & Jerry's</a>`),
+      "&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;",
+    );
+  });
+
+  it("Should link RSS items and Atom entries back to the post page", () => {
+    const rss = renderRss(feed);
+    assert.ok(
+      rss.includes(
+        "<link>https://fightpandemics.com/post/5ef2a3b2c1d0e9f8a7b6c5d4</link>",
+      ),
+    );
+    assert.ok(rss.includes("<dc:creator>Tom &amp; Jerry</dc:creator>"));
+    assert.ok(
+      rss.includes("Delivering &lt;groceries&gt; to neighbours</description>"),
+    );
+
+    const atom = renderAtom(feed);
+    assert.ok(
+      atom.includes(
+        '<link href="https://fightpandemics.com/post/5ef2a3b2c1d0e9f8a7b6c5d4"/>',
+      ),
+    );
+    assert.ok(atom.includes("<updated>2020-10-18T01:51:52.534Z</updated>"));
+  });
+
+  it("Should render a JSON Feed", () => {
+    const { feed_url: feedUrl, items } = JSON.parse(renderJsonFeed(feed));
+    assert.strictEqual(feedUrl, feed.feedUrl);
+    assert.deepStrictEqual(items[0].tags, ["offer", "Groceries/Food"]);
+    assert.strictEqual(
+      items[0].url,
+      "https://fightpandemics.com/post/5ef2a3b2c1d0e9f8a7b6c5d4",
+    );
+  });
+});
@@ -0,0 +1,119 @@
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_IN_KM = 1000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// great-circle distance between two [longitude, latitude] GeoJSON coordinates
+const distanceInMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const a =
+    Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Query for the posts a user at the given location is allowed to see. Posts
+ * visible within a radius are only included when the location has coordinates,
+ * and then still have to go through `radiusVisibilityStage` once `$geoNear`
+ * computed their distance.
+ */
+const visibilityFilter = (location) => {
+  /* eslint-disable sort-keys */
+  const visibilities = [
+    { visibility: "worldwide" },
+    {
+      visibility: "country",
+      "author.location.country": location.country,
+    },
+    {
+      visibility: "state",
+      "author.location.country": location.country,
+      "author.location.state": location.state,
+    },
+    {
+      visibility: "city",
+      "author.location.country": location.country,
+      "author.location.state": location.state,
+      "author.location.city": location.city,
+    },
+  ];
+  /* eslint-enable sort-keys */
+  if (location.coordinates) {
+    visibilities.push({ visibility: "radius" });
+  }
+  return { $or: visibilities };
+};
+
+// to follow a $geoNear stage with "distance" as its distanceField
+const radiusVisibilityStage = {
+  $match: {
+    $or: [
+      { visibility: { $ne: "radius" } },
+      {
+        $expr: {
+          $lte: [
+            "$distance",
+            { $multiply: ["$visibilityRadiusKm", METERS_IN_KM] },
+          ],
+        },
+      },
+    ],
+  },
+};
+
+// same rules as visibilityFilter, for posts that are already loaded
+const isVisibleFrom = (post, location) => {
+  const { location: authorLocation = {} } = post.author;
+  switch (post.visibility) {
+    case "city":
+      return (
+        authorLocation.country === location.country &&
+        authorLocation.state === location.state &&
+        authorLocation.city === location.city
+      );
+    case "state":
+      return (
+        authorLocation.country === location.country &&
+        authorLocation.state === location.state
+      );
+    case "country":
+      return authorLocation.country === location.country;
+    case "radius":
+      return (
+        !!authorLocation.coordinates &&
+        !!location.coordinates &&
+        distanceInMeters(authorLocation.coordinates, location.coordinates) <=
+          post.visibilityRadiusKm * METERS_IN_KM
+      );
+    default:
+      return true;
+  }
+};
+
+const isSameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+/**
+ * Whether the post page is hidden from the actor, null when logged out.
+ * Removed and held posts are only left to their author, and users don't see
+ * the posts they reported. Users with dashboard read access see them all.
+ */
+const isHiddenFrom = (post, actor, canReadReports = false) => {
+  if (canReadReports) return false;
+  const isAuthor = !!actor && isSameId(post.author.id, actor._id);
+  if ((post.status === "removed" || post.held) && !isAuthor) return true;
+  return (
+    !!actor &&
+    (post.reportedBy || []).some((report) => isSameId(report.id, actor._id))
+  );
+};
+
+module.exports = {
+  METERS_IN_KM,
+  distanceInMeters,
+  isHiddenFrom,
+  isVisibleFrom,
+  radiusVisibilityStage,
+  visibilityFilter,
+};
@@ -0,0 +1,71 @@
+const assert = require("assert");
+
+const {
+  distanceInMeters,
+  isHiddenFrom,
+  isVisibleFrom,
+  visibilityFilter,
+} = require(".");
+
+describe("Test post visibility", () => {
+  // [longitude, latitude]
+  const toronto = [-79.3832, 43.6532];
+  const mississauga = [-79.6441, 43.589];
+  const montreal = [-73.5673, 45.5017];
+
+  const post = {
+    author: {
+      location: {
+        city: "toronto",
+        coordinates: toronto,
+        country: "ca",
+        state: "on",
+      },
+    },
+    visibility: "radius",
+    visibilityRadiusKm: 50,
+  };
+
+  it("Should compute the distance between coordinates", () => {
+    const distance = distanceInMeters(toronto, montreal);
+    assert.ok(distance > 500000 && distance < 510000);
+    assert.strictEqual(distanceInMeters(toronto, toronto), 0);
+  });
+
+  it("Should only show radius posts within their radius", () => {
+    assert.ok(isVisibleFrom(post, { coordinates: mississauga }));
+    assert.ok(!isVisibleFrom(post, { coordinates: montreal }));
+    assert.ok(!isVisibleFrom(post, { city: "toronto", country: "ca" }));
+  });
+
+  it("Should only include radius posts for locations with coordinates", () => {
+    const location = { city: "toronto", country: "ca", state: "on" };
+    const hasRadius = (filter) =>
+      filter.$or.some(({ visibility }) => visibility === "radius");
+    assert.ok(!hasRadius(visibilityFilter(location)));
+    assert.ok(
+      hasRadius(visibilityFilter({ ...location, coordinates: toronto })),
+    );
+  });
+
+  it("Should hide held, removed and reported posts from the post page", () => {
+    const author = { _id: "author" };
+    const reporter = { _id: "reporter" };
+    const reported = {
+      author: { id: "author" },
+      reportedBy: [{ id: "reporter" }],
+      status: "flagged",
+    };
+    assert.ok(!isHiddenFrom(reported, null));
+    assert.ok(isHiddenFrom(reported, reporter));
+    assert.ok(!isHiddenFrom(reported, reporter, true));
+
+    const held = { ...reported, held: true };
+    assert.ok(isHiddenFrom(held, null));
+    assert.ok(!isHiddenFrom(held, author));
+
+    const removed = { ...reported, status: "removed" };
+    assert.ok(isHiddenFrom(removed, { _id: "other" }));
+    assert.ok(!isHiddenFrom(removed, author));
+  });
+});
@@ -5,7 +5,8 @@ const SCOPES = {
   MANAGE_USERS: 0x00000004,
   LOGS_READ: 0x00000008,
   STATS_READ: 0x00000010,
-  // to add more, please use: 0x00000020, 0x00000040, 0x00000080, 0x00000100, 0x00000200, 0x00000400, etc..
+  MANAGE_RULES: 0x00000020,
+  // to add more, please use: 0x00000040, 0x00000080, 0x00000100, 0x00000200, 0x00000400, etc..
 };
 
 const ROLES = {
@@ -14,10 +15,17 @@ const ROLES = {
   "business intelligence": SCOPES.STATS_READ,
   moderator: SCOPES.REPORT_READ | SCOPES.REPORT_WRITE,
   inspector: SCOPES.REPORT_READ | SCOPES.LOGS_READ,
-  administrator: SCOPES.REPORT_READ | SCOPES.REPORT_WRITE | SCOPES.MANAGE_USERS | SCOPES.LOGS_READ | SCOPES.STATS_READ,
+  administrator: SCOPES.REPORT_READ | SCOPES.REPORT_WRITE | SCOPES.MANAGE_USERS | SCOPES.LOGS_READ | SCOPES.STATS_READ | SCOPES.MANAGE_RULES,
+};
+
+// values roles had before scopes were added to them, users given one of these
+// roles back then still hold them
+const LEGACY_ROLES = {
+  administrator: ROLES.administrator - SCOPES.MANAGE_RULES,
 };
 
 module.exports = {
+  LEGACY_ROLES,
   ROLES,
   SCOPES,
 };
@@ -0,0 +1,349 @@
+const {
+  createRuleSchema,
+  createSanctionSchema,
+  deleteRuleSchema,
+  getSanctionsSchema,
+  revokeSanctionSchema,
+  updateRuleSchema,
+} = require("./schema/moderation");
+const { getChanges } = require("../components/AuditTrail");
+const { getMissingParams } = require("../components/ModerationRules");
+const { getRegionFilter } = require("../components/Roles");
+const {
+  activeSanctionQuery,
+  canSanction,
+  getActiveSanction,
+  getSanctionExpiry,
+  getSanctionTargetFilter,
+  toSanctionView,
+} = require("../components/Sanctions");
+const { SCOPES } = require("../constants");
+
+/*
+ * /api/moderation
+ */
+async function routes(app) {
+  const Audit = app.mongo.model("Audit");
+  const ModerationRule = app.mongo.model("ModerationRule");
+  const User = app.mongo.model("User");
+
+  const sanctionedModels = {
+    organisations: app.mongo.model("OrganisationUser"),
+    users: app.mongo.model("IndividualUser"),
+  };
+
+  // every rule or sanction change is logged with its values before and/or
+  // after it
+  const recordChange = async (req, action, target, changes) => {
+    const [err] = await app.to(
+      new Audit({
+        action,
+        moderatorId: req.userId,
+        ...target,
+        ...changes,
+      }).save(),
+    );
+    if (err) {
+      req.log.error(err, "Failed saving audit log action");
+      throw app.httpErrors.internalServerError();
+    }
+  };
+
+  const recordRuleChange = (req, action, rule, changes) =>
+    recordChange(
+      req,
+      action,
+      { targetId: rule._id, targetType: "rules" },
+      changes,
+    );
+
+  // the editable fields of a rule
+  const ruleValues = (rule) => {
+    const { _id, __v, createdAt, updatedAt, ...values } = rule.toObject();
+    return values;
+  };
+
+  const preValidation = [
+    app.authenticate,
+    app.setActor,
+    app.checkScopes([SCOPES.MANAGE_RULES]),
+  ];
+
+  // a rule has to be complete for its kind, and messages can't be reported
+  const validateRule = (rule) => {
+    if (getMissingParams(rule).length) {
+      throw app.httpErrors.badRequest("missingRuleParams");
+    }
+    if (rule.kind === "reports" && rule.appliesTo.includes("messages")) {
+      throw app.httpErrors.badRequest("invalidRuleTarget");
+    }
+  };
+
+  app.get("/rules", { preValidation }, async (req) => {
+    const [err, rules] = await app.to(
+      ModerationRule.find().sort({ createdAt: 1 }),
+    );
+    if (err) {
+      req.log.error(err, "Failed retrieving moderation rules");
+      throw app.httpErrors.internalServerError();
+    }
+
+    return rules;
+  });
+
+  app.post(
+    "/rules",
+    { preValidation, schema: createRuleSchema },
+    async (req, reply) => {
+      validateRule(req.body);
+
+      const [err, rule] = await app.to(new ModerationRule(req.body).save());
+      if (err) {
+        req.log.error(err, "Failed creating moderation rule");
+        throw app.httpErrors.internalServerError();
+      }
+      await recordRuleChange(req, "createRule", rule, {
+        after: ruleValues(rule),
+      });
+
+      reply.code(201);
+      return rule;
+    },
+  );
+
+  app.patch(
+    "/rules/:ruleId",
+    { preValidation, schema: updateRuleSchema },
+    async (req) => {
+      const [findErr, rule] = await app.to(
+        ModerationRule.findById(req.params.ruleId),
+      );
+      if (findErr) {
+        req.log.error(findErr, "Failed retrieving moderation rule");
+        throw app.httpErrors.internalServerError();
+      } else if (rule === null) {
+        throw app.httpErrors.notFound();
+      }
+
+      const before = ruleValues(rule);
+      rule.set(req.body);
+      validateRule(rule);
+      const [saveErr, updatedRule] = await app.to(rule.save());
+      if (saveErr) {
+        req.log.error(saveErr, "Failed updating moderation rule");
+        throw app.httpErrors.internalServerError();
+      }
+      await recordRuleChange(
+        req,
+        "updateRule",
+        updatedRule,
+        getChanges(before, ruleValues(updatedRule)),
+      );
+
+      return updatedRule;
+    },
+  );
+
+  app.delete(
+    "/rules/:ruleId",
+    { preValidation, schema: deleteRuleSchema },
+    async (req) => {
+      const [err, rule] = await app.to(
+        ModerationRule.findByIdAndDelete(req.params.ruleId),
+      );
+      if (err) {
+        req.log.error(err, "Failed deleting moderation rule");
+        throw app.httpErrors.internalServerError();
+      } else if (rule === null) {
+        throw app.httpErrors.notFound();
+      }
+      await recordRuleChange(req, "deleteRule", rule, {
+        before: ruleValues(rule),
+      });
+
+      return { success: true };
+    },
+  );
+
+  const sanctionsPreValidation = (scope) => [
+    app.authenticate,
+    app.setActor,
+    app.checkScopes([scope]),
+  ];
+
+  // accounts with a sanction in effect, most recently sanctioned first
+  app.get(
+    "/sanctions",
+    {
+      preValidation: sanctionsPreValidation(SCOPES.REPORT_READ),
+      schema: getSanctionsSchema,
+    },
+    async (req) => {
+      const {
+        query: { limit, skip, targetType },
+      } = req;
+      const Target = targetType ? sanctionedModels[targetType] : User;
+      const filter = {
+        sanctions: { $elemMatch: activeSanctionQuery() },
+        // users and organisations are both located by their location
+        ...getRegionFilter(req.regions, targetType || "users"),
+      };
+
+      const [accountsErr, accounts] = await app.to(
+        Target.find(filter)
+          .select("firstName lastName name ownerId photo sanctions")
+          .sort({ "sanctions.createdAt": -1 })
+          .skip(skip || 0)
+          .limit(limit)
+          .lean(),
+      );
+      if (accountsErr) {
+        req.log.error(accountsErr, "Failed requesting sanctioned accounts");
+        throw app.httpErrors.internalServerError();
+      }
+
+      const [countErr, total] = await app.to(Target.countDocuments(filter));
+      if (countErr) {
+        req.log.error(countErr, "Failed counting sanctioned accounts");
+        throw app.httpErrors.internalServerError();
+      }
+
+      return {
+        data: accounts.map(({ sanctions, ...account }) => {
+          const sanction = getActiveSanction(sanctions);
+          return {
+            ...account,
+            sanction: { _id: sanction._id, ...toSanctionView(sanction) },
+            targetType: account.ownerId ? "organisations" : "users",
+          };
+        }),
+        meta: { total },
+      };
+    },
+  );
+
+  app.post(
+    "/sanctions/:targetType/:targetId",
+    {
+      preValidation: sanctionsPreValidation(SCOPES.REPORT_WRITE),
+      schema: createSanctionSchema,
+    },
+    async (req, reply) => {
+      const {
+        body: { durationDays, reason, type },
+        params: { targetId, targetType },
+        permissions,
+        regions,
+        userId,
+      } = req;
+      if (type === "suspension" && !durationDays) {
+        throw app.httpErrors.badRequest("missingSanctionDuration");
+      }
+      if (userId.equals(targetId)) {
+        throw app.httpErrors.badRequest("cannotSanctionSelf");
+      }
+
+      const targetFilter = getSanctionTargetFilter(
+        targetId,
+        targetType,
+        regions,
+      );
+      const [targetErr, target] = await app.to(
+        sanctionedModels[targetType]
+          .findOne(targetFilter)
+          .select("permissions")
+          .lean(),
+      );
+      if (targetErr) {
+        req.log.error(targetErr, "Failed retrieving account to sanction");
+        throw app.httpErrors.internalServerError();
+      } else if (target === null) {
+        throw app.httpErrors.notFound();
+      } else if (!canSanction(permissions, target)) {
+        throw app.httpErrors.forbidden("cannotSanctionModerator");
+      }
+
+      const sanction = {
+        expiresAt: getSanctionExpiry(durationDays),
+        moderatorId: userId,
+        reason,
+        type,
+      };
+      const [err, account] = await app.to(
+        sanctionedModels[targetType]
+          .findOneAndUpdate(
+            targetFilter,
+            { $push: { sanctions: sanction } },
+            { new: true },
+          )
+          .select("sanctions"),
+      );
+      if (err) {
+        req.log.error(err, "Failed sanctioning account");
+        throw app.httpErrors.internalServerError();
+      } else if (account === null) {
+        throw app.httpErrors.notFound();
+      }
+
+      const created = account.sanctions[account.sanctions.length - 1];
+      await recordChange(
+        req,
+        "sanction",
+        { targetId, targetType },
+        { after: toSanctionView(created), justification: reason },
+      );
+
+      reply.code(201);
+      return created;
+    },
+  );
+
+  // lifts a sanction early, it's kept in the account's history
+  app.delete(
+    "/sanctions/:targetType/:targetId/:sanctionId",
+    {
+      preValidation: sanctionsPreValidation(SCOPES.REPORT_WRITE),
+      schema: revokeSanctionSchema,
+    },
+    async (req) => {
+      const {
+        params: { sanctionId, targetId, targetType },
+        regions,
+      } = req;
+      const revokedAt = new Date();
+
+      const [err, account] = await app.to(
+        sanctionedModels[targetType]
+          .findOneAndUpdate(
+            {
+              ...getSanctionTargetFilter(targetId, targetType, regions),
+              sanctions: { $elemMatch: { _id: sanctionId, revokedAt: null } },
+            },
+            { $set: { "sanctions.$.revokedAt": revokedAt } },
+          )
+          .select("sanctions"),
+      );
+      if (err) {
+        req.log.error(err, "Failed revoking sanction");
+        throw app.httpErrors.internalServerError();
+      } else if (account === null) {
+        throw app.httpErrors.notFound();
+      }
+
+      const sanction = account.sanctions.id(sanctionId);
+      await recordChange(
+        req,
+        "revokeSanction",
+        { targetId, targetType },
+        {
+          ...getChanges({ revokedAt: null }, { revokedAt }),
+          justification: sanction.reason,
+        },
+      );
+
+      return { success: true };
+    },
+  );
+}
+
+module.exports = routes;
@@ -1,12 +1,33 @@
 const httpErrors = require("http-errors");
+const {
+  getChangedFields,
+  toAuthorFields,
+} = require("../components/AuthorCopies");
 const { uploadOrgAvatar } = require("../components/CDN");
+const {
+  canActAs,
+  generateInviteToken,
+  getInviteExpiry,
+  getNominationError,
+  getOrgRole,
+  getTransferAcceptance,
+  getTransferCancelFilter,
+  isInviteUsable,
+  isTransferNominee,
+} = require("../components/OrgMembers");
 const {
   createOrganisationAvatarSchema,
+  createOrganisationInviteSchema,
   createOrganisationSchema,
+  createOwnershipTransferSchema,
+  deleteOrganisationInviteSchema,
+  deleteOrganisationMemberSchema,
   deleteOrganisationSchema,
+  getOrganisationInviteSchema,
   getOrganisationSchema,
   getOrganisationsSchema,
   searchOrganisationsSchema,
+  updateOrganisationMemberSchema,
   updateOrganisationSchema,
 } = require("./schema/organisations");
 const { createSearchRegex } = require("../utils");
@@ -15,11 +36,10 @@ const { createSearchRegex } = require("../utils");
  * /api/organisations
  */
 async function routes(app) {
-  const Comment = app.mongo.model("Comment");
+  const Audit = app.mongo.model("Audit");
+  const Invite = app.mongo.model("OrganisationInvite");
   const Organisation = app.mongo.model("OrganisationUser");
-  const Post = app.mongo.model("Post");
   const User = app.mongo.model("IndividualUser");
-  const Thread = app.mongo.model("Thread");
 
   const ORGS_PAGE_SIZE = 10;
 
@@ -55,7 +75,10 @@ async function routes(app) {
       }
 
       /* eslint-disable sort-keys */
-      const filters = [{ type: { $ne: "Individual" } }];
+      const filters = [
+        { type: { $ne: "Individual" } },
+        { status: { $ne: "removed" } },
+      ];
 
       // prefer location from query filters, then user if authenticated
       let location;
@@ -260,9 +283,20 @@ async function routes(app) {
       if (result === null) {
         return new httpErrors.NotFound();
       }
+      const role = userId === null ? null : getOrgRole(result, userId);
+      const isOwner = role === "owner";
+      // profiles removed by moderators are only left to their owner
+      if (result.status === "removed" && !isOwner) {
+        return new httpErrors.NotFound();
+      }
+      const { members, ownershipTransfer, ...organisation } = result.toObject();
+      // the nominee of a pending transfer gets to accept it from the profile
+      const isNominee = isTransferNominee({ ownershipTransfer }, userId);
       return {
-        ...result.toObject(),
-        isOwner: userId !== null && userId.equals(result.ownerId),
+        ...organisation,
+        isNominee,
+        isOwner,
+        role,
       };
     },
   );
@@ -284,11 +318,12 @@ async function routes(app) {
         throw app.httpErrors.internalServerError();
       } else if (org === null) {
         throw app.httpErrors.notFound();
-      } else if (!org.ownerId.equals(userId)) {
+      } else if (!canActAs(org, userId, "editProfile")) {
         req.log.error("User not allowed to update this organisation");
         throw app.httpErrors.forbidden();
       }
 
+      const previous = toAuthorFields(org);
       const [updateErr, updatedOrg] = await app.to(
         Object.assign(org, req.body).save(),
       );
@@ -305,52 +340,9 @@ async function routes(app) {
         throw app.httpErrors.internalServerError();
       }
 
-      // -- Update Author References if needed
-      const { name, photo, type } = req.body;
-      if (name || photo || type) {
-        const updateOps = {};
-        if (name) {
-          updateOps["author.name"] = updatedOrg.name;
-        }
-        if (photo) {
-          updateOps["author.photo"] = updatedOrg.photo;
-        }
-        if (type) {
-          updateOps["author.type"] = updatedOrg.type;
-        }
-
-        const [postErr] = await app.to(
-          Post.updateMany({ "author.id": updatedOrg._id }, { $set: updateOps }),
-        );
-        if (postErr) {
-          req.log.error(postErr, "Failed updating author refs at posts");
-        }
-
-        const [commentErr] = await app.to(
-          Comment.updateMany(
-            { "author.id": updatedOrg._id },
-            { $set: updateOps },
-          ),
-        );
-        if (commentErr) {
-          req.log.error(commentErr, "Failed updating author refs at comments");
-        }
-      }
-
-      const [threadErr] = await app.to(
-        Thread.updateMany(
-          { "participants.id": updatedOrg._id },
-          {
-            $set: {
-              "participants.$[userToUpdate].name": updatedOrg.name,
-              "participants.$[userToUpdate].photo": updatedOrg.photo,
-            },
-          },
-          { arrayFilters: [{ "userToUpdate.id": updatedOrg._id }] },
-        ),
-      );
-      if (threadErr) {
-        req.log.error(threadErr, "Failed updating author refs at threads");
+      const changedFields = getChangedFields(previous, updatedOrg);
+      if (changedFields.length) {
+        await app.authorCopies.propagate(updatedOrg, changedFields);
       }
       return updatedOrg;
     },
@@ -398,7 +390,7 @@ async function routes(app) {
         reject(app.httpErrors.internalServerError());
       } else if (org === null) {
         reject(app.httpErrors.notFound());
-      } else if (!org.ownerId.equals(userId)) {
+      } else if (!canActAs(org, userId, "editProfile")) {
         req.log.error("User not allowed to update this organisation");
         reject(app.httpErrors.forbidden());
       }
@@ -412,44 +404,7 @@ async function routes(app) {
           reject(app.httpErrors.internalServerError());
         }
 
-        // -- Update Author photo references if needed
-        const updateOps = {
-          "author.photo": updatedOrg.photo,
-        };
-        const [postErr] = await app.to(
-          Post.updateMany({ "author.id": updatedOrg._id }, { $set: updateOps }),
-        );
-        if (postErr) {
-          req.log.error(postErr, "Failed updating author photo refs at posts");
-        }
-
-        const [commentErr] = await app.to(
-          Comment.updateMany(
-            { "author.id": updatedOrg._id },
-            { $set: updateOps },
-          ),
-        );
-        if (commentErr) {
-          req.log.error(
-            commentErr,
-            "Failed updating author photo refs at comments",
-          );
-        }
-
-        const [threadErr] = await app.to(
-          Thread.updateMany(
-            { "participants.id": updatedOrg._id },
-            {
-              $set: {
-                "participants.$[userToUpdate].photo": updatedOrg.photo,
-              },
-            },
-            { arrayFilters: [{ "userToUpdate.id": updatedOrg._id }] },
-          ),
-        );
-        if (threadErr) {
-          req.log.error(threadErr, "Failed updating author photo at threads");
-        }
+        await app.authorCopies.propagate(updatedOrg, ["photo"]);
         resolve(updatedOrg);
       } catch (error) {
         req.log.error(error, "Failed updating organisation avatar.");
@@ -488,6 +443,489 @@ async function routes(app) {
       }
     },
   );
+
+  // the organisation, when the user can do `action` for it
+  const findOrganisationAs = async (req, action) => {
+    const {
+      params: { organisationId },
+      userId,
+    } = req;
+    const [orgErr, org] = await app.to(Organisation.findById(organisationId));
+    if (orgErr) {
+      req.log.error(orgErr, "Failed retrieving organisation");
+      throw app.httpErrors.internalServerError();
+    } else if (org === null) {
+      throw app.httpErrors.notFound();
+    } else if (!canActAs(org, userId, action)) {
+      req.log.error("User not allowed to manage this organisation's members");
+      throw app.httpErrors.forbidden();
+    }
+    return org;
+  };
+
+  const findPendingInvites = async (req, organisationId) => {
+    const [invitesErr, invites] = await app.to(
+      Invite.find({
+        expiresAt: { $gt: new Date() },
+        organisationId,
+        status: "pending",
+      })
+        .select("createdAt email expiresAt role")
+        .sort({ createdAt: -1 })
+        .lean(),
+    );
+    if (invitesErr) {
+      req.log.error(invitesErr, "Failed retrieving invites");
+      throw app.httpErrors.internalServerError();
+    }
+    return invites;
+  };
+
+  app.get(
+    "/:organisationId/members",
+    {
+      preValidation: [app.authenticate],
+      schema: getOrganisationSchema,
+    },
+    async (req) => {
+      const { userId } = req;
+      const org = await findOrganisationAs(req, null);
+
+      const [usersErr, users] = await app.to(
+        User.find({
+          _id: { $in: [org.ownerId, ...org.members.map((m) => m.userId)] },
+        }).select("firstName lastName photo"),
+      );
+      if (usersErr) {
+        req.log.error(usersErr, "Failed retrieving members");
+        throw app.httpErrors.internalServerError();
+      }
+      const usersById = new Map(users.map((user) => [`${user._id}`, user]));
+      const toMember = ({ addedAt, role, userId: memberId }) => {
+        const user = usersById.get(`${memberId}`);
+        return {
+          addedAt,
+          id: memberId,
+          name: user ? user.name : null,
+          photo: user ? user.photo : null,
+          role,
+        };
+      };
+
+      const invites = canActAs(org, userId, "manageMembers")
+        ? await findPendingInvites(req, org._id)
+        : [];
+      return {
+        invites,
+        members: [
+          toMember({
+            addedAt: org.createdAt,
+            role: "owner",
+            userId: org.ownerId,
+          }),
+          ...org.members.map(toMember),
+        ],
+        ownershipTransfer: org.ownershipTransfer,
+        role: getOrgRole(org, userId),
+      };
+    },
+  );
+
+  app.post(
+    "/:organisationId/invites",
+    {
+      preValidation: [app.authenticate],
+      schema: createOrganisationInviteSchema,
+    },
+    async (req, reply) => {
+      const {
+        body: { role },
+        userId,
+      } = req;
+      const email = req.body.email.toLowerCase();
+      const org = await findOrganisationAs(req, "manageMembers");
+
+      const [inviteeErr, invitee] = await app.to(
+        User.findOne({ email }).select("_id"),
+      );
+      if (inviteeErr) {
+        req.log.error(inviteeErr, "Failed retrieving invited user");
+        throw app.httpErrors.internalServerError();
+      } else if (invitee && getOrgRole(org, invitee._id)) {
+        throw app.httpErrors.conflict("alreadyMember");
+      }
+
+      // an expired invite doesn't prevent inviting the same email again
+      await app.to(
+        Invite.updateMany(
+          {
+            email,
+            expiresAt: { $lte: new Date() },
+            organisationId: org._id,
+            status: "pending",
+          },
+          { $set: { status: "expired" } },
+        ),
+      );
+      const [inviteErr, invite] = await app.to(
+        new Invite({
+          email,
+          expiresAt: getInviteExpiry(),
+          invitedBy: userId,
+          organisationId: org._id,
+          role,
+          token: generateInviteToken(),
+        }).save(),
+      );
+      if (inviteErr && inviteErr.code === 11000) {
+        throw app.httpErrors.conflict("alreadyInvited");
+      } else if (inviteErr) {
+        req.log.error(inviteErr, "Failed creating invite");
+        throw app.httpErrors.internalServerError();
+      }
+
+      // the token is only sent to the invited email
+      const { createdAt, expiresAt, _id } = invite;
+      reply.code(201);
+      return { _id, createdAt, email, expiresAt, role };
+    },
+  );
+
+  app.delete(
+    "/:organisationId/invites/:inviteId",
+    {
+      preValidation: [app.authenticate],
+      schema: deleteOrganisationInviteSchema,
+    },
+    async (req) => {
+      const { inviteId } = req.params;
+      const org = await findOrganisationAs(req, "manageMembers");
+
+      const [revokeErr, invite] = await app.to(
+        Invite.findOneAndUpdate(
+          { _id: inviteId, organisationId: org._id, status: "pending" },
+          { $set: { status: "revoked" } },
+        ),
+      );
+      if (revokeErr) {
+        req.log.error(revokeErr, "Failed revoking invite");
+        throw app.httpErrors.internalServerError();
+      } else if (invite === null) {
+        throw app.httpErrors.notFound();
+      }
+      return { success: true };
+    },
+  );
+
+  app.patch(
+    "/:organisationId/members/:memberId",
+    {
+      preValidation: [app.authenticate],
+      schema: updateOrganisationMemberSchema,
+    },
+    async (req) => {
+      const {
+        body: { role },
+        params: { memberId },
+      } = req;
+      const org = await findOrganisationAs(req, "manageMembers");
+
+      const [updateErr, updatedOrg] = await app.to(
+        Organisation.findOneAndUpdate(
+          { _id: org._id, "members.userId": memberId },
+          { $set: { "members.$.role": role } },
+        ),
+      );
+      if (updateErr) {
+        req.log.error(updateErr, "Failed updating member role");
+        throw app.httpErrors.internalServerError();
+      } else if (updatedOrg === null) {
+        throw app.httpErrors.notFound();
+      }
+      return { id: memberId, role };
+    },
+  );
+
+  // removes a member, who can also leave the organisation themselves
+  app.delete(
+    "/:organisationId/members/:memberId",
+    {
+      preValidation: [app.authenticate],
+      schema: deleteOrganisationMemberSchema,
+    },
+    async (req) => {
+      const {
+        params: { memberId },
+        userId,
+      } = req;
+      const org = await findOrganisationAs(
+        req,
+        userId.equals(memberId) ? null : "manageMembers",
+      );
+
+      const [removeErr, updatedOrg] = await app.to(
+        Organisation.findOneAndUpdate(
+          { _id: org._id, "members.userId": memberId },
+          { $pull: { members: { userId: memberId } } },
+        ),
+      );
+      if (removeErr) {
+        req.log.error(removeErr, "Failed removing member");
+        throw app.httpErrors.internalServerError();
+      } else if (updatedOrg === null) {
+        throw app.httpErrors.notFound();
+      }
+      return { success: true };
+    },
+  );
+
+  // the invite behind an emailed link, the token is enough to see it
+  app.get(
+    "/invites/:token",
+    { schema: getOrganisationInviteSchema },
+    async (req) => {
+      const { token } = req.params;
+      const [inviteErr, invite] = await app.to(
+        Invite.findOne({ token }).populate("organisationId", "name photo"),
+      );
+      if (inviteErr) {
+        req.log.error(inviteErr, "Failed retrieving invite");
+        throw app.httpErrors.internalServerError();
+      } else if (invite === null || invite.organisationId === null) {
+        throw app.httpErrors.notFound();
+      }
+
+      const { email, expiresAt, organisationId: organisation, role } = invite;
+      const usable = isInviteUsable(invite);
+      return {
+        email,
+        expiresAt,
+        organisation,
+        role,
+        status:
+          !usable && invite.status === "pending" ? "expired" : invite.status,
+      };
+    },
+  );
+
+  app.post(
+    "/invites/:token/accept",
+    {
+      preValidation: [app.authenticate],
+      schema: getOrganisationInviteSchema,
+    },
+    async (req) => {
+      const {
+        params: { token },
+        userId,
+      } = req;
+      const [inviteErr, invite] = await app.to(Invite.findOne({ token }));
+      if (inviteErr) {
+        req.log.error(inviteErr, "Failed retrieving invite");
+        throw app.httpErrors.internalServerError();
+      } else if (invite === null) {
+        throw app.httpErrors.notFound();
+      } else if (!isInviteUsable(invite)) {
+        throw app.httpErrors.conflict("inviteNotUsable");
+      }
+
+      const [userErr, user] = await app.to(User.findById(userId));
+      if (userErr) {
+        req.log.error(userErr, "Failed retrieving user");
+        throw app.httpErrors.internalServerError();
+      } else if (user === null) {
+        throw app.httpErrors.notFound();
+      } else if (user.email.toLowerCase() !== invite.email) {
+        throw app.httpErrors.forbidden("inviteForAnotherEmail");
+      }
+
+      const [orgErr, org] = await app.to(
+        Organisation.findById(invite.organisationId),
+      );
+      if (orgErr) {
+        req.log.error(orgErr, "Failed retrieving organisation");
+        throw app.httpErrors.internalServerError();
+      } else if (org === null) {
+        throw app.httpErrors.notFound();
+      } else if (getOrgRole(org, userId)) {
+        throw app.httpErrors.conflict("alreadyMember");
+      }
+
+      const [joinErr] = await app.to(
+        Organisation.updateOne(
+          { _id: org._id, "members.userId": { $ne: userId } },
+          { $push: { members: { role: invite.role, userId } } },
+        ),
+      );
+      if (joinErr) {
+        req.log.error(joinErr, "Failed adding member");
+        throw app.httpErrors.internalServerError();
+      }
+      invite.set({
+        acceptedAt: new Date(),
+        acceptedBy: userId,
+        status: "accepted",
+      });
+      const [acceptErr] = await app.to(invite.save());
+      if (acceptErr) {
+        req.log.error(acceptErr, "Failed accepting invite");
+      }
+      return { organisationId: org._id, role: invite.role };
+    },
+  );
+
+  // the owner nominates another user, who becomes the owner once they accept
+  app.post(
+    "/:organisationId/transfer",
+    {
+      preValidation: [app.authenticate],
+      schema: createOwnershipTransferSchema,
+    },
+    async (req) => {
+      const {
+        body: { userId: nomineeId },
+        userId,
+      } = req;
+      const org = await findOrganisationAs(req, null);
+      if (getOrgRole(org, userId) !== "owner") {
+        req.log.error("Only the owner can transfer an organisation");
+        throw app.httpErrors.forbidden();
+      }
+
+      // only finds individual users, organisations can't be nominated
+      const [nomineeErr, nominee] = await app.to(User.findById(nomineeId));
+      if (nomineeErr) {
+        req.log.error(nomineeErr, "Failed retrieving nominee");
+        throw app.httpErrors.internalServerError();
+      }
+      const nominationError = getNominationError(org, nominee);
+      if (nominationError) {
+        throw app.httpErrors.badRequest(nominationError);
+      }
+
+      const [ownerErr, owner] = await app.to(User.findById(userId));
+      if (ownerErr) {
+        req.log.error(ownerErr, "Failed retrieving owner");
+        throw app.httpErrors.internalServerError();
+      }
+
+      org.ownershipTransfer = { nomineeId, requestedAt: new Date() };
+      const [updateErr] = await app.to(org.save());
+      if (updateErr) {
+        req.log.error(updateErr, "Failed requesting ownership transfer");
+        throw app.httpErrors.internalServerError();
+      }
+
+      app.notifier.notifyOrganisation(
+        "ownershipTransferRequested",
+        org,
+        nominee._id,
+        owner,
+      );
+      return { ownershipTransfer: org.ownershipTransfer };
+    },
+  );
+
+  // cancelled by the owner or declined by the nominee
+  app.delete(
+    "/:organisationId/transfer",
+    {
+      preValidation: [app.authenticate],
+      schema: getOrganisationSchema,
+    },
+    async (req) => {
+      const {
+        params: { organisationId },
+        userId,
+      } = req;
+      const [updateErr, org] = await app.to(
+        Organisation.findOneAndUpdate(
+          getTransferCancelFilter(organisationId, userId),
+          { $unset: { ownershipTransfer: "" } },
+        ),
+      );
+      if (updateErr) {
+        req.log.error(updateErr, "Failed cancelling ownership transfer");
+        throw app.httpErrors.internalServerError();
+      } else if (org === null) {
+        throw app.httpErrors.notFound();
+      }
+      return { success: true };
+    },
+  );
+
+  app.post(
+    "/:organisationId/transfer/accept",
+    {
+      preValidation: [app.authenticate],
+      schema: getOrganisationSchema,
+    },
+    async (req) => {
+      const {
+        params: { organisationId },
+        userId,
+      } = req;
+      const [orgErr, org] = await app.to(Organisation.findById(organisationId));
+      if (orgErr) {
+        req.log.error(orgErr, "Failed retrieving organisation");
+        throw app.httpErrors.internalServerError();
+      } else if (org === null || !isTransferNominee(org, userId)) {
+        throw app.httpErrors.notFound();
+      }
+      const previousOwnerId = org.ownerId;
+
+      const { filter, update } = getTransferAcceptance(org, userId);
+      const [transferErr, updatedOrg] = await app.to(
+        Organisation.findOneAndUpdate(filter, update, { new: true }),
+      );
+      if (transferErr) {
+        req.log.error(transferErr, "Failed transferring ownership");
+        throw app.httpErrors.internalServerError();
+      } else if (updatedOrg === null) {
+        throw app.httpErrors.conflict("transferChanged");
+      }
+
+      const [auditErr] = await app.to(
+        new Audit({
+          action: "transferOwnership",
+          after: { ownerId: userId },
+          before: { ownerId: previousOwnerId },
+          moderatorId: userId,
+          targetId: org._id,
+          targetType: "organisations",
+        }).save(),
+      );
+      if (auditErr) {
+        req.log.error(auditErr, "Failed saving audit log action");
+      }
+
+      const [usersErr, users] = await app.to(
+        User.find({ _id: { $in: [previousOwnerId, userId] } }),
+      );
+      if (usersErr) {
+        req.log.error(usersErr, "Failed retrieving users to notify");
+      } else {
+        const previousOwner = users.find((u) => u._id.equals(previousOwnerId));
+        const newOwner = users.find((u) => u._id.equals(userId));
+        if (previousOwner && newOwner) {
+          app.notifier.notifyOrganisation(
+            "ownershipTransferred",
+            updatedOrg,
+            previousOwner._id,
+            newOwner,
+          );
+          app.notifier.notifyOrganisation(
+            "ownershipTransferred",
+            updatedOrg,
+            newOwner._id,
+            previousOwner,
+          );
+        }
+      }
+
+      return { organisationId: org._id, role: "owner" };
+    },
+  );
 }
 
 module.exports = routes;
@@ -1,6 +1,50 @@
 const mongoose = require("mongoose");
 const moment = require("moment");
 const { SCOPES } = require("../constants");
+const {
+  ATTACHMENT_MAX_SIZE,
+  ATTACHMENT_MIME_TYPES,
+  ATTACHMENT_NAME_MAX_LENGTH,
+} = require("../models/Post");
+const {
+  isPostAttachmentUrl,
+  uploadPostAttachment,
+} = require("../components/CDN");
+const { MATCH_DEFAULT_LIMIT, findMatches } = require("../components/Matching");
+const {
+  cursorMatchStage,
+  decodeCursor,
+  encodeCursor,
+} = require("../components/Pagination");
+const {
+  RENEWAL_GRACE_PERIOD_DAYS,
+  getExpirationOption,
+  getRenewedExpireAt,
+  isRenewable,
+} = require("../components/PostExpiry");
+const { facetStage, getFacetCounts } = require("../components/Facets");
+const { detectMimeType } = require("../components/FileTypes");
+const { getNewMentions, resolveMentions } = require("../components/Mentions");
+const { canActAs } = require("../components/OrgMembers");
+const { toFeatureCollection } = require("../components/PostMap");
+const {
+  getStateChangeError,
+  getStateFilter,
+  getStateUpdate,
+} = require("../components/PostStates");
+const { getVisibleRevisions } = require("../components/Revisions");
+const {
+  renderAtom,
+  renderJsonFeed,
+  renderRss,
+} = require("../components/Syndication");
+const {
+  METERS_IN_KM,
+  isHiddenFrom,
+  radiusVisibilityStage,
+  visibilityFilter,
+} = require("../components/Visibility");
+const { config } = require("../../config");
 const {
   setElapsedTimeText,
   createSearchRegex,
@@ -8,10 +52,17 @@ const {
 } = require("../utils");
 
 const {
+  bookmarkPostSchema,
   createCommentSchema,
   getCommentsSchema,
   getPostsSchema,
   getPostByIdSchema,
+  getPostMatchesSchema,
+  getPostRevisionsSchema,
+  getPostsFeedSchema,
+  getPostsGeoSchema,
+  createPostAttachmentSchema,
+  renewPostSchema,
   createPostSchema,
   deleteCommentSchema,
   deletePostSchema,
@@ -19,6 +70,7 @@ const {
   likeUnlikePostSchema,
   updateCommentSchema,
   updatePostSchema,
+  updatePostStateSchema,
 } = require("./schema/posts");
 
 /*
@@ -26,8 +78,10 @@ const {
  */
 async function routes(app) {
   const { mongo } = app;
+  const Bookmark = mongo.model("Bookmark");
   const Comment = mongo.model("Comment");
   const Post = mongo.model("Post");
+  const Revision = mongo.model("Revision");
   const User = mongo.model("User");
 
   // /posts
@@ -35,6 +89,163 @@ async function routes(app) {
   const UNLOGGED_POST_SIZE = 120;
   const EXPIRATION_OPTIONS = ["day", "week", "month"];
 
+  // users with dashboard read access see the posts hidden from others
+  const canReadReports = (actor) =>
+    !!actor && !!(actor.permissions & SCOPES.REPORT_READ); // eslint-disable-line no-bitwise
+
+  // Unlogged user limitation for post content size
+  /* eslint-disable sort-keys */
+  const contentProjection = {
+    $cond: {
+      if: { $gt: [{ $strLenCP: "$content" }, UNLOGGED_POST_SIZE] },
+      then: {
+        $concat: [{ $substrCP: ["$content", 0, UNLOGGED_POST_SIZE] }, "..."],
+      },
+      else: "$content",
+    },
+  };
+  /* eslint-enable sort-keys */
+
+  // filters the feed shows counts for, by facet
+  const buildFacetFilters = ({ objective, queryFilters }) => {
+    const { providers, type } = queryFilters; // from filterOptions.js
+    return {
+      objective: objective ? [{ objective }] : [],
+      providers: providers ? [{ "author.type": { $in: providers } }] : [],
+      type: type ? [{ types: { $in: type } }] : [],
+    };
+  };
+
+  // filters shared by the posts list and the syndication feeds
+  const buildPostFilters = ({
+    actor,
+    authorId,
+    expiredAfter = new Date(),
+    keywords,
+    location,
+    objective,
+    queryFilters,
+    state,
+    // left to facetStage when counting the posts of each facet
+    withoutFacets = false,
+  }) => {
+    // Base filters - expiration and visibility
+    /* eslint-disable sort-keys */
+    const filters = [
+      {
+        $or: [{ expireAt: null }, { expireAt: { $gt: expiredAfter } }],
+        status: { $ne: "removed" },
+      },
+      // posts held by moderation rules are only listed to their author
+      actor
+        ? { $or: [{ held: { $ne: true } }, { "author.id": actor._id }] }
+        : { held: { $ne: true } },
+    ];
+
+    if (location) {
+      filters.push(visibilityFilter(location));
+    }
+    /* eslint-enable sort-keys */
+
+    // Additional filters
+    if (authorId) {
+      filters.push({ "author.id": mongoose.Types.ObjectId(authorId) });
+    }
+    if (state) {
+      filters.push(getStateFilter(state));
+    } else if (!authorId) {
+      // fulfilled and closed posts are only listed on the author's profile
+      filters.push({ state: { $nin: ["fulfilled", "closed"] } });
+    }
+    if (!withoutFacets) {
+      const facetFilters = buildFacetFilters({ objective, queryFilters });
+      filters.push(...Object.values(facetFilters).flat());
+    }
+
+    // if location is defined, use simple regex text query, in order to use $geoNear
+    if (location && keywords) {
+      const keywordsRegex = createSearchRegex(keywords);
+      filters.push({
+        $or: [
+          { title: keywordsRegex },
+          { content: keywordsRegex },
+          { "author.name": keywordsRegex },
+          { types: keywordsRegex },
+          { "author.location.country": keywordsRegex },
+          { "author.location.state": keywordsRegex },
+          { "author.location.city": keywordsRegex },
+        ],
+      });
+    }
+
+    // remove posts the user have reported
+    if (actor) {
+      filters.push({ "reportedBy.id": { $ne: actor._id } });
+    }
+
+    return filters;
+  };
+
+  // $geoNear has to be the first stage, so posts only visible within a radius
+  // are filtered right after it, once their distance is known
+  const geoNearSteps = ({ filters, location, maxDistance, minDistance }) => [
+    {
+      $geoNear: {
+        distanceField: "distance",
+        key: "author.location.coordinates",
+        near: {
+          $geometry: {
+            coordinates: location.coordinates,
+            type: "Point",
+          },
+        },
+        query: { $and: filters },
+        ...(maxDistance && { maxDistance }),
+        ...(minDistance !== undefined && { minDistance }),
+      },
+    },
+    radiusVisibilityStage,
+  ];
+
+  // steps matching the shared filters, for lists that aren't paginated
+  const matchSteps = ({ filters, keywords, location, radiusKm }) => {
+    if (location) {
+      return geoNearSteps({
+        filters,
+        location,
+        maxDistance: radiusKm && radiusKm * METERS_IN_KM,
+      });
+    }
+    return keywords
+      ? [{ $match: { $and: filters, $text: { $search: keywords } } }]
+      : [{ $match: { $and: filters } }];
+  };
+
+  // prefer location from query filters, then user if authenticated
+  const getSearchLocation = ({ actor, ignoreUserLocation, queryFilters }) => {
+    if (queryFilters.location) {
+      return queryFilters.location;
+    }
+    return actor && !ignoreUserLocation ? actor.location : undefined;
+  };
+
+  // users picked in the mention autocomplete that the comment still mentions
+  const findMentions = async (content, userIds = []) => {
+    if (!userIds.length) return [];
+    const users = await User.find({ _id: { $in: userIds } })
+      .select("name type")
+      .lean();
+    return resolveMentions(content, users);
+  };
+
+  // attachments already on the post may have been uploaded by another member
+  const hasValidAttachments = ({ attachments = [] }, userId, current = []) =>
+    attachments.every(
+      ({ url }) =>
+        isPostAttachmentUrl(url, userId) ||
+        current.some((attachment) => attachment.url === url),
+    );
+
   app.get(
     "/",
     {
@@ -46,138 +257,86 @@ async function routes(app) {
         actor,
         query: {
           authorId,
+          cursor,
           ignoreUserLocation,
           filter,
           keywords,
           limit,
           objective,
+          radiusKm,
           skip,
+          state,
           includeMeta,
         },
+        userId,
       } = req;
       const queryFilters = filter ? JSON.parse(decodeURIComponent(filter)) : {};
 
-      // Base filters - expiration and visibility
-      /* eslint-disable sort-keys */
-      const filters = [
-        {
-          $or: [{ expireAt: null }, { expireAt: { $gt: new Date() } }],
-          status: { $ne: "removed" },
-        },
-      ];
+      // authors keep seeing their recently expired posts so they can renew them
+      const expiredAfter =
+        authorId && actor && actor._id.equals(authorId)
+          ? moment().subtract(RENEWAL_GRACE_PERIOD_DAYS, "days").toDate()
+          : new Date();
 
-      // prefer location from query filters, then user if authenticated
-      let location;
-      if (queryFilters.location) {
-        location = queryFilters.location;
-      } else if (actor && !ignoreUserLocation) {
-        location = actor.location;
-      }
+      const location = getSearchLocation({
+        actor,
+        ignoreUserLocation,
+        queryFilters,
+      });
 
-      if (location) {
-        filters.push({
-          $or: [
-            { visibility: "worldwide" },
-            {
-              visibility: "country",
-              "author.location.country": location.country,
-            },
-            {
-              visibility: "state",
-              "author.location.country": location.country,
-              "author.location.state": location.state,
-            },
-            {
-              visibility: "city",
-              "author.location.country": location.country,
-              "author.location.state": location.state,
-              "author.location.city": location.city,
-            },
-          ],
-        });
-      }
-      /* eslint-enable sort-keys */
+      const filters = buildPostFilters({
+        actor,
+        authorId,
+        expiredAfter,
+        keywords,
+        location,
+        objective,
+        queryFilters,
+        state,
+      });
 
-      // Additional filters
-      const { providers, type } = queryFilters; // from filterOptions.js
-      if (authorId) {
-        filters.push({ "author.id": mongoose.Types.ObjectId(authorId) });
-      }
-      if (objective) {
-        filters.push({ objective });
-      }
-      if (providers) {
-        filters.push({ "author.type": { $in: providers } });
-      }
-      if (type) {
-        filters.push({ types: { $in: type } });
+      // cursors continue from the sort key and _id of the last post of a page,
+      // so posts created while scrolling don't shift the following pages
+      let sort = "recent";
+      if (location) {
+        sort = "distance";
+      } else if (keywords) {
+        sort = "score";
       }
-
-      // Unlogged user limitation for post content size
-      /* eslint-disable sort-keys */
-      const contentProjection = {
-        $cond: {
-          if: { $gt: [{ $strLenCP: "$content" }, UNLOGGED_POST_SIZE] },
-          then: {
-            $concat: [
-              { $substrCP: ["$content", 0, UNLOGGED_POST_SIZE] },
-              "...",
-            ],
-          },
-          else: "$content",
-        },
-      };
-      /* eslint-enable sort-keys */
-
-      // if location is defined, use simple regex text query, in order to use $geoNear
-      if (location && keywords) {
-        const keywordsRegex = createSearchRegex(keywords);
-        filters.push({
-          $or: [
-            { title: keywordsRegex },
-            { content: keywordsRegex },
-            { "author.name": keywordsRegex },
-            { types: keywordsRegex },
-            { "author.location.country": keywordsRegex },
-            { "author.location.state": keywordsRegex },
-            { "author.location.city": keywordsRegex },
-          ],
-        });
+      const cursorPosition = cursor && decodeCursor(sort, cursor);
+      if (cursor && !cursorPosition) {
+        throw app.httpErrors.badRequest("invalidCursor");
       }
 
-      // remove posts the user have reported
-      if (actor) {
-        filters.push({ "reportedBy.id": { $ne: actor._id } });
-      }
+      // the radius only applies around a location
+      const maxDistance =
+        location && radiusKm ? radiusKm * METERS_IN_KM : undefined;
 
       // _id starts with seconds timestamp so newer posts will sort together first
       // then in a determinate order (required for proper pagination)
       /* eslint-disable sort-keys */
       const sortAndFilterSteps = location
         ? [
-            {
-              $geoNear: {
-                distanceField: "distance",
-                key: "author.location.coordinates",
-                near: {
-                  $geometry: {
-                    coordinates: location.coordinates,
-                    type: "Point",
-                  },
-                },
-                query: { $and: filters },
-              },
-            },
+            ...geoNearSteps({
+              filters,
+              location,
+              maxDistance,
+              // skip posts closer than the cursor instead of sorting them
+              minDistance: cursorPosition ? cursorPosition.value : undefined,
+            }),
             { $sort: { distance: 1, _id: -1 } },
           ]
         : keywords
         ? [
             { $match: { $and: filters, $text: { $search: keywords } } },
-            { $sort: { score: { $meta: "textScore" } } },
+            { $addFields: { score: { $meta: "textScore" } } },
+            { $sort: { score: -1, _id: -1 } },
           ]
         : [{ $match: { $and: filters } }, { $sort: { _id: -1 } }];
       /* eslint-enable sort-keys */
 
+      const pageSize = limit || POST_PAGE_SIZE;
+
       /* eslint-disable sort-keys */
       const paginationSteps =
         limit === -1
@@ -191,9 +350,12 @@ async function routes(app) {
                 $skip: skip || 0,
               },
               {
-                $limit: limit || POST_PAGE_SIZE,
+                $limit: pageSize,
               },
             ];
+      if (cursorPosition) {
+        paginationSteps.splice(0, 1, cursorMatchStage(sort, cursorPosition));
+      }
       /* eslint-enable sort-keys */
 
       /* eslint-disable sort-keys */
@@ -207,6 +369,24 @@ async function routes(app) {
           },
         },
       ];
+      if (userId) {
+        lookupSteps.push({
+          $lookup: {
+            as: "bookmarks",
+            from: "bookmarks",
+            let: { postId: "$_id" },
+            pipeline: [
+              {
+                $match: {
+                  userId,
+                  $expr: { $eq: ["$postId", "$$postId"] },
+                },
+              },
+              { $limit: 1 },
+            ],
+          },
+        });
+      }
       /* eslint-enable sort-keys */
 
       /* eslint-disable sort-keys */
@@ -214,6 +394,7 @@ async function routes(app) {
         {
           $project: {
             _id: true,
+            attachments: true,
             "author.id": true,
             "author.location.city": true,
             "author.location.country": true,
@@ -221,6 +402,10 @@ async function routes(app) {
             "author.name": true,
             "author.photo": true,
             "author.type": true,
+            bookmarked: {
+              $gt: [{ $size: { $ifNull: ["$bookmarks", []] } }, 0],
+            },
+            closingReason: true,
             commentsCount: {
               $size: { $ifNull: ["$comments", []] },
             },
@@ -243,6 +428,8 @@ async function routes(app) {
             reportsCount: {
               $size: { $ifNull: ["$reportedBy", []] },
             },
+            score: true,
+            state: true,
             status: true,
             title: true,
             types: true,
@@ -262,19 +449,33 @@ async function routes(app) {
       ];
 
       // Get the total results without pagination steps but with filtering aplyed - totalResults
-      /* eslint-disable sort-keys */
-      const totalResultsAggregationPipeline = await Post.aggregate(
-        keywords && !location
-          ? [
-              { $match: { $and: filters, $text: { $search: keywords } } },
-              { $group: { _id: null, count: { $sum: 1 } } },
-            ]
-          : [
-              { $match: { $and: filters } },
-              { $group: { _id: null, count: { $sum: 1 } } },
-            ],
-      );
-      /* eslint-enable sort-keys */
+      // the total and the count of each filter option, without pagination
+      const [metaErr, [facetCounts] = []] = includeMeta
+        ? await app.to(
+            Post.aggregate([
+              ...matchSteps({
+                filters: buildPostFilters({
+                  actor,
+                  authorId,
+                  expiredAfter,
+                  keywords,
+                  location,
+                  queryFilters,
+                  state,
+                  withoutFacets: true,
+                }),
+                keywords,
+                location,
+                radiusKm,
+              }),
+              facetStage(buildFacetFilters({ objective, queryFilters })),
+            ]),
+          )
+        : [null];
+      if (metaErr) {
+        req.log.error(metaErr, "Failed counting posts");
+        throw app.httpErrors.internalServerError();
+      }
 
       const [postsErr, posts] = await app.to(
         Post.aggregate(aggregationPipelineResults).then((posts) => {
@@ -292,11 +493,15 @@ async function routes(app) {
         if (!includeMeta) {
           return posts;
         }
+        // a full page means there may be more posts after it
+        const lastPost =
+          limit !== -1 && response.length === pageSize
+            ? response[response.length - 1]
+            : null;
         return {
           meta: {
-            total: totalResultsAggregationPipeline.length
-              ? totalResultsAggregationPipeline[0].count
-              : 0,
+            ...getFacetCounts(facetCounts),
+            nextCursor: lastPost ? encodeCursor(sort, lastPost) : null,
           },
           data: response,
         };
@@ -322,6 +527,17 @@ async function routes(app) {
     async (req, reply) => {
       const { actor, body: postProps } = req;
 
+      if (!hasValidAttachments(postProps, req.userId)) {
+        throw app.httpErrors.badRequest("invalidAttachment");
+      }
+      if (postProps.visibility === "radius") {
+        if (!postProps.visibilityRadiusKm) {
+          throw app.httpErrors.badRequest("missingVisibilityRadius");
+        }
+      } else {
+        delete postProps.visibilityRadiusKm;
+      }
+
       // Creates embedded author document
       postProps.author = {
         id: mongoose.Types.ObjectId(actor.id),
@@ -333,6 +549,7 @@ async function routes(app) {
 
       // ExpireAt needs to calculate the date
       if (EXPIRATION_OPTIONS.includes(postProps.expireAt)) {
+        postProps.expirationOption = postProps.expireAt;
         postProps.expireAt = moment().add(1, `${postProps.expireAt}s`);
       } else {
         postProps.expireAt = null;
@@ -341,6 +558,19 @@ async function routes(app) {
       // Initial empty likes array
       postProps.likes = [];
 
+      const moderation = await app.autoModerator.checkContent(
+        "posts",
+        actor,
+        `${postProps.title}\n${postProps.content}`,
+      );
+      if (moderation && moderation.action === "block") {
+        await app.autoModerator.recordBlock(moderation.rule, actor);
+        throw app.httpErrors.tooManyRequests("rateLimited");
+      } else if (moderation) {
+        postProps.held = true;
+        postProps.status = "flagged";
+      }
+
       const [err, post] = await app.to(new Post(postProps).save());
 
       if (err) {
@@ -348,13 +578,186 @@ async function routes(app) {
         throw app.httpErrors.internalServerError();
       }
 
+      // held posts are announced once a moderator keeps them
+      if (post.held) {
+        await app.autoModerator.record("hold", moderation.rule, {
+          after: { held: true, status: "flagged" },
+          postId: post._id,
+          targetId: post._id,
+          targetType: "posts",
+        });
+      } else {
+        app.notifier.announcePost(post, req.userId);
+      }
+
       reply.code(201);
       return post;
     },
   );
 
+  // uploaded before the post is created, the returned attachment is then
+  // sent along with the other post fields
+  app.post(
+    "/attachments",
+    {
+      preValidation: [app.authenticate],
+      schema: createPostAttachmentSchema,
+    },
+    async (req, reply) => {
+      const { file } = req.raw.files;
+      const mimeType = detectMimeType(file.data);
+
+      if (!ATTACHMENT_MIME_TYPES.includes(mimeType)) {
+        throw app.httpErrors.badRequest("attachmentTypeNotAllowed");
+      } else if (file.size > ATTACHMENT_MAX_SIZE) {
+        throw app.httpErrors.payloadTooLarge("attachmentTooLarge");
+      }
+
+      const [err, url] = await app.to(
+        uploadPostAttachment(req.userId, file, mimeType),
+      );
+      if (err) {
+        req.log.error(err, "Failed uploading post attachment");
+        throw app.httpErrors.internalServerError();
+      }
+
+      reply.code(201);
+      return {
+        mimeType,
+        name: file.name.slice(0, ATTACHMENT_NAME_MAX_LENGTH),
+        size: file.size,
+        url,
+      };
+    },
+  );
+
   // /posts/postId
 
+  // -- Syndication feeds
+  const FEED_SIZE = 50;
+  const FEED_FORMATS = {
+    atom: { contentType: "application/atom+xml", render: renderAtom },
+    json: { contentType: "application/feed+json", render: renderJsonFeed },
+    rss: { contentType: "application/rss+xml", render: renderRss },
+  };
+
+  Object.entries(FEED_FORMATS).forEach(([format, { contentType, render }]) => {
+    app.get(
+      `/feed.${format}`,
+      { schema: getPostsFeedSchema },
+      async (req, reply) => {
+        const {
+          query: { filter, keywords, objective, radiusKm },
+        } = req;
+        const queryFilters = filter
+          ? JSON.parse(decodeURIComponent(filter))
+          : {};
+        const { location } = queryFilters;
+
+        // feeds are public, so the same rules as for logged out users apply
+        const filters = buildPostFilters({
+          keywords,
+          location,
+          objective,
+          queryFilters,
+        });
+
+        /* eslint-disable sort-keys */
+        const [postsErr, posts] = await app.to(
+          Post.aggregate([
+            ...matchSteps({ filters, keywords, location, radiusKm }),
+            { $sort: { _id: -1 } },
+            { $limit: FEED_SIZE },
+            {
+              $project: {
+                "author.name": true,
+                content: contentProjection,
+                createdAt: true,
+                objective: true,
+                title: true,
+                types: true,
+                updatedAt: true,
+              },
+            },
+          ]),
+        );
+        /* eslint-enable sort-keys */
+        if (postsErr) {
+          req.log.error(postsErr, "Failed requesting posts feed");
+          throw app.httpErrors.internalServerError();
+        }
+
+        // the feed links to itself with the same filters
+        const [, search] = req.raw.url.split("?");
+        const feedUrl = `${config.appUrl}/api/posts/feed.${format}`;
+
+        reply.type(`${contentType}; charset=utf-8`);
+        return render({
+          appUrl: config.appUrl,
+          feedUrl: search ? `${feedUrl}?${search}` : feedUrl,
+          posts,
+        });
+      },
+    );
+  });
+
+  // -- Map view
+  const GEO_MAX_POSTS = 1000;
+
+  app.get(
+    "/geo",
+    {
+      preValidation: [app.authenticateOptional, app.setActor],
+      schema: getPostsGeoSchema,
+    },
+    async (req) => {
+      const {
+        actor,
+        query: { filter, ignoreUserLocation, keywords, objective, radiusKm },
+      } = req;
+      const queryFilters = filter ? JSON.parse(decodeURIComponent(filter)) : {};
+      const location = getSearchLocation({
+        actor,
+        ignoreUserLocation,
+        queryFilters,
+      });
+
+      const filters = buildPostFilters({
+        actor,
+        keywords,
+        location,
+        objective,
+        queryFilters,
+      });
+      // posts without coordinates can't be placed on the map
+      filters.push({ "author.location.coordinates": { $exists: true } });
+
+      /* eslint-disable sort-keys */
+      const [postsErr, posts] = await app.to(
+        Post.aggregate([
+          ...matchSteps({ filters, keywords, location, radiusKm }),
+          { $sort: { _id: -1 } },
+          { $limit: GEO_MAX_POSTS },
+          {
+            $project: {
+              author: true,
+              objective: true,
+              title: true,
+              types: true,
+            },
+          },
+        ]),
+      );
+      /* eslint-enable sort-keys */
+      if (postsErr) {
+        req.log.error(postsErr, "Failed requesting posts map");
+        throw app.httpErrors.internalServerError();
+      }
+
+      return toFeatureCollection(posts);
+    },
+  );
+
   app.get(
     "/:postId",
     {
@@ -365,6 +768,7 @@ async function routes(app) {
       const {
         actor,
         params: { postId },
+        userId,
       } = req;
       const [postErr, post] = await app.to(
         Post.findById(postId).select({
@@ -385,24 +789,10 @@ async function routes(app) {
         throw app.httpErrors.notFound();
       }
 
-      // if user is not a "reader" (with dashboard read access)
-      if (
-        actor &&
-        (!actor.permissions || !(actor.permissions & SCOPES.REPORT_READ))
-      ) {
-        if (post.status === "removed") throw app.httpErrors.notFound();
-        // user shouldn't see posts reported by them, even if public.
-        const didReport = post.reportedBy
-          ? post.reportedBy.find(
-              (r) => r.id.toString() === actor._id.toString(),
-            )
-          : false;
-        if (didReport) throw app.httpErrors.notFound();
-      } else if (!actor) {
-        // none logged in user shouldn't see removed posts on post page
-        if (post.status === "removed") throw app.httpErrors.notFound();
+      // authors still see their removed posts so they can appeal
+      if (isHiddenFrom(post, actor, canReadReports(actor))) {
+        throw app.httpErrors.notFound();
       }
-      
 
       /* eslint-disable sort-keys */
       // Keys shouldn't be sorted here since this is a query, so order of the
@@ -411,6 +801,7 @@ async function routes(app) {
         Comment.find({
           postId: mongoose.Types.ObjectId(postId),
           parentId: null,
+          status: { $ne: "removed" },
         }).count(),
       );
       /* eslint-enable sort-keys */
@@ -420,8 +811,17 @@ async function routes(app) {
         throw app.httpErrors.internalServerError();
       }
 
+      const [bookmarkErr, bookmarked] = userId
+        ? await app.to(Bookmark.exists({ postId: post._id, userId }))
+        : [null, false];
+      if (bookmarkErr) {
+        req.log.error(bookmarkErr, "Failed retrieving bookmark");
+        throw app.httpErrors.internalServerError();
+      }
+
       const projectedPost = {
         ...post.toObject(),
+        bookmarked,
         liked: post.likes.includes(
           mongoose.Types.ObjectId(actor ? actor._id : null),
         ),
@@ -460,7 +860,7 @@ async function routes(app) {
       }
 
       const [, author] = await app.to(User.findById(post.author.id));
-      if (!(userId.equals(author.id) || userId.equals(author.ownerId))) {
+      if (!canActAs(author, userId, "post")) {
         throw app.httpErrors.forbidden();
       }
 
@@ -476,6 +876,12 @@ async function routes(app) {
       if (deleteCommentsOk !== 1) {
         app.log.error(`Failed removing comments for deleted post=${postId}`);
       }
+      const [deleteRevisionsErr] = await app.to(
+        Revision.deleteMany({ postId }),
+      );
+      if (deleteRevisionsErr) {
+        app.log.error(`Failed removing revisions for deleted post=${postId}`);
+      }
 
       return { deletedCommentsCount, deletedCount, success: true };
     },
@@ -499,16 +905,41 @@ async function routes(app) {
       }
 
       const [, author] = await app.to(User.findById(post.author.id));
-      if (!(userId.equals(author.id) || userId.equals(author.ownerId))) {
+      if (!canActAs(author, userId, "post")) {
         throw app.httpErrors.forbidden();
       }
 
+      if (!hasValidAttachments(body, userId, post.attachments)) {
+        throw app.httpErrors.badRequest("invalidAttachment");
+      }
+      const visibility = body.visibility || post.visibility;
+      if (visibility === "radius") {
+        if (!(body.visibilityRadiusKm || post.visibilityRadiusKm)) {
+          throw app.httpErrors.badRequest("missingVisibilityRadius");
+        }
+      } else {
+        body.visibilityRadiusKm = undefined;
+      }
+
+      // keep the replaced version before it's overwritten
+      const previousVersion = {
+        content: post.content,
+        editedBy: userId,
+        postId: post._id,
+        targetId: post._id,
+        targetType: "Post",
+        title: post.title,
+      };
+
       // ExpireAt needs to calculate the date
       if (EXPIRATION_OPTIONS.includes(body.expireAt)) {
+        body.expirationOption = body.expireAt;
         body.expireAt = moment().add(1, `${body.expireAt}s`);
       } else {
+        body.expirationOption = undefined;
         body.expireAt = null;
       }
+      body.expiryReminderSentAt = undefined;
       body.isEdited = true; // set edited true when update
 
       const [updateErr, updatedPost] = await app.to(
@@ -520,6 +951,193 @@ async function routes(app) {
         throw app.httpErrors.internalServerError();
       }
 
+      if (
+        updatedPost.title !== previousVersion.title ||
+        updatedPost.content !== previousVersion.content
+      ) {
+        const [revisionErr] = await app.to(
+          new Revision(previousVersion).save(),
+        );
+        if (revisionErr) {
+          req.log.error(revisionErr, "Failed saving post revision");
+        }
+      }
+
+      return updatedPost;
+    },
+  );
+
+  app.get(
+    "/:postId/matches",
+    {
+      preValidation: [app.authenticateOptional, app.setActor],
+      schema: getPostMatchesSchema,
+    },
+    async (req) => {
+      const {
+        actor,
+        params: { postId },
+        query: { limit },
+      } = req;
+      const [err, post] = await app.to(Post.findById(postId));
+
+      if (err) {
+        req.log.error(err, "Failed retrieving post");
+        throw app.httpErrors.internalServerError();
+      } else if (
+        post === null ||
+        isHiddenFrom(post, actor, canReadReports(actor))
+      ) {
+        throw app.httpErrors.notFound();
+      }
+
+      // nothing left to match once the post is no longer looking for help
+      if (["fulfilled", "closed"].includes(post.state)) return [];
+
+      const [matchesErr, matches] = await app.to(
+        findMatches(Post, post, { limit: limit || MATCH_DEFAULT_LIMIT }),
+      );
+      if (matchesErr) {
+        req.log.error(matchesErr, "Failed finding post matches");
+        throw app.httpErrors.internalServerError();
+      }
+
+      return matches;
+    },
+  );
+
+  app.post(
+    "/:postId/renew",
+    {
+      preValidation: [app.authenticate],
+      schema: renewPostSchema,
+    },
+    async (req) => {
+      const {
+        params: { postId },
+        userId,
+      } = req;
+      const [err, post] = await app.to(Post.findById(postId));
+
+      if (err) {
+        req.log.error(err, "Failed retrieving post");
+        throw app.httpErrors.internalServerError();
+      } else if (post === null) {
+        throw app.httpErrors.notFound();
+      }
+
+      const [, author] = await app.to(User.findById(post.author.id));
+      if (!canActAs(author, userId, "post")) {
+        throw app.httpErrors.forbidden();
+      }
+
+      if (!isRenewable(post)) {
+        throw app.httpErrors.badRequest("postNotRenewable");
+      }
+
+      post.expirationOption = getExpirationOption(post);
+      post.expireAt = getRenewedExpireAt(post);
+      post.expiryReminderSentAt = undefined;
+
+      const [updateErr, updatedPost] = await app.to(post.save());
+      if (updateErr) {
+        req.log.error(updateErr, "Failed renewing post");
+        throw app.httpErrors.internalServerError();
+      }
+
+      return updatedPost;
+    },
+  );
+
+  app.get(
+    "/:postId/revisions",
+    {
+      preValidation: [app.authenticateOptional, app.setActor],
+      schema: getPostRevisionsSchema,
+    },
+    async (req) => {
+      const {
+        actor,
+        params: { postId },
+      } = req;
+      const [postErr, post] = await app.to(Post.findById(postId));
+      if (postErr) {
+        req.log.error(postErr, "Failed retrieving post");
+        throw app.httpErrors.internalServerError();
+      } else if (post === null) {
+        throw app.httpErrors.notFound();
+      }
+
+      const readsReports = canReadReports(actor);
+      if (isHiddenFrom(post, actor, readsReports)) {
+        throw app.httpErrors.notFound();
+      }
+
+      const [revisionsErr, revisions] = await app.to(
+        Revision.find({ postId: post._id }).sort({ createdAt: -1 }).lean(),
+      );
+      if (revisionsErr) {
+        req.log.error(revisionsErr, "Failed retrieving post revisions");
+        throw app.httpErrors.internalServerError();
+      }
+
+      const [commentsErr, comments] = await app.to(
+        Comment.find(
+          { postId: post._id },
+          { "author.id": true, held: true, status: true },
+        ).lean(),
+      );
+      if (commentsErr) {
+        req.log.error(commentsErr, "Failed retrieving comments");
+        throw app.httpErrors.internalServerError();
+      }
+
+      // the same rules as the post page, the comment list and the feed
+      return getVisibleRevisions(revisions, comments, {
+        actor,
+        canReadReports: readsReports,
+        maxContentLength: actor ? null : UNLOGGED_POST_SIZE,
+      });
+    },
+  );
+
+  app.patch(
+    "/:postId/state",
+    {
+      preValidation: [app.authenticate],
+      schema: updatePostStateSchema,
+    },
+    async (req) => {
+      const {
+        body: { closingReason, state },
+        params: { postId },
+        userId,
+      } = req;
+      const [err, post] = await app.to(Post.findById(postId));
+
+      if (err) {
+        req.log.error(err, "Failed retrieving post");
+        throw app.httpErrors.internalServerError();
+      } else if (post === null) {
+        throw app.httpErrors.notFound();
+      }
+
+      const [, author] = await app.to(User.findById(post.author.id));
+      if (!canActAs(author, userId, "post")) {
+        throw app.httpErrors.forbidden();
+      }
+
+      const stateError = getStateChangeError(post, state);
+      if (stateError) throw app.httpErrors.badRequest(stateError);
+
+      const [updateErr, updatedPost] = await app.to(
+        Object.assign(post, getStateUpdate(state, closingReason)).save(),
+      );
+      if (updateErr) {
+        req.log.error(updateErr, "Failed updating post state");
+        throw app.httpErrors.internalServerError();
+      }
+
       return updatedPost;
     },
   );
@@ -594,6 +1212,64 @@ async function routes(app) {
     },
   );
 
+  // -- Bookmarks
+  app.put(
+    "/:postId/bookmark",
+    { preValidation: [app.authenticate], schema: bookmarkPostSchema },
+    async (req) => {
+      const {
+        params: { postId },
+        userId,
+      } = req;
+
+      const [postErr, post] = await app.to(
+        Post.findById(postId).select({ status: true, title: true }),
+      );
+      if (postErr) {
+        req.log.error(postErr, "Failed retrieving post");
+        throw app.httpErrors.internalServerError();
+      } else if (post === null || post.status === "removed") {
+        throw app.httpErrors.notFound();
+      }
+
+      const [bookmarkErr] = await app.to(
+        Bookmark.updateOne(
+          { postId: post._id, userId },
+          { $setOnInsert: { title: post.title } },
+          { upsert: true },
+        ),
+      );
+      if (bookmarkErr) {
+        req.log.error(bookmarkErr, "Failed bookmarking post");
+        throw app.httpErrors.internalServerError();
+      }
+
+      return { bookmarked: true };
+    },
+  );
+
+  // doesn't check the post so bookmarks of deleted posts can be removed too
+  app.delete(
+    "/:postId/bookmark",
+    { preValidation: [app.authenticate], schema: bookmarkPostSchema },
+    async (req) => {
+      const {
+        params: { postId },
+        userId,
+      } = req;
+
+      const [bookmarkErr] = await app.to(
+        Bookmark.deleteOne({ postId, userId }),
+      );
+      if (bookmarkErr) {
+        req.log.error(bookmarkErr, "Failed removing bookmark");
+        throw app.httpErrors.internalServerError();
+      }
+
+      return { bookmarked: false };
+    },
+  );
+
   // -- Comments
   const COMMENT_PAGE_SIZE = 5;
 
@@ -603,12 +1279,16 @@ async function routes(app) {
     async (req) => {
       const { limit, skip } = req.query;
       const { postId } = req.params;
+      const { userId } = req;
       const [commentErr, comments] = await app.to(
         Comment.aggregate([
           {
             $match: {
+              // held comments are only shown to their author
+              $or: [{ held: { $ne: true } }, { "author.id": userId }],
               parentId: null,
               postId: mongoose.Types.ObjectId(postId),
+              status: { $ne: "removed" },
             },
           },
           {
@@ -625,6 +1305,27 @@ async function routes(app) {
               localField: "_id",
             },
           },
+          {
+            $set: {
+              children: {
+                $filter: {
+                  as: "child",
+                  cond: {
+                    $and: [
+                      { $ne: ["$$child.status", "removed"] },
+                      {
+                        $or: [
+                          { $ne: ["$$child.held", true] },
+                          { $eq: ["$$child.author.id", userId] },
+                        ],
+                      },
+                    ],
+                  },
+                  input: "$children",
+                },
+              },
+            },
+          },
           {
             $addFields: {
               childCount: {
@@ -632,6 +1333,8 @@ async function routes(app) {
               },
             },
           },
+          // reporters are only exposed to moderators
+          { $project: { "children.reportedBy": false, reportedBy: false } },
         ]).then((comments) => {
           comments.forEach((comment) => {
             comment.elapsedTimeText = setElapsedTimeText(
@@ -674,6 +1377,7 @@ async function routes(app) {
       // Creates embedded author document
       commentProps.author = {
         id: mongoose.Types.ObjectId(actor.id),
+        location: actor.location,
         name: actor.name,
         photo: actor.photo,
         type: actor.type,
@@ -682,6 +1386,28 @@ async function routes(app) {
       // Initial empty likes array
       commentProps.likes = [];
 
+      const [mentionsErr, mentions] = await app.to(
+        findMentions(commentProps.content, commentProps.mentions),
+      );
+      if (mentionsErr) {
+        req.log.error(mentionsErr, "Failed resolving comment mentions");
+        throw app.httpErrors.internalServerError();
+      }
+      commentProps.mentions = mentions;
+
+      const moderation = await app.autoModerator.checkContent(
+        "comments",
+        actor,
+        commentProps.content,
+      );
+      if (moderation && moderation.action === "block") {
+        await app.autoModerator.recordBlock(moderation.rule, actor);
+        throw app.httpErrors.tooManyRequests("rateLimited");
+      } else if (moderation) {
+        commentProps.held = true;
+        commentProps.status = "flagged";
+      }
+
       const [err, comment] = await app.to(new Comment(commentProps).save());
 
       if (err) {
@@ -697,10 +1423,24 @@ async function routes(app) {
         throw app.httpErrors.notFound();
       }
 
+      if (comment.held) {
+        await app.autoModerator.record("hold", moderation.rule, {
+          after: { held: true, status: "flagged" },
+          postId: post._id,
+          targetId: comment._id,
+          targetType: "comments",
+        });
+        reply.code(201);
+        return comment;
+      }
+
       // action, post, actorId (triggredBy), authUserId, details
       app.notifier.notify("comment", post, actor._id, userId, {
         commentText: commentProps.content,
       });
+      mentions.forEach(({ id }) => {
+        app.notifier.notifyMention(post, id, actor, commentProps.content);
+      });
 
       reply.code(201);
       return comment;
@@ -712,7 +1452,7 @@ async function routes(app) {
     { preValidation: [app.authenticate], schema: updateCommentSchema },
     async (req) => {
       const { userId } = req;
-      const { content } = req.body;
+      const { content, mentions: mentionIds } = req.body;
       const { commentId } = req.params;
 
       const [err, comment] = await app.to(Comment.findById(commentId));
@@ -724,17 +1464,62 @@ async function routes(app) {
       }
 
       const [, author] = await app.to(User.findById(comment.author.id));
-      if (!(userId.equals(author.id) || userId.equals(author.ownerId))) {
+      if (!canActAs(author, userId, "post")) {
         throw app.httpErrors.forbidden();
       }
 
+      // without new picks, keep the mentions still found in the edited text
+      const [mentionsErr, mentions] = await app.to(
+        findMentions(
+          content,
+          mentionIds || comment.mentions.map(({ id }) => id),
+        ),
+      );
+      if (mentionsErr) {
+        req.log.error(mentionsErr, "Failed resolving comment mentions");
+        throw app.httpErrors.internalServerError();
+      }
+
+      const previousContent = comment.content;
+      const newMentions = getNewMentions(comment.mentions, mentions);
       comment.content = content;
+      comment.mentions = mentions;
       const [updateErr, updatedComment] = await app.to(comment.save());
       if (updateErr) {
         req.log.error(updateErr, "Failed updating comment");
         throw app.httpErrors.internalServerError();
       }
 
+      // like on creation, no one is told about a held comment
+      if (newMentions.length && !updatedComment.held) {
+        const [postErr, post] = await app.to(Post.findById(comment.postId));
+        const [actorErr, actor] = await app.to(
+          User.findById(comment.author.id),
+        );
+        if (postErr || actorErr) {
+          req.log.error(postErr || actorErr, "Failed notifying mentions");
+        } else if (post && actor) {
+          newMentions.forEach(({ id }) => {
+            app.notifier.notifyMention(post, id, actor, content);
+          });
+        }
+      }
+
+      if (updatedComment.content !== previousContent) {
+        const [revisionErr] = await app.to(
+          new Revision({
+            content: previousContent,
+            editedBy: userId,
+            postId: comment.postId,
+            targetId: comment._id,
+            targetType: "Comment",
+          }).save(),
+        );
+        if (revisionErr) {
+          req.log.error(revisionErr, "Failed saving comment revision");
+        }
+      }
+
       return updatedComment;
     },
   );
@@ -755,7 +1540,7 @@ async function routes(app) {
       }
 
       const [, author] = await app.to(User.findById(comment.author.id));
-      if (!(userId.equals(author.id) || userId.equals(author.ownerId))) {
+      if (!canActAs(author, userId, "post")) {
         throw app.httpErrors.forbidden();
       }
 
@@ -1,15 +1,67 @@
 const {
-  createPostReportSchema,
+  appealDecisionSchema,
+  claimReportSchema,
+  createAppealSchema,
+  createReportSchema,
+  exportAuditLogSchema,
+  getAppealsSchema,
   getAuditLogSchema,
-  getPostReportsSchema,
+  getReportsSchema,
+  getStatsSchema,
   moderatorActionSchema,
+  releaseReportSchema,
 } = require("./schema/reports");
-const { translateISOtoRelativeTime } = require("../utils");
+const {
+  getAppealDecision,
+  getAppealFilter,
+  hasAppealedRemoval,
+} = require("../components/Appeals");
+const { getUpdateChanges, toCsv } = require("../components/AuditTrail");
+const {
+  getAppealStats,
+  getDistribution,
+  getModeratorStats,
+  getResponseTimes,
+} = require("../components/ModerationMetrics");
+const {
+  TARGET_MODELS,
+  getDecisionPostId,
+  getModerationUpdate,
+  getReportUpdate,
+  isReleasedPost,
+} = require("../components/ReportTargets");
+const { getRegionFilter } = require("../components/Roles");
+const {
+  MODERATORS_ROOM,
+  getClaimExpiry,
+  isClaimedByOther,
+  toClaimView,
+} = require("../components/ReportClaims");
+const {
+  createSearchRegex,
+  translateISOtoRelativeTime,
+} = require("../utils");
 const { SCOPES } = require("../constants");
 
 const MAX_REPORTS_PER_PAGE = 20;
+const MAX_EXPORTED_LOGS = 10000;
+const DEFAULT_STATS_DAYS = 30;
 const UNLOGGED_POST_SIZE = 120;
 
+// profiles are listed with their public fields only
+const PROFILE_PROJECTION = {
+  about: true,
+  createdAt: true,
+  firstName: true,
+  lastName: true,
+  name: true,
+  photo: true,
+  reportedBy: true,
+  status: true,
+  type: true,
+  updatedAt: true,
+};
+
 /*
  * /api/reports
  */
@@ -17,37 +69,57 @@ async function routes(app) {
   const { mongo } = app;
   const Post = mongo.model("Post");
   const Audit = mongo.model("Audit");
+  const ReportClaim = mongo.model("ReportClaim");
+
+  const targetModels = Object.fromEntries(
+    Object.entries(TARGET_MODELS).map(([targetType, modelName]) => [
+      targetType,
+      mongo.model(modelName),
+    ]),
+  );
+
+  // moderators whose role is restricted to some regions only see the items
+  // located there
+  const regionFilter = (req, targetType) =>
+    getRegionFilter(req.regions, targetType) || {};
 
-  // report a post
+  // pushes who reviews an item to every open moderation dashboard
+  const emitClaimUpdate = (targetType, targetId, claim) =>
+    app.io.to(MODERATORS_ROOM).emit("REPORT_CLAIM_UPDATE", {
+      claim: toClaimView(claim),
+      targetId,
+      targetType,
+    });
+
+  // report a post, comment, user or organisation
   app.post(
-    "/posts/:postId",
+    "/:targetType/:targetId",
     {
       preValidation: [app.authenticate, app.setActor],
-      schema: createPostReportSchema,
+      schema: createReportSchema,
     },
     async (req, reply) => {
       const {
         actor,
-        params: { postId },
+        params: { targetId, targetType },
         body: reportProps,
       } = req;
 
       reportProps.id = actor._id;
 
-      const [updateErr, updatedPost] = await app.to(
-        Post.findOneAndUpdate(
-          // the only way to ensure unique reports, mongoose doesn't support subdocuments unqiue indexes
-          { _id: postId, "reportedBy.id": { $ne: reportProps.id } },
-          { $addToSet: { reportedBy: reportProps }, status: "flagged" },
-        ),
+      const { filter, update } = getReportUpdate(targetId, reportProps);
+      const [updateErr, updatedTarget] = await app.to(
+        targetModels[targetType].findOneAndUpdate(filter, update),
       );
       if (updateErr) {
-        req.log.error(updateErr, "Failed reporting post");
+        req.log.error(updateErr, `Failed reporting ${targetType}`);
         throw app.httpErrors.internalServerError();
-      } else if (updatedPost === null) {
+      } else if (updatedTarget === null) {
         throw app.httpErrors.notFound();
       }
 
+      await app.autoModerator.checkReports(targetType, targetId);
+
       reply.code(201);
       return {
         success: true,
@@ -55,23 +127,26 @@ async function routes(app) {
     },
   );
 
-  // get all reported posts
+  // get all reported posts, comments, users or organisations
   app.get(
-    "/posts",
+    "/:targetType",
     {
       preValidation: [
         app.authenticate,
         app.setActor,
         app.checkScopes([SCOPES.REPORT_READ]),
       ],
-      schema: getPostReportsSchema,
+      schema: getReportsSchema,
     },
     async (req) => {
       const {
+        params: { targetType },
         query: { limit, status, skip, includeMeta, keywords },
       } = req;
+      const Target = targetModels[targetType];
+      const isProfile = ["organisations", "users"].includes(targetType);
 
-      const filters = [{ status: status }];
+      const filters = [{ status: status }, regionFilter(req, targetType)];
       if (status === "public") {
         // rejected report, status is "public", but have reportedBy.length
         filters.push({ reportedBy: { $exists: true, $not: { $size: 0 } } });
@@ -82,7 +157,11 @@ async function routes(app) {
       };
       const sortingStage = {};
 
-      if (keywords) {
+      if (keywords && targetType === "comments") {
+        // comments have no text index
+        filters.push({ content: createSearchRegex(keywords) });
+        sortingStage.$sort = { reportsCount: -1 };
+      } else if (keywords) {
         matchingStage.$match.$text = {
           $search: keywords,
           $caseSensitive: false,
@@ -104,18 +183,20 @@ async function routes(app) {
                 $ifNull: ["$reportedBy", []],
               },
             },
-            content: {
-              $concat: [
-                { $substrCP: ["$content", 0, UNLOGGED_POST_SIZE] },
-                "...",
-              ],
-            },
+            ...(!isProfile && {
+              content: {
+                $concat: [
+                  { $substrCP: ["$content", 0, UNLOGGED_POST_SIZE] },
+                  "...",
+                ],
+              },
+            }),
           },
         },
         {
-          $project: {
-            "author.location": false,
-          },
+          $project: isProfile
+            ? { ...PROFILE_PROJECTION, reportsCount: true }
+            : { "author.location": false },
         },
         sortingStage,
         {
@@ -124,11 +205,30 @@ async function routes(app) {
         {
           $limit: Math.min(limit || MAX_REPORTS_PER_PAGE),
         },
+        {
+          $lookup: {
+            as: "claim",
+            from: "reportclaims",
+            let: { targetId: "$_id" },
+            pipeline: [
+              {
+                $match: {
+                  $expr: {
+                    $and: [
+                      { $eq: ["$targetId", "$$targetId"] },
+                      { $eq: ["$targetType", targetType] },
+                    ],
+                  },
+                },
+              },
+            ],
+          },
+        },
       ];
 
       // Get the total results without pagination steps but with filtering aplyed - totalResults
       /* eslint-disable sort-keys */
-      const totalResultsAggregationPipeline = await Post.aggregate([
+      const totalResultsAggregationPipeline = await Target.aggregate([
         {
           $match: { $and: filters },
         },
@@ -136,21 +236,22 @@ async function routes(app) {
       ]);
       /* eslint-enable sort-keys */
 
-      const [postsErr, posts] = await app.to(
-        Post.aggregate(aggregationPipelineResults).then((posts) => {
-          posts.forEach((post) => {
-            post.elapsedTimeText = {
-              created: translateISOtoRelativeTime(post.createdAt),
-              isEdited: post.isEdited,
+      const [targetsErr, targets] = await app.to(
+        Target.aggregate(aggregationPipelineResults).then((targets) => {
+          targets.forEach((target) => {
+            target.claim = toClaimView(target.claim[0]);
+            target.elapsedTimeText = {
+              created: translateISOtoRelativeTime(target.createdAt),
+              isEdited: target.isEdited,
             };
           });
-          return posts;
+          return targets;
         }),
       );
 
       const responseHandler = (response) => {
         if (!includeMeta) {
-          return posts;
+          return response;
         }
         return {
           meta: {
@@ -161,20 +262,20 @@ async function routes(app) {
           data: response,
         };
       };
-      if (postsErr) {
-        req.log.error(postsErr, "Failed requesting posts");
+      if (targetsErr) {
+        req.log.error(targetsErr, `Failed requesting reported ${targetType}`);
         throw app.httpErrors.internalServerError();
-      } else if (posts === null) {
+      } else if (targets === null) {
         return responseHandler([]);
       } else {
-        return responseHandler(posts);
+        return responseHandler(targets);
       }
     },
   );
 
-  // accept/reject a post report
+  // accept/reject the reports of a post, comment, user or organisation
   app.patch(
-    "/posts/:postId",
+    "/:targetType/:targetId",
     {
       preValidation: [
         app.authenticate,
@@ -186,30 +287,42 @@ async function routes(app) {
     async (req, reply) => {
       const {
         userId,
-        params: { postId },
-        body: actionProps,
+        params: { targetId, targetType },
+        body: { force, ...actionProps },
       } = req;
-      actionProps.moderatorId = userId;
-      actionProps.postId = postId;
-
-      const updates = {};
 
-      if (actionProps.action === "accept") {
-        updates.status = "removed";
-      } else if (actionProps.action === "reject") {
-        updates.status = "public";
+      const [claimErr, claim] = await app.to(
+        ReportClaim.findOne({ targetId, targetType }),
+      );
+      if (claimErr) {
+        req.log.error(claimErr, "Failed retrieving report claim");
+        throw app.httpErrors.internalServerError();
+      } else if (!force && isClaimedByOther(claim, userId)) {
+        throw app.httpErrors.conflict("claimedByAnotherModerator");
       }
 
-      const [updateErr, updatedPost] = await app.to(
-        Post.findByIdAndUpdate(postId, updates),
+      actionProps.moderatorId = userId;
+      actionProps.targetId = targetId;
+      actionProps.targetType = targetType;
+
+      const updates = getModerationUpdate(targetType, actionProps.action);
+
+      const [updateErr, updatedTarget] = await app.to(
+        targetModels[targetType].findOneAndUpdate(
+          { _id: targetId, ...regionFilter(req, targetType) },
+          updates,
+        ),
       );
 
       if (updateErr) {
-        req.log.error(updateErr, "Failed reporting post");
+        req.log.error(updateErr, `Failed moderating ${targetType}`);
         throw app.httpErrors.internalServerError();
-      } else if (updatedPost === null) {
+      } else if (updatedTarget === null) {
         throw app.httpErrors.notFound();
       }
+      // the update returns the target as it was before it
+      Object.assign(actionProps, getUpdateChanges(updatedTarget, updates));
+      actionProps.postId = getDecisionPostId(targetType, updatedTarget);
 
       const [err] = await app.to(new Audit(actionProps).save());
 
@@ -218,15 +331,27 @@ async function routes(app) {
         throw app.httpErrors.internalServerError();
       }
 
-      if (actionProps.action === "accept") {
+      // decided items leave the queue, and so does their claim
+      if (claim) {
+        const [releaseErr] = await app.to(claim.remove());
+        if (releaseErr) req.log.error(releaseErr, "Failed releasing claim");
+        emitClaimUpdate(targetType, targetId, null);
+      }
+
+      // "report" notifications are about posts only
+      if (actionProps.action === "accept" && targetType === "posts") {
         // action, post, actorId (moderator), authUserId (moderator), details (justification)
         app.notifier.notify(
           "report",
-          updatedPost,
+          updatedTarget,
           actionProps.moderatorId,
           actionProps.moderatorId,
           { justification: actionProps.justification },
         );
+      } else if (
+        isReleasedPost(targetType, actionProps.action, updatedTarget)
+      ) {
+        app.notifier.announcePost(updatedTarget, updatedTarget.author.id);
       }
 
       reply.code(201);
@@ -236,6 +361,336 @@ async function routes(app) {
     },
   );
 
+  // claims an item of the queue, or renews the claim, for CLAIM_TIMEOUT_MINUTES
+  app.put(
+    "/:targetType/:targetId/claim",
+    {
+      preValidation: [
+        app.authenticate,
+        app.setActor,
+        app.checkScopes([SCOPES.REPORT_WRITE]),
+      ],
+      schema: claimReportSchema,
+    },
+    async (req) => {
+      const {
+        actor,
+        body: { force },
+        params: { targetId, targetType },
+        userId,
+      } = req;
+
+      const [targetErr, targetExists] = await app.to(
+        targetModels[targetType].exists({
+          _id: targetId,
+          ...regionFilter(req, targetType),
+        }),
+      );
+      if (targetErr) {
+        req.log.error(targetErr, `Failed retrieving reported ${targetType}`);
+        throw app.httpErrors.internalServerError();
+      } else if (!targetExists) {
+        throw app.httpErrors.notFound();
+      }
+
+      const now = new Date();
+      const [claimErr, claim] = await app.to(
+        ReportClaim.findOneAndUpdate(
+          {
+            targetId,
+            targetType,
+            // expired claims and, when forced, other moderators' can be taken
+            ...(!force && {
+              $or: [{ moderatorId: userId }, { expiresAt: { $lte: now } }],
+            }),
+          },
+          {
+            expiresAt: getClaimExpiry(now),
+            moderatorId: userId,
+            moderatorName: actor.name,
+          },
+          { new: true, upsert: true },
+        ),
+      );
+      // a duplicate key means another moderator holds the claim
+      if (claimErr && claimErr.code === 11000) {
+        throw app.httpErrors.conflict("alreadyClaimed");
+      } else if (claimErr) {
+        req.log.error(claimErr, "Failed claiming report");
+        throw app.httpErrors.internalServerError();
+      }
+
+      emitClaimUpdate(targetType, targetId, claim);
+      return { claim: toClaimView(claim) };
+    },
+  );
+
+  app.delete(
+    "/:targetType/:targetId/claim",
+    {
+      preValidation: [
+        app.authenticate,
+        app.setActor,
+        app.checkScopes([SCOPES.REPORT_WRITE]),
+      ],
+      schema: releaseReportSchema,
+    },
+    async (req) => {
+      const {
+        params: { targetId, targetType },
+        userId,
+      } = req;
+
+      const [releaseErr, claim] = await app.to(
+        ReportClaim.findOneAndDelete({
+          moderatorId: userId,
+          targetId,
+          targetType,
+        }),
+      );
+      if (releaseErr) {
+        req.log.error(releaseErr, "Failed releasing claim");
+        throw app.httpErrors.internalServerError();
+      } else if (claim === null) {
+        throw app.httpErrors.notFound();
+      }
+
+      emitClaimUpdate(targetType, targetId, null);
+      return { success: true };
+    },
+  );
+
+  // authors can appeal each removal of their post once
+  app.post(
+    "/posts/:postId/appeal",
+    {
+      preValidation: [app.authenticate, app.setActor],
+      schema: createAppealSchema,
+    },
+    async (req, reply) => {
+      const {
+        actor,
+        body: { explanation },
+        params: { postId },
+      } = req;
+
+      const [postErr, post] = await app.to(Post.findById(postId));
+      if (postErr) {
+        req.log.error(postErr, "Failed retrieving post");
+        throw app.httpErrors.internalServerError();
+      } else if (post === null || !post.author.id.equals(actor._id)) {
+        throw app.httpErrors.notFound();
+      } else if (post.status !== "removed") {
+        throw app.httpErrors.badRequest("postNotRemoved");
+      } else if (hasAppealedRemoval(post)) {
+        throw app.httpErrors.conflict("appealAlreadySubmitted");
+      }
+
+      const appeal = {
+        createdAt: new Date(),
+        explanation,
+        status: "pending",
+      };
+      const [updateErr, updatedPost] = await app.to(
+        // guards against a concurrent appeal of the same removal
+        Post.findOneAndUpdate(getAppealFilter(post), { appeal }, { new: true }),
+      );
+      if (updateErr) {
+        req.log.error(updateErr, "Failed saving appeal");
+        throw app.httpErrors.internalServerError();
+      } else if (updatedPost === null) {
+        throw app.httpErrors.conflict("appealAlreadySubmitted");
+      }
+
+      reply.code(201);
+      return { appeal: updatedPost.appeal };
+    },
+  );
+
+  // appeals queue, oldest pending appeals first
+  app.get(
+    "/appeals",
+    {
+      preValidation: [
+        app.authenticate,
+        app.setActor,
+        app.checkScopes([SCOPES.REPORT_READ]),
+      ],
+      schema: getAppealsSchema,
+    },
+    async (req) => {
+      const {
+        query: { limit, skip, status },
+      } = req;
+      const filter = {
+        "appeal.status": status,
+        ...regionFilter(req, "posts"),
+      };
+
+      const [appealsErr, appeals] = await app.to(
+        Post.find(filter)
+          .select({ "author.location": false })
+          .sort({ "appeal.createdAt": status === "pending" ? 1 : -1 })
+          .skip(skip || 0)
+          .limit(limit)
+          .lean(),
+      );
+      if (appealsErr) {
+        req.log.error(appealsErr, "Failed requesting appeals");
+        throw app.httpErrors.internalServerError();
+      }
+
+      const [countErr, total] = await app.to(Post.countDocuments(filter));
+      if (countErr) {
+        req.log.error(countErr, "Failed counting appeals");
+        throw app.httpErrors.internalServerError();
+      }
+
+      return {
+        data: appeals.map((post) => ({
+          ...post,
+          elapsedTimeText: {
+            created: translateISOtoRelativeTime(post.createdAt),
+            isEdited: post.isEdited,
+          },
+          reportsCount: post.reportedBy.length,
+        })),
+        meta: { total },
+      };
+    },
+  );
+
+  // accept (restore the post) or deny a pending appeal
+  app.patch(
+    "/posts/:postId/appeal",
+    {
+      preValidation: [
+        app.authenticate,
+        app.setActor,
+        app.checkScopes([SCOPES.REPORT_WRITE]),
+      ],
+      schema: appealDecisionSchema,
+    },
+    async (req) => {
+      const {
+        body: { action, justification },
+        params: { postId },
+        userId,
+      } = req;
+      const { auditAction, notification, updates } = getAppealDecision(
+        action,
+        userId,
+        justification,
+      );
+
+      const [updateErr, post] = await app.to(
+        Post.findOneAndUpdate(
+          {
+            _id: postId,
+            "appeal.status": "pending",
+            ...regionFilter(req, "posts"),
+          },
+          updates,
+        ),
+      );
+      if (updateErr) {
+        req.log.error(updateErr, "Failed deciding appeal");
+        throw app.httpErrors.internalServerError();
+      } else if (post === null) {
+        throw app.httpErrors.notFound();
+      }
+
+      const [auditErr] = await app.to(
+        new Audit({
+          action: auditAction,
+          justification,
+          moderatorId: userId,
+          postId: post._id,
+          targetId: post._id,
+          targetType: "posts",
+          ...getUpdateChanges(post, updates),
+        }).save(),
+      );
+      if (auditErr) {
+        req.log.error(auditErr, "Failed saving audit log action");
+        throw app.httpErrors.internalServerError();
+      }
+
+      app.notifier.notify(notification, post, userId, userId, {
+        justification,
+      });
+
+      return { success: true };
+    },
+  );
+
+  // logs matching the filters of GET /logs and /logs/export, newest first
+  const filteredLogsStages = ({ action, actor, from, targetType, to }) => {
+    const filters = {};
+    if (action) filters.action = action;
+    if (targetType) filters.targetType = targetType;
+    if (from || to) {
+      filters.createdAt = {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lte: new Date(to) }),
+      };
+    }
+    return [
+      { $match: filters },
+      {
+        $sort: {
+          createdAt: -1,
+        },
+      },
+      {
+        $lookup: {
+          as: "moderator",
+          foreignField: "_id",
+          from: "users",
+          localField: "moderatorId",
+        },
+      },
+      {
+        $set: {
+          moderator: { $arrayElemAt: ["$moderator", 0] },
+        },
+      },
+      {
+        $set: {
+          // automatic actions have no moderator user
+          "moderator.name": {
+            $ifNull: [
+              {
+                $concat: ["$moderator.firstName", " ", "$moderator.lastName"],
+              },
+              "System",
+            ],
+          },
+        },
+      },
+      ...(actor
+        ? [{ $match: { "moderator.name": createSearchRegex(actor) } }]
+        : []),
+    ];
+  };
+
+  const logProjectionStage = {
+    $project: {
+      after: 1,
+      before: 1,
+      postId: 1,
+      ruleId: 1,
+      targetId: 1,
+      targetType: 1,
+      justification: 1,
+      createdAt: 1,
+      action: 1,
+      "moderator._id": 1,
+      "moderator.name": 1,
+      "moderator.photo": 1,
+    },
+  };
+
   // audit logs
   app.get(
     "/logs",
@@ -249,86 +704,229 @@ async function routes(app) {
     },
     async (req) => {
       const {
-        query: { limit, skip },
+        query: { limit, skip, ...filters },
       } = req;
 
       const aggregationPipelineResults = [
+        ...filteredLogsStages(filters),
         {
-          $sort: {
-            createdAt: -1,
+          $facet: {
+            logs: [
+              {
+                $skip: skip || 0,
+              },
+              {
+                $limit: Math.min(limit || MAX_REPORTS_PER_PAGE),
+              },
+              logProjectionStage,
+            ],
+            total: [{ $count: "count" }],
           },
         },
-        {
-          $skip: parseInt(skip) || 0,
+      ];
+
+      const [logsErr, results] = await app.to(
+        Audit.aggregate(aggregationPipelineResults),
+      );
+
+      if (logsErr) {
+        req.log.error(logsErr, "Failed requesting logs");
+        throw app.httpErrors.internalServerError();
+      }
+
+      const [{ logs, total }] = results;
+      return {
+        logs: logs.map((log) => ({
+          ...log,
+          elapsedTimeText: {
+            created: translateISOtoRelativeTime(log.createdAt),
+          },
+        })),
+        meta: {
+          total: total.length ? total[0].count : 0,
         },
+      };
+    },
+  );
+
+  // every log matching the filters, as a csv or json file
+  app.get(
+    "/logs/export",
+    {
+      preValidation: [
+        app.authenticate,
+        app.setActor,
+        app.checkScopes([SCOPES.LOGS_READ]),
+      ],
+      schema: exportAuditLogSchema,
+    },
+    async (req, reply) => {
+      const {
+        query: { format, ...filters },
+      } = req;
+
+      const [logsErr, logs] = await app.to(
+        Audit.aggregate([
+          ...filteredLogsStages(filters),
+          { $limit: MAX_EXPORTED_LOGS },
+          logProjectionStage,
+        ]),
+      );
+      if (logsErr) {
+        req.log.error(logsErr, "Failed exporting logs");
+        throw app.httpErrors.internalServerError();
+      }
+
+      const fileName = `audit-logs-${new Date().toISOString().slice(0, 10)}`;
+      reply.header(
+        "Content-Disposition",
+        `attachment; filename="${fileName}.${format}"`,
+      );
+      if (format === "json") {
+        reply.type("application/json");
+        return JSON.stringify(logs, null, 2);
+      }
+      reply.type("text/csv; charset=utf-8");
+      return toCsv(logs);
+    },
+  );
+
+  // when each item of a target type was first reported, or held if it never
+  // was, keyed by "<targetType>:<id>"
+  const getFirstReports = async (targetType, match) => {
+    const items = await targetModels[targetType].aggregate([
+      { $match: match },
+      {
+        $project: {
+          firstReportAt: {
+            $ifNull: [{ $min: "$reportedBy.createdAt" }, "$createdAt"],
+          },
+        },
+      },
+    ]);
+    return Object.fromEntries(
+      items.map(({ _id, firstReportAt }) => [
+        `${targetType}:${_id}`,
+        firstReportAt,
+      ]),
+    );
+  };
+
+  // how fast moderators respond to reports, and how often appeals overturn
+  // their removals, between "from" and "to"
+  const getModerationMetrics = async (from, to) => {
+    const createdAt = { $gte: from, $lte: to };
+
+    const [actedItems, decisionCounts, appealDecisions] = await Promise.all([
+      Audit.aggregate([
         {
-          $limit: Math.min(limit || MAX_REPORTS_PER_PAGE),
+          $match: { action: { $in: ["accept", "hold", "reject"] }, createdAt },
         },
         {
-          $lookup: {
-            as: "moderator",
-            foreignField: "_id",
-            from: "users",
-            localField: "moderatorId",
+          $group: {
+            _id: { targetId: "$targetId", targetType: "$targetType" },
+            actions: { $push: { action: "$action", createdAt: "$createdAt" } },
           },
         },
+      ]),
+      Audit.aggregate([
         {
-          $set: {
-            moderator: { $arrayElemAt: ["$moderator", 0] },
+          $match: {
+            action: { $in: ["accept", "acceptAppeal", "denyAppeal", "reject"] },
+            createdAt,
           },
         },
         {
-          $set: {
-            "moderator.name": {
-              $concat: ["$moderator.firstName", " ", "$moderator.lastName"],
-            },
+          $group: {
+            _id: { action: "$action", moderatorId: "$moderatorId" },
+            count: { $sum: 1 },
           },
         },
+      ]),
+      Audit.find({
+        action: { $in: ["acceptAppeal", "denyAppeal"] },
+        createdAt,
+      })
+        .select("action targetId")
+        .lean(),
+    ]);
+
+    const actedIds = (targetType) =>
+      actedItems
+        .filter(({ _id }) => _id.targetType === targetType)
+        .map(({ _id }) => _id.targetId);
+    const [firstReports, backlogReports, removals] = await Promise.all([
+      Promise.all(
+        Object.keys(targetModels).map((targetType) =>
+          getFirstReports(targetType, { _id: { $in: actedIds(targetType) } }),
+        ),
+      ),
+      Promise.all(
+        Object.keys(targetModels).map((targetType) =>
+          getFirstReports(targetType, { status: "flagged" }),
+        ),
+      ),
+      // who removed each appealed post last
+      Audit.aggregate([
         {
-          $project: {
-            postId: 1,
-            justification: 1,
-            createdAt: 1,
-            action: 1,
-            "moderator.name": 1,
-            "moderator.photo": 1,
+          $match: {
+            action: "accept",
+            targetId: { $in: appealDecisions.map(({ targetId }) => targetId) },
+            targetType: "posts",
           },
         },
-      ];
-
-      const totalLogsCount = await Audit.countDocuments();
+        { $sort: { createdAt: 1 } },
+        {
+          $group: { _id: "$targetId", moderatorId: { $last: "$moderatorId" } },
+        },
+      ]),
+    ]);
 
-      const [logsErr, logs] = await app.to(
-        Audit.aggregate(aggregationPipelineResults).then((logs) => {
-          logs.forEach((log) => {
-            log.elapsedTimeText = {
-              created: translateISOtoRelativeTime(log.createdAt),
-            };
-          });
-          return logs;
-        }),
-      );
+    const moderatorIds = [
+      ...decisionCounts.map(({ _id }) => _id.moderatorId),
+      ...removals.map(({ moderatorId }) => moderatorId),
+    ];
+    const moderators = await mongo
+      .model("User")
+      .find({ _id: { $in: moderatorIds } })
+      .select("firstName lastName")
+      .lean();
 
-      if (logsErr) {
-        req.log.error(logsErr, "Failed requesting logs");
-        throw app.httpErrors.internalServerError();
-      } else if (logs === null) {
-        return {
-          logs: [],
-          meta: {
-            total: 0,
-          },
-        };
-      } else {
-        return {
-          logs,
-          meta: {
-            total: totalLogsCount || 0,
-          },
-        };
-      }
-    },
-  );
+    const now = new Date();
+    const { firstAction, resolution } = getResponseTimes(
+      actedItems,
+      Object.assign({}, ...firstReports),
+    );
+    return {
+      appeals: getAppealStats(appealDecisions),
+      backlogAge: getDistribution(
+        Object.values(Object.assign({}, ...backlogReports)).map(
+          (reportedAt) => now - reportedAt,
+        ),
+      ),
+      moderators: getModeratorStats(
+        decisionCounts,
+        appealDecisions,
+        removals.reduce(
+          (removers, { _id, moderatorId }) => ({
+            ...removers,
+            [_id]: moderatorId,
+          }),
+          {},
+        ),
+        moderators.reduce(
+          (names, { _id, firstName, lastName }) => ({
+            ...names,
+            [_id]: `${firstName} ${lastName}`,
+          }),
+          {},
+        ),
+      ),
+      range: { from, to },
+      timeToFirstAction: getDistribution(firstAction),
+      timeToResolution: getDistribution(resolution),
+    };
+  };
 
   app.get(
     "/stats",
@@ -338,8 +936,17 @@ async function routes(app) {
         app.setActor,
         app.checkScopes([SCOPES.STATS_READ]),
       ],
+      schema: getStatsSchema,
     },
     async (req) => {
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to - DEFAULT_STATS_DAYS * 24 * 60 * 60 * 1000);
+      if (from > to) {
+        throw app.httpErrors.badRequest("invalidDateRange");
+      }
+
       const aggregationPipeline = [
         {
           $facet: {
@@ -620,9 +1227,13 @@ async function routes(app) {
         Audit.aggregate(auditLogStatsAggregationPipeline),
       );
 
-      if (postsStatsErr || auditStatsErr) {
+      const [metricsErr, moderationMetrics] = await app.to(
+        getModerationMetrics(from, to),
+      );
+
+      if (postsStatsErr || auditStatsErr || metricsErr) {
         req.log.error(
-          postsStatsErr || auditStatsErr,
+          postsStatsErr || auditStatsErr || metricsErr,
           "Failed requesting stats",
         );
         throw app.httpErrors.internalServerError();
@@ -635,6 +1246,7 @@ async function routes(app) {
         return { stats: null };
       } else {
         postsStats[0].auditStats = auditStats[0];
+        postsStats[0].moderationMetrics = moderationMetrics;
         return {
           stats: postsStats[0],
         };
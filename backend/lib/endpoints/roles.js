@@ -0,0 +1,212 @@
+const {
+  createRoleSchema,
+  deleteRoleSchema,
+  updateRoleSchema,
+} = require("./schema/roles");
+const { getChanges } = require("../components/AuditTrail");
+const { toPermissions, toScopeNames } = require("../components/Roles");
+const { SCOPES } = require("../constants");
+
+// its permissions are needed to manage roles, it can't be changed
+const ADMINISTRATOR_ROLE = "administrator";
+
+/*
+ * /api/roles
+ */
+async function routes(app) {
+  const Audit = app.mongo.model("Audit");
+  const IndividualUser = app.mongo.model("IndividualUser");
+  const Role = app.mongo.model("Role");
+
+  // every role edit is logged with the role before and/or after it
+  const recordRoleChange = async (req, action, role, changes) => {
+    const [err] = await app.to(
+      new Audit({
+        action,
+        moderatorId: req.userId,
+        targetId: role._id,
+        targetType: "roles",
+        ...changes,
+      }).save(),
+    );
+    if (err) {
+      req.log.error(err, "Failed saving audit log action");
+      throw app.httpErrors.internalServerError();
+    }
+  };
+
+  // the editable fields of a role
+  const roleValues = (role) => ({
+    name: role.name,
+    permissions: role.permissions,
+    regions: role.regions.map(({ country, state }) => ({ country, state })),
+  });
+
+  const toRoleView = (role, usersCount = 0) => ({
+    ...role.toObject(),
+    scopes: toScopeNames(role.permissions, SCOPES),
+    usersCount,
+  });
+
+  const checkNameAvailable = async (req, name, roleId) => {
+    const [err, taken] = await app.to(
+      Role.exists({ _id: { $ne: roleId }, name: name.trim() }),
+    );
+    if (err) {
+      req.log.error(err, "Failed checking role name");
+      throw app.httpErrors.internalServerError();
+    } else if (taken) {
+      throw app.httpErrors.conflict("roleNameTaken");
+    }
+  };
+
+  const preValidation = [
+    app.authenticate,
+    app.setActor,
+    app.checkScopes([SCOPES.MANAGE_USERS]),
+  ];
+
+  app.get("/", { preValidation }, async (req) => {
+    const [err, roles] = await app.to(Role.find().sort({ permissions: 1 }));
+    if (err) {
+      req.log.error(err, "Failed retrieving roles");
+      throw app.httpErrors.internalServerError();
+    }
+
+    const [countErr, counts] = await app.to(
+      IndividualUser.aggregate([
+        { $match: { roleId: { $in: roles.map(({ _id }) => _id) } } },
+        { $group: { _id: "$roleId", count: { $sum: 1 } } },
+      ]),
+    );
+    if (countErr) {
+      req.log.error(countErr, "Failed counting role users");
+      throw app.httpErrors.internalServerError();
+    }
+
+    return roles.map((role) => {
+      const roleCount = counts.find(({ _id }) => _id.equals(role._id));
+      return toRoleView(role, roleCount ? roleCount.count : 0);
+    });
+  });
+
+  app.post(
+    "/",
+    { preValidation, schema: createRoleSchema },
+    async (req, reply) => {
+      const { name, regions, scopes } = req.body;
+      await checkNameAvailable(req, name);
+
+      const [err, role] = await app.to(
+        new Role({
+          name,
+          permissions: toPermissions(scopes, SCOPES),
+          regions,
+        }).save(),
+      );
+      if (err) {
+        req.log.error(err, "Failed creating role");
+        throw app.httpErrors.internalServerError();
+      }
+      await recordRoleChange(req, "createRole", role, {
+        after: roleValues(role),
+      });
+
+      reply.code(201);
+      return toRoleView(role);
+    },
+  );
+
+  app.patch(
+    "/:roleId",
+    { preValidation, schema: updateRoleSchema },
+    async (req) => {
+      const {
+        body: { name, regions, scopes },
+        params: { roleId },
+      } = req;
+      const [findErr, role] = await app.to(Role.findById(roleId));
+      if (findErr) {
+        req.log.error(findErr, "Failed retrieving role");
+        throw app.httpErrors.internalServerError();
+      } else if (role === null) {
+        throw app.httpErrors.notFound();
+      } else if (
+        role.name === ADMINISTRATOR_ROLE ||
+        (role.builtIn && name !== undefined && name !== role.name)
+      ) {
+        throw app.httpErrors.badRequest("builtInRole");
+      }
+      if (name !== undefined) await checkNameAvailable(req, name, roleId);
+
+      const before = roleValues(role);
+      if (name !== undefined) role.name = name;
+      if (regions !== undefined) role.regions = regions;
+      if (scopes !== undefined)
+        role.permissions = toPermissions(scopes, SCOPES);
+      const [saveErr, updatedRole] = await app.to(role.save());
+      if (saveErr) {
+        req.log.error(saveErr, "Failed updating role");
+        throw app.httpErrors.internalServerError();
+      }
+
+      // users keep a copy of their role's permissions
+      const [usersErr] = await app.to(
+        IndividualUser.updateMany(
+          { roleId },
+          { $set: { permissions: updatedRole.permissions } },
+        ),
+      );
+      if (usersErr) {
+        req.log.error(usersErr, "Failed updating role users");
+        throw app.httpErrors.internalServerError();
+      }
+      await recordRoleChange(
+        req,
+        "updateRole",
+        updatedRole,
+        getChanges(before, roleValues(updatedRole)),
+      );
+
+      return toRoleView(updatedRole);
+    },
+  );
+
+  app.delete(
+    "/:roleId",
+    { preValidation, schema: deleteRoleSchema },
+    async (req) => {
+      const { roleId } = req.params;
+      const [findErr, role] = await app.to(Role.findById(roleId));
+      if (findErr) {
+        req.log.error(findErr, "Failed retrieving role");
+        throw app.httpErrors.internalServerError();
+      } else if (role === null) {
+        throw app.httpErrors.notFound();
+      } else if (role.builtIn) {
+        throw app.httpErrors.badRequest("builtInRole");
+      }
+
+      const [usedErr, isUsed] = await app.to(IndividualUser.exists({ roleId }));
+      if (usedErr) {
+        req.log.error(usedErr, "Failed checking role users");
+        throw app.httpErrors.internalServerError();
+      } else if (isUsed) {
+        throw app.httpErrors.conflict("roleInUse");
+      }
+
+      const [deleteErr] = await app.to(role.remove());
+      if (deleteErr) {
+        req.log.error(deleteErr, "Failed deleting role");
+        throw app.httpErrors.internalServerError();
+      }
+      await recordRoleChange(req, "deleteRole", role, {
+        before: roleValues(role),
+      });
+
+      return { success: true };
+    },
+  );
+}
+
+module.exports = routes;
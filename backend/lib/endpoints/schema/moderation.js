@@ -0,0 +1,94 @@
+const S = require("fluent-schema");
+const { strictSchema } = require("./utils");
+const {
+  RULE_KINDS,
+  RULE_NAME_MAX_LENGTH,
+  RULE_TARGETS,
+} = require("../../models/ModerationRule");
+const {
+  SANCTION_REASON_MAX_LENGTH,
+  SANCTION_TYPES,
+} = require("../../models/Sanction");
+
+const MAX_BLOCKLIST_PHRASES = 200;
+
+const ruleParamsSchema = strictSchema()
+  .prop("accountAgeDays", S.number().minimum(0))
+  .prop("maxItems", S.integer().minimum(0))
+  .prop("maxLinks", S.integer().minimum(0))
+  .prop("periodHours", S.number().minimum(1))
+  .prop(
+    "phrases",
+    S.array()
+      .maxItems(MAX_BLOCKLIST_PHRASES)
+      .items(S.string().minLength(1).maxLength(100)),
+  )
+  .prop("reportsCount", S.integer().minimum(1));
+
+const appliesToSchema = S.array()
+  .minItems(1)
+  .uniqueItems(true)
+  .items(S.string().enum(RULE_TARGETS));
+
+const ruleNameSchema = S.string().minLength(1).maxLength(RULE_NAME_MAX_LENGTH);
+
+const ruleIdSchema = strictSchema().prop("ruleId", S.string().required());
+
+const createRuleSchema = {
+  body: strictSchema()
+    .prop("appliesTo", appliesToSchema.required())
+    .prop("enabled", S.boolean())
+    .prop("kind", S.string().enum(RULE_KINDS).required())
+    .prop("name", ruleNameSchema.required())
+    .prop("params", ruleParamsSchema.required()),
+};
+
+const updateRuleSchema = {
+  body: strictSchema()
+    .prop("appliesTo", appliesToSchema)
+    .prop("enabled", S.boolean())
+    .prop("name", ruleNameSchema)
+    .prop("params", ruleParamsSchema),
+  params: ruleIdSchema,
+};
+
+const deleteRuleSchema = {
+  params: ruleIdSchema,
+};
+
+const SANCTION_TARGETS = ["users", "organisations"];
+
+const sanctionTargetSchema = strictSchema()
+  .prop("targetType", S.string().enum(SANCTION_TARGETS).required())
+  .prop("targetId", S.string().required());
+
+const getSanctionsSchema = {
+  querystring: strictSchema()
+    .prop("limit", S.integer().minimum(1).maximum(20).default(10))
+    .prop("skip", S.number())
+    .prop("targetType", S.string().enum(SANCTION_TARGETS)),
+};
+
+const createSanctionSchema = {
+  body: strictSchema()
+    .prop("durationDays", S.integer().minimum(1))
+    .prop(
+      "reason",
+      S.string().minLength(1).maxLength(SANCTION_REASON_MAX_LENGTH).required(),
+    )
+    .prop("type", S.string().enum(SANCTION_TYPES).required()),
+  params: sanctionTargetSchema,
+};
+
+const revokeSanctionSchema = {
+  params: sanctionTargetSchema.prop("sanctionId", S.string().required()),
+};
+
+module.exports = {
+  createRuleSchema,
+  createSanctionSchema,
+  deleteRuleSchema,
+  getSanctionsSchema,
+  revokeSanctionSchema,
+  updateRuleSchema,
+};
@@ -2,6 +2,7 @@ const S = require("fluent-schema");
 const { strictSchema, strictQueryStringSchema } = require("./utils");
 const { locationSchema } = require("./location");
 const { notifyPreferenceSchema } = require("./notificationPreference");
+const { ORG_MEMBER_ROLES } = require("../../models/OrganisationMember");
 
 const organisation = {
   about: S.string().maxLength(260),
@@ -42,6 +43,18 @@ const createOrganisationSchema = {
     .required(["location"]),
 };
 
+const createOrganisationInviteSchema = {
+  body: strictSchema()
+    .prop("email", S.string().format("email").required())
+    .prop("role", S.string().enum(ORG_MEMBER_ROLES).required()),
+  params: strictSchema().prop("organisationId", S.string().required()),
+};
+
+const createOwnershipTransferSchema = {
+  body: strictSchema().prop("userId", S.string().required()),
+  params: strictSchema().prop("organisationId", S.string().required()),
+};
+
 const createOrganisationAvatarSchema = {
   body: strictSchema().prop("file", S.required()),
   params: strictSchema().prop("organisationId", S.string().required()),
@@ -84,16 +97,48 @@ const updateOrganisationSchema = {
   params: strictSchema().prop("organisationId", S.string().required()),
 };
 
+const deleteOrganisationInviteSchema = {
+  params: strictSchema()
+    .prop("inviteId", S.string().required())
+    .prop("organisationId", S.string().required()),
+};
+
+const deleteOrganisationMemberSchema = {
+  params: strictSchema()
+    .prop("memberId", S.string().required())
+    .prop("organisationId", S.string().required()),
+};
+
+const getOrganisationInviteSchema = {
+  params: strictSchema().prop("token", S.string().required()),
+};
+
+const updateOrganisationMemberSchema = {
+  body: strictSchema().prop(
+    "role",
+    S.string().enum(ORG_MEMBER_ROLES).required(),
+  ),
+  params: strictSchema()
+    .prop("memberId", S.string().required())
+    .prop("organisationId", S.string().required()),
+};
+
 const deleteOrganisationSchema = {
   params: strictSchema().prop("organisationId", S.string().required()),
 };
 
 module.exports = {
   createOrganisationAvatarSchema,
+  createOrganisationInviteSchema,
   createOrganisationSchema,
+  createOwnershipTransferSchema,
+  deleteOrganisationInviteSchema,
+  deleteOrganisationMemberSchema,
   deleteOrganisationSchema,
+  getOrganisationInviteSchema,
   getOrganisationSchema,
   getOrganisationsSchema,
   searchOrganisationsSchema,
+  updateOrganisationMemberSchema,
   updateOrganisationSchema,
 };
@@ -2,27 +2,73 @@ const S = require("fluent-schema");
 const { strictSchema, strictQueryStringSchema } = require("./utils");
 
 const {
+  ATTACHMENT_MAX_SIZE,
+  ATTACHMENT_MIME_TYPES,
+  ATTACHMENT_NAME_MAX_LENGTH,
+  CLOSING_REASON_MAX_LENGTH,
   EXPIRATION_OPTIONS,
+  MAX_ATTACHMENTS,
+  MAX_RADIUS_KM,
   POST_OBJECTIVES,
+  POST_STATES,
   POST_TYPES,
   VISIBILITY_OPTIONS,
 } = require("../../models/Post");
+const { MAX_MENTIONS } = require("../../components/Mentions");
+
+const MATCH_MAX_LIMIT = 20;
+
+const attachmentsSchema = S.array()
+  .maxItems(MAX_ATTACHMENTS)
+  .items(
+    strictSchema()
+      .prop("mimeType", S.string().enum(ATTACHMENT_MIME_TYPES).required())
+      .prop("name", S.string().maxLength(ATTACHMENT_NAME_MAX_LENGTH).required())
+      .prop(
+        "size",
+        S.integer().minimum(0).maximum(ATTACHMENT_MAX_SIZE).required(),
+      )
+      .prop("url", S.string().format("url").required()),
+  );
+
+const radiusKmSchema = S.number().minimum(1).maximum(MAX_RADIUS_KM);
 
 const getPostsSchema = {
   querystring: strictQueryStringSchema()
     .prop("actorId", S.string())
     .prop("authorId", S.string())
+    .prop("cursor", S.string()) // opaque, from meta.nextCursor of the previous page
     .prop("filter", S.string()) // URI encoded JSON; TODO: figure out way to custom validation
     .prop("keywords", S.string())
     .prop("ignoreUserLocation", S.boolean().default(false))
     .prop("objective", S.string().enum(POST_OBJECTIVES))
+    .prop("radiusKm", radiusKmSchema) // only applies with a location
     .prop("skip", S.integer())
+    .prop("state", S.string().enum(POST_STATES))
     .prop("includeMeta", S.boolean().default(false)),
 };
 
+const getPostsFeedSchema = {
+  querystring: strictSchema()
+    .prop("filter", S.string()) // same as getPostsSchema
+    .prop("keywords", S.string())
+    .prop("objective", S.string().enum(POST_OBJECTIVES))
+    .prop("radiusKm", radiusKmSchema),
+};
+
+const getPostsGeoSchema = {
+  querystring: strictSchema()
+    .prop("filter", S.string()) // same as getPostsSchema
+    .prop("ignoreUserLocation", S.boolean().default(false))
+    .prop("keywords", S.string())
+    .prop("objective", S.string().enum(POST_OBJECTIVES))
+    .prop("radiusKm", radiusKmSchema),
+};
+
 const createPostSchema = {
   body: strictSchema()
     .prop("actorId", S.string())
+    .prop("attachments", attachmentsSchema)
     .prop("content", S.string().required())
     .prop("expireAt", S.string().enum(EXPIRATION_OPTIONS).required())
     .prop(
@@ -40,7 +86,24 @@ const createPostSchema = {
       "types",
       S.array().minItems(1).items(S.string().enum(POST_TYPES)).required(),
     )
-    .prop("visibility", S.string().enum(VISIBILITY_OPTIONS).required()),
+    .prop("visibility", S.string().enum(VISIBILITY_OPTIONS).required())
+    .prop("visibilityRadiusKm", radiusKmSchema),
+};
+
+const createPostAttachmentSchema = {
+  body: strictSchema().prop("file", S.required()),
+};
+
+const getPostMatchesSchema = {
+  params: strictSchema().prop("postId", S.string().required()),
+  querystring: strictSchema().prop(
+    "limit",
+    S.integer().minimum(1).maximum(MATCH_MAX_LIMIT),
+  ),
+};
+
+const getPostRevisionsSchema = {
+  params: strictSchema().prop("postId", S.string().required()),
 };
 
 const getPostByIdSchema = {
@@ -49,6 +112,7 @@ const getPostByIdSchema = {
 
 const updatePostSchema = {
   body: strictSchema()
+    .prop("attachments", attachmentsSchema)
     .prop("content", S.string())
     .prop("expireAt", S.string().enum(EXPIRATION_OPTIONS))
     .prop(
@@ -63,10 +127,18 @@ const updatePostSchema = {
     .prop("objective", S.string().enum(POST_OBJECTIVES))
     .prop("title", S.string())
     .prop("types", S.array().minItems(1).items(S.string().enum(POST_TYPES)))
-    .prop("visibility", S.string().enum(VISIBILITY_OPTIONS)),
+    .prop("visibility", S.string().enum(VISIBILITY_OPTIONS))
+    .prop("visibilityRadiusKm", radiusKmSchema),
   params: S.object().prop("postId", S.string()),
 };
 
+const updatePostStateSchema = {
+  body: strictSchema()
+    .prop("closingReason", S.string().maxLength(CLOSING_REASON_MAX_LENGTH))
+    .prop("state", S.string().enum(POST_STATES).required()),
+  params: strictSchema().prop("postId", S.string().required()),
+};
+
 const likeUnlikePostSchema = {
   params: strictSchema()
     .prop("actorId", S.string().required())
@@ -80,14 +152,26 @@ const likeUnlikeCommentSchema = {
     .prop("commentId", S.string().required()),
 };
 
+const bookmarkPostSchema = {
+  params: strictSchema().prop("postId", S.string().required()),
+};
+
+const renewPostSchema = {
+  params: strictSchema().prop("postId", S.string().required()),
+};
+
 const deletePostSchema = {
   params: strictSchema().prop("postId", S.string().required()),
 };
 
+// ids of the users picked in the mention autocomplete
+const mentionsSchema = S.array().maxItems(MAX_MENTIONS).items(S.string());
+
 const createCommentSchema = {
   body: strictSchema()
     .prop("actorId", S.string())
     .prop("content", S.string().required())
+    .prop("mentions", mentionsSchema)
     .prop("parentId", S.string()),
   params: strictSchema().prop("postId", S.string().required()),
 };
@@ -104,22 +188,32 @@ const deleteCommentSchema = {
 };
 
 const updateCommentSchema = {
-  body: strictSchema().prop("content", S.string().required()),
+  body: strictSchema()
+    .prop("content", S.string().required())
+    .prop("mentions", mentionsSchema),
   params: strictSchema()
     .prop("commentId", S.string().required())
     .prop("postId", S.string().required()),
 };
 
 module.exports = {
+  bookmarkPostSchema,
   createCommentSchema,
+  createPostAttachmentSchema,
   createPostSchema,
   deleteCommentSchema,
   deletePostSchema,
   getCommentsSchema,
   getPostByIdSchema,
+  getPostMatchesSchema,
+  getPostRevisionsSchema,
+  getPostsFeedSchema,
+  getPostsGeoSchema,
   getPostsSchema,
   likeUnlikeCommentSchema,
   likeUnlikePostSchema,
+  renewPostSchema,
   updateCommentSchema,
   updatePostSchema,
+  updatePostStateSchema,
 };
@@ -1,17 +1,32 @@
 const S = require("fluent-schema");
 const { strictSchema } = require("./utils");
-const { POST_STATUS } = require("../../models/Post");
-const { MODERATOR_ACTIONS } = require("../../models/Audit");
+const { REPORT_STATUS, REPORT_TARGETS } = require("../../models/Report");
+const {
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS,
+  MODERATOR_ACTIONS,
+} = require("../../models/Audit");
+const {
+  APPEAL_EXPLANATION_MAX_LENGTH,
+  APPEAL_STATUS,
+} = require("../../models/Post");
 
-const createPostReportSchema = {
+const targetTypeSchema = S.string().enum(REPORT_TARGETS).required();
+
+const targetSchema = strictSchema()
+  .prop("targetId", S.string().required())
+  .prop("targetType", targetTypeSchema);
+
+const createReportSchema = {
   body: strictSchema().prop("reason", S.string().required().maxLength(500)),
-  params: strictSchema().prop("postId", S.string().required()),
+  params: targetSchema,
 };
 
-const getPostReportsSchema = {
+const getReportsSchema = {
+  params: strictSchema().prop("targetType", targetTypeSchema),
   querystring: strictSchema()
     .prop("limit", S.integer().minimum(1).maximum(20).default(10))
-    .prop("status", S.string().enum(POST_STATUS).required())
+    .prop("status", S.string().enum(REPORT_STATUS).required())
     .prop("skip", S.number())
     .prop("includeMeta", S.boolean().default(false))
     .prop("keywords", S.string()),
@@ -20,19 +35,83 @@ const getPostReportsSchema = {
 const moderatorActionSchema = {
   body: strictSchema()
     .prop("justification", S.string().required())
-    .prop("action", S.string().enum(MODERATOR_ACTIONS).required()),
-  params: strictSchema().prop("postId", S.string().required()),
+    .prop("action", S.string().enum(MODERATOR_ACTIONS).required())
+    // decides items claimed by another moderator
+    .prop("force", S.boolean().default(false)),
+  params: targetSchema,
 };
 
-const getAuditLogSchema = {
+const claimReportSchema = {
+  body: strictSchema().prop("force", S.boolean().default(false)),
+  params: targetSchema,
+};
+
+const releaseReportSchema = {
+  params: targetSchema,
+};
+
+const appealParamsSchema = strictSchema().prop("postId", S.string().required());
+
+const createAppealSchema = {
+  body: strictSchema().prop(
+    "explanation",
+    S.string().required().maxLength(APPEAL_EXPLANATION_MAX_LENGTH),
+  ),
+  params: appealParamsSchema,
+};
+
+const getAppealsSchema = {
   querystring: strictSchema()
     .prop("limit", S.integer().minimum(1).maximum(20).default(10))
+    .prop("status", S.string().enum(APPEAL_STATUS).default("pending"))
     .prop("skip", S.number()),
 };
 
+const appealDecisionSchema = {
+  body: strictSchema()
+    .prop("justification", S.string().required())
+    .prop("action", S.string().enum(["accept", "deny"]).required()),
+  params: appealParamsSchema,
+};
+
+// moderator or admin name, action, target and dates
+const auditLogFilters = strictSchema()
+  .prop("action", S.string().enum(AUDIT_ACTIONS))
+  .prop("actor", S.string())
+  .prop("from", S.string().format("date-time"))
+  .prop("targetType", S.string().enum(AUDIT_TARGETS))
+  .prop("to", S.string().format("date-time"));
+
+const getAuditLogSchema = {
+  querystring: auditLogFilters
+    .prop("limit", S.integer().minimum(1).maximum(20).default(10))
+    .prop("skip", S.number()),
+};
+
+const exportAuditLogSchema = {
+  querystring: auditLogFilters.prop(
+    "format",
+    S.string().enum(["csv", "json"]).default("csv"),
+  ),
+};
+
+// range of the moderation performance metrics, the last 30 days by default
+const getStatsSchema = {
+  querystring: strictSchema()
+    .prop("from", S.string().format("date-time"))
+    .prop("to", S.string().format("date-time")),
+};
+
 module.exports = {
-  createPostReportSchema,
+  appealDecisionSchema,
+  claimReportSchema,
+  createAppealSchema,
+  createReportSchema,
+  exportAuditLogSchema,
+  getAppealsSchema,
   getAuditLogSchema,
-  getPostReportsSchema,
+  getReportsSchema,
+  getStatsSchema,
   moderatorActionSchema,
+  releaseReportSchema,
 };
@@ -0,0 +1,48 @@
+const S = require("fluent-schema");
+const { strictSchema } = require("./utils");
+const { ROLE_NAME_MAX_LENGTH } = require("../../models/Role");
+const { SCOPES } = require("../../constants");
+
+const MAX_ROLE_REGIONS = 50;
+
+// every scope but NONE can be granted
+const scopesSchema = S.array()
+  .uniqueItems(true)
+  .items(S.string().enum(Object.keys(SCOPES).filter((name) => SCOPES[name])));
+
+const regionsSchema = S.array()
+  .maxItems(MAX_ROLE_REGIONS)
+  .items(
+    strictSchema()
+      .prop("country", S.string().minLength(1).maxLength(100).required())
+      .prop("state", S.string().maxLength(100)),
+  );
+
+const roleNameSchema = S.string().minLength(1).maxLength(ROLE_NAME_MAX_LENGTH);
+
+const roleIdSchema = strictSchema().prop("roleId", S.string().required());
+
+const createRoleSchema = {
+  body: strictSchema()
+    .prop("name", roleNameSchema.required())
+    .prop("regions", regionsSchema)
+    .prop("scopes", scopesSchema.required()),
+};
+
+const updateRoleSchema = {
+  body: strictSchema()
+    .prop("name", roleNameSchema)
+    .prop("regions", regionsSchema)
+    .prop("scopes", scopesSchema),
+  params: roleIdSchema,
+};
+
+const deleteRoleSchema = {
+  params: roleIdSchema,
+};
+
+module.exports = {
+  createRoleSchema,
+  deleteRoleSchema,
+  updateRoleSchema,
+};
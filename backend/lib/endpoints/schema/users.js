@@ -2,6 +2,12 @@ const S = require("fluent-schema");
 const { strictSchema, strictQueryStringSchema } = require("./utils");
 const { locationSchema } = require("./location");
 const { notifyPreferenceSchema } = require("./notificationPreference");
+const { USER_TYPES } = require("../../models/Author");
+const { POST_OBJECTIVES, POST_TYPES } = require("../../models/Post");
+const {
+  SAVED_SEARCH_FREQUENCIES,
+  SAVED_SEARCH_NAME_MAX_LENGTH,
+} = require("../../models/SavedSearch");
 
 // todo: upgrade to shorter regex when AJV supported, see https://github.com/ajv-validator/ajv/blob/master/lib/compile/formats.js#L16
 //  const URL_REGEX = /^(?:(?:https?):\/\/)?(?:\S+(?::\S*)?@)?(?:(?!10(?:\.\d{1,3}){3})(?!127(?:\.\d{1,3}){3})(?!169\.254(?:\.\d{1,3}){2})(?!192\.168(?:\.\d{1,3}){2})(?!172\.(?:1[6-9]|2\d|3[0-1])(?:\.\d{1,3}){2})(?:[1-9]\d?|1\d\d|2[01]\d|22[0-3])(?:\.(?:1?\d{1,2}|2[0-4]\d|25[0-5])){2}(?:\.(?:[1-9]\d?|1\d\d|2[0-4]\d|25[0-4]))|(?:(?:[a-z\u{00a1}-\u{ffff}0-9]+-?)*[a-z\u{00a1}-\u{ffff}0-9]+)(?:\.(?:[a-z\u{00a1}-\u{ffff}0-9]+-?)*[a-z\u{00a1}-\u{ffff}0-9]+)*(?:\.(?:[a-z\u{00a1}-\u{ffff}]{2,})))(?::\d{2,5})?(?:\/[^\s]*)?$/iu;
@@ -71,6 +77,17 @@ const getUsersSchema = {
     .prop("ignoreUserLocation", S.boolean().default(false)),
 };
 
+const getBookmarksSchema = {
+  querystring: strictQueryStringSchema().prop("skip", S.integer().minimum(0)),
+};
+
+const getMentionSuggestionsSchema = {
+  querystring: strictQueryStringSchema().prop(
+    "keywords",
+    S.string().minLength(1).required(),
+  ),
+};
+
 const createUserAvatarSchema = {
   body: strictSchema().prop("file", S.required()),
 };
@@ -79,6 +96,76 @@ const getUserByIdSchema = {
   params: strictSchema().prop("userId", S.string().required()),
 };
 
+const savedSearchFiltersSchema = strictSchema()
+  .prop("keywords", S.string())
+  .prop("location", locationSchema)
+  .prop("objective", S.string().enum(POST_OBJECTIVES))
+  .prop("providers", S.array().items(S.string().enum(USER_TYPES)))
+  .prop("type", S.array().items(S.string().enum(POST_TYPES)));
+
+const createSavedSearchSchema = {
+  body: strictSchema()
+    .prop("filters", savedSearchFiltersSchema.required())
+    .prop("frequency", S.string().enum(SAVED_SEARCH_FREQUENCIES))
+    .prop(
+      "name",
+      S.string()
+        .minLength(1)
+        .maxLength(SAVED_SEARCH_NAME_MAX_LENGTH)
+        .required(),
+    ),
+};
+
+const updateSavedSearchSchema = {
+  body: strictSchema()
+    .prop("filters", savedSearchFiltersSchema)
+    .prop("frequency", S.string().enum(SAVED_SEARCH_FREQUENCIES))
+    .prop(
+      "name",
+      S.string().minLength(1).maxLength(SAVED_SEARCH_NAME_MAX_LENGTH),
+    ),
+  params: strictSchema().prop("searchId", S.string().required()),
+};
+
+const deleteSavedSearchSchema = {
+  params: strictSchema().prop("searchId", S.string().required()),
+};
+
+const deleteUserSchema = {
+  response: {
+    200: strictSchema().prop(
+      "deletionScheduledAt",
+      S.string().format("date-time").required(),
+    ),
+  },
+};
+
+const cancelUserDeletionSchema = {
+  response: {
+    200: strictSchema().prop("success", S.boolean().required()),
+  },
+};
+
+// exported documents are kept as they are stored
+const exportedDocumentsSchema = S.array().items(
+  S.object().additionalProperties(true),
+);
+
+const exportUserSchema = {
+  response: {
+    200: strictSchema()
+      .prop("bookmarks", exportedDocumentsSchema)
+      .prop("comments", exportedDocumentsSchema)
+      .prop("exportedAt", S.string().format("date-time"))
+      .prop("messages", exportedDocumentsSchema)
+      .prop("notifications", exportedDocumentsSchema)
+      .prop("organisations", exportedDocumentsSchema)
+      .prop("posts", exportedDocumentsSchema)
+      .prop("profile", S.object().additionalProperties(true))
+      .prop("threads", exportedDocumentsSchema),
+  },
+};
+
 const setUserPermissionsSchema = {
   body: strictSchema().prop("role", S.string().maxLength(100)),
   params: strictSchema().prop("userId", S.string().required()),
@@ -99,10 +186,18 @@ const updateUserSchema = {
 };
 
 module.exports = {
+  cancelUserDeletionSchema,
+  createSavedSearchSchema,
   createUserAvatarSchema,
   createUserSchema,
+  deleteSavedSearchSchema,
+  deleteUserSchema,
+  exportUserSchema,
+  getBookmarksSchema,
+  getMentionSuggestionsSchema,
   getUserByIdSchema,
   getUsersSchema,
   setUserPermissionsSchema,
+  updateSavedSearchSchema,
   updateUserSchema,
 };
@@ -7,24 +7,49 @@ const { updateNotifyPrefsSchema } = require("./schema/notificationPreference");
 const {
   getUserByIdSchema,
   getUsersSchema,
+  cancelUserDeletionSchema,
+  createSavedSearchSchema,
   createUserAvatarSchema,
   createUserSchema,
+  deleteSavedSearchSchema,
+  deleteUserSchema,
+  exportUserSchema,
+  getBookmarksSchema,
+  getMentionSuggestionsSchema,
   setUserPermissionsSchema,
+  updateSavedSearchSchema,
   updateUserSchema,
 } = require("./schema/users");
-const { SCOPES, ROLES } = require("../constants");
+const { SCOPES } = require("../constants");
+const { MAX_SAVED_SEARCHES } = require("../models/SavedSearch");
+const { mentionSearchRegex } = require("../components/Mentions");
+const { getOrgRole } = require("../components/OrgMembers");
+const { getUpdateChanges } = require("../components/AuditTrail");
+const { toSanctionView } = require("../components/Sanctions");
+const {
+  getChangedFields,
+  toAuthorFields,
+} = require("../components/AuthorCopies");
+const {
+  exportAccount,
+  getDeletionDate,
+  getExportFilename,
+} = require("../components/AccountDeletion");
 
 /*
  * /api/users
  */
 async function routes(app) {
-  const Comment = app.mongo.model("Comment");
+  const Audit = app.mongo.model("Audit");
+  const Bookmark = app.mongo.model("Bookmark");
   const User = app.mongo.model("IndividualUser");
   const BaseUser = app.mongo.model("User");
+  const Organisation = app.mongo.model("OrganisationUser");
   const Post = app.mongo.model("Post");
-  const Thread = app.mongo.model("Thread");
+  const Role = app.mongo.model("Role");
 
   const USERS_PAGE_SIZE = 10;
+  const BOOKMARKS_PAGE_SIZE = 20;
 
   app.get(
     "/",
@@ -58,7 +83,7 @@ async function routes(app) {
       }
 
       /* eslint-disable sort-keys */
-      const filters = [{ type: "Individual" }];
+      const filters = [{ type: "Individual" }, { status: { $ne: "removed" } }];
 
       // prefer location from query filters, then user if authenticated
       let location;
@@ -214,54 +239,77 @@ async function routes(app) {
     },
   );
 
-  app.get("/current", { preValidation: [app.authenticate] }, async (req) => {
-    const { userId } = req;
-    const [userErr, user] = await app.to(
-      User.findById(userId).populate("organisations"),
-    );
-    if (userErr) {
-      req.log.error(userErr, "Failed retrieving user");
-      throw app.httpErrors.internalServerError();
-    } else if (user === null) {
-      req.log.error(userErr, "User does not exist");
-      throw app.httpErrors.notFound();
-    }
+  // reachable while sanctioned so the client can explain the sanction
+  app.get(
+    "/current",
+    {
+      config: { allowSanctioned: true },
+      preValidation: [app.authenticate],
+    },
+    async (req) => {
+      const { sanction, userId } = req;
+      const [userErr, user] = await app.to(
+        User.findById(userId).populate("organisations"),
+      );
+      if (userErr) {
+        req.log.error(userErr, "Failed retrieving user");
+        throw app.httpErrors.internalServerError();
+      } else if (user === null) {
+        req.log.error(userErr, "User does not exist");
+        throw app.httpErrors.notFound();
+      }
 
-    const {
-      _id: id,
-      about,
-      email,
-      firstName,
-      hide,
-      lastName,
-      location,
-      needs,
-      objectives,
-      organisations,
-      urls,
-      permissions,
-      photo,
-      notifyPrefs,
-      usesPassword,
-    } = user;
-    return {
-      about,
-      email,
-      firstName,
-      hide,
-      id,
-      lastName,
-      location,
-      needs,
-      objectives,
-      organisations,
-      photo,
-      urls,
-      permissions,
-      notifyPrefs,
-      usesPassword,
-    };
-  });
+      // organisations the user is a member of besides the ones they own
+      const [membershipsErr, memberships] = await app.to(
+        Organisation.find({ "members.userId": userId }),
+      );
+      if (membershipsErr) {
+        req.log.error(membershipsErr, "Failed retrieving memberships");
+        throw app.httpErrors.internalServerError();
+      }
+
+      const {
+        _id: id,
+        about,
+        deletionScheduledAt,
+        email,
+        firstName,
+        hide,
+        lastName,
+        location,
+        needs,
+        objectives,
+        organisations,
+        urls,
+        permissions,
+        photo,
+        notifyPrefs,
+        usesPassword,
+      } = user;
+      return {
+        about,
+        deletionScheduledAt,
+        email,
+        firstName,
+        hide,
+        id,
+        lastName,
+        location,
+        needs,
+        objectives,
+        organisations: [...organisations, ...memberships].map((org) => ({
+          ...org.toObject(),
+          role: getOrgRole(org, userId),
+        })),
+        photo,
+        urls,
+        permissions,
+        notifyPrefs,
+        usesPassword,
+        sanction: toSanctionView(sanction),
+      };
+    },
+  );
 
   app.patch(
     "/current",
@@ -275,6 +323,7 @@ async function routes(app) {
       } else if (user === null) {
         throw app.httpErrors.notFound();
       }
+      const previous = toAuthorFields(user);
       const [updateErr, updatedUser] = await app.to(
         Object.assign(user, body).save(),
       );
@@ -283,54 +332,91 @@ async function routes(app) {
         throw app.httpErrors.internalServerError();
       }
 
-      // -- Update Author References if needed
-      const { firstName, lastName, photo } = body;
-      if (firstName || lastName || photo) {
-        const updateOps = {};
-        if (firstName || lastName) {
-          updateOps["author.name"] = updatedUser.name;
-        }
-        if (photo) {
-          updateOps["author.photo"] = updatedUser.photo;
-        }
+      const changedFields = getChangedFields(previous, updatedUser);
+      if (changedFields.length) {
+        await app.authorCopies.propagate(updatedUser, changedFields);
+      }
+      return updatedUser;
+    },
+  );
 
-        const [postErr] = await app.to(
-          Post.updateMany(
-            { "author.id": updatedUser._id },
-            { $set: updateOps },
-          ),
-        );
-        if (postErr) {
-          req.log.error(postErr, "Failed updating author refs at posts");
-        }
+  // everything the user shared, including as the organisations they own
+  app.get(
+    "/current/export",
+    {
+      config: { allowSanctioned: true },
+      preValidation: [app.authenticate],
+      schema: exportUserSchema,
+    },
+    async (req, reply) => {
+      const [err, data] = await app.to(exportAccount(app, req.userId));
+      if (err) {
+        req.log.error(err, "Failed retrieving data to export");
+        throw app.httpErrors.internalServerError();
+      } else if (data === null) {
+        throw app.httpErrors.notFound();
+      }
 
-        const [commentErr] = await app.to(
-          Comment.updateMany(
-            { "author.id": updatedUser._id },
-            { $set: updateOps },
-          ),
-        );
-        if (commentErr) {
-          req.log.error(commentErr, "Failed updating author refs at comments");
-        }
+      reply.header(
+        "Content-Disposition",
+        `attachment; filename="${getExportFilename()}"`,
+      );
+      return data;
+    },
+  );
 
-        const [threadErr] = await app.to(
-          Thread.updateMany(
-            { "participants.id": updatedUser._id },
-            {
-              $set: {
-                "participants.$[userToUpdate].name": updatedUser.name,
-                "participants.$[userToUpdate].photo": updatedUser.photo,
-              },
-            },
-            { arrayFilters: [{ "userToUpdate.id": updatedUser._id }] },
-          ),
+  // the account is only deleted after a cooling-off period, see
+  // plugins/account-deletion, so users can change their mind
+  app.delete(
+    "/current",
+    {
+      config: { allowSanctioned: true },
+      preValidation: [app.authenticate],
+      schema: deleteUserSchema,
+    },
+    async (req) => {
+      const { userId } = req;
+      const [err, user] = await app.to(User.findById(userId));
+      if (err) {
+        req.log.error(err, "Failed retrieving user");
+        throw app.httpErrors.internalServerError();
+      } else if (user === null) {
+        throw app.httpErrors.notFound();
+      }
+
+      if (!user.deletionScheduledAt) {
+        user.deletionScheduledAt = getDeletionDate(
+          config.accountDeletion.coolingOffDays,
         );
-        if (threadErr) {
-          req.log.error(threadErr, "Failed updating author refs at threads");
+        const [saveErr] = await app.to(user.save());
+        if (saveErr) {
+          req.log.error(saveErr, "Failed scheduling account deletion");
+          throw app.httpErrors.internalServerError();
         }
       }
-      return updatedUser;
+      return { deletionScheduledAt: user.deletionScheduledAt };
+    },
+  );
+
+  app.delete(
+    "/current/deletion",
+    {
+      config: { allowSanctioned: true },
+      preValidation: [app.authenticate],
+      schema: cancelUserDeletionSchema,
+    },
+    async (req) => {
+      const { userId } = req;
+      const [err, user] = await app.to(
+        User.findByIdAndUpdate(userId, { $unset: { deletionScheduledAt: "" } }),
+      );
+      if (err) {
+        req.log.error(err, "Failed cancelling account deletion");
+        throw app.httpErrors.internalServerError();
+      } else if (user === null) {
+        throw app.httpErrors.notFound();
+      }
+      return { success: true };
     },
   );
 
@@ -361,9 +447,15 @@ async function routes(app) {
         organisations,
         objectives,
         photo,
+        status,
         urls,
         usesPassword,
       } = user;
+      const ownUser = authUserId !== null && authUserId.equals(user.id);
+      // profiles removed by moderators are only left to their owner
+      if (status === "removed" && !ownUser) {
+        throw app.httpErrors.notFound();
+      }
 
       let { location } = user;
 
@@ -373,7 +465,6 @@ async function routes(app) {
       if (hide.address) {
         location = {};
       }
-      const ownUser = authUserId !== null && authUserId.equals(user.id);
       return {
         about,
         firstName,
@@ -412,47 +503,7 @@ async function routes(app) {
           reject(app.httpErrors.internalServerError());
         }
 
-        // -- Update Author photo references if needed
-        const updateOps = {
-          "author.photo": updatedUser.photo,
-        };
-        const [postErr] = await app.to(
-          Post.updateMany(
-            { "author.id": updatedUser._id },
-            { $set: updateOps },
-          ),
-        );
-        if (postErr) {
-          req.log.error(postErr, "Failed updating author photo refs at posts");
-        }
-
-        const [commentErr] = await app.to(
-          Comment.updateMany(
-            { "author.id": updatedUser._id },
-            { $set: updateOps },
-          ),
-        );
-        if (commentErr) {
-          req.log.error(
-            commentErr,
-            "Failed updating author photo refs at comments",
-          );
-        }
-
-        const [threadErr] = await app.to(
-          Thread.updateMany(
-            { "participants.id": updatedUser._id },
-            {
-              $set: {
-                "participants.$[userToUpdate].photo": updatedUser.photo,
-              },
-            },
-            { arrayFilters: [{ "userToUpdate.id": updatedUser._id }] },
-          ),
-        );
-        if (threadErr) {
-          req.log.error(threadErr, "Failed updating author photo at threads");
-        }
+        await app.authorCopies.propagate(updatedUser, ["photo"]);
 
         resolve({
           updatedUser,
@@ -489,6 +540,189 @@ async function routes(app) {
     },
   );
 
+  // -- Saved searches
+  const findCurrentUser = async (req) => {
+    const { userId } = req;
+    const [err, user] = await app.to(User.findById(userId));
+    if (err) {
+      req.log.error(err, `Failed retrieving user userId=${userId}`);
+      throw app.httpErrors.internalServerError();
+    } else if (user === null) {
+      throw app.httpErrors.notFound();
+    }
+    return user;
+  };
+
+  app.get(
+    "/current/saved-searches",
+    { preValidation: [app.authenticate] },
+    async (req) => {
+      const user = await findCurrentUser(req);
+      return user.savedSearches;
+    },
+  );
+
+  app.post(
+    "/current/saved-searches",
+    { preValidation: [app.authenticate], schema: createSavedSearchSchema },
+    async (req, reply) => {
+      const user = await findCurrentUser(req);
+      if (user.savedSearches.length >= MAX_SAVED_SEARCHES) {
+        throw app.httpErrors.conflict("savedSearchesLimitReached");
+      }
+
+      user.savedSearches.push(req.body);
+      const [saveErr, updatedUser] = await app.to(user.save());
+      if (saveErr) {
+        req.log.error(saveErr, "Failed creating saved search");
+        throw app.httpErrors.internalServerError();
+      }
+
+      reply.code(201);
+      return updatedUser.savedSearches[updatedUser.savedSearches.length - 1];
+    },
+  );
+
+  app.patch(
+    "/current/saved-searches/:searchId",
+    { preValidation: [app.authenticate], schema: updateSavedSearchSchema },
+    async (req) => {
+      const user = await findCurrentUser(req);
+      const savedSearch = user.savedSearches.id(req.params.searchId);
+      if (!savedSearch) throw app.httpErrors.notFound();
+
+      savedSearch.set(req.body);
+      const [saveErr] = await app.to(user.save());
+      if (saveErr) {
+        req.log.error(saveErr, "Failed updating saved search");
+        throw app.httpErrors.internalServerError();
+      }
+
+      return savedSearch;
+    },
+  );
+
+  app.delete(
+    "/current/saved-searches/:searchId",
+    { preValidation: [app.authenticate], schema: deleteSavedSearchSchema },
+    async (req) => {
+      const user = await findCurrentUser(req);
+      const savedSearch = user.savedSearches.id(req.params.searchId);
+      if (!savedSearch) throw app.httpErrors.notFound();
+
+      savedSearch.remove();
+      const [saveErr] = await app.to(user.save());
+      if (saveErr) {
+        req.log.error(saveErr, "Failed deleting saved search");
+        throw app.httpErrors.internalServerError();
+      }
+
+      return { success: true };
+    },
+  );
+
+  // -- Mentions
+  const MENTION_SUGGESTIONS_SIZE = 5;
+
+  // people and organisations to mention in a comment
+  app.get(
+    "/mention-suggestions",
+    { preValidation: [app.authenticate], schema: getMentionSuggestionsSchema },
+    async (req) => {
+      const {
+        query: { keywords, limit = MENTION_SUGGESTIONS_SIZE },
+      } = req;
+
+      const [usersErr, users] = await app.to(
+        BaseUser.find({
+          name: mentionSearchRegex(keywords),
+          status: { $ne: "removed" },
+        })
+          .select("name photo type")
+          .sort({ name: 1 })
+          .limit(limit)
+          .lean(),
+      );
+      if (usersErr) {
+        req.log.error(usersErr, "Failed searching mention suggestions");
+        throw app.httpErrors.internalServerError();
+      }
+
+      return users;
+    },
+  );
+
+  // -- Bookmarks
+  const getBookmarkStatus = (post) => {
+    if (!post || post.status === "removed") return "removed";
+    if (post.expireAt && post.expireAt < new Date()) return "expired";
+    return "available";
+  };
+
+  app.get(
+    "/current/bookmarks",
+    { preValidation: [app.authenticate], schema: getBookmarksSchema },
+    async (req) => {
+      const {
+        query: { limit = BOOKMARKS_PAGE_SIZE, skip = 0 },
+        userId,
+      } = req;
+
+      const [bookmarksErr, bookmarks] = await app.to(
+        Bookmark.find({ userId })
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+      );
+      if (bookmarksErr) {
+        req.log.error(bookmarksErr, "Failed retrieving bookmarks");
+        throw app.httpErrors.internalServerError();
+      }
+
+      // posts are looked up separately so deleted ones keep their bookmark
+      const [postsErr, posts] = await app.to(
+        Post.find({
+          _id: { $in: bookmarks.map(({ postId }) => postId) },
+        })
+          .select({
+            "author.id": true,
+            "author.name": true,
+            "author.photo": true,
+            "author.type": true,
+            expireAt: true,
+            objective: true,
+            state: true,
+            status: true,
+            title: true,
+            types: true,
+          })
+          .lean(),
+      );
+      if (postsErr) {
+        req.log.error(postsErr, "Failed retrieving bookmarked posts");
+        throw app.httpErrors.internalServerError();
+      }
+
+      const postsById = new Map(
+        posts.map((post) => [post._id.toString(), post]),
+      );
+      return bookmarks.map(({ _id, createdAt, postId, title }) => {
+        const post = postsById.get(postId.toString());
+        const status = getBookmarkStatus(post);
+        return {
+          _id,
+          createdAt,
+          // removed posts are only listed by their title at bookmark time
+          post: status === "removed" ? null : post,
+          postId,
+          status,
+          title: status === "removed" ? title : post.title,
+        };
+      });
+    },
+  );
+
   app.post(
     "/",
     { preValidation: [app.authenticate], schema: createUserSchema },
@@ -600,19 +834,42 @@ async function routes(app) {
         body: { role },
       } = req;
 
-      if (ROLES[role] === undefined) throw app.httpErrors.badRequest("invalid role");
+      const [roleErr, grantedRole] = await app.to(Role.findOne({ name: role }));
+      if (roleErr) {
+        req.log.error(roleErr, "Failed retrieving role");
+        throw app.httpErrors.internalServerError();
+      } else if (grantedRole === null) {
+        throw app.httpErrors.badRequest("invalid role");
+      }
 
-      const [updatedErr, updatedUser] = await app.to(
-        User.findOneAndUpdate(
-          { _id: userId },
-          { $set: { permissions: ROLES[role] } },
-          { new: true },
-        ),
+      const updates = {
+        permissions: grantedRole.permissions,
+        roleId: grantedRole._id,
+      };
+      // returns the user as it was before the update
+      const [updatedErr, previousUser] = await app.to(
+        User.findOneAndUpdate({ _id: userId }, { $set: updates }),
       );
 
       if (updatedErr) {
         req.log.error(updatedErr, "Failed to add permission");
         throw app.httpErrors.internalServerError();
+      } else if (previousUser === null) {
+        throw app.httpErrors.notFound();
+      }
+
+      const [auditErr] = await app.to(
+        new Audit({
+          action: "updatePermissions",
+          moderatorId: req.userId,
+          targetId: previousUser._id,
+          targetType: "users",
+          ...getUpdateChanges(previousUser, updates),
+        }).save(),
+      );
+      if (auditErr) {
+        req.log.error(auditErr, "Failed saving audit log action");
+        throw app.httpErrors.internalServerError();
       }
       return {
         success: true,
@@ -620,6 +877,64 @@ async function routes(app) {
     },
   );
 
+  // copies of profiles in posts, comments, notifications and threads which
+  // missed an update, listed by account
+  app.get(
+    "/author-copies",
+    {
+      preValidation: [
+        app.authenticate,
+        app.setActor,
+        app.checkScopes([SCOPES.MANAGE_USERS]),
+      ],
+    },
+    async (req) => {
+      const [err, result] = await app.to(app.authorCopies.check());
+      if (err) {
+        req.log.error(err, "Failed checking author copies");
+        throw app.httpErrors.internalServerError();
+      }
+      return result;
+    },
+  );
+
+  app.post(
+    "/author-copies/repair",
+    {
+      preValidation: [
+        app.authenticate,
+        app.setActor,
+        app.checkScopes([SCOPES.MANAGE_USERS]),
+      ],
+    },
+    async (req) => {
+      const [err, result] = await app.to(app.authorCopies.check(true));
+      if (err) {
+        req.log.error(err, "Failed repairing author copies");
+        throw app.httpErrors.internalServerError();
+      }
+
+      const [auditErr] = await app.to(
+        Audit.insertMany(
+          result.accounts
+            .filter(({ repaired }) => repaired)
+            .map(({ copies, id, targetType }) => ({
+              action: "repairAuthorCopies",
+              after: { copies },
+              moderatorId: req.userId,
+              targetId: id,
+              targetType,
+            })),
+        ),
+      );
+      if (auditErr) {
+        req.log.error(auditErr, "Failed saving audit log action");
+        throw app.httpErrors.internalServerError();
+      }
+      return result;
+    },
+  );
+
   app.get(
     "/roles",
     {
@@ -649,6 +964,7 @@ async function routes(app) {
             name: 1,
             permissions: 1,
             photo: 1,
+            roleId: 1,
           },
         },
         {
@@ -661,10 +977,21 @@ async function routes(app) {
         User.aggregate(aggregationPipeline),
       );
       if (errUsers) {
-        req.log.error(updateErr, "Failed to get users");
+        req.log.error(errUsers, "Failed to get users");
+        throw app.httpErrors.internalServerError();
+      }
+      // the roles users can be given
+      const [errRoles, roles] = await app.to(
+        Role.find().select("builtIn name permissions regions").sort({
+          permissions: 1,
+        }),
+      );
+      if (errRoles) {
+        req.log.error(errRoles, "Failed to get roles");
         throw app.httpErrors.internalServerError();
       }
       return {
+        roles,
         users,
       };
     },
@@ -9,9 +9,11 @@ const logStream = require("./logger");
 const auth = require("./endpoints/auth");
 const feedback = require("./endpoints/feedback");
 const geo = require("./endpoints/geo");
+const moderation = require("./endpoints/moderation");
 const organisations = require("./endpoints/organisations");
 const posts = require("./endpoints/posts");
 const reports = require("./endpoints/reports");
+const roles = require("./endpoints/roles");
 const users = require("./endpoints/users");
 const sendgrid = require("./endpoints/sendgrid");
 const version = require("./endpoints/version");
@@ -63,6 +65,10 @@ module.exports = function createApp(config) {
   app.register(require("./plugins/mongoose-connector"), config.mongo);
   app.register(require("./plugins/auth"), config.auth);
   app.register(require("./plugins/notifier"));
+  app.register(require("./plugins/author-copies"));
+  app.register(require("./plugins/auto-moderator"));
+  app.register(require("./plugins/expiry-reminders"), config.expiryReminders);
+  app.register(require("./plugins/account-deletion"), config.accountDeletion);
   app.use(cors());
 
   app.register(auth, { prefix: "/api/auth" });
@@ -72,6 +78,8 @@ module.exports = function createApp(config) {
   app.register(posts, { prefix: "/api/posts" });
   app.register(users, { prefix: "/api/users" });
   app.register(reports, { prefix: "/api/reports" });
+  app.register(moderation, { prefix: "/api/moderation" });
+  app.register(roles, { prefix: "/api/roles" });
   app.register(sendgrid, { prefix: "/api/sendgrid" });
   app.get("/api/version", version);
 
@@ -1,37 +1,97 @@
 // -- Imports
 const { Schema, model, ObjectId } = require("mongoose");
+const { REPORT_TARGETS } = require("./Report");
 
 const MODERATOR_ACTIONS = ["accept", "reject"];
+// taken by moderation rules: "hold" hides content until it's reviewed and
+// "block" refuses new content, logged against its author
+const AUTOMATIC_ACTIONS = ["block", "hold"];
+// decisions on the appeal of a removed post
+const APPEAL_ACTIONS = ["acceptAppeal", "denyAppeal"];
+// admin changes, logged with the values before and after them
+const ADMIN_ACTIONS = [
+  "createRole",
+  "createRule",
+  "deleteRole",
+  "deleteRule",
+  "repairAuthorCopies",
+  "revokeSanction",
+  "sanction",
+  "updatePermissions",
+  "updateRole",
+  "updateRule",
+];
+// changes users make to the accounts they manage, logged by who made them
+const ACCOUNT_ACTIONS = ["transferOwnership"];
+const AUDIT_ACTIONS = [
+  ...MODERATOR_ACTIONS,
+  ...AUTOMATIC_ACTIONS,
+  ...APPEAL_ACTIONS,
+  ...ADMIN_ACTIONS,
+  ...ACCOUNT_ACTIONS,
+];
+const AUDIT_TARGETS = [...REPORT_TARGETS, "roles", "rules"];
 
 const auditLogSchema = new Schema(
   {
-    moderatorId: {
-      ref: "User",
-      required: true,
-      type: ObjectId,
-    },
     action: {
+      enum: AUDIT_ACTIONS,
       required: true,
       type: String,
-      enum: MODERATOR_ACTIONS,
     },
-    justification: {
+    // changed fields of the target, only set when they are known
+    after: Schema.Types.Mixed,
+    before: Schema.Types.Mixed,
+    // admin actions don't need one
+    justification: String,
+    // the moderator or admin who acted, or the user for account actions
+    moderatorId: {
+      ref: "User",
       required: true,
-      type: String,
+      type: ObjectId,
     },
+    // set for post reports and the post of a reported comment
     postId: {
       ref: "Post",
+      type: ObjectId,
+    },
+    // the rule behind an automatic action
+    ruleId: {
+      ref: "ModerationRule",
+      type: ObjectId,
+    },
+    targetId: {
       required: true,
       type: ObjectId,
     },
+    // logs written before other targets could be reported are about posts
+    targetType: {
+      default: "posts",
+      enum: AUDIT_TARGETS,
+      type: String,
+    },
   },
   { collection: "auditlogs", timestamps: true },
 );
 
+// -- Indexes
+// for the log filters, sorted by date
+/* eslint-disable sort-keys */
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ moderatorId: 1, createdAt: -1 });
+/* eslint-enable sort-keys */
+
 // -- Model
 const Audit = model("Audit", auditLogSchema);
 
 module.exports = {
+  ACCOUNT_ACTIONS,
+  ADMIN_ACTIONS,
+  APPEAL_ACTIONS,
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS,
+  AUTOMATIC_ACTIONS,
   MODERATOR_ACTIONS,
   model: Audit,
   schema: auditLogSchema,
@@ -0,0 +1,38 @@
+// -- Imports
+const { Schema, model, ObjectId } = require("mongoose");
+
+// A post saved by a user to follow up on later, visible only to them
+const bookmarkSchema = new Schema(
+  {
+    postId: {
+      ref: "Post",
+      required: true,
+      type: ObjectId,
+    },
+    // kept to list the bookmark once the post is deleted
+    title: {
+      required: true,
+      type: String,
+    },
+    userId: {
+      ref: "User",
+      required: true,
+      type: ObjectId,
+    },
+  },
+  { collection: "bookmarks", timestamps: true },
+);
+
+// -- Indexes
+/* eslint-disable sort-keys */
+bookmarkSchema.index({ userId: 1, postId: 1 }, { unique: true });
+bookmarkSchema.index({ userId: 1, createdAt: -1 });
+/* eslint-enable sort-keys */
+
+// -- Model
+const Bookmark = model("Bookmark", bookmarkSchema);
+
+module.exports = {
+  model: Bookmark,
+  schema: bookmarkSchema,
+};
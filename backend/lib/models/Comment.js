@@ -1,7 +1,24 @@
 const { Schema, model, ObjectId } = require("mongoose");
 const { schema: authorSchema } = require("./Author");
+const { REPORT_STATUS, schema: reportSchema } = require("./Report");
 const { setElapsedTimeText } = require("../utils");
 
+// users and organisations mentioned with "@name" in the comment
+const mentionSchema = new Schema(
+  {
+    id: {
+      ref: "User",
+      required: true,
+      type: ObjectId,
+    },
+    name: String,
+    type: {
+      type: String,
+    },
+  },
+  { _id: false },
+);
+
 const commentSchema = new Schema(
   {
     author: Object,
@@ -10,12 +27,18 @@ const commentSchema = new Schema(
       trim: true,
       type: String,
     },
+    // hidden by a moderation rule until a moderator reviews the comment
+    held: { default: false, type: Boolean },
     likes: {
       // TODO: how to guarantee unique ids?
       default: [],
       ref: "User",
       type: [ObjectId],
     },
+    mentions: {
+      default: [],
+      type: [mentionSchema],
+    },
     parentId: {
       ref: "Comment",
       type: ObjectId,
@@ -25,6 +48,17 @@ const commentSchema = new Schema(
       required: true,
       type: ObjectId,
     },
+    // reporters are only exposed to moderators
+    reportedBy: {
+      default: [],
+      select: false,
+      type: [reportSchema],
+    },
+    status: {
+      default: "public",
+      enum: REPORT_STATUS,
+      type: String,
+    },
   },
   { collection: "comments", timestamps: true },
 );
@@ -46,6 +80,9 @@ commentSchema.index({ "author.id": 1, createdAt: -1 });
 
 // Index for like's foreign key for lookup performance
 commentSchema.index({ likes: 1 });
+
+// Index for the moderators' report queue
+commentSchema.index({ status: 1 });
 /* eslint-enable */
 
 commentSchema.set("toObject", { virtuals: true });
@@ -1,4 +1,4 @@
-const { Schema } = require("mongoose");
+const { Schema, ObjectId } = require("mongoose");
 const { model: User } = require("./User");
 const { ROLES } = require( "../constants");
 
@@ -13,6 +13,8 @@ const individualUserSchema = new Schema(
       required: true,
       type: String,
     },
+    // the account is deleted once this date passes, unless cancelled before
+    deletionScheduledAt: Date,
     firstName: {
       required: true,
       type: String,
@@ -45,11 +47,16 @@ const individualUserSchema = new Schema(
       twitter: String,
       website: String,
     },
+    // kept in sync with the role's permissions
     permissions: {
       type: Number,
       required: true,
       default: ROLES.user,
-    }
+    },
+    roleId: {
+      ref: "Role",
+      type: ObjectId,
+    },
   },
   { collection: "users" },
 );
@@ -0,0 +1,68 @@
+// -- Imports
+const { Schema, model } = require("mongoose");
+
+const RULE_KINDS = ["blocklist", "links", "newAccounts", "reports"];
+const RULE_TARGETS = ["comments", "messages", "posts"];
+const RULE_NAME_MAX_LENGTH = 100;
+
+// -- Schema
+const ruleParamsSchema = new Schema(
+  {
+    // "newAccounts": accounts younger than this many days
+    accountAgeDays: { min: 0, type: Number },
+    // "newAccounts": how many items those accounts can create per period
+    maxItems: { min: 0, type: Number },
+    // "links": how many links content can hold before it's held
+    maxLinks: { min: 0, type: Number },
+    periodHours: { min: 1, type: Number },
+    // "blocklist": case insensitive phrases holding content for review
+    phrases: { default: undefined, type: [String] },
+    // "reports": distinct reports hiding the content until reviewed
+    reportsCount: { min: 1, type: Number },
+  },
+  { _id: false },
+);
+
+const moderationRuleSchema = new Schema(
+  {
+    appliesTo: {
+      enum: RULE_TARGETS,
+      required: true,
+      type: [String],
+    },
+    enabled: {
+      default: true,
+      type: Boolean,
+    },
+    kind: {
+      enum: RULE_KINDS,
+      required: true,
+      type: String,
+    },
+    name: {
+      maxlength: RULE_NAME_MAX_LENGTH,
+      required: true,
+      trim: true,
+      type: String,
+    },
+    params: {
+      default: {},
+      type: ruleParamsSchema,
+    },
+  },
+  { collection: "moderationrules", timestamps: true },
+);
+
+// rules are looked up on every new post, comment and message
+moderationRuleSchema.index({ appliesTo: 1, enabled: 1 });
+
+// -- Model
+const ModerationRule = model("ModerationRule", moderationRuleSchema);
+
+module.exports = {
+  RULE_KINDS,
+  RULE_NAME_MAX_LENGTH,
+  RULE_TARGETS,
+  model: ModerationRule,
+  schema: moderationRuleSchema,
+};
@@ -1,16 +1,51 @@
 const { Schema, model } = require("mongoose");
+const { SAVED_SEARCH_FREQUENCIES } = require("./SavedSearch");
+
+// notifications about an organisation rather than a post
+const ORGANISATION_ACTIONS = [
+  "ownershipTransferRequested",
+  "ownershipTransferred",
+];
 
 const notificationSchema = new Schema(
   {
     action: {
-      enum: ["like", "comment", "share", "report"],
+      enum: [
+        "like",
+        "comment",
+        "share",
+        "report",
+        "match",
+        "savedSearch",
+        "postExpiring",
+        "mention",
+        "appealAccepted",
+        "appealDenied",
+        ...ORGANISATION_ACTIONS,
+      ],
       required: true,
       type: String,
     },
+    matchedPost: {
+      id: {
+        ref: "Post",
+        type: Schema.Types.ObjectId,
+      },
+      title: String,
+    },
+    organisation: {
+      id: {
+        ref: "OrganisationUser",
+        type: Schema.Types.ObjectId,
+      },
+      name: String,
+    },
     post: {
       id: {
         ref: "Post",
-        required: true,
+        required() {
+          return !ORGANISATION_ACTIONS.includes(this.action);
+        },
         type: Schema.Types.ObjectId,
       },
       title: String,
@@ -27,6 +62,11 @@ const notificationSchema = new Schema(
       instant: Date,
       weekly: Date,
     },
+    savedSearch: {
+      frequency: { enum: SAVED_SEARCH_FREQUENCIES, type: String },
+      id: Schema.Types.ObjectId,
+      name: String,
+    },
     sharedVia: {
       enum: [
         "email",
@@ -105,6 +145,7 @@ notificationSchema.index({
 const Notification = model("Notification", notificationSchema);
 
 module.exports = {
+  ORGANISATION_ACTIONS,
   model: Notification,
   schema: notificationSchema,
 };
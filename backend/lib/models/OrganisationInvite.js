@@ -0,0 +1,77 @@
+// -- Imports
+const { Schema, model, ObjectId } = require("mongoose");
+const { ORG_MEMBER_ROLES } = require("./OrganisationMember");
+
+const INVITE_STATUSES = ["pending", "accepted", "expired", "revoked"];
+
+// An invitation sent by email to join an organisation, accepted with its token
+const organisationInviteSchema = new Schema(
+  {
+    acceptedAt: Date,
+    acceptedBy: {
+      ref: "IndividualUser",
+      type: ObjectId,
+    },
+    email: {
+      lowercase: true,
+      required: true,
+      trim: true,
+      type: String,
+    },
+    // set by the notification service once the email is sent
+    emailSentAt: Date,
+    expiresAt: {
+      required: true,
+      type: Date,
+    },
+    invitedBy: {
+      ref: "IndividualUser",
+      required: true,
+      type: ObjectId,
+    },
+    organisationId: {
+      ref: "OrganisationUser",
+      required: true,
+      type: ObjectId,
+    },
+    role: {
+      enum: ORG_MEMBER_ROLES,
+      required: true,
+      type: String,
+    },
+    status: {
+      default: "pending",
+      enum: INVITE_STATUSES,
+      type: String,
+    },
+    token: {
+      required: true,
+      type: String,
+    },
+  },
+  { collection: "organisationinvites", timestamps: true },
+);
+
+// -- Indexes
+/* eslint-disable sort-keys */
+organisationInviteSchema.index({ token: 1 }, { unique: true });
+// one pending invite per email and organisation
+organisationInviteSchema.index(
+  { organisationId: 1, email: 1 },
+  { partialFilterExpression: { status: "pending" }, unique: true },
+);
+// for the notification service
+organisationInviteSchema.index({ status: 1, emailSentAt: 1 });
+/* eslint-enable sort-keys */
+
+// -- Model
+const OrganisationInvite = model(
+  "OrganisationInvite",
+  organisationInviteSchema,
+);
+
+module.exports = {
+  INVITE_STATUSES,
+  model: OrganisationInvite,
+  schema: organisationInviteSchema,
+};
@@ -0,0 +1,32 @@
+// -- Imports
+const { Schema, ObjectId } = require("mongoose");
+
+// admins also manage the members, editors post and edit the profile, and
+// responders only answer messages. The owner can do everything
+const ORG_MEMBER_ROLES = ["admin", "editor", "responder"];
+
+// -- Schema
+const organisationMemberSchema = new Schema(
+  {
+    addedAt: {
+      default: Date.now,
+      type: Date,
+    },
+    role: {
+      enum: ORG_MEMBER_ROLES,
+      required: true,
+      type: String,
+    },
+    userId: {
+      ref: "IndividualUser",
+      required: true,
+      type: ObjectId,
+    },
+  },
+  { _id: false },
+);
+
+module.exports = {
+  ORG_MEMBER_ROLES,
+  schema: organisationMemberSchema,
+};
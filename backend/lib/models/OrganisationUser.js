@@ -1,11 +1,17 @@
 const { Schema } = require("mongoose");
 const { model: User } = require("./User");
+const { schema: memberSchema } = require("./OrganisationMember");
 
 const organisationSchema = new Schema(
   {
     global: Boolean,
     industry: { required: true, type: String },
     language: String,
+    // staff acting for the organisation besides its owner
+    members: {
+      default: [],
+      type: [memberSchema],
+    },
     name: {
       required: true,
       type: String,
@@ -21,6 +27,14 @@ const organisationSchema = new Schema(
       required: true,
       type: Schema.Types.ObjectId,
     },
+    // set while the owner waits for another user to accept the ownership
+    ownershipTransfer: {
+      nomineeId: {
+        ref: "IndividualUser",
+        type: Schema.Types.ObjectId,
+      },
+      requestedAt: Date,
+    },
     type: {
       enum: [
         "Company",
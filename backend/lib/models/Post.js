@@ -1,8 +1,10 @@
 // -- Imports
 const { Schema, model, ObjectId } = require("mongoose");
+const { REPORT_STATUS, schema: reportSchema } = require("./Report");
 
 const EXPIRATION_OPTIONS = ["day", "week", "month", "forever"];
-const VISIBILITY_OPTIONS = ["city", "country", "state", "worldwide"];
+const VISIBILITY_OPTIONS = ["city", "country", "radius", "state", "worldwide"];
+const MAX_RADIUS_KM = 500;
 const POST_OBJECTIVES = ["request", "offer"];
 const POST_TYPES = [
   "Business",
@@ -24,21 +26,77 @@ const POST_TYPES = [
   "Staff (paid)",
   "Remote Work",
 ];
-const POST_STATUS = ["public", "flagged", "removed"];
-const reportSchema = new Schema(
+const POST_STATUS = REPORT_STATUS;
+const POST_STATES = ["open", "inProgress", "fulfilled", "closed"];
+// Fulfilled and closed posts can only be reopened
+const POST_STATE_TRANSITIONS = {
+  closed: ["open"],
+  fulfilled: ["open"],
+  inProgress: ["open", "fulfilled", "closed"],
+  open: ["inProgress", "fulfilled", "closed"],
+};
+const CLOSING_REASON_MAX_LENGTH = 250;
+const ATTACHMENT_MIME_TYPES = [
+  "application/pdf",
+  "image/gif",
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+];
+const ATTACHMENT_MAX_SIZE = 5 * 1024 * 1024; // 5MB
+const ATTACHMENT_NAME_MAX_LENGTH = 120;
+const MAX_ATTACHMENTS = 5;
+const APPEAL_STATUS = ["pending", "accepted", "denied"];
+const APPEAL_EXPLANATION_MAX_LENGTH = 1000;
+const attachmentSchema = new Schema(
   {
-    id: {
-      ref: "User",
+    mimeType: {
+      enum: ATTACHMENT_MIME_TYPES,
       required: true,
-      type: ObjectId,
+      type: String,
     },
-    reason: {
+    name: {
+      maxlength: ATTACHMENT_NAME_MAX_LENGTH,
       required: true,
+      trim: true,
       type: String,
     },
+    size: {
+      max: ATTACHMENT_MAX_SIZE,
+      required: true,
+      type: Number,
+    },
+    url: {
+      required: true,
+      type: String,
+    },
+  },
+  { _id: false },
+);
+
+// an author's request to restore their removed post
+const appealSchema = new Schema(
+  {
     createdAt: {
+      default: Date.now,
       type: Date,
-      default: new Date(),
+    },
+    decidedAt: Date,
+    explanation: {
+      maxlength: APPEAL_EXPLANATION_MAX_LENGTH,
+      required: true,
+      trim: true,
+      type: String,
+    },
+    justification: String,
+    moderatorId: {
+      ref: "User",
+      type: ObjectId,
+    },
+    status: {
+      default: "pending",
+      enum: APPEAL_STATUS,
+      type: String,
     },
   },
   { _id: false },
@@ -48,19 +106,43 @@ const reportSchema = new Schema(
 const postSchema = new Schema(
   {
     airtableId: String,
+    // latest appeal only, authors can appeal once per removal
+    appeal: appealSchema,
+    attachments: {
+      default: [],
+      type: [attachmentSchema],
+      validate: {
+        validator(array) {
+          return array.length <= MAX_ATTACHMENTS;
+        },
+      },
+    },
     author: Object,
+    closingReason: {
+      maxlength: CLOSING_REASON_MAX_LENGTH,
+      trim: true,
+      type: String,
+    },
     content: {
       required: true,
       trim: true,
       type: String,
     },
+    // kept to renew the post by the same duration
+    expirationOption: {
+      enum: EXPIRATION_OPTIONS,
+      type: String,
+    },
     expireAt: Date,
+    expiryReminderSentAt: Date,
     externalLinks: {
       appStore: { trim: true, type: String },
       email: { trim: true, type: String },
       playStore: { trim: true, type: String },
       website: { trim: true, type: String },
     },
+    // hidden by a moderation rule until a moderator reviews the post
+    held: { default: false, type: Boolean },
     isEdited: { default: false, type: Boolean },
     language: [String],
     likes: {
@@ -76,10 +158,17 @@ const postSchema = new Schema(
       trim: true,
       type: String,
     },
+    // set when a moderator removes the post
+    removedAt: Date,
     reportedBy: {
       default: [],
       type: [reportSchema],
     },
+    state: {
+      default: "open",
+      enum: POST_STATES,
+      type: String,
+    },
     status: {
       required: true,
       type: String,
@@ -102,6 +191,15 @@ const postSchema = new Schema(
       trim: true,
       type: String,
     },
+    // only used by the "radius" visibility
+    visibilityRadiusKm: {
+      max: MAX_RADIUS_KM,
+      min: 1,
+      required() {
+        return this.visibility === "radius";
+      },
+      type: Number,
+    },
   },
   { collection: "posts", timestamps: true },
 );
@@ -230,15 +328,31 @@ postSchema.index(
 // report status index
 postSchema.index({ status: 1 });
 
+// fulfillment state index
+postSchema.index({ state: 1 });
+
 // reportedBy user id index
 postSchema.index({ "reportedBy.id": 1 });
 
+// appeals queue index
+postSchema.index({ "appeal.status": 1 });
+
 // -- Model
 const Post = model("Post", postSchema);
 
 module.exports = {
+  APPEAL_EXPLANATION_MAX_LENGTH,
+  APPEAL_STATUS,
+  ATTACHMENT_MAX_SIZE,
+  ATTACHMENT_MIME_TYPES,
+  ATTACHMENT_NAME_MAX_LENGTH,
+  CLOSING_REASON_MAX_LENGTH,
   EXPIRATION_OPTIONS,
+  MAX_ATTACHMENTS,
+  MAX_RADIUS_KM,
   POST_OBJECTIVES,
+  POST_STATES,
+  POST_STATE_TRANSITIONS,
   POST_TYPES,
   VISIBILITY_OPTIONS,
   POST_STATUS,
@@ -0,0 +1,32 @@
+// -- Imports
+const { Schema, ObjectId } = require("mongoose");
+
+// shared by every reportable document: posts, comments and user profiles
+const REPORT_STATUS = ["public", "flagged", "removed"];
+const REPORT_TARGETS = ["posts", "comments", "users", "organisations"];
+
+// -- Schema
+const reportSchema = new Schema(
+  {
+    createdAt: {
+      default: Date.now,
+      type: Date,
+    },
+    id: {
+      ref: "User",
+      required: true,
+      type: ObjectId,
+    },
+    reason: {
+      required: true,
+      type: String,
+    },
+  },
+  { _id: false },
+);
+
+module.exports = {
+  REPORT_STATUS,
+  REPORT_TARGETS,
+  schema: reportSchema,
+};
@@ -0,0 +1,50 @@
+// -- Imports
+const { Schema, model, ObjectId } = require("mongoose");
+const { REPORT_TARGETS } = require("./Report");
+
+// claims are released automatically when they aren't renewed in time
+const CLAIM_TIMEOUT_MINUTES = 15;
+
+// A reported item a moderator is reviewing, so others can skip it
+const reportClaimSchema = new Schema(
+  {
+    expiresAt: {
+      required: true,
+      type: Date,
+    },
+    moderatorId: {
+      ref: "User",
+      required: true,
+      type: ObjectId,
+    },
+    // shown in the queue as "being reviewed by"
+    moderatorName: String,
+    targetId: {
+      required: true,
+      type: ObjectId,
+    },
+    targetType: {
+      enum: REPORT_TARGETS,
+      required: true,
+      type: String,
+    },
+  },
+  { collection: "reportclaims", timestamps: true },
+);
+
+// -- Indexes
+/* eslint-disable sort-keys */
+reportClaimSchema.index({ targetType: 1, targetId: 1 }, { unique: true });
+// mongo only removes expired documents about every minute, so queries still
+// have to check expiresAt
+reportClaimSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+/* eslint-enable sort-keys */
+
+// -- Model
+const ReportClaim = model("ReportClaim", reportClaimSchema);
+
+module.exports = {
+  CLAIM_TIMEOUT_MINUTES,
+  model: ReportClaim,
+  schema: reportClaimSchema,
+};
@@ -0,0 +1,52 @@
+// -- Imports
+const { Schema, model, ObjectId } = require("mongoose");
+
+const REVISION_TARGETS = ["Comment", "Post"];
+
+// Stores the version of a post or comment that an edit replaced
+const revisionSchema = new Schema(
+  {
+    content: {
+      required: true,
+      type: String,
+    },
+    editedBy: {
+      ref: "User",
+      required: true,
+      type: ObjectId,
+    },
+    // post of the edited comment, or the edited post itself
+    postId: {
+      ref: "Post",
+      required: true,
+      type: ObjectId,
+    },
+    targetId: {
+      refPath: "targetType",
+      required: true,
+      type: ObjectId,
+    },
+    targetType: {
+      enum: REVISION_TARGETS,
+      required: true,
+      type: String,
+    },
+    // only set for posts
+    title: String,
+  },
+  { collection: "revisions", timestamps: true },
+);
+
+// -- Indexes
+/* eslint-disable sort-keys */
+revisionSchema.index({ postId: 1, createdAt: -1 });
+/* eslint-enable sort-keys */
+
+// -- Model
+const Revision = model("Revision", revisionSchema);
+
+module.exports = {
+  REVISION_TARGETS,
+  model: Revision,
+  schema: revisionSchema,
+};
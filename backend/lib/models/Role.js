@@ -0,0 +1,65 @@
+// -- Imports
+const { Schema, model } = require("mongoose");
+const uniqueValidator = require("mongoose-unique-validator");
+
+const ROLE_NAME_MAX_LENGTH = 100;
+
+// an area a role is restricted to, a whole country when no state is set
+const regionSchema = new Schema(
+  {
+    country: {
+      lowercase: true,
+      required: true,
+      trim: true,
+      type: String,
+    },
+    state: {
+      lowercase: true,
+      trim: true,
+      type: String,
+    },
+  },
+  { _id: false },
+);
+
+// A set of permissions administrators can grant to users
+const roleSchema = new Schema(
+  {
+    // seeded from the ROLES constants, they can't be renamed or deleted
+    builtIn: {
+      default: false,
+      type: Boolean,
+    },
+    name: {
+      maxlength: ROLE_NAME_MAX_LENGTH,
+      required: true,
+      trim: true,
+      type: String,
+      unique: true,
+    },
+    // SCOPES bitmask
+    permissions: {
+      default: 0,
+      min: 0,
+      required: true,
+      type: Number,
+    },
+    // reports outside of these regions are hidden, none means everywhere
+    regions: {
+      default: [],
+      type: [regionSchema],
+    },
+  },
+  { collection: "roles", timestamps: true },
+);
+
+roleSchema.plugin(uniqueValidator);
+
+// -- Model
+const Role = model("Role", roleSchema);
+
+module.exports = {
+  ROLE_NAME_MAX_LENGTH,
+  model: Role,
+  schema: roleSchema,
+};
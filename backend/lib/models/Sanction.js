@@ -0,0 +1,40 @@
+// -- Imports
+const { Schema, ObjectId } = require("mongoose");
+
+// in increasing severity: a warning has no effect, a suspension makes the
+// account read-only and a ban locks it out
+const SANCTION_TYPES = ["warning", "suspension", "ban"];
+const SANCTION_REASON_MAX_LENGTH = 500;
+
+// -- Schema
+const sanctionSchema = new Schema({
+  createdAt: {
+    default: Date.now,
+    type: Date,
+  },
+  // permanent when not set
+  expiresAt: Date,
+  moderatorId: {
+    ref: "User",
+    required: true,
+    type: ObjectId,
+  },
+  reason: {
+    maxlength: SANCTION_REASON_MAX_LENGTH,
+    required: true,
+    trim: true,
+    type: String,
+  },
+  revokedAt: Date,
+  type: {
+    enum: SANCTION_TYPES,
+    required: true,
+    type: String,
+  },
+});
+
+module.exports = {
+  SANCTION_REASON_MAX_LENGTH,
+  SANCTION_TYPES,
+  schema: sanctionSchema,
+};
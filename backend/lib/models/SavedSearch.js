@@ -0,0 +1,45 @@
+// -- Imports
+const { Schema } = require("mongoose");
+const { POST_OBJECTIVES, POST_TYPES } = require("./Post");
+const { USER_TYPES } = require("./Author");
+
+const SAVED_SEARCH_FREQUENCIES = ["instant", "daily", "weekly"];
+const SAVED_SEARCH_NAME_MAX_LENGTH = 60;
+const MAX_SAVED_SEARCHES = 10;
+
+// -- Schema
+const savedSearchSchema = new Schema(
+  {
+    filters: {
+      keywords: { trim: true, type: String },
+      location: Object,
+      objective: {
+        enum: POST_OBJECTIVES,
+        lowercase: true,
+        trim: true,
+        type: String,
+      },
+      providers: { enum: USER_TYPES, type: [String] },
+      type: { enum: POST_TYPES, type: [String] },
+    },
+    frequency: {
+      default: "instant",
+      enum: SAVED_SEARCH_FREQUENCIES,
+      type: String,
+    },
+    name: {
+      maxlength: SAVED_SEARCH_NAME_MAX_LENGTH,
+      required: true,
+      trim: true,
+      type: String,
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = {
+  MAX_SAVED_SEARCHES,
+  SAVED_SEARCH_FREQUENCIES,
+  SAVED_SEARCH_NAME_MAX_LENGTH,
+  schema: savedSearchSchema,
+};
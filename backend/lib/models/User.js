@@ -5,6 +5,9 @@ const {
   schema: notifyPreferenceSchema,
 } = require("./NotifyPreference");
 // const { schema: locationSchema } = require("./Location");
+const { REPORT_STATUS, schema: reportSchema } = require("./Report");
+const { schema: sanctionSchema } = require("./Sanction");
+const { schema: savedSearchSchema } = require("./SavedSearch");
 const { isValidEmail } = require("../utils");
 
 const userSchema = new Schema(
@@ -23,6 +26,27 @@ const userSchema = new Schema(
     },
     location: Object,
     photo: String,
+    // reporters are only exposed to moderators
+    reportedBy: {
+      default: [],
+      select: false,
+      type: [reportSchema],
+    },
+    // moderation sanctions, including expired and revoked ones
+    sanctions: {
+      default: [],
+      select: false,
+      type: [sanctionSchema],
+    },
+    savedSearches: {
+      default: [],
+      type: [savedSearchSchema],
+    },
+    status: {
+      default: "public",
+      enum: REPORT_STATUS,
+      type: String,
+    },
   },
   { collection: "users", timestamps: true },
 );
@@ -32,6 +56,18 @@ const userSchema = new Schema(
 /* eslint-disable sort-keys */
 userSchema.index({ "location.coordinates": "2dsphere" });
 
+// Index for the moderators' report queue
+userSchema.index({ status: 1 });
+
+// Index for the moderators' list of sanctioned accounts
+userSchema.index({ "sanctions.type": 1, "sanctions.expiresAt": 1 });
+
+// Index for matching new posts against saved searches
+userSchema.index({ "savedSearches.filters.objective": 1 });
+
+// Index for the organisations a user is a member of
+userSchema.index({ "members.userId": 1 });
+
 userSchema.index({
   type: 1,
   ownerId: 1,
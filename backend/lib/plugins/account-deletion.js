@@ -0,0 +1,19 @@
+const fp = require("fastify-plugin");
+const Auth0 = require("../components/Auth0");
+const { deleteDueAccounts } = require("../components/AccountDeletion");
+
+// runs the deletion of accounts whose cooling-off period is over
+function accountDeletion(app, config, next) {
+  const timer = setInterval(
+    () => deleteDueAccounts(app, Auth0),
+    config.intervalMinutes * 60 * 1000,
+  );
+  timer.unref();
+  app.addHook("onClose", (instance, done) => {
+    clearInterval(timer);
+    done();
+  });
+  next();
+}
+
+module.exports = fp(accountDeletion);
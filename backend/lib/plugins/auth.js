@@ -14,6 +14,11 @@ const {
   config: { appDomain, auth, env },
 } = require("../../config");
 const Auth0 = require("../components/Auth0");
+const { canActAs } = require("../components/OrgMembers");
+const {
+  getActiveSanction,
+  getSanctionError,
+} = require("../components/Sanctions");
 
 const ttlSeconds = 86400;
 const cache = new NodeCache({
@@ -58,6 +63,28 @@ const checkAuth = async (req, reply) => {
 };
 
 const authPlugin = async (app) => {
+  const getSanction = async (req, accountId) => {
+    const User = app.mongo.model("User");
+    const [err, account] = await app.to(
+      User.findById(accountId).select("sanctions").lean(),
+    );
+    if (err) {
+      req.log.error(err, "Failed retrieving account sanctions");
+      throw app.httpErrors.internalServerError();
+    }
+    return getActiveSanction(account ? account.sanctions : []);
+  };
+
+  // refuses requests sanctions don't allow, unless the route is meant to be
+  // reachable by sanctioned accounts (config.allowSanctioned)
+  const checkSanction = (req, reply, sanction) => {
+    const error = getSanctionError(sanction, req.raw.method);
+    if (error && !reply.context.config.allowSanctioned) {
+      req.log.info(`Request refused, ${error}`);
+      throw app.httpErrors.forbidden(error);
+    }
+  };
+
   app.register(fastifyCookie);
 
   app.register(fastifyJwt, {
@@ -76,13 +103,22 @@ const authPlugin = async (app) => {
   });
 
   app.decorateRequest("userId", null);
+  app.decorateRequest("sanction", null);
+  // regions the actor's role restricts moderation to, set by checkScopes
+  app.decorateRequest("regions", null);
+  // the actor's permissions, from their role if they have one, set by
+  // checkScopes
+  app.decorateRequest("permissions", null);
 
   app.decorate("authenticate", async (req, reply) => {
     try {
       await checkAuth(req, reply);
     } catch (err) {
       reply.send(err);
+      return;
     }
+    req.sanction = await getSanction(req, req.userId);
+    checkSanction(req, reply, req.sanction);
   });
 
   app.decorate("authenticateOptional", async (req, reply) => {
@@ -94,11 +130,14 @@ const authPlugin = async (app) => {
         return;
       }
       req.userId = null;
+      return;
     }
+    req.sanction = await getSanction(req, req.userId);
+    checkSanction(req, reply, req.sanction);
   });
 
   // checks that authenticated user can be desired author & sets to req
-  app.decorate("setActor", async (req) => {
+  app.decorate("setActor", async (req, reply) => {
     // must come after either "authenticate" or "optionalAuthenticate" decorator
     const { userId } = req;
 
@@ -120,15 +159,26 @@ const authPlugin = async (app) => {
     } else if (actor === null) {
       req.log.error("Acting user does not exist");
       throw app.httpErrors.notFound();
-      // In future iterations we will implement a more fine grained policy
-      // based on a user's role within the organisation (besides owner)
-    } else if (!userId.equals(actorId) && !userId.equals(actor.ownerId)) {
+      // any member can read as the organisation, changes need a role which
+      // can post
+    } else if (
+      !canActAs(
+        actor,
+        userId,
+        ["GET", "HEAD"].includes(req.raw.method) ? null : "post",
+      )
+    ) {
       req.log.error(
         `Not authorized to act as ${actor.owner ? "organisation" : "user"}`,
       );
       throw app.httpErrors.forbidden();
     }
 
+    // organisations are sanctioned separately from their owner
+    if (!userId.equals(actorId)) {
+      checkSanction(req, reply, await getSanction(req, actorId));
+    }
+
     // delete body param so not used in mongo update
     if (req.body && req.body.actorId) {
       delete req.body.actorId;
@@ -181,15 +231,28 @@ const authPlugin = async (app) => {
         0,
       );
 
+      // the role is authoritative, users without one keep their permissions
+      let permissions = actor && actor.permissions;
+      req.regions = [];
+      if (actor && actor.roleId) {
+        const [roleErr, role] = await app.to(
+          app.mongo.model("Role").findById(actor.roleId).lean(),
+        );
+        if (roleErr) {
+          req.log.error(roleErr, "Failed retrieving role");
+          throw app.httpErrors.internalServerError();
+        } else if (role) {
+          permissions = role.permissions;
+          req.regions = role.regions;
+        }
+      }
+
       // only IndividualUser can have permissions
-      if (
-        !actor ||
-        !actor.permissions ||
-        !(requiredPerms & actor.permissions)
-      ) {
+      if (!actor || !permissions || !(requiredPerms & permissions)) {
         req.log.error(`Not authorized to act as ${requiredPerms}`);
         throw app.httpErrors.forbidden();
       }
+      req.permissions = permissions;
     };
   });
 };
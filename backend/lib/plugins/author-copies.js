@@ -0,0 +1,107 @@
+const fp = require("fastify-plugin");
+const {
+  AUTHOR_COPIES,
+  AUTHOR_FIELDS,
+  findDrift,
+  getCopiesPipeline,
+  getCopyUpdate,
+} = require("../components/AuthorCopies");
+
+const copyName = ({ model, path }) => `${model}.${path}`;
+
+class AuthorCopies {
+  constructor(app) {
+    this.app = app;
+    this.User = app.mongo.model("User");
+  }
+
+  async updateCopy(copy, account) {
+    const { filter, options, update } = getCopyUpdate(copy, account);
+    const [err] = await this.app.to(
+      this.app.mongo.model(copy.model).updateMany(filter, update, options),
+    );
+    if (err) {
+      this.app.log.error(
+        err,
+        `Failed updating author copies at ${copyName(copy)} id=${account._id}`,
+      );
+    }
+    return !err;
+  }
+
+  /**
+   * Updates the copies of an account keeping one of the changed fields.
+   * Failures are only logged, the consistency check repairs them later.
+   */
+  async propagate(account, changedFields = AUTHOR_FIELDS) {
+    const copies = AUTHOR_COPIES.filter(({ fields }) =>
+      fields.some((field) => changedFields.includes(field)),
+    );
+    await Promise.all(copies.map((copy) => this.updateCopy(copy, account)));
+  }
+
+  /**
+   * Compares every copy with its account and lists the accounts with stale
+   * copies, updating them when `repair` is set. Copies of deleted accounts
+   * are only counted.
+   */
+  async check(repair = false) {
+    const byAccount = new Map();
+    const collections = [];
+
+    // one collection at a time, the aggregations scan them entirely
+    await AUTHOR_COPIES.reduce(async (previous, copy) => {
+      await previous;
+      const copies = await this.app.mongo
+        .model(copy.model)
+        .aggregate(getCopiesPipeline(copy));
+      const ids = [
+        ...new Set(copies.filter(({ id }) => id).map(({ id }) => `${id}`)),
+      ];
+      // documents rather than lean objects, for the name of individual users
+      const accounts = await this.User.find({ _id: { $in: ids } });
+      const { drifted, orphaned } = findDrift(copy, copies, accounts);
+
+      const accountsById = new Map(
+        accounts.map((account) => [`${account._id}`, account]),
+      );
+      const repaired = repair
+        ? await Promise.all(
+            drifted.map((id) => this.updateCopy(copy, accountsById.get(id))),
+          )
+        : [];
+      drifted.forEach((id, index) => {
+        const account = accountsById.get(id);
+        const entry = byAccount.get(id) || {
+          copies: [],
+          id,
+          name: account.name,
+          repaired: repair,
+          targetType: account.ownerId ? "organisations" : "users",
+        };
+        entry.copies.push(copyName(copy));
+        entry.repaired = entry.repaired && !!repaired[index];
+        byAccount.set(id, entry);
+      });
+      collections.push({
+        checked: copies.length,
+        copy: copyName(copy),
+        drifted: drifted.length,
+        orphaned: orphaned.length,
+      });
+    }, Promise.resolve());
+
+    return { accounts: [...byAccount.values()], collections };
+  }
+}
+
+function authorCopies(app, config, next) {
+  try {
+    app.decorate("authorCopies", new AuthorCopies(app));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = fp(authorCopies);
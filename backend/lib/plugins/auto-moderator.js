@@ -0,0 +1,159 @@
+const fp = require("fastify-plugin");
+const {
+  SYSTEM_MODERATOR_ID,
+  findContentRule,
+  getRateLimitSince,
+  isRateLimited,
+  reachesReportThreshold,
+} = require("../components/ModerationRules");
+
+class AutoModerator {
+  constructor(app) {
+    this.app = app;
+    this.Audit = app.mongo.model("Audit");
+    this.Message = app.mongo.model("Message");
+    this.ModerationRule = app.mongo.model("ModerationRule");
+    // content which can be held for review
+    this.targetModels = {
+      comments: app.mongo.model("Comment"),
+      posts: app.mongo.model("Post"),
+    };
+  }
+
+  async getRules(targetType, kinds) {
+    const [err, rules] = await this.app.to(
+      this.ModerationRule.find({
+        appliesTo: targetType,
+        enabled: true,
+        kind: { $in: kinds },
+      })
+        .sort({ createdAt: 1 })
+        .lean(),
+    );
+    if (err) {
+      this.app.log.error(err, "Failed loading moderation rules");
+      return [];
+    }
+    return rules;
+  }
+
+  countRecent(targetType, authorId, since) {
+    const createdAt = { $gt: since };
+    if (targetType === "messages") {
+      return this.Message.countDocuments({ authorId, createdAt });
+    }
+    return this.targetModels[targetType].countDocuments({
+      "author.id": authorId,
+      createdAt,
+    });
+  }
+
+  /**
+   * Evaluates the rules applying to new content before it's saved. Returns
+   * the action to take with the rule behind it, or null to let it through.
+   * Messages can't be held for review, so they are blocked instead.
+   */
+  async checkContent(targetType, author, content) {
+    const rules = await this.getRules(targetType, [
+      "blocklist",
+      "links",
+      "newAccounts",
+    ]);
+    const rateLimits = rules.filter(({ kind }) => kind === "newAccounts");
+    const limited = await Promise.all(
+      rateLimits.map(async (rule) => {
+        const [countErr, recentCount] = await this.app.to(
+          this.countRecent(targetType, author._id, getRateLimitSince(rule)),
+        );
+        if (countErr) {
+          this.app.log.error(countErr, "Failed counting recent content");
+          return false;
+        }
+        return isRateLimited(rule, {
+          accountCreatedAt: author.createdAt,
+          recentCount,
+        });
+      }),
+    );
+    const rateLimit = rateLimits.find((rule, idx) => limited[idx]);
+    if (rateLimit) return { action: "block", rule: rateLimit };
+
+    const rule = findContentRule(rules, content);
+    if (!rule) return null;
+    return { action: targetType === "messages" ? "block" : "hold", rule };
+  }
+
+  // written to the audit log as taken by the system moderator
+  async record(action, rule, { after, before, postId, targetId, targetType }) {
+    const [err] = await this.app.to(
+      new this.Audit({
+        action,
+        after,
+        before,
+        justification: `Automatic: ${rule.name}`,
+        moderatorId: SYSTEM_MODERATOR_ID,
+        postId,
+        ruleId: rule._id,
+        targetId,
+        targetType,
+      }).save(),
+    );
+    if (err) this.app.log.error(err, "Failed saving automatic action");
+  }
+
+  // blocked content is never saved, so the block is logged against its author
+  recordBlock(rule, author) {
+    return this.record("block", rule, {
+      targetId: author._id,
+      targetType: author.ownerId ? "organisations" : "users",
+    });
+  }
+
+  // hides reported content once it reaches the threshold of a "reports" rule
+  async checkReports(targetType, targetId) {
+    const Target = this.targetModels[targetType];
+    if (!Target) return;
+    const rules = await this.getRules(targetType, ["reports"]);
+    if (!rules.length) return;
+
+    const [err, target] = await this.app.to(
+      Target.findById(targetId).select("+reportedBy"),
+    );
+    if (err || !target) {
+      this.app.log.error(err, "Failed loading reported content");
+      return;
+    }
+    if (target.held || target.status === "removed") return;
+
+    const rule = rules.find((candidate) =>
+      reachesReportThreshold(candidate, target.reportedBy.length),
+    );
+    if (!rule) return;
+
+    const [updateErr] = await this.app.to(
+      Target.updateOne({ _id: target._id }, { $set: { held: true } }),
+    );
+    if (updateErr) {
+      this.app.log.error(updateErr, "Failed holding reported content");
+      return;
+    }
+    await this.record("hold", rule, {
+      after: { held: true },
+      before: { held: false },
+      postId: targetType === "posts" ? target._id : target.postId,
+      targetId: target._id,
+      targetType,
+    });
+  }
+}
+
+function fastifyAutoModerator(app, config, next) {
+  try {
+    app.decorate("autoModerator", new AutoModerator(app));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = fp(fastifyAutoModerator);
@@ -0,0 +1,60 @@
+const fp = require("fastify-plugin");
+const moment = require("moment");
+const { EXPIRY_REMINDER_WINDOW_HOURS } = require("../components/PostExpiry");
+
+// Reminds authors of posts expiring soon, so they can renew them in time
+async function sendExpiryReminders(app) {
+  const Post = app.mongo.model("Post");
+  const now = new Date();
+
+  const [err, posts] = await app.to(
+    Post.find(
+      {
+        expireAt: {
+          $gt: now,
+          $lte: moment(now).add(EXPIRY_REMINDER_WINDOW_HOURS, "hours").toDate(),
+        },
+        expiryReminderSentAt: null,
+        state: { $nin: ["fulfilled", "closed"] },
+        status: { $ne: "removed" },
+      },
+      { author: true, title: true },
+    ).lean(),
+  );
+  if (err) {
+    app.log.error(err, "Failed finding expiring posts");
+    return;
+  }
+
+  await Promise.all(
+    posts.map(async (post) => {
+      // claim the reminder first so other instances running this job skip it
+      const [claimErr, claim] = await app.to(
+        Post.updateOne(
+          { _id: post._id, expiryReminderSentAt: null },
+          { $set: { expiryReminderSentAt: now } },
+        ),
+      );
+      if (claimErr) {
+        app.log.error(claimErr, "Failed claiming post expiry reminder");
+      } else if (claim.nModified) {
+        await app.notifier.notifyPostExpiring(post);
+      }
+    }),
+  );
+}
+
+function expiryReminders(app, config, next) {
+  const timer = setInterval(
+    () => sendExpiryReminders(app),
+    config.intervalMinutes * 60 * 1000,
+  );
+  timer.unref();
+  app.addHook("onClose", (instance, done) => {
+    clearInterval(timer);
+    done();
+  });
+  next();
+}
+
+module.exports = fp(expiryReminders);
@@ -1,34 +1,106 @@
 const fp = require("fastify-plugin");
 const mongoose = require("mongoose");
+const { LEGACY_ROLES, ROLES } = require("../constants");
 
 require("../models/Author");
+require("../models/Bookmark");
 require("../models/Comment");
 require("../models/Feedback");
 require("../models/Location");
 require("../models/IndividualUser");
 require("../models/Message");
+require("../models/ModerationRule");
 require("../models/Notification")
+require("../models/OrganisationInvite");
 require("../models/OrganisationUser");
 require("../models/Post");
+require("../models/ReportClaim");
+require("../models/Revision");
+require("../models/Role");
 require("../models/Thread");
 require("../models/User");
 
 async function syncIndexes(mongo) {
   mongo.model("Author").syncIndexes();
+  mongo.model("Bookmark").syncIndexes();
   mongo.model("Comment").syncIndexes();
   mongo.model("Feedback").syncIndexes();
   mongo.model("Location").syncIndexes();
   mongo.model("Message").syncIndexes();
+  mongo.model("ModerationRule").syncIndexes();
   mongo.model("Notification").syncIndexes();
+  mongo.model("OrganisationInvite").syncIndexes();
   mongo.model("Post").syncIndexes();
+  mongo.model("ReportClaim").syncIndexes();
+  mongo.model("Revision").syncIndexes();
+  mongo.model("Role").syncIndexes();
   mongo.model("Thread").syncIndexes();
   mongo.model("User").syncIndexes();
 }
 
+// users holding the value a role had before scopes were added to it get them,
+// the permissions of users linked to a role follow the role instead
+async function migratePermissions(mongo) {
+  await Promise.all(
+    Object.entries(LEGACY_ROLES).map(([name, permissions]) =>
+      mongo
+        .model("IndividualUser")
+        .updateMany(
+          { permissions, roleId: { $exists: false } },
+          { $set: { permissions: ROLES[name] } },
+        ),
+    ),
+  );
+}
+
+// roles which used to be hard-coded are created once, admins can edit them.
+// Users given one of them before are linked to it by their permissions, which
+// may be the role's value before scopes were added to it
+async function seedRoles(mongo) {
+  const Role = mongo.model("Role");
+  await Promise.all(
+    Object.entries(ROLES).map(([name, permissions]) =>
+      Role.updateOne(
+        { name },
+        { $setOnInsert: { builtIn: true, name, permissions } },
+        { upsert: true },
+      ),
+    ),
+  );
+  const roles = await Role.find({ builtIn: true, permissions: { $gt: 0 } });
+  await Promise.all(
+    roles.map((role) => {
+      const values = [
+        role.permissions,
+        ROLES[role.name],
+        LEGACY_ROLES[role.name],
+      ];
+      return mongo.model("IndividualUser").updateMany(
+        {
+          permissions: { $in: values.filter((value) => value !== undefined) },
+          roleId: { $exists: false },
+        },
+        { $set: { permissions: role.permissions, roleId: role._id } },
+      );
+    }),
+  );
+}
+
 async function dbConnector(app, config) {
   const connection = await mongoose.createConnection(config.uri, config.params);
   app.decorate("mongo", connection);
   syncIndexes(app.mongo);
+  try {
+    await migratePermissions(app.mongo);
+  } catch (err) {
+    app.log.error(err, "Failed migrating user permissions");
+  }
+  // another instance starting at the same time may have seeded them already
+  try {
+    await seedRoles(app.mongo);
+  } catch (err) {
+    app.log.error(err, "Failed seeding roles");
+  }
 }
 
 module.exports = fp(dbConnector);
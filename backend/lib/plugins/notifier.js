@@ -1,4 +1,31 @@
 const fp = require("fastify-plugin");
+const { STRONG_MATCH_SCORE, findMatches } = require("../components/Matching");
+const { findSavedSearchMatches } = require("../components/SavedSearches");
+
+// saves a notification for the receiver and sends it to them if online
+const sendNotification = async (notifier, receiverId, fields, kind) => {
+  const { app, Notification } = notifier;
+  const [err, notification] = await app.to(
+    new Notification({
+      emailSentAt: {
+        biweekly: null,
+        daily: null,
+        instant: null,
+        weekly: null,
+      },
+      isCleared: false,
+      readAt: null,
+      receiver: receiverId,
+      ...fields,
+    }).save(),
+  );
+  if (err) {
+    app.log.error(err, `Failed saving ${kind} Notification`);
+    return;
+  }
+
+  app.io.to(receiverId.toString()).emit("NEW_NOTIFICATION", notification);
+};
 
 class Notifier {
   constructor(app) {
@@ -6,6 +33,47 @@ class Notifier {
     this.Notification = app.mongo.model("Notification");
     this.User = app.mongo.model("User");
     this.Organisation = app.mongo.model("OrganisationUser");
+    this.Post = app.mongo.model("Post");
+  }
+
+  // a post goes public: once created, or once a moderator keeps a held one
+  async announcePost(post, authUserId) {
+    await Promise.all([
+      this.notifyStrongMatches(post, authUserId),
+      this.notifySavedSearches(post),
+    ]);
+  }
+
+  // let authors of existing posts know a new post could satisfy theirs
+  async notifyStrongMatches(post, authUserId) {
+    const [err, matches] = await this.app.to(findMatches(this.Post, post));
+    if (err) {
+      this.app.log.error(err, "Failed finding matches for new post");
+      return;
+    }
+
+    matches
+      .filter(({ matchScore }) => matchScore >= STRONG_MATCH_SCORE)
+      .forEach((match) => {
+        this.notify("match", match, post.author.id, authUserId, {
+          matchedPost: { id: post._id, title: post.title },
+        });
+      });
+  }
+
+  // alert users whose saved searches match a new post
+  async notifySavedSearches(post) {
+    const [err, matches] = await this.app.to(
+      findSavedSearchMatches(this.User, post),
+    );
+    if (err) {
+      this.app.log.error(err, "Failed finding saved searches for new post");
+      return;
+    }
+
+    matches.forEach(({ savedSearch, userId }) => {
+      this.notifySavedSearch(post, userId, savedSearch);
+    });
   }
 
   async notify(action, post, triggeredById, authUserId, details = {}) {
@@ -55,6 +123,7 @@ class Notifier {
       sharedVia: details.sharedVia,
       commentText: details.commentText,
       justification: details.justification,
+      matchedPost: details.matchedPost,
       triggeredBy: {
         id: triggeredBy._id,
         name: triggeredBy.name,
@@ -78,6 +147,102 @@ class Notifier {
       .to(post.author.id.toString())
       .emit("NEW_NOTIFICATION", notification);
   }
+
+  // the receiver is the owner of the saved search, not the post author
+  async notifySavedSearch(post, receiverId, savedSearch) {
+    await sendNotification(
+      this,
+      receiverId,
+      {
+        action: "savedSearch",
+        post: {
+          id: post._id,
+          title: post.title,
+        },
+        savedSearch: {
+          frequency: savedSearch.frequency,
+          id: savedSearch._id,
+          name: savedSearch.name,
+        },
+        triggeredBy: {
+          id: post.author.id,
+          name: post.author.name,
+          photo: post.author.photo,
+          type: post.author.type,
+        },
+      },
+      "saved search",
+    );
+  }
+
+  // the receiver was mentioned in a comment, on a post that may not be theirs
+  async notifyMention(post, receiverId, triggeredBy, commentText) {
+    if (receiverId.toString() === triggeredBy._id.toString()) return;
+
+    await sendNotification(
+      this,
+      receiverId,
+      {
+        action: "mention",
+        commentText,
+        post: {
+          id: post._id,
+          title: post.title,
+        },
+        triggeredBy: {
+          id: triggeredBy._id,
+          name: triggeredBy.name,
+          photo: triggeredBy.photo,
+          type: triggeredBy.type,
+        },
+      },
+      "mention",
+    );
+  }
+
+  // changes of an organisation's ownership, received by the users involved
+  async notifyOrganisation(action, organisation, receiverId, triggeredBy) {
+    await sendNotification(
+      this,
+      receiverId,
+      {
+        action,
+        organisation: {
+          id: organisation._id,
+          name: organisation.name,
+        },
+        triggeredBy: {
+          id: triggeredBy._id,
+          name: triggeredBy.name,
+          photo: triggeredBy.photo,
+          type: triggeredBy.type,
+        },
+      },
+      "organisation",
+    );
+  }
+
+  // reminds the author, no one else triggered it
+  async notifyPostExpiring(post) {
+    await sendNotification(
+      this,
+      post.author.id,
+      {
+        action: "postExpiring",
+        post: {
+          id: post._id,
+          title: post.title,
+        },
+        triggeredBy: {
+          id: post.author.id,
+          name: post.author.name,
+          photo: post.author.photo,
+          type: post.author.type,
+        },
+      },
+      "post expiring",
+    );
+  }
 }
 
 function fastifyNotifier(app, config, next) {
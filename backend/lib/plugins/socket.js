@@ -4,12 +4,21 @@ const SocketIO = require("socket.io");
 const cookieParser = require("socket.io-cookie-parser");
 const redisAdapter = require("socket.io-redis");
 const { getSocketIdByUserId, isUserInRoom } = require("../utils");
+const { canActAs } = require("../components/OrgMembers");
+const { MODERATORS_ROOM } = require("../components/ReportClaims");
+const {
+  getActiveSanction,
+  getSanctionError,
+} = require("../components/Sanctions");
+const { SCOPES } = require("../constants");
 const {
   config: { auth },
 } = require("../../config");
 
 function onSocketConnect(socket) {
   this.log.debug(`[ws] socket connected [id: ${socket.id}]`);
+  // the signed in user, socket.userId is the organisation they may act as
+  let individualId = null;
   const Thread = this.mongo.model("Thread");
   const User = this.mongo.model("User");
   const Post = this.mongo.model("Post");
@@ -36,19 +45,36 @@ function onSocketConnect(socket) {
     const decodedToken = this.jwt.decode(socket.request.cookies.token);
     const userId = decodedToken.payload[auth.jwtMongoIdKey];
     if (!userId) return res({ code: 401, message: "Unauthorized" });
-    const [userErr, user] = await this.to(User.findById(userId));
+    const [userErr, user] = await this.to(
+      User.findById(userId).select("+sanctions"),
+    );
     if (userErr) {
       return res({ code: 500, message: "Internal server error" });
     }
     if (!user) {
       return res({ code: 404, message: "User not found" });
     }
+    // suspended accounts can still read their messages
+    const userSanctionErr = getSanctionError(
+      getActiveSanction(user.sanctions),
+      "GET",
+    );
+    if (userSanctionErr) return res({ code: 403, message: userSanctionErr });
     socket.userId = userId;
+    individualId = userId;
     if (data.organisationId) {
       const [errOrg, org] = await this.to(
-        Organisation.exists({ _id: data.organisationId, ownerId: userId }),
+        Organisation.findById(data.organisationId).select("+sanctions"),
       );
-      if (!org || errOrg) return res({ code: 401, message: "Unauthorized" });
+      // every member role can answer the organisation's messages
+      if (!org || errOrg || !canActAs(org, userId, "message")) {
+        return res({ code: 401, message: "Unauthorized" });
+      }
+      const orgSanctionErr = getSanctionError(
+        getActiveSanction(org.sanctions),
+        "GET",
+      );
+      if (orgSanctionErr) return res({ code: 403, message: orgSanctionErr });
       socket.userId = data.organisationId;
       this.io.emit("USER_STATUS_UPDATE", { id: userId, status: "offline" });
     }
@@ -70,6 +96,8 @@ function onSocketConnect(socket) {
       }, 1000);
     });
     socket.join(socket.userId); // to send events to all the user's browsers, if many are open.
+    // live updates of the moderation queue
+    if (user.permissions & SCOPES.REPORT_READ) socket.join(MODERATORS_ROOM); // eslint-disable-line no-bitwise
     res({ code: 200, data: socket.userId });
     this.log.debug(
       `[ws] socket identified [socketId: ${socket.id}] [userId: ${socket.userId}]`,
@@ -285,6 +313,38 @@ function onSocketConnect(socket) {
           createdAt: post.createdAt,
         };
     }
+    const [authorErr, author] = await this.to(
+      User.findById(userId).select("+sanctions"),
+    );
+    if (authorErr || !author)
+      return res({ code: 500, message: "Internal server error" });
+    // organisations can't write while they, their owner or the member
+    // writing for them is sanctioned
+    const [accountsErr, accounts] = await this.to(
+      User.find({
+        _id: { $in: [author.ownerId, individualId].filter(Boolean) },
+      }).select("+sanctions"),
+    );
+    if (accountsErr)
+      return res({ code: 500, message: "Internal server error" });
+    const sanctionError = [author, ...accounts]
+      .map((account) =>
+        getSanctionError(getActiveSanction(account.sanctions), "POST"),
+      )
+      .find(Boolean);
+    if (sanctionError) return res({ code: 403, message: sanctionError });
+    const moderation = await this.autoModerator.checkContent(
+      "messages",
+      author,
+      newMessage.content,
+    );
+    if (moderation) {
+      await this.autoModerator.recordBlock(moderation.rule, author);
+      return moderation.rule.kind === "newAccounts"
+        ? res({ code: 429, message: "Too many requests" })
+        : res({ code: 403, message: "Blocked by moderation rules" });
+    }
+
     const [messageErr, message] = await this.to(Message(newMessage).save());
     if (messageErr) return res({ code: 500, message: "Internal server error" });
 
@@ -8,8 +8,17 @@ const POST_SETTINGS = {
       { text: "post.options.shareWith.state", value: "State" },
       { text: "post.options.shareWith.country", value: "Country" },
       { text: "post.options.shareWith.worldwide", value: "Worldwide" },
+      { text: "post.options.shareWith.radius", value: "Radius" },
     ],
   },
+  // kilometers around the author for the "Radius" visibility
+  radius: {
+    default: { text: "post.options.radius", value: 25 },
+    options: [5, 10, 25, 50, 100].map((km) => ({
+      text: "post.options.radius",
+      value: km,
+    })),
+  },
   expires: {
     default: { text: "post.options.expires.month", value: "Month" },
     options: [
@@ -26,6 +35,18 @@ const POST_SETTINGS = {
       { text: "post.options.expires.offer", value: "offer" },
     ],
   },
+  // keep in sync with the attachment limits of the Post model
+  attachments: {
+    maxCount: 5,
+    maxSize: 5 * 1024 * 1024,
+    types: [
+      "application/pdf",
+      "image/gif",
+      "image/jpeg",
+      "image/png",
+      "image/webp",
+    ],
+  },
 };
 
 export default POST_SETTINGS;
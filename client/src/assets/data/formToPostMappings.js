@@ -3,7 +3,7 @@ import createPostSettings from "assets/data/createPostSettings";
 import filterOptions from "assets/data/filterOptions";
 
 const { type: typeFilter } = filterOptions;
-const { expires } = createPostSettings;
+const { expires, radius } = createPostSettings;
 
 const day = expires.options[0].value;
 const week = expires.options[1].value;
@@ -47,11 +47,16 @@ export const typeToTag = (type) => {
   }
 };
 
+const visibilityRadiusKm = (formData) =>
+  formData.shareWith === "Radius" ? formData.radiusKm : undefined;
+
 export const postToFormData = (post) => ({
+  attachments: post.attachments || [],
   title: post.title,
   description: post.content,
   tags: post.types.map((type) => typeToTag(type)),
   shareWith: `${post.visibility[0].toUpperCase()}${post.visibility.slice(1)}`,
+  radiusKm: post.visibilityRadiusKm || radius.default.value,
   expires: `${
     post.expireAt !== null ? translateISOToString(post.expireAt) : forever
   }`,
@@ -62,10 +67,12 @@ export const postToFormData = (post) => ({
 });
 
 export const formDataToPost = (formData) => ({
+  attachments: formData.attachments,
   title: formData.title,
   content: formData.description,
   types: formData.tags.map((tag) => tagToType(tag)),
   visibility: formData.shareWith.toLowerCase(),
+  visibilityRadiusKm: visibilityRadiusKm(formData),
   expireAt: formData.expires.toLowerCase(),
   objective: formData.help,
   author: formData.author,
@@ -74,10 +81,12 @@ export const formDataToPost = (formData) => ({
 });
 
 export const formDataToPostPatch = (formData) => ({
+  attachments: formData.attachments,
   title: formData.title,
   content: formData.description,
   types: formData.tags.map((tag) => tagToType(tag)),
   visibility: formData.shareWith.toLowerCase(),
+  visibilityRadiusKm: visibilityRadiusKm(formData),
   expireAt: formData.expires.toLowerCase(),
   objective: formData.help,
 });
@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { Button, Upload } from "antd";
+import { useTranslation } from "react-i18next";
+import axios from "axios";
+
+import Head from "./Head";
+import { Section, SubTitle } from "components/CreatePost/StyledModal";
+import createPostSettings from "assets/data/createPostSettings";
+
+const { attachments: attachmentSettings } = createPostSettings;
+const BYTES_IN_MB = 1024 * 1024;
+
+const Attachments = ({ attachments = [], onAdd, onRemove, number }) => {
+  const { t } = useTranslation();
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // validated here too so users don't wait for an upload that will fail
+  const beforeUpload = (file) => {
+    if (!attachmentSettings.types.includes(file.type)) {
+      setError("post.attachments.typeError");
+      return false;
+    }
+    if (file.size > attachmentSettings.maxSize) {
+      setError("post.attachments.sizeError");
+      return false;
+    }
+    setError(null);
+    return true;
+  };
+
+  const uploadAttachment = async ({ file, onError, onSuccess }) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    setUploading(true);
+    try {
+      const res = await axios.post("/api/posts/attachments", formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+      onAdd(res.data);
+      onSuccess(res.data);
+    } catch (err) {
+      console.log({ err });
+      setError("post.attachments.uploadError");
+      onError(err);
+    }
+    setUploading(false);
+  };
+
+  return (
+    <Section>
+      <Head number={number} title={t("post.attachments.title")} />
+      <Upload
+        accept={attachmentSettings.types.join(",")}
+        beforeUpload={beforeUpload}
+        customRequest={uploadAttachment}
+        fileList={attachments.map(({ name, url }) => ({
+          name,
+          status: "done",
+          uid: url,
+          url,
+        }))}
+        onRemove={({ uid }) => onRemove(uid)}
+      >
+        {attachments.length < attachmentSettings.maxCount && (
+          <Button loading={uploading}>{t("post.attachments.add")}</Button>
+        )}
+      </Upload>
+      <SubTitle>
+        {t("post.attachments.limits", {
+          count: attachmentSettings.maxCount,
+          size: attachmentSettings.maxSize / BYTES_IN_MB,
+        })}
+      </SubTitle>
+      <span className="error-box">{error && t(error)}</span>
+    </Section>
+  );
+};
+
+export default Attachments;
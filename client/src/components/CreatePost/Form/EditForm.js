@@ -5,6 +5,7 @@ import { useTranslation } from "react-i18next";
 import First from "./FirstSection";
 import Second from "./SecondSection";
 import Third from "./ThirdSection";
+import Attachments from "./Attachments";
 import { Footer, Submit } from "components/CreatePost/StyledModal";
 import { isAuthorOrg, isAuthorUser } from "pages/Feed";
 
@@ -79,6 +80,20 @@ const EditModalComponent = ({
     }
   };
 
+  const addAttachment = (attachment) =>
+    setFormData((prevFormData) => ({
+      ...prevFormData,
+      attachments: [...prevFormData.attachments, attachment],
+    }));
+
+  const removeAttachment = (url) =>
+    setFormData((prevFormData) => ({
+      ...prevFormData,
+      attachments: prevFormData.attachments.filter(
+        (attachment) => attachment.url !== url,
+      ),
+    }));
+
   const setExpiration = (expires) => {
     if (expires) {
       setFormData({ ...formData, expires });
@@ -94,6 +109,10 @@ const EditModalComponent = ({
     }
   };
 
+  const setRadius = (radiusKm) => {
+    setFormData({ ...formData, radiusKm });
+  };
+
   const handleSubmit = async () => {
     populateErrors();
     onClose();
@@ -141,8 +160,15 @@ const EditModalComponent = ({
       <Third
         formData={formData}
         onShareWithChange={setShareWith}
+        onRadiusChange={setRadius}
         onExpirationChange={setExpiration}
       />
+      <Attachments
+        number={4}
+        attachments={formData.attachments}
+        onAdd={addAttachment}
+        onRemove={removeAttachment}
+      />
       <Footer>
         <Submit
           primary="true"
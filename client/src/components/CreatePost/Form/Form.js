@@ -1,17 +1,23 @@
 import React, { useContext, useState } from "react";
 import { useTranslation } from "react-i18next";
+import { useSelector } from "react-redux";
+import { Select } from "antd";
 
 import First from "./FirstSection";
 import Second from "./SecondSection";
 import Third from "./ThirdSection";
+import Attachments from "./Attachments";
 import { CreatePostContext } from "components/CreatePost/CreatePost";
 import { Footer, Submit } from "components/CreatePost/StyledModal";
+import { PostAsSelect } from "components/CreatePost/StyledPostAs";
 import createPostSettings from "assets/data/createPostSettings";
 import axios from "axios";
 import { formDataToPost } from "assets/data/formToPostMappings";
 import GTM from "constants/gtm-tags";
+import { canOrgRole } from "constants/permissions";
+import { selectUser } from "reducers/session";
 
-const { shareWith, expires, helpTypes } = createPostSettings;
+const { shareWith, expires, helpTypes, radius } = createPostSettings;
 
 const initialState = {
   formData: {
@@ -19,15 +25,18 @@ const initialState = {
     description: "",
     tags: [],
     shareWith: shareWith.default.value,
+    radiusKm: radius.default.value,
     expires: expires.default.value,
     help: helpTypes.default.value,
+    attachments: [],
   },
   errors: [],
 };
 
 const Form = ({ setCurrentStep, textData, type, setPostId, gtmPrefix }) => {
   const { t } = useTranslation();
-  const { form } = useContext(CreatePostContext);
+  const { form, setForm } = useContext(CreatePostContext);
+  const user = useSelector(selectUser);
   const [formData, setFormData] = useState(initialState.formData);
   const [errors, setErrors] = useState(initialState.errors);
   formData.help = type;
@@ -39,6 +48,16 @@ const Form = ({ setCurrentStep, textData, type, setPostId, gtmPrefix }) => {
     tags: t("post.tags"),
   };
 
+  // organisations the user can post for, members like responders can't
+  const postAsOrganisations = (
+    user?.organisations || []
+  ).filter((organisation) => canOrgRole(organisation.role, "post"));
+  const actorId = postAsOrganisations.some(
+    (organisation) => organisation._id === form.organisationId,
+  )
+    ? form.organisationId
+    : "";
+
   const handleFormData = (field) => (e) => {
     setFormData({ ...formData, [field]: e.target.value });
 
@@ -52,6 +71,21 @@ const Form = ({ setCurrentStep, textData, type, setPostId, gtmPrefix }) => {
     setFormData({ ...formData, [field]: val });
   };
 
+  // uploads finish asynchronously, so update from the latest form data
+  const addAttachment = (attachment) =>
+    setFormData((prevFormData) => ({
+      ...prevFormData,
+      attachments: [...prevFormData.attachments, attachment],
+    }));
+
+  const removeAttachment = (url) =>
+    setFormData((prevFormData) => ({
+      ...prevFormData,
+      attachments: prevFormData.attachments.filter(
+        (attachment) => attachment.url !== url,
+      ),
+    }));
+
   const cleanForm = () => setFormData(initialState.formData);
 
   const renderError = (field) => {
@@ -85,7 +119,7 @@ const Form = ({ setCurrentStep, textData, type, setPostId, gtmPrefix }) => {
     populateErrors();
 
     const payload = formDataToPost(formData);
-    if (form.organisationId) payload.actorId = form.organisationId;
+    if (actorId) payload.actorId = actorId;
 
     if (!errors.length) {
       try {
@@ -100,6 +134,21 @@ const Form = ({ setCurrentStep, textData, type, setPostId, gtmPrefix }) => {
 
   return (
     <>
+      {postAsOrganisations.length > 0 && (
+        <PostAsSelect
+          value={actorId}
+          onChange={(organisationId) => setForm({ ...form, organisationId })}
+        >
+          <Select.Option value="">
+            {t("post.postAs", { name: `${user.firstName} ${user.lastName}` })}
+          </Select.Option>
+          {postAsOrganisations.map((organisation) => (
+            <Select.Option key={organisation._id} value={organisation._id}>
+              {t("post.postAs", { name: organisation.name })}
+            </Select.Option>
+          ))}
+        </PostAsSelect>
+      )}
       <First
         onChangeTitle={handleFormData("title")}
         onChangeDescription={handleFormData("description")}
@@ -115,8 +164,15 @@ const Form = ({ setCurrentStep, textData, type, setPostId, gtmPrefix }) => {
       <Third
         formData={formData}
         onShareWithChange={(val) => handleSelectorChange("shareWith", val)}
+        onRadiusChange={(val) => handleSelectorChange("radiusKm", val)}
         onExpirationChange={(val) => handleSelectorChange("expires", val)}
       />
+      <Attachments
+        number={4}
+        attachments={formData.attachments}
+        onAdd={addAttachment}
+        onRemove={removeAttachment}
+      />
       <Footer>
         <Submit
           primary="true"
@@ -7,13 +7,22 @@ import SvgIcon from "components/Icon/SvgIcon";
 import downArrowSlim from "assets/icons/down-arrow-slim.svg";
 import createPostSettings from "assets/data/createPostSettings";
 
-const { shareWith, expires } = createPostSettings;
+const { shareWith, expires, radius } = createPostSettings;
 
-const Third = ({ onShareWithChange, onExpirationChange, formData }) => {
+const Third = ({
+  onShareWithChange,
+  onRadiusChange,
+  onExpirationChange,
+  formData,
+}) => {
   const { t } = useTranslation();
 
   const translateOptions = (options) =>
     options.map(({ text, value }) => ({ text: t(text), value: value }));
+  const radiusOptions = radius.options.map(({ text, value }) => ({
+    text: t(text, { km: value }),
+    value,
+  }));
 
   return (
     <Section>
@@ -38,6 +47,20 @@ const Third = ({ onShareWithChange, onExpirationChange, formData }) => {
             options={translateOptions(shareWith.options)}
             minWidth="13rem"
           />
+          {formData?.shareWith === "Radius" && (
+            <Selector
+              suffixIcon={
+                <SvgIcon
+                  src={downArrowSlim}
+                  style={{ width: "1.5rem", height: "auto" }}
+                />
+              }
+              onChange={onRadiusChange}
+              defaultValue={formData.radiusKm || radius.default.value}
+              filterOption={false}
+              options={radiusOptions}
+            />
+          )}
           <Selector
             suffixIcon={
               <SvgIcon
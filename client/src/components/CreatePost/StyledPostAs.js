@@ -1,7 +1,7 @@
 import React from "react";
 import { Link } from "react-router-dom";
 import styled from "styled-components";
-import { Modal, Button as AntDButton } from "antd";
+import { Modal, Button as AntDButton, Select as AntDSelect } from "antd";
 import BaseButton from "components/Button/BaseButton";
 import { theme, mq } from "constants/theme";
 import SvgIcon from "components/Icon/SvgIcon";
@@ -126,6 +126,18 @@ const OptionButton = styled(AntDButton)`
   }
 `;
 
+// the account a post is created as, the user or an organisation they post for
+const PostAsSelect = styled(AntDSelect)`
+  width: 100%;
+  margin-bottom: 1.5rem;
+  text-align: left;
+
+  &.ant-select:not(.ant-select-customize-input) .ant-select-selector {
+    border: 0.1rem solid ${colors.royalBlue};
+    border-radius: 0.8rem;
+  }
+`;
+
 const CreateOrgLink = styled(Link)`
   display: block;
   color: ${colors.royalBlue};
@@ -191,6 +203,7 @@ export {
   TitleStep,
   OptionButton,
   OptionButtonWrapper,
+  PostAsSelect,
   BackButton,
   ViewPostButton,
 };
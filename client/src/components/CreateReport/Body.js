@@ -68,7 +68,8 @@ export const Submit = styled(SubmitButton)`
 `;
 const Body = ({
   closeModal,
-  postId,
+  targetType,
+  targetId,
   onSuccess,
   postReportedBy,
   forModerator,
@@ -101,18 +102,14 @@ const Body = ({
     const formDataForModerator = {
       justification: reasonString,
       action: forModerator?.keep ? "reject" : "accept",
+      ...(forModerator?.force && { force: true }),
     };
     e.preventDefault();
+    const reportURL = `/api/reports/${targetType}/${targetId}${getActorQuery()}`;
     try {
       forModerator
-        ? await axios.patch(
-            `/api/reports/posts/${postId}${getActorQuery()}`,
-            formDataForModerator,
-          )
-        : await axios.post(
-            `/api/reports/posts/${postId}${getActorQuery()}`,
-            formData,
-          );
+        ? await axios.patch(reportURL, formDataForModerator)
+        : await axios.post(reportURL, formData);
 
       TagManager.dataLayer({
         dataLayer: {
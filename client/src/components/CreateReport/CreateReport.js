@@ -8,8 +8,18 @@ import { useTranslation } from "react-i18next";
 
 const { colors, typography } = theme;
 
+const REPORT_TITLES = {
+  comments: "moderation.reportComment",
+  organisations: "moderation.reportOrganisation",
+  posts: "moderation.reportPost",
+  users: "moderation.reportUser",
+};
+
+// reports posts by default, or the comment or profile given by targetType
 const CreateReport = ({
   postId,
+  targetType = "posts",
+  targetId = postId,
   currentPost,
   setCallReport,
   callReport,
@@ -51,7 +61,7 @@ const CreateReport = ({
     ? t("moderation.removePostTitle")
     : forModerator?.keep
     ? t("moderation.keepPostTitle")
-    : t("moderation.reportPost");
+    : t(REPORT_TITLES[targetType]);
 
   return (
     <div className="create-report">
@@ -66,7 +76,8 @@ const CreateReport = ({
           <Body
             onSuccess={setReportSuccess}
             closeModal={closeModal}
-            postId={postId}
+            targetType={targetType}
+            targetId={targetId}
             postReportedBy={post?.reportedBy}
             forModerator={forModerator}
           />
@@ -75,6 +86,7 @@ const CreateReport = ({
       {reportSuccess !== null && (
         <ReportFinished
           postId={postId}
+          targetType={targetType}
           reportSuccess={reportSuccess}
           setCallReport={setCallReport}
           fromPage={fromPage}
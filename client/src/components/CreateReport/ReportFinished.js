@@ -11,7 +11,7 @@ const { colors, typography } = theme;
 
 const ReportFinished = ({
   setCallReport,
-  isComment,
+  targetType,
   reportSuccess,
   postId,
   fromPage,
@@ -26,6 +26,8 @@ const ReportFinished = ({
     setCallReport(false);
     if (forModerator?.remove) return changeType("ACCEPTED");
     if (forModerator?.keep) return changeType("REJECTED");
+    // reported comments and profiles stay where they are
+    if (targetType !== "posts") return;
     if (fromPage && !forModerator) return (window.location = "/feed");
     dispatch(postsActions.setReported({ postId }));
   };
@@ -75,7 +77,9 @@ const ReportFinished = ({
     ? t("moderation.reportAcceptedBody")
     : forModerator?.keep
     ? t("moderation.reportRejectedBody")
-    : t("moderation.reportPostSuccess");
+    : targetType === "posts"
+    ? t("moderation.reportPostSuccess")
+    : t("moderation.reportSuccess");
 
   return (
     <div className="create-report">
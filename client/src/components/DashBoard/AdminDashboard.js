@@ -4,8 +4,9 @@ import { Input, Select, Table } from "antd";
 import axios from "axios";
 import styled from "styled-components";
 
+import AuthorCopies from "components/DashBoard/AuthorCopies";
+import RolesManager from "components/DashBoard/RolesManager";
 import TextAvatar from "components/TextAvatar";
-import { ROLES } from "constants/permissions";
 import { theme } from "constants/theme";
 import { getInitialsFromFullName } from "utils/userInfo";
 
@@ -30,7 +31,12 @@ const StyledAdminDashboard = styled(Table)`
   }
 `;
 
-function AdminDashboard({ users, setToggleRefetch, toggleRefetch }) {
+// roles are matched by id, users from before roles were stored by permissions
+const getUserRole = (roles, user) =>
+  roles.find(({ _id }) => _id === user.roleId) ||
+  roles.find(({ permissions }) => permissions === user.permissions);
+
+function AdminDashboard({ roles, users, setToggleRefetch, toggleRefetch }) {
   const saveChanges = async (userId, role) => {
     const endpoint = `/api/users/${userId}/permissions`;
     try {
@@ -78,30 +84,28 @@ function AdminDashboard({ users, setToggleRefetch, toggleRefetch }) {
     {
       title: "Role",
       render: (user) => {
-        const selectableRoles = Object.keys(ROLES);
-        selectableRoles.shift(); // remove role "user"
-        const userRoles = selectableRoles.filter(
-          (perm) => ROLES[perm] === user.permissions,
-        );
-        const highestRole = userRoles[userRoles.length - 1]; // mostly length === 1
+        const selectableRoles = roles.filter(({ name }) => name !== "user");
+        const userRole = getUserRole(roles, user);
         return (
           <Select
             onChange={(value) => saveChanges(user._id, value)}
-            value={highestRole}
+            value={userRole && userRole.name}
             style={{ width: "16rem" }}
-            disabled={user.permissions === ROLES.administrator}
+            disabled={userRole && userRole.name === "administrator"}
           >
-            {selectableRoles.map((permLevel) => (
-              <Option value={permLevel}>{permLevel}</Option>
+            {selectableRoles.map(({ _id, name }) => (
+              <Option key={_id} value={name}>
+                {name}
+              </Option>
             ))}
           </Select>
         );
       },
     },
     {
-      dataIndex: "permissions",
-      render: (permissions, user) => {
-        if (permissions === ROLES.administrator) return null;
+      render: (user) => {
+        const userRole = getUserRole(roles, user);
+        if (userRole && userRole.name === "administrator") return null;
         return (
           <a
             onClick={() => {
@@ -132,6 +136,11 @@ function AdminDashboard({ users, setToggleRefetch, toggleRefetch }) {
         }}
       />
       <StyledAdminDashboard dataSource={users} columns={columns} />
+      <RolesManager
+        roles={roles}
+        onChange={() => setToggleRefetch(!toggleRefetch)}
+      />
+      <AuthorCopies />
     </div>
   );
 }
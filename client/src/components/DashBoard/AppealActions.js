@@ -0,0 +1,118 @@
+// Core
+import React, { useState } from "react";
+import styled from "styled-components";
+import { Input, Modal } from "antd";
+import { useTranslation } from "react-i18next";
+import axios from "axios";
+
+// Icons
+import SvgIcon from "../Icon/SvgIcon";
+import PostRemoval from "assets/icons/post-removal.svg";
+import PostApproval from "assets/icons/post-approval.svg";
+// Constants
+import { mq, theme } from "constants/theme";
+
+const { colors } = theme;
+const { TextArea } = Input;
+
+const StyledSvg = styled(SvgIcon)`
+  pointer-events: none;
+`;
+
+const StyledSpan = styled.span`
+  pointer-events: none;
+  @media screen and (max-width: ${mq.phone.wide.maxWidth}) {
+    display: none;
+  }
+`;
+
+const Explanation = styled.blockquote`
+  margin: 0 0 1rem;
+  padding-left: 1rem;
+  border-left: 0.3rem solid ${colors.lightGray};
+  white-space: pre-wrap;
+`;
+
+const Error = styled.p`
+  color: ${colors.orangeRed};
+`;
+
+// accept (restore the post) or deny the appeal of a removed post
+const AppealActions = ({ post, isEnabled, changeType }) => {
+  const { t } = useTranslation();
+  const [action, setAction] = useState(null);
+  const [justification, setJustification] = useState("");
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(false);
+
+  const closeModal = () => {
+    setAction(null);
+    setJustification("");
+    setError(false);
+  };
+
+  const sendDecision = async () => {
+    setSending(true);
+    try {
+      await axios.patch(`/api/reports/posts/${post._id}/appeal`, {
+        action,
+        justification,
+      });
+      setSending(false);
+      closeModal();
+      // restored posts join the kept ones, denied ones stay removed
+      changeType(action === "accept" ? "REJECTED" : "ACCEPTED");
+    } catch (err) {
+      console.log({ err });
+      setSending(false);
+      setError(true);
+    }
+  };
+
+  return (
+    <>
+      <Explanation>{post.appeal?.explanation}</Explanation>
+      {isEnabled && (
+        <div className="social-icons">
+          <div className="social-icon" onClick={() => setAction("accept")}>
+            <StyledSvg src={PostApproval} className="social-icon-svg" />
+            <StyledSpan>{t("moderation.acceptAppeal")}</StyledSpan>
+          </div>
+          <span></span>
+          <div className="social-icon" onClick={() => setAction("deny")}>
+            <StyledSvg src={PostRemoval} className="social-icon-svg" />
+            <StyledSpan>{t("moderation.denyAppeal")}</StyledSpan>
+          </div>
+        </div>
+      )}
+      <Modal
+        title={t(
+          action === "accept"
+            ? "moderation.acceptAppealTitle"
+            : "moderation.denyAppealTitle",
+        )}
+        visible={!!action}
+        okText={t(
+          action === "accept"
+            ? "moderation.acceptAppeal"
+            : "moderation.denyAppeal",
+        )}
+        okButtonProps={{ disabled: !justification.trim(), loading: sending }}
+        cancelText={t("moderation.cancel")}
+        onOk={sendDecision}
+        onCancel={closeModal}
+        destroyOnClose
+      >
+        {error && <Error>{t("moderation.appealDecisionError")}</Error>}
+        <TextArea
+          autoSize={{ minRows: 3, maxRows: 6 }}
+          placeholder={t("moderation.enterDetails")}
+          value={justification}
+          onChange={(e) => setJustification(e.target.value)}
+        />
+      </Modal>
+    </>
+  );
+};
+
+export default AppealActions;
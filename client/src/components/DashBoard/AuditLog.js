@@ -1,11 +1,95 @@
-import { Table, Tag } from "antd";
+import { Button, DatePicker, Input, Select, Table, Tag } from "antd";
 
 import { Link } from "react-router-dom";
-import React from "react";
+import React, { useState } from "react";
+import axios from "axios";
+import qs from "query-string";
+import styled from "styled-components";
 import TextAvatar from "components/TextAvatar";
 import FilterTag from "components/Tag/FilterTag";
 import { getInitialsFromFullName } from "utils/userInfo";
 
+const ACTION_TAGS = {
+  accept: { color: "red", text: "REMOVE" },
+  reject: { color: "green", text: "KEEP" },
+  // taken by moderation rules
+  hold: { color: "orange", text: "HOLD" },
+  block: { color: "volcano", text: "BLOCK" },
+  acceptAppeal: { color: "green", text: "APPEAL ACCEPTED" },
+  denyAppeal: { color: "red", text: "APPEAL DENIED" },
+  // admin actions
+  updatePermissions: { color: "purple", text: "PERMISSIONS" },
+  createRule: { color: "blue", text: "RULE CREATED" },
+  updateRule: { color: "blue", text: "RULE UPDATED" },
+  deleteRule: { color: "blue", text: "RULE DELETED" },
+  createRole: { color: "geekblue", text: "ROLE CREATED" },
+  updateRole: { color: "geekblue", text: "ROLE UPDATED" },
+  deleteRole: { color: "geekblue", text: "ROLE DELETED" },
+  sanction: { color: "magenta", text: "SANCTION" },
+  revokeSanction: { color: "cyan", text: "SANCTION REVOKED" },
+  repairAuthorCopies: { color: "lime", text: "PROFILE COPIES REPAIRED" },
+  // taken by users on their accounts
+  transferOwnership: { color: "gold", text: "OWNERSHIP TRANSFERRED" },
+};
+
+const Filters = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  margin-bottom: 1.5rem;
+  > * {
+    margin: 0 1rem 0.5rem 0;
+  }
+  .ant-select {
+    width: 16rem;
+  }
+  .ant-input-search {
+    width: 20rem;
+  }
+`;
+
+const Changes = styled.dl`
+  margin: 0;
+  dt {
+    font-weight: 500;
+  }
+  dd {
+    margin: 0 0 0.5rem;
+    word-break: break-word;
+  }
+`;
+
+const formatValue = (value) =>
+  value === undefined || value === null
+    ? "-"
+    : typeof value === "object"
+    ? JSON.stringify(value)
+    : String(value);
+
+// blocked content was never saved, those logs point to its author
+const TARGET_LINKS = {
+  organisations: { pathname: "/organisation", text: "View Organisation" },
+  users: { pathname: "/profile", text: "View User" },
+};
+
+const renderChanges = (before, { after }) => {
+  const fields = [
+    ...new Set([...Object.keys(before || {}), ...Object.keys(after || {})]),
+  ];
+  if (!fields.length) return null;
+  return (
+    <Changes>
+      {fields.map((field) => (
+        <React.Fragment key={field}>
+          <dt>{field}</dt>
+          <dd>
+            {formatValue(before?.[field])} → {formatValue(after?.[field])}
+          </dd>
+        </React.Fragment>
+      ))}
+    </Changes>
+  );
+};
+
 const auditLogsColumns = [
   {
     title: "Moderator",
@@ -28,8 +112,8 @@ const auditLogsColumns = [
     dataIndex: "action",
     render: (action) => (
       <>
-        <Tag color={action === "accept" ? "red" : "green"} key={action}>
-          {action === "accept" ? "REMOVE" : "KEEP"}
+        <Tag color={ACTION_TAGS[action]?.color} key={action}>
+          {ACTION_TAGS[action]?.text || action}
         </Tag>
       </>
     ),
@@ -37,7 +121,8 @@ const auditLogsColumns = [
   {
     title: "Justification",
     dataIndex: "justification",
-    render: (justification) => (
+    // admin actions have no justification
+    render: (justification = "") => (
       <>
         {justification
           .replace(/[^|]*$/, "")
@@ -61,16 +146,32 @@ const auditLogsColumns = [
       </>
     ),
   },
+  {
+    title: "Changes",
+    dataIndex: "before",
+    render: renderChanges,
+  },
   {
     title: "Date",
     dataIndex: "createdAt",
     render: (date) => new Date(date).toLocaleString(),
   },
   {
-    title: "Post",
+    title: "Target",
     dataIndex: "postId",
-    render: (postId) => (
-      <>
+    render: (postId, { targetId, targetType }) =>
+      targetType === "rules" ? (
+        "Moderation Rule"
+      ) : targetType === "roles" ? (
+        "Role"
+      ) : TARGET_LINKS[targetType] ? (
+        <Link
+          style={{ color: "blue" }}
+          to={`${TARGET_LINKS[targetType].pathname}/${targetId}`}
+        >
+          {TARGET_LINKS[targetType].text}
+        </Link>
+      ) : (
         <Link
           style={{ color: "blue" }}
           to={{
@@ -83,22 +184,95 @@ const auditLogsColumns = [
         >
           View Post
         </Link>
-      </>
-    ),
+      ),
   },
 ];
 
-function AuditLog({ logs, pagination, loadNextPage }) {
+// downloads every log matching the filters, not only the current page
+const exportLogs = async (filters, format) => {
+  try {
+    const {
+      data,
+      headers,
+    } = await axios.get(
+      `/api/reports/logs/export?${qs.stringify({ ...filters, format })}`,
+      { responseType: "blob" },
+    );
+    const fileName = (headers["content-disposition"] || "").match(
+      /filename="(.+)"/,
+    );
+    const link = document.createElement("a");
+    link.href = window.URL.createObjectURL(data);
+    link.download = fileName ? fileName[1] : `audit-logs.${format}`;
+    link.click();
+    window.URL.revokeObjectURL(link.href);
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+function AuditLog({ logs, pagination, loadNextPage, filters, setFilters }) {
+  const [exporting, setExporting] = useState(null);
+
+  const updateFilters = (changes) => {
+    const updated = { ...filters, ...changes };
+    Object.keys(updated).forEach((key) => !updated[key] && delete updated[key]);
+    setFilters(updated);
+  };
+
+  const handleExport = (format) => async () => {
+    setExporting(format);
+    await exportLogs(filters, format);
+    setExporting(null);
+  };
+
   return (
-    <Table
-      dataSource={logs || []}
-      pagination={pagination}
-      columns={auditLogsColumns}
-      currentPage={pagination.current}
-      onChange={(pagination) =>
-        loadNextPage({ loadLogsPage: pagination.current - 1 })
-      }
-    />
+    <>
+      <Filters>
+        <Input.Search
+          allowClear
+          placeholder="Moderator or admin"
+          defaultValue={filters.actor}
+          onSearch={(actor) => updateFilters({ actor })}
+        />
+        <Select
+          allowClear
+          placeholder="Action"
+          value={filters.action}
+          onChange={(action) => updateFilters({ action })}
+        >
+          {Object.keys(ACTION_TAGS).map((action) => (
+            <Select.Option key={action} value={action}>
+              {ACTION_TAGS[action].text}
+            </Select.Option>
+          ))}
+        </Select>
+        <DatePicker.RangePicker
+          onChange={(dates) =>
+            updateFilters({
+              from: dates?.[0]?.startOf("day").toISOString(),
+              to: dates?.[1]?.endOf("day").toISOString(),
+            })
+          }
+        />
+        <Button loading={exporting === "csv"} onClick={handleExport("csv")}>
+          Export CSV
+        </Button>
+        <Button loading={exporting === "json"} onClick={handleExport("json")}>
+          Export JSON
+        </Button>
+      </Filters>
+      <Table
+        dataSource={logs || []}
+        pagination={pagination}
+        columns={auditLogsColumns}
+        currentPage={pagination.current}
+        rowKey="_id"
+        onChange={(pagination) =>
+          loadNextPage({ loadLogsPage: pagination.current - 1 })
+        }
+      />
+    </>
   );
 }
 
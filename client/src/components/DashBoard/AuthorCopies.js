@@ -0,0 +1,112 @@
+import React, { useState } from "react";
+import { Button, Popconfirm, Space, Table, Tag } from "antd";
+import axios from "axios";
+import styled from "styled-components";
+
+const StyledAuthorCopies = styled.div`
+  padding: 1rem;
+  p {
+    margin: 1rem 0;
+  }
+`;
+
+const COPY_LABELS = {
+  "Comment.author": "Comments",
+  "Notification.triggeredBy": "Notifications",
+  "Post.author": "Posts",
+  "Thread.participants": "Inbox",
+};
+
+const collectionColumns = [
+  {
+    title: "Copies",
+    dataIndex: "copy",
+    render: (copy) => COPY_LABELS[copy] || copy,
+  },
+  { title: "Checked", dataIndex: "checked" },
+  { title: "Outdated", dataIndex: "drifted" },
+  { title: "Deleted accounts", dataIndex: "orphaned" },
+];
+
+const accountColumns = [
+  {
+    title: "Account",
+    render: ({ id, name }) => (
+      <>
+        {name} <small>ID: {id}</small>
+      </>
+    ),
+  },
+  {
+    title: "Outdated in",
+    dataIndex: "copies",
+    render: (copies) =>
+      copies.map((copy) => <Tag key={copy}>{COPY_LABELS[copy] || copy}</Tag>),
+  },
+  {
+    dataIndex: "repaired",
+    render: (repaired) => repaired && <Tag color="green">REPAIRED</Tag>,
+  },
+];
+
+// finds profile names and photos left outdated in posts, comments and inbox
+function AuthorCopies() {
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const run = (repair) => async () => {
+    setLoading(true);
+    try {
+      const { data } = repair
+        ? await axios.post("/api/users/author-copies/repair")
+        : await axios.get("/api/users/author-copies");
+      setResult(data);
+    } catch (e) {
+      console.log(e);
+      alert("Something went wrong.");
+    }
+    setLoading(false);
+  };
+
+  return (
+    <StyledAuthorCopies>
+      <h2>Profile copies</h2>
+      <Space>
+        <Button loading={loading} onClick={run(false)}>
+          Check
+        </Button>
+        {result?.accounts.some(({ repaired }) => !repaired) && (
+          <Popconfirm title="Update every outdated copy?" onConfirm={run(true)}>
+            <Button type="primary" loading={loading}>
+              Repair
+            </Button>
+          </Popconfirm>
+        )}
+      </Space>
+      {result && (
+        <>
+          <p>
+            {result.accounts.length
+              ? `${result.accounts.length} accounts have outdated copies.`
+              : "Every copy is up to date."}
+          </p>
+          <Table
+            dataSource={result.collections}
+            columns={collectionColumns}
+            rowKey="copy"
+            pagination={false}
+          />
+          {result.accounts.length > 0 && (
+            <Table
+              dataSource={result.accounts}
+              columns={accountColumns}
+              rowKey="id"
+            />
+          )}
+        </>
+      )}
+    </StyledAuthorCopies>
+  );
+}
+
+export default AuthorCopies;
@@ -3,7 +3,7 @@ import React, { useState } from "react";
 import styled from "styled-components";
 import { Link } from "react-router-dom";
 import { Card, WhiteSpace } from "antd-mobile";
-import { Divider, Tooltip } from "antd";
+import { Divider, Modal, Tooltip } from "antd";
 import { useTranslation } from "react-i18next";
 
 // Local
@@ -11,7 +11,11 @@ import FilterTag from "components/Tag/FilterTag";
 import Heading from "components/Typography/Heading";
 import PostCard from "./PostCard";
 import PostActions from "./PostActions";
+import AppealActions from "./AppealActions";
+import ReportClaim, { isClaimActive } from "./ReportClaim";
+import SanctionModal, { getSanctionTarget } from "./SanctionModal";
 import CreateReport from "components/CreateReport/CreateReport";
+import { RevisionsList, loadRevisions } from "components/Feed/PostRevisions";
 import { translateISOTimeTitle } from "assets/data/formToPostMappings";
 import { highlightSearchRegex, authorProfileLink } from "../Feed/utils";
 import { SCOPES } from "constants/permissions";
@@ -36,6 +40,10 @@ export const LeftHeader = styled.p`
   }
 `;
 
+const SanctionWrapper = styled.div`
+  margin: 0 1.5rem 1rem;
+`;
+
 const Highlight = ({ text = "", highlight = "" }) => {
   if (!highlight || !highlight.trim()) {
     return text;
@@ -50,6 +58,21 @@ const Highlight = ({ text = "", highlight = "" }) => {
 };
 
 export const CONTENT_LENGTH = 120;
+
+// where the reported item can be seen, profiles link to themselves
+const targetLink = (targetType, target) => {
+  switch (targetType) {
+    case "comments":
+      return `/post/${target.postId}`;
+    case "organisations":
+      return `/organisation/${target._id}`;
+    case "users":
+      return `/profile/${target._id}`;
+    default:
+      return `/post/${target._id}`;
+  }
+};
+
 const Post = ({
   currentPost,
   highlightWords,
@@ -60,25 +83,31 @@ const Post = ({
   keepPostsState,
   changeType,
   activeTab,
+  targetType = "posts",
 }) => {
   const { t } = useTranslation();
+  const isProfile = ["organisations", "users"].includes(targetType);
 
   let post;
   if (currentPost) {
     post = currentPost;
   }
 
-  const { _id, content, title, reportsCount } = post || {};
+  const { _id, title, reportsCount } = post || {};
+  const content = (isProfile ? post?.about : post?.content) || "";
+  const authorName = isProfile
+    ? post?.name || `${post?.firstName} ${post?.lastName}`
+    : post?.author?.name;
 
   const renderHeader = (
     <Card.Header
       title={
         <div className="title-wrapper">
           <span className="author">
-            <Highlight text={post?.author?.name} highlight={highlightWords} />
+            <Highlight text={authorName} highlight={highlightWords} />
           </span>
           <span className="timestamp">
-            Posted{" "}
+            {isProfile ? "Joined" : "Posted"}{" "}
             <Tooltip title={translateISOTimeTitle(post.createdAt)}>
               <span className="timestamp">
                 {t(
@@ -97,7 +126,11 @@ const Post = ({
   );
 
   const renderHeaderWithLink = (
-    <Link to={authorProfileLink(post)}>{renderHeader}</Link>
+    <Link
+      to={isProfile ? targetLink(targetType, post) : authorProfileLink(post)}
+    >
+      {renderHeader}
+    </Link>
   );
 
   const renderTags = (
@@ -121,6 +154,38 @@ const Post = ({
     remove: false,
     keep: false,
   });
+  const [revisions, setRevisions] = useState(null);
+  const canModerate = Boolean(user?.permissions & SCOPES.REPORT_WRITE);
+  const sanctionTarget = post && getSanctionTarget(targetType, post);
+  const claimedByOther =
+    isClaimActive(post.claim) &&
+    post.claim.moderator.id !== (user?.id || user?._id);
+
+  // deciding on an item another moderator reviews needs a confirmation
+  const openDecision = (open) => {
+    if (!open || !claimedByOther) return setCallReport(open);
+    Modal.confirm({
+      title: t("moderation.reviewedBy", { name: post.claim.moderator.name }),
+      content: t("moderation.forceDecision"),
+      onOk: () => {
+        setForModerator((decision) => ({ ...decision, force: true }));
+        setCallReport(true);
+      },
+    });
+  };
+
+  // prior versions help judging reports made before the post was edited
+  const toggleRevisions = async () => {
+    if (revisions) {
+      setRevisions(null);
+      return;
+    }
+    try {
+      setRevisions(await loadRevisions(_id));
+    } catch (error) {
+      console.log({ error });
+    }
+  };
 
   return (
     <>
@@ -135,10 +200,24 @@ const Post = ({
           <WhiteSpace size="md" />
           {renderTags}
           <WhiteSpace />
+          {activeTab === "PENDING" && (
+            <ReportClaim
+              claim={post.claim}
+              targetType={targetType}
+              targetId={_id}
+              user={user}
+              canClaim={canModerate}
+            />
+          )}
+          {canModerate && sanctionTarget && (
+            <SanctionWrapper>
+              <SanctionModal target={sanctionTarget} />
+            </SanctionWrapper>
+          )}
           {post ? (
             <Link
               to={{
-                pathname: `/post/${_id}`,
+                pathname: targetLink(targetType, post),
                 state: {
                   post: post,
                   postId: _id,
@@ -164,25 +243,43 @@ const Post = ({
               {renderContent(title, content, highlightWords, showComplete)}
             </>
           )}
-          <Card.Body className="view-more-wrapper" />
+          {targetType === "posts" && (
+            <Card.Body className="view-more-wrapper">
+              <span className="view-more" onClick={toggleRevisions}>
+                {revisions
+                  ? t("post.revisions.hidePrior")
+                  : t("post.revisions.showPrior")}
+              </span>
+              {revisions && <RevisionsList post={post} revisions={revisions} />}
+            </Card.Body>
+          )}
           <Card.Body className="content-wrapper">
-            <PostActions
-              setCallReport={setCallReport}
-              setForModerator={setForModerator}
-              isEnabled={
-                activeTab === "PENDING" &&
-                Boolean(user?.permissions & SCOPES.REPORT_WRITE)
-              }
-              canRestore={
-                activeTab === "ACCEPTED" &&
-                Boolean(user?.permissions & SCOPES.REPORT_WRITE)
-              }
-            />
+            {activeTab === "APPEALS" ? (
+              <AppealActions
+                post={post}
+                isEnabled={Boolean(user?.permissions & SCOPES.REPORT_WRITE)}
+                changeType={changeType}
+              />
+            ) : (
+              <PostActions
+                setCallReport={openDecision}
+                setForModerator={setForModerator}
+                isEnabled={
+                  activeTab === "PENDING" &&
+                  Boolean(user?.permissions & SCOPES.REPORT_WRITE)
+                }
+                canRestore={
+                  activeTab === "ACCEPTED" &&
+                  Boolean(user?.permissions & SCOPES.REPORT_WRITE)
+                }
+              />
+            )}
             {callReport ? (
               <CreateReport
                 callReport={callReport}
                 setCallReport={setCallReport}
                 postId={post._id}
+                targetType={targetType}
                 currentPost={post}
                 fromPage={true}
                 forModerator={forModerator}
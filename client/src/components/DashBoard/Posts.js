@@ -49,6 +49,7 @@ const Posts = ({
   page,
   changeType,
   activeTab,
+  targetType,
 }) => {
   const posts = Object.entries(filteredPosts);
   const scrollIndex = useRef(0);
@@ -96,6 +97,7 @@ const Posts = ({
               highlightWords={highlightWords}
               changeType={changeType}
               activeTab={activeTab}
+              targetType={targetType}
             />
             <HorizontalRule />
           </>
@@ -126,6 +128,7 @@ const Posts = ({
       page,
       postDispatch,
       posts,
+      targetType,
       user,
     ],
   );
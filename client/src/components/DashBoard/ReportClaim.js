@@ -0,0 +1,92 @@
+// Core
+import React, { useEffect, useState } from "react";
+import styled from "styled-components";
+import { Button, Tag } from "antd";
+import { useDispatch } from "react-redux";
+import { useTranslation } from "react-i18next";
+import axios from "axios";
+
+// Local
+import { postsActions } from "reducers/posts";
+
+const ClaimWrapper = styled.div`
+  display: flex;
+  align-items: center;
+  margin: 0 1.5rem 1rem;
+  .ant-btn {
+    margin-left: 0.5rem;
+  }
+`;
+
+export const isClaimActive = (claim) =>
+  !!claim && new Date(claim.expiresAt) > new Date();
+
+// "being reviewed by" label with claim/release buttons for a queue item
+const ReportClaim = ({ claim, targetType, targetId, user, canClaim }) => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const [, setExpired] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(false);
+
+  // claims time out on the server without any event, hide them at that time
+  useEffect(() => {
+    if (!isClaimActive(claim)) return;
+    setExpired(false);
+    const timeout = setTimeout(
+      () => setExpired(true),
+      new Date(claim.expiresAt) - new Date(),
+    );
+    return () => clearTimeout(timeout);
+  }, [claim]);
+
+  const isActive = isClaimActive(claim);
+  const isMine = isActive && claim.moderator.id === (user?.id || user?._id);
+
+  const updateClaim = (request) => async () => {
+    setSending(true);
+    try {
+      const { data } = await request();
+      setError(false);
+      dispatch(
+        postsActions.setClaimAction({
+          postId: targetId,
+          claim: data.claim || null,
+        }),
+      );
+    } catch (err) {
+      console.log({ err });
+      setError(true);
+    }
+    setSending(false);
+  };
+
+  const claimUrl = `/api/reports/${targetType}/${targetId}/claim`;
+  const claimItem = updateClaim(() => axios.put(claimUrl, {}));
+  const releaseItem = updateClaim(() => axios.delete(claimUrl));
+
+  return (
+    <ClaimWrapper>
+      {isActive && (
+        <Tag color={isMine ? "blue" : "orange"}>
+          {isMine
+            ? t("moderation.reviewedByYou")
+            : t("moderation.reviewedBy", { name: claim.moderator.name })}
+        </Tag>
+      )}
+      {error && <Tag color="red">{t("moderation.claimError")}</Tag>}
+      {canClaim && !isActive && (
+        <Button size="small" loading={sending} onClick={claimItem}>
+          {t("moderation.claim")}
+        </Button>
+      )}
+      {canClaim && isMine && (
+        <Button size="small" loading={sending} onClick={releaseItem}>
+          {t("moderation.release")}
+        </Button>
+      )}
+    </ClaimWrapper>
+  );
+};
+
+export default ReportClaim;
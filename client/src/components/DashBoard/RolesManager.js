@@ -0,0 +1,192 @@
+import React, { useState } from "react";
+import {
+  Button,
+  Checkbox,
+  Form,
+  Input,
+  Modal,
+  Popconfirm,
+  Space,
+  Table,
+  Tag,
+} from "antd";
+import axios from "axios";
+import styled from "styled-components";
+
+import { SCOPES } from "constants/permissions";
+
+const GRANTABLE_SCOPES = Object.keys(SCOPES).filter((name) => SCOPES[name]);
+
+const StyledRoles = styled.div`
+  padding: 1rem;
+  h2 {
+    display: flex;
+    justify-content: space-between;
+  }
+`;
+
+const toScopeNames = (permissions) =>
+  GRANTABLE_SCOPES.filter(
+    (name) => (permissions & SCOPES[name]) === SCOPES[name],
+  );
+
+const regionText = ({ country, state }) =>
+  state ? `${country.toUpperCase()} / ${state}` : country.toUpperCase();
+
+// create and edit the roles administrators give to users
+function RolesManager({ roles, onChange }) {
+  const [form] = Form.useForm();
+  const [editedRole, setEditedRole] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const openRole = (role) => {
+    setEditedRole(role);
+    form.setFieldsValue({
+      name: role.name || "",
+      regions: role.regions || [],
+      scopes: role.permissions ? toScopeNames(role.permissions) : [],
+    });
+  };
+
+  const saveRole = async () => {
+    const values = await form.validateFields();
+    setSaving(true);
+    try {
+      if (editedRole._id) {
+        await axios.patch(`/api/roles/${editedRole._id}`, values);
+      } else {
+        await axios.post("/api/roles", values);
+      }
+      setEditedRole(null);
+      onChange();
+    } catch (e) {
+      console.log(e);
+      alert(
+        e.response?.data?.message === "roleNameTaken"
+          ? "A role with this name already exists."
+          : "Something went wrong.",
+      );
+    }
+    setSaving(false);
+  };
+
+  const deleteRole = async (role) => {
+    try {
+      await axios.delete(`/api/roles/${role._id}`);
+      onChange();
+    } catch (e) {
+      console.log(e);
+      alert(
+        e.response?.data?.message === "roleInUse"
+          ? "This role is still given to some users."
+          : "Something went wrong.",
+      );
+    }
+  };
+
+  const columns = [
+    { title: "Role", dataIndex: "name" },
+    {
+      title: "Permissions",
+      dataIndex: "permissions",
+      render: (permissions) =>
+        toScopeNames(permissions).map((scope) => (
+          <Tag key={scope}>{scope}</Tag>
+        )),
+    },
+    {
+      title: "Regions",
+      dataIndex: "regions",
+      render: (regions) =>
+        regions.length
+          ? regions.map((region) => (
+              <Tag color="blue" key={regionText(region)}>
+                {regionText(region)}
+              </Tag>
+            ))
+          : "Everywhere",
+    },
+    {
+      render: (role) =>
+        role.name !== "administrator" && (
+          <Space>
+            <Button size="small" onClick={() => openRole(role)}>
+              Edit
+            </Button>
+            {!role.builtIn && (
+              <Popconfirm
+                title="Delete this role?"
+                onConfirm={() => deleteRole(role)}
+              >
+                <Button size="small" danger>
+                  Delete
+                </Button>
+              </Popconfirm>
+            )}
+          </Space>
+        ),
+    },
+  ];
+
+  return (
+    <StyledRoles>
+      <h2>
+        Roles
+        <Button onClick={() => openRole({})}>New role</Button>
+      </h2>
+      <Table
+        dataSource={roles}
+        columns={columns}
+        rowKey="_id"
+        pagination={false}
+      />
+      <Modal
+        title={editedRole?._id ? `Edit "${editedRole.name}"` : "New role"}
+        visible={!!editedRole}
+        okText="Save"
+        okButtonProps={{ loading: saving }}
+        onOk={saveRole}
+        onCancel={() => setEditedRole(null)}
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item name="name" label="Name" rules={[{ required: true }]}>
+            <Input maxLength={100} disabled={editedRole?.builtIn} />
+          </Form.Item>
+          <Form.Item name="scopes" label="Permissions">
+            <Checkbox.Group options={GRANTABLE_SCOPES} />
+          </Form.Item>
+          <Form.List name="regions">
+            {(fields, { add, remove }) => (
+              <>
+                <p>Regions (moderators only see reports located there)</p>
+                {fields.map((field) => (
+                  <Space key={field.key} align="baseline">
+                    <Form.Item
+                      name={[field.name, "country"]}
+                      fieldKey={[field.fieldKey, "country"]}
+                      rules={[{ required: true }]}
+                    >
+                      <Input placeholder="Country code" />
+                    </Form.Item>
+                    <Form.Item
+                      name={[field.name, "state"]}
+                      fieldKey={[field.fieldKey, "state"]}
+                    >
+                      <Input placeholder="State (optional)" />
+                    </Form.Item>
+                    <Button onClick={() => remove(field.name)}>&times;</Button>
+                  </Space>
+                ))}
+                <Button type="dashed" onClick={() => add()}>
+                  Add region
+                </Button>
+              </>
+            )}
+          </Form.List>
+        </Form>
+      </Modal>
+    </StyledRoles>
+  );
+}
+
+export default RolesManager;
@@ -0,0 +1,136 @@
+// Core
+import React, { useState } from "react";
+import styled from "styled-components";
+import { Button, Input, InputNumber, Modal, Select } from "antd";
+import { useTranslation } from "react-i18next";
+import axios from "axios";
+
+// Constants
+import { theme } from "constants/theme";
+
+const { colors } = theme;
+const { Option } = Select;
+const { TextArea } = Input;
+
+export const SANCTION_TYPES = ["warning", "suspension", "ban"];
+
+const Field = styled.div`
+  margin-bottom: 1rem;
+  .ant-select,
+  .ant-input-number {
+    width: 100%;
+  }
+`;
+
+const Error = styled.p`
+  color: ${colors.orangeRed};
+`;
+
+// profiles are sanctioned themselves, posts and comments through their author
+export const getSanctionTarget = (targetType, item) => {
+  if (["organisations", "users"].includes(targetType)) {
+    return { targetType, targetId: item._id };
+  }
+  if (!item.author) return null;
+  return {
+    targetType: item.author.type === "Individual" ? "users" : "organisations",
+    targetId: item.author.id,
+  };
+};
+
+// warn, suspend or ban the account behind a reported item
+const SanctionModal = ({ target }) => {
+  const { t } = useTranslation();
+  const [visible, setVisible] = useState(false);
+  const [type, setType] = useState("warning");
+  const [durationDays, setDurationDays] = useState(null);
+  const [reason, setReason] = useState("");
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [done, setDone] = useState(false);
+
+  // suspensions are temporary, bans are permanent unless given a duration
+  const isValid =
+    !!reason.trim() && (type !== "suspension" || durationDays > 0);
+
+  const closeModal = () => {
+    setVisible(false);
+    setType("warning");
+    setDurationDays(null);
+    setReason("");
+    setError(null);
+  };
+
+  const sendSanction = async () => {
+    setSending(true);
+    try {
+      await axios.post(
+        `/api/moderation/sanctions/${target.targetType}/${target.targetId}`,
+        { durationDays: durationDays || undefined, reason, type },
+      );
+      setSending(false);
+      setDone(true);
+      closeModal();
+    } catch (err) {
+      console.log({ err });
+      setSending(false);
+      const message = err.response?.data?.message;
+      setError(
+        ["cannotSanctionModerator", "cannotSanctionSelf"].includes(message)
+          ? `moderation.${message}`
+          : "moderation.sanctionError",
+      );
+    }
+  };
+
+  return (
+    <>
+      <Button size="small" disabled={done} onClick={() => setVisible(true)}>
+        {t(done ? "moderation.sanctioned" : "moderation.sanctionAccount")}
+      </Button>
+      <Modal
+        title={t("moderation.sanctionAccount")}
+        visible={visible}
+        okText={t("moderation.sanction")}
+        okButtonProps={{ disabled: !isValid, loading: sending }}
+        cancelText={t("moderation.cancel")}
+        onOk={sendSanction}
+        onCancel={closeModal}
+        destroyOnClose
+      >
+        {error && <Error>{t(error)}</Error>}
+        <Field>
+          <Select value={type} onChange={setType}>
+            {SANCTION_TYPES.map((sanctionType) => (
+              <Option key={sanctionType} value={sanctionType}>
+                {t(`sanction.types.${sanctionType}`)}
+              </Option>
+            ))}
+          </Select>
+        </Field>
+        <Field>
+          <InputNumber
+            min={1}
+            precision={0}
+            placeholder={t(
+              type === "suspension"
+                ? "moderation.durationDays"
+                : "moderation.durationDaysOptional",
+            )}
+            value={durationDays}
+            onChange={setDurationDays}
+          />
+        </Field>
+        <TextArea
+          autoSize={{ minRows: 3, maxRows: 6 }}
+          maxLength={500}
+          placeholder={t("moderation.sanctionReason")}
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+      </Modal>
+    </>
+  );
+};
+
+export default SanctionModal;
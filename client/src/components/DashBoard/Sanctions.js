@@ -0,0 +1,125 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { Button, Popconfirm, Table, Tag } from "antd";
+import axios from "axios";
+import styled from "styled-components";
+
+import TextAvatar from "components/TextAvatar";
+import { theme } from "constants/theme";
+import { getInitialsFromFullName } from "utils/userInfo";
+
+const { colors } = theme;
+
+const SANCTION_TAGS = {
+  warning: { color: "gold", text: "WARNING" },
+  suspension: { color: "orange", text: "SUSPENSION" },
+  ban: { color: "red", text: "BAN" },
+};
+
+const PROFILE_PATHS = {
+  organisations: "/organisation",
+  users: "/profile",
+};
+
+const StyledSanctions = styled(Table)`
+  padding: 1rem;
+  small {
+    display: block;
+    color: ${colors.darkGray};
+    margin-left: 5rem;
+  }
+`;
+
+const accountName = (account) =>
+  account.name || `${account.firstName} ${account.lastName}`;
+
+// accounts with a sanction in effect, which moderators can lift early
+function Sanctions({
+  sanctions,
+  pagination,
+  loadNextPage,
+  canRevoke,
+  onRevoke,
+}) {
+  const revokeSanction = async ({ _id, sanction, targetType }) => {
+    try {
+      await axios.delete(
+        `/api/moderation/sanctions/${targetType}/${_id}/${sanction._id}`,
+      );
+      onRevoke();
+    } catch (e) {
+      console.log(e);
+      alert("Something went wrong.");
+    }
+  };
+
+  const columns = [
+    {
+      title: "Account",
+      render: (account) => (
+        <>
+          <TextAvatar
+            style={{ display: "inline-block" }}
+            mobile={true}
+            src={account.photo}
+          >
+            {getInitialsFromFullName(accountName(account))}
+          </TextAvatar>{" "}
+          <Link
+            style={{ color: "blue" }}
+            to={`${PROFILE_PATHS[account.targetType]}/${account._id}`}
+          >
+            {accountName(account)}
+          </Link>
+          <small>ID: {account._id}</small>
+        </>
+      ),
+    },
+    {
+      title: "Sanction",
+      dataIndex: ["sanction", "type"],
+      render: (type) => (
+        <Tag color={SANCTION_TAGS[type].color}>{SANCTION_TAGS[type].text}</Tag>
+      ),
+    },
+    {
+      title: "Reason",
+      dataIndex: ["sanction", "reason"],
+    },
+    {
+      title: "Since",
+      dataIndex: ["sanction", "createdAt"],
+      render: (date) => new Date(date).toLocaleString(),
+    },
+    {
+      title: "Until",
+      dataIndex: ["sanction", "expiresAt"],
+      render: (date) => (date ? new Date(date).toLocaleString() : "Permanent"),
+    },
+    {
+      render: (account) =>
+        canRevoke && (
+          <Popconfirm
+            title="Lift this sanction?"
+            onConfirm={() => revokeSanction(account)}
+          >
+            <Button size="small">Revoke</Button>
+          </Popconfirm>
+        ),
+    },
+  ];
+
+  return (
+    <StyledSanctions
+      dataSource={sanctions}
+      columns={columns}
+      rowKey="_id"
+      pagination={pagination}
+      onChange={(pagination) =>
+        loadNextPage({ loadLogsPage: pagination.current - 1 })
+      }
+    />
+  );
+}
+
+export default Sanctions;
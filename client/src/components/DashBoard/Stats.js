@@ -1,6 +1,6 @@
 import React from "react";
-import { Doughnut, Radar, Line } from "react-chartjs-2";
-import { Row, Col, Statistic, Progress } from "antd";
+import { Bar, Doughnut, Radar, Line } from "react-chartjs-2";
+import { DatePicker, Row, Col, Statistic, Progress, Table } from "antd";
 import { WhiteSpace } from "antd-mobile";
 
 import moment from "moment";
@@ -18,7 +18,64 @@ const last30Days = [...new Array(30)]
   )
   .reverse();
 
-function Stats({ stats }) {
+const formatDuration = (ms) =>
+  ms === null ? "-" : moment.duration(ms).humanize();
+
+const formatRate = (rate) =>
+  rate === null ? "-" : `${Math.round(rate * 100)}%`;
+
+const moderatorColumns = [
+  { title: "Moderator", dataIndex: "name", render: (name) => name || "-" },
+  { title: "Removed", dataIndex: "accept" },
+  { title: "Kept", dataIndex: "reject" },
+  {
+    title: "Appeals decided",
+    render: ({ acceptAppeal, denyAppeal }) => acceptAppeal + denyAppeal,
+  },
+  { title: "Removals appealed", dataIndex: "appealed" },
+  { title: "Reversal rate", dataIndex: "reversalRate", render: formatRate },
+];
+
+// histogram of how long items took, with its median and 90th percentile
+const DurationChart = ({ title, distribution, color }) => (
+  <>
+    <h1>{title}</h1>
+    <Row gutter={16}>
+      <Col span={8}>
+        <Statistic title="Items" value={distribution.count} />
+      </Col>
+      <Col span={8}>
+        <Statistic
+          title="Median"
+          value={formatDuration(distribution.percentiles.p50)}
+        />
+      </Col>
+      <Col span={8}>
+        <Statistic
+          title="90th percentile"
+          value={formatDuration(distribution.percentiles.p90)}
+        />
+      </Col>
+    </Row>
+    <Bar
+      data={{
+        datasets: [
+          {
+            data: distribution.histogram.map(({ count }) => count),
+            backgroundColor: `${color}55`,
+            borderColor: color,
+            borderWidth: 1,
+            label: "Items",
+          },
+        ],
+        labels: distribution.histogram.map(({ bucket }) => bucket),
+      }}
+      options={{ legend: { display: false } }}
+    />
+  </>
+);
+
+function Stats({ stats, range, setRange }) {
   if (!stats) return null;
 
   const getReasonsCountsByType = (dataObject) => {
@@ -223,6 +280,114 @@ function Stats({ stats }) {
             }}
           />
         </Col>
+        {stats.moderationMetrics && (
+          <>
+            <Col className="gutter-row" span={24}>
+              <h1>Moderation performance</h1>
+              <DatePicker.RangePicker
+                value={[
+                  moment(stats.moderationMetrics.range.from),
+                  moment(stats.moderationMetrics.range.to),
+                ]}
+                allowClear={!!range.from}
+                onChange={(dates) =>
+                  setRange({
+                    from: dates?.[0]?.startOf("day").toISOString(),
+                    to: dates?.[1]?.endOf("day").toISOString(),
+                  })
+                }
+              />
+            </Col>
+            <Col className="gutter-row" span={12}>
+              <DurationChart
+                title="Time to first action"
+                distribution={stats.moderationMetrics.timeToFirstAction}
+                color="#2888d1"
+              />
+            </Col>
+            <Col className="gutter-row" span={12}>
+              <DurationChart
+                title="Time to resolution"
+                distribution={stats.moderationMetrics.timeToResolution}
+                color="#c55ce6"
+              />
+            </Col>
+            <Col className="gutter-row" span={12}>
+              <DurationChart
+                title="Backlog age (now)"
+                distribution={stats.moderationMetrics.backlogAge}
+                color="#ff2200"
+              />
+            </Col>
+            <Col className="gutter-row" span={12}>
+              <h1>Appeals</h1>
+              <Row gutter={16}>
+                <Col span={8}>
+                  <Statistic
+                    title="Reversal rate"
+                    value={formatRate(
+                      stats.moderationMetrics.appeals.reversalRate,
+                    )}
+                  />
+                </Col>
+                <Col span={8}>
+                  <Statistic
+                    title="Posts restored"
+                    value={stats.moderationMetrics.appeals.accepted}
+                  />
+                </Col>
+                <Col span={8}>
+                  <Statistic
+                    title="Appeals denied"
+                    value={stats.moderationMetrics.appeals.denied}
+                  />
+                </Col>
+              </Row>
+              <Bar
+                data={{
+                  datasets: [
+                    {
+                      data: stats.moderationMetrics.moderators.map(
+                        ({ accept }) => accept,
+                      ),
+                      backgroundColor: "#ff220055",
+                      borderColor: "#ff2200",
+                      borderWidth: 1,
+                      label: "Removed",
+                    },
+                    {
+                      data: stats.moderationMetrics.moderators.map(
+                        ({ reject }) => reject,
+                      ),
+                      backgroundColor: "#11ff0055",
+                      borderColor: "#11ff00",
+                      borderWidth: 1,
+                      label: "Kept",
+                    },
+                  ],
+                  labels: stats.moderationMetrics.moderators.map(
+                    ({ name }) => name || "-",
+                  ),
+                }}
+                options={{
+                  title: { display: true, text: "Decisions per moderator" },
+                  scales: {
+                    xAxes: [{ stacked: true }],
+                    yAxes: [{ stacked: true }],
+                  },
+                }}
+              />
+            </Col>
+            <Col className="gutter-row" span={24}>
+              <Table
+                dataSource={stats.moderationMetrics.moderators}
+                columns={moderatorColumns}
+                rowKey="id"
+                pagination={false}
+              />
+            </Col>
+          </>
+        )}
       </Row>
     </>
   );
@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+import { Alert, Button, Modal } from "antd";
+import axios from "axios";
+import moment from "moment";
+import { useTranslation } from "react-i18next";
+import styled from "styled-components";
+
+import { theme } from "constants/theme";
+import { CustomHeading } from "./EditComponents";
+
+const { colors } = theme;
+
+const AccountDataWrapper = styled.div`
+  border-top: 0.1rem solid ${colors.lightGray};
+  margin-top: 4rem;
+  padding-top: 2rem;
+  p {
+    color: ${colors.darkerGray};
+    margin: 1rem 0;
+  }
+  .ant-alert {
+    margin-bottom: 1rem;
+  }
+`;
+
+const downloadExport = async () => {
+  const { data, headers } = await axios.get("/api/users/current/export", {
+    responseType: "blob",
+  });
+  const fileName = (headers["content-disposition"] || "").match(
+    /filename="(.+)"/,
+  );
+  const link = document.createElement("a");
+  link.href = window.URL.createObjectURL(data);
+  link.download = fileName ? fileName[1] : "fightpandemics-data.json";
+  link.click();
+  window.URL.revokeObjectURL(link.href);
+};
+
+// downloading the user's data and deleting their account
+const AccountData = ({ deletionScheduledAt, onDeletionChange }) => {
+  const { t } = useTranslation();
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+    try {
+      await downloadExport();
+    } catch (err) {
+      console.log(err);
+      setError(t("profile.common.exportDataFailed"));
+    }
+    setExporting(false);
+  };
+
+  const scheduleDeletion = async () => {
+    setError(null);
+    try {
+      const res = await axios.delete("/api/users/current");
+      onDeletionChange(res.data.deletionScheduledAt);
+    } catch (err) {
+      console.log(err);
+      setError(t("profile.common.deleteAccountFailed"));
+    }
+  };
+
+  const cancelDeletion = async () => {
+    setError(null);
+    try {
+      await axios.delete("/api/users/current/deletion");
+      onDeletionChange(null);
+    } catch (err) {
+      console.log(err);
+      setError(t("profile.common.deleteAccountFailed"));
+    }
+  };
+
+  const confirmDeletion = () =>
+    Modal.confirm({
+      title: t("profile.common.deleteAccountConfirmTitle"),
+      content: t("profile.common.deleteAccountConfirm"),
+      okText: t("profile.common.deleteAccount"),
+      okType: "danger",
+      onOk: scheduleDeletion,
+    });
+
+  return (
+    <AccountDataWrapper>
+      <CustomHeading level={4} className="h4">
+        {t("profile.common.yourData")}
+      </CustomHeading>
+      {error && <Alert type="error" message={error} />}
+      <p>{t("profile.common.exportDataDescription")}</p>
+      <Button loading={exporting} onClick={handleExport}>
+        {t("profile.common.exportData")}
+      </Button>
+      <p>{t("profile.common.deleteAccountDescription")}</p>
+      {deletionScheduledAt ? (
+        <Alert
+          type="warning"
+          message={
+            <>
+              {t("profile.common.deletionScheduled", {
+                date: moment(deletionScheduledAt).format("LL"),
+              })}{" "}
+              <Button size="small" onClick={cancelDeletion}>
+                {t("profile.common.cancelDeletion")}
+              </Button>
+            </>
+          }
+        />
+      ) : (
+        <Button danger onClick={confirmDeletion}>
+          {t("profile.common.deleteAccount")}
+        </Button>
+      )}
+    </AccountDataWrapper>
+  );
+};
+
+export default AccountData;
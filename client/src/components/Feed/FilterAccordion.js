@@ -7,7 +7,9 @@ import {
   FilterAccordion,
   FilterAccordionPanel,
   AccordionHeader,
+  DistanceFilter,
   StyledCheckbox,
+  StyledSlider,
 } from "./StyledAccordion";
 import GTM from "constants/gtm-tags";
 import { SET_VALUE } from "hooks/actions/feedActions";
@@ -50,6 +52,22 @@ const gtmTagsMap = {
   providers: GTM.post.providers,
 };
 
+// slider stops, the last one searches at any distance
+const RADIUS_OPTIONS_KM = [5, 10, 25, 50, 100, null];
+
+// options of the filters, as counted in the facets of the posts api
+const facetsMap = {
+  lookingFor: {
+    facet: "objective",
+    value: (option) => (option === "Request Help" ? "request" : "offer"),
+  },
+  providers: { facet: "providers", value: (option) => option },
+  type: {
+    facet: "type",
+    value: (option) => (option === "Other" ? "Others" : option),
+  },
+};
+
 const filterOps = (label, idx) => {
   if (label === "lookingFor") {
     return `_${requestOrOffer[idx]}`;
@@ -65,10 +83,13 @@ const FilterAccord = ({ gtmPrefix, locationOnly }) => {
   const {
     activePanel,
     dispatchAction,
+    facets,
     filters,
     handleLocation,
     handleOption,
+    handleRadius,
     location,
+    radiusKm,
     selectedOptions,
     ignoreUserLocation,
     isAuthenticated,
@@ -77,6 +98,24 @@ const FilterAccord = ({ gtmPrefix, locationOnly }) => {
 
   const gtmTag = (tag) => gtmPrefix + tag;
 
+  const radiusMarks = RADIUS_OPTIONS_KM.reduce(
+    (marks, km, idx) => ({
+      ...marks,
+      [idx]: km ? `${km}` : t("feed.filters.anyDistance"),
+    }),
+    {},
+  );
+  const radiusIndex = RADIUS_OPTIONS_KM.includes(radiusKm)
+    ? RADIUS_OPTIONS_KM.indexOf(radiusKm)
+    : RADIUS_OPTIONS_KM.length - 1;
+
+  // counts are only known for posts, not for people or organisations
+  const getOptionCount = (label, option) => {
+    const { facet, value } = facetsMap[label] || {};
+    if (locationOnly || !facet || !facets?.[facet]) return null;
+    return facets[facet][value(option)] || 0;
+  };
+
   const setActivePanel = (activePanelKey) => {
     dispatchAction(SET_VALUE, "activePanel", activePanelKey);
   };
@@ -100,6 +139,19 @@ const FilterAccord = ({ gtmPrefix, locationOnly }) => {
               includeNavigator={true}
               gtmPrefix={gtmTag(GTM.post.location)}
             />
+            {(location || !ignoreUserLocation) && (
+              <DistanceFilter>
+                <div className="label">{t("feed.filters.distance")}</div>
+                <StyledSlider
+                  defaultValue={radiusIndex}
+                  marks={radiusMarks}
+                  max={RADIUS_OPTIONS_KM.length - 1}
+                  step={null}
+                  tipFormatter={null}
+                  onAfterChange={(idx) => handleRadius(RADIUS_OPTIONS_KM[idx])}
+                />
+              </DistanceFilter>
+            )}
           </FilterAccordionPanel>
         );
       } else if (!locationOnly) {
@@ -120,6 +172,7 @@ const FilterAccord = ({ gtmPrefix, locationOnly }) => {
                   ? "tag-selected"
                   : ""
               }`;
+              const count = getOptionCount(filter.label, value);
               return (
                 <ButtonTag
                   id={gtmPrefix + filterOps(filter.label, idx)}
@@ -128,6 +181,7 @@ const FilterAccord = ({ gtmPrefix, locationOnly }) => {
                   className={tagClassName}
                 >
                   {t(text)}
+                  {count !== null && ` (${count})`}
                 </ButtonTag>
               );
             })}
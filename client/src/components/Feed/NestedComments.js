@@ -12,6 +12,7 @@ import { linkify } from "utils/validators";
 
 // Local
 import Loader from "components/Feed/StyledLoader";
+import CreateReport from "components/CreateReport/CreateReport";
 import StyledComment from "./StyledComment";
 import { StyledCommentButton } from "./StyledCommentButton";
 import { Menu, Dropdown } from "antd";
@@ -49,6 +50,8 @@ const NestedComments = ({ comment, dispatchPostAction, deleteComment }) => {
   const [editComment, setEditComment] = useState(false);
   const [editedComment, setEditedComment] = useState(comment.content);
   const actorId = useSelector(selectActorId);
+  const isAuthor = actorId === comment.author.id;
+  const [callReport, setCallReport] = useState(false);
 
   const [visible, setVisible] = useState(false);
   const [isComponentVisible, setIsComponentVisible] = useState(false);
@@ -197,12 +200,20 @@ const NestedComments = ({ comment, dispatchPostAction, deleteComment }) => {
 
   const commentActions = (
     <Menu onClick={handleMenuItemClick}>
-      <Menu.Item onClick={() => toggleEditComment()}>
-        {t("comment.edit")}
-      </Menu.Item>
-      <Menu.Item onClick={(e) => handleDeleteComment(e)}>
-        {t("comment.delete")}
-      </Menu.Item>
+      {isAuthor
+        ? [
+            <Menu.Item key="edit" onClick={() => toggleEditComment()}>
+              {t("comment.edit")}
+            </Menu.Item>,
+            <Menu.Item key="delete" onClick={(e) => handleDeleteComment(e)}>
+              {t("comment.delete")}
+            </Menu.Item>,
+          ]
+        : [
+            <Menu.Item key="report" onClick={() => setCallReport(true)}>
+              {t("moderation.report")}
+            </Menu.Item>,
+          ]}
     </Menu>
   );
 
@@ -233,7 +244,7 @@ const NestedComments = ({ comment, dispatchPostAction, deleteComment }) => {
   const renderCommentContent = (
     <Space direction="vertical">
       <span>{linkify(editedComment)}</span>
-      {actorId === comment.author.id && (
+      {actorId && (
         <span
           style={{
             cursor: "pointer",
@@ -302,6 +313,14 @@ const NestedComments = ({ comment, dispatchPostAction, deleteComment }) => {
       ) : (
         <Loader />
       )}
+      {callReport && (
+        <CreateReport
+          callReport={callReport}
+          setCallReport={setCallReport}
+          targetType="comments"
+          targetId={comment._id}
+        />
+      )}
     </div>
   );
 };
@@ -15,7 +15,11 @@ import Heading from "components/Typography/Heading";
 import { LOGIN } from "templates/RouteWithSubRoutes";
 import PostCard from "./PostCard";
 import DeleteModal from "./PostDeleteModal";
+import PostStateModal from "./PostStateModal";
 import PostSocial from "./PostSocial";
+import PostAttachments from "./PostAttachments";
+import PostRenewal from "./PostRenewal";
+import PostAppeal from "./PostAppeal";
 import { ShareModal } from "./PostShare";
 import PostDropdownButton from "components/Feed/PostDropdownButton";
 import WizardFormNav, {
@@ -39,8 +43,14 @@ import {
   RESET_LOADING,
   TOGGLE_SHOW_COMMENTS,
   TOGGLE_COMMENTS,
+  SET_POST_STATE,
+  SET_POST_EXPIRATION,
 } from "hooks/actions/postActions";
-import { authorProfileLink, buildLocationString } from "./utils";
+import {
+  authorProfileLink,
+  buildLocationString,
+  distanceInKm,
+} from "./utils";
 import { isAuthorOrg, isAuthorUser } from "pages/Feed";
 import { getInitialsFromFullName } from "utils/userInfo";
 import { ExternalLinkIcon, IconsContainer } from "./ExternalLinks";
@@ -134,6 +144,7 @@ const Post = ({
 
   const {
     _id,
+    attachments,
     content,
     title,
     comments,
@@ -146,13 +157,17 @@ const Post = ({
     reportsCount,
     status,
     objective,
+    state,
+    closingReason,
   } = post || {};
 
   const gtmTag = (element, prefix) => prefix + GTM.post[element] + "_" + _id;
   const [showShareModal, setShowShareModal] = useState(false);
   const [toDelete, setToDelete] = useState("");
   const [comment, setComment] = useState([]);
+  const [mentions, setMentions] = useState([]);
   const [callReport, setCallReport] = useState(false);
+  const [showStateModal, setShowStateModal] = useState(false);
   const actorId = useSelector(selectActorId);
 
   const AvatarName =
@@ -260,6 +275,15 @@ const Post = ({
     setComment(e.target.value);
   };
 
+  // the comment box gives its text rather than an event
+  const handleCommentChange = (value) => {
+    setComment(value);
+  };
+
+  const handleMentionSelect = (user) => {
+    setMentions((selected) => [...selected, user]);
+  };
+
   const handleComment = async (e) => {
     if (e.shiftKey) return;
     e.preventDefault();
@@ -273,6 +297,10 @@ const Post = ({
     const newComment = {
       actorId,
       content: comment,
+      // the api also drops mentions whose name was removed from the text
+      mentions: mentions
+        .filter(({ name }) => comment.includes(`@${name}`))
+        .map(({ _id }) => _id),
     };
 
     try {
@@ -294,6 +322,7 @@ const Post = ({
         commentCountRes.data.post.commentsCount,
       );
       setComment([]);
+      setMentions([]);
     }
   };
 
@@ -359,6 +388,50 @@ const Post = ({
     setCallReport(true);
   };
 
+  const handleStateChange = (updatedPost) => {
+    const payload = {
+      state: updatedPost.state,
+      closingReason: updatedPost.closingReason,
+    };
+    if (dispatchPostAction) {
+      postDispatch({ type: SET_POST_STATE, ...payload });
+    } else {
+      postDispatch(postsActions.setPostStateAction({ postId: _id, ...payload }));
+    }
+    setShowStateModal(false);
+  };
+
+  const handleRenew = (renewedPost) => {
+    const payload = {
+      expireAt: renewedPost.expireAt,
+      expirationOption: renewedPost.expirationOption,
+    };
+    if (dispatchPostAction) {
+      postDispatch({ type: SET_POST_EXPIRATION, ...payload });
+    } else {
+      postDispatch(
+        postsActions.setPostExpirationAction({ postId: _id, ...payload }),
+      );
+    }
+  };
+
+  const renderStateBadge = state && state !== "open" && (
+    <Tooltip title={closingReason}>
+      <span className={`state-badge ${state}`}>
+        {t(`post.states.${state}`)}
+      </span>
+    </Tooltip>
+  );
+
+  const renderStateModal = showStateModal && (
+    <PostStateModal
+      post={post}
+      visible={showStateModal}
+      onCancel={() => setShowStateModal(false)}
+      onStateChange={handleStateChange}
+    />
+  );
+
   const renderExternalLinks = () => {
     return Object.entries(externalLinks).map(([name, url]) => {
       return (
@@ -462,6 +535,11 @@ const Post = ({
               <span className="location-status">
                 <SvgIcon src={statusIndicator} className="status-icon" />
                 {buildLocationString(post.author.location)}
+                {/* only set when searching around a location */}
+                {post.distance !== undefined &&
+                  ` · ${t("post.distanceKm", {
+                    count: distanceInKm(post.distance),
+                  })}`}
               </span>
             ) : (
               ""
@@ -503,7 +581,8 @@ const Post = ({
           gtmTag={`${GTM.post.prefix}${GTM.post.writeComment}_${postId}`}
           placeholder={t("comment.writeAComment")}
           onPressEnter={handleComment}
-          onChange={handleOnChange}
+          onChange={handleCommentChange}
+          onMentionSelect={handleMentionSelect}
           value={typeof comment === "string" && comment}
           maxLength={2048}
         />
@@ -545,6 +624,7 @@ const Post = ({
         postDispatch={postDispatch}
         url={window.location.href}
         liked={post?.liked}
+        bookmarked={post?.bookmarked}
         postAuthorName={post.author.name}
         postAuthorAvatar={post.author.photo}
         isOwnPost={
@@ -612,6 +692,7 @@ const Post = ({
                   {post?.elapsedTimeText?.isEdited && ` · ${t("post.edited")}`}
                 </span>
               </Tooltip>
+              {renderStateBadge}
             </div>
             <WhiteSpace size={"sm"} />
             <div className="card-header">
@@ -623,6 +704,7 @@ const Post = ({
                     onReport={handleReport}
                     onEdit={onSelect}
                     onDelete={handleDelete}
+                    onChangeState={() => setShowStateModal(true)}
                     fromPage={true}
                     post={post}
                     user={user}
@@ -638,8 +720,11 @@ const Post = ({
               )}
             </div>
             <WhiteSpace size="md" />
+            {isOwner && <PostRenewal post={post} onRenew={handleRenew} />}
+            {isOwner && <PostAppeal post={post} />}
             {renderTags}
             {renderContent(title, content, highlightWords, showComplete, convertTextToURL)}
+            <PostAttachments attachments={attachments} />
             {fullPostLength > CONTENT_LENGTH ? (
               <RenderViewMore />
             ) : (
@@ -689,6 +774,7 @@ const Post = ({
                 fromPage={true}
               />
             ) : null}
+            {renderStateModal}
           </StyledPostPagePostCard>
           <StyledButtonWizard
             nav={<WizardFormNav gtmPrefix={GTM.post.prefix} />}
@@ -741,6 +827,7 @@ const Post = ({
                       ` · ${t("post.edited")}`}
                   </span>
                 </Tooltip>
+                {renderStateBadge}
               </div>
               <WhiteSpace size={"xl"} />
               <WhiteSpace size={"md"} />
@@ -753,6 +840,7 @@ const Post = ({
                       onReport={handleReport}
                       onEdit={onSelect}
                       onDelete={handleDelete}
+                      onChangeState={() => setShowStateModal(true)}
                       post={post}
                       user={user}
                       postId={postId}
@@ -763,6 +851,7 @@ const Post = ({
                 )}
               </div>
               <WhiteSpace size="md" />
+              {isOwner && <PostRenewal post={post} onRenew={handleRenew} />}
               {renderTags}
               <WhiteSpace />
               {post && isAuthenticated ? (
@@ -797,6 +886,7 @@ const Post = ({
                   {renderContent(title, content, highlightWords, showComplete, convertTextToURL)}
                 </>
               )}
+              <PostAttachments attachments={attachments} />
               {fullPostLength > CONTENT_LENGTH ||
                 (post?.content?.length > CONTENT_LENGTH ? (
                   <RenderViewMore />
@@ -837,6 +927,7 @@ const Post = ({
                   postId={post._id}
                 />
               ) : null}
+              {renderStateModal}
             </PostCard>
           )}
         </>
@@ -0,0 +1,93 @@
+// Core
+import React, { useState } from "react";
+import { Button, Input } from "antd";
+import { useTranslation } from "react-i18next";
+import styled from "styled-components";
+import axios from "axios";
+
+// Constants
+import { theme } from "constants/theme";
+
+const { colors, typography } = theme;
+const { TextArea } = Input;
+
+// same limit as the appeal endpoint
+const EXPLANATION_MAX_LENGTH = 1000;
+
+const Banner = styled.div`
+  margin: 0 1.5rem 1rem;
+  padding: 0.8rem 1rem;
+  border-radius: 0.4rem;
+  background-color: ${colors.selago};
+  font-size: ${typography.size.small};
+
+  p {
+    margin-bottom: 0.8rem;
+  }
+  .ant-btn {
+    margin-top: 0.8rem;
+  }
+`;
+
+// an appeal made before the latest removal doesn't count against this one
+const getCurrentAppeal = ({ appeal, removedAt }) =>
+  appeal && !(new Date(removedAt) > new Date(appeal.createdAt)) ? appeal : null;
+
+const PostAppeal = ({ post }) => {
+  const { t } = useTranslation();
+  const [appeal, setAppeal] = useState(() => getCurrentAppeal(post));
+  const [explanation, setExplanation] = useState("");
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(false);
+
+  if (post.status !== "removed") return null;
+
+  const sendAppeal = async () => {
+    setSending(true);
+    try {
+      const { data } = await axios.post(
+        `/api/reports/posts/${post._id}/appeal`,
+        { explanation },
+      );
+      setError(false);
+      setAppeal(data.appeal);
+    } catch (err) {
+      console.log({ err });
+      setError(true);
+    }
+    setSending(false);
+  };
+
+  if (appeal) {
+    return (
+      <Banner>
+        {t(`post.appeal.${appeal.status}`, {
+          justification: appeal.justification,
+        })}
+      </Banner>
+    );
+  }
+
+  return (
+    <Banner>
+      <p>{error ? t("post.appeal.error") : t("post.appeal.removed")}</p>
+      <TextArea
+        autoSize={{ minRows: 2, maxRows: 6 }}
+        maxLength={EXPLANATION_MAX_LENGTH}
+        placeholder={t("post.appeal.placeholder")}
+        value={explanation}
+        onChange={(e) => setExplanation(e.target.value)}
+      />
+      <Button
+        size="small"
+        loading={sending}
+        disabled={!explanation.trim()}
+        onClick={sendAppeal}
+      >
+        {t("post.appeal.submit")}
+      </Button>
+    </Banner>
+  );
+};
+
+export default PostAppeal;
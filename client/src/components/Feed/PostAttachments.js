@@ -0,0 +1,73 @@
+// Core
+import React from "react";
+import styled from "styled-components";
+import { FilePdfOutlined } from "@ant-design/icons";
+
+// Constants
+import { theme } from "constants/theme";
+
+const { colors, typography } = theme;
+
+const Gallery = styled.div`
+  padding: 0 1.5rem 1rem;
+
+  .images {
+    display: flex;
+    flex-wrap: wrap;
+  }
+  .images a {
+    margin: 0 1rem 1rem 0;
+  }
+  .images img {
+    width: 10rem;
+    height: 10rem;
+    object-fit: cover;
+    border-radius: 0.4rem;
+    border: 0.1rem solid ${colors.lightGray};
+  }
+  .files a {
+    display: flex;
+    align-items: center;
+    margin-bottom: 0.5rem;
+    font-size: ${typography.size.medium};
+    color: ${colors.royalBlue};
+  }
+  .files .anticon {
+    margin-right: 0.5rem;
+  }
+`;
+
+const isImage = ({ mimeType }) => mimeType.startsWith("image/");
+
+const PostAttachments = ({ attachments = [] }) => {
+  if (!attachments.length) return null;
+
+  const images = attachments.filter(isImage);
+  const files = attachments.filter((attachment) => !isImage(attachment));
+
+  return (
+    <Gallery>
+      {!!images.length && (
+        <div className="images">
+          {images.map(({ name, url }) => (
+            <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+              <img src={url} alt={name} />
+            </a>
+          ))}
+        </div>
+      )}
+      {!!files.length && (
+        <div className="files">
+          {files.map(({ name, url }) => (
+            <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+              <FilePdfOutlined />
+              {name}
+            </a>
+          ))}
+        </div>
+      )}
+    </Gallery>
+  );
+};
+
+export default PostAttachments;
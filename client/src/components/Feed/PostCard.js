@@ -121,6 +121,24 @@ const PostCard = styled(Card)`
       font-size: ${small};
       color: ${colors.darkishGray};
     }
+    .state-badge {
+      margin-left: 1rem;
+      padding: 0.2rem 0.8rem;
+      border-radius: 1rem;
+      font-size: ${xsmall};
+      font-weight: 500;
+      color: ${colors.white};
+      background-color: ${royalBlue};
+      &.inProgress {
+        background-color: ${colors.orangeRed};
+      }
+      &.fulfilled {
+        background-color: ${colors.green};
+      }
+      &.closed {
+        background-color: ${darkGray};
+      }
+    }
   }
 
   &.am-card {
@@ -9,6 +9,7 @@ import { ReactComponent as HideIcon } from "assets/icons/hide.svg";
 import { ReactComponent as ReportIcon } from "assets/icons/report.svg";
 import { ReactComponent as EditIcon } from "assets/icons/edit-grey.svg";
 import { ReactComponent as PostRemoval } from "assets/icons/post-removal.svg";
+import { ReactComponent as DoneIcon } from "assets/icons/done.svg";
 
 import { theme } from "constants/theme";
 import GTM from "constants/gtm-tags";
@@ -60,6 +61,7 @@ const PostDropdownButton = ({
   onReport,
   onEdit,
   onDelete,
+  onChangeState,
   postId,
   post,
   user,
@@ -110,6 +112,17 @@ const PostDropdownButton = ({
               </Link>
             </Menu.Item>
           )}
+          {onChangeState && (
+            <Menu.Item onClick={onChangeState} key="state">
+              <Item>
+                <DoneIcon />
+                <Label>
+                  <Action>{t("post.changeStateAction")}</Action>
+                  <Caption>{t("post.changeStateCaption")}</Caption>
+                </Label>
+              </Item>
+            </Menu.Item>
+          )}
           <Menu.Item onClick={onDelete} key="delete">
             <Item>
               <PostRemoval />
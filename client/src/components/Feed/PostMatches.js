@@ -0,0 +1,103 @@
+// Core
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import styled from "styled-components";
+import axios from "axios";
+
+// Local
+import { buildLocationString, distanceInKm } from "./utils";
+
+// Constants
+import { theme } from "constants/theme";
+
+const { colors, typography } = theme;
+
+const MatchesPanel = styled.div`
+  margin-bottom: 4rem;
+  padding: 2rem 2.4rem;
+  border: 0.01rem solid #e4e4e4;
+  font-family: ${typography.font.family.body};
+  box-shadow: rgba(149, 157, 165, 0.2) 0px 8px 24px;
+
+  h3 {
+    font-size: ${typography.size.xlarge};
+    font-weight: 600;
+    color: ${colors.darkerGray};
+  }
+`;
+
+const MatchItem = styled(Link)`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 1rem 0;
+  color: ${colors.darkerGray};
+  &:not(:last-child) {
+    border-bottom: 0.1rem solid ${colors.lightGray};
+  }
+
+  .match-title {
+    font-size: ${typography.size.large};
+    font-weight: 500;
+  }
+  .match-details {
+    font-size: ${typography.size.small};
+    color: ${colors.darkishGray};
+  }
+  .match-score {
+    flex: 0 0 auto;
+    margin-left: 1rem;
+    font-weight: 600;
+    color: ${colors.royalBlue};
+  }
+`;
+
+const PostMatches = ({ postId, postState }) => {
+  const { t } = useTranslation();
+  const [matches, setMatches] = useState([]);
+
+  useEffect(() => {
+    const loadMatches = async () => {
+      try {
+        const { data } = await axios.get(`/api/posts/${postId}/matches`);
+        setMatches(data);
+      } catch (error) {
+        console.log({ error });
+        setMatches([]);
+      }
+    };
+    loadMatches();
+  }, [postId, postState]);
+
+  if (!matches.length) return null;
+
+  return (
+    <MatchesPanel>
+      <h3>{t("post.possibleMatches")}</h3>
+      {matches.map((match) => (
+        <MatchItem key={match._id} to={`/post/${match._id}`}>
+          <div>
+            <div className="match-title">{match.title}</div>
+            <div className="match-details">
+              {match.author.name}
+              {match.author.location &&
+                ` · ${buildLocationString(match.author.location)}`}
+              {match.distance !== undefined &&
+                ` · ${t("post.distanceKm", {
+                  count: distanceInKm(match.distance),
+                })}`}
+            </div>
+          </div>
+          <span className="match-score">
+            {t("post.matchScore", {
+              score: Math.round(match.matchScore * 100),
+            })}
+          </span>
+        </MatchItem>
+      ))}
+    </MatchesPanel>
+  );
+};
+
+export default PostMatches;
@@ -0,0 +1,75 @@
+// Core
+import React, { useState } from "react";
+import { Button } from "antd";
+import { useTranslation } from "react-i18next";
+import styled from "styled-components";
+import axios from "axios";
+import moment from "moment";
+
+// Local
+import { translateISOTimeTitle } from "assets/data/formToPostMappings";
+
+// Constants
+import { theme } from "constants/theme";
+
+const { colors, typography } = theme;
+
+// same windows as the reminder job and the renew endpoint
+const REMINDER_WINDOW_HOURS = 24;
+const GRACE_PERIOD_DAYS = 14;
+
+const Banner = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  margin: 0 1.5rem 1rem;
+  padding: 0.8rem 1rem;
+  border-radius: 0.4rem;
+  background-color: ${colors.selago};
+  font-size: ${typography.size.small};
+`;
+
+export const isRenewalDue = (expireAt, now = moment()) =>
+  !!expireAt &&
+  moment(expireAt).isBefore(moment(now).add(REMINDER_WINDOW_HOURS, "hours")) &&
+  moment(expireAt).add(GRACE_PERIOD_DAYS, "days").isAfter(now);
+
+const PostRenewal = ({ post, onRenew }) => {
+  const { t } = useTranslation();
+  const [renewing, setRenewing] = useState(false);
+  const [error, setError] = useState(false);
+
+  if (!isRenewalDue(post.expireAt)) return null;
+
+  const isExpired = moment(post.expireAt).isBefore(moment());
+
+  const renewPost = async () => {
+    setRenewing(true);
+    try {
+      const { data } = await axios.post(`/api/posts/${post._id}/renew`);
+      setError(false);
+      onRenew(data);
+    } catch (err) {
+      console.log({ err });
+      setError(true);
+    }
+    setRenewing(false);
+  };
+
+  return (
+    <Banner>
+      <span>
+        {error
+          ? t("post.expiry.renewError")
+          : t(isExpired ? "post.expiry.expired" : "post.expiry.expiring", {
+              date: translateISOTimeTitle(post.expireAt),
+            })}
+      </span>
+      <Button size="small" loading={renewing} onClick={renewPost}>
+        {t("post.expiry.renew")}
+      </Button>
+    </Banner>
+  );
+};
+
+export default PostRenewal;
@@ -0,0 +1,149 @@
+// Core
+import React, { useState } from "react";
+import { Modal } from "antd";
+import { useTranslation } from "react-i18next";
+import styled from "styled-components";
+import axios from "axios";
+
+// Local
+import { translateISOTimeTitle } from "assets/data/formToPostMappings";
+import { diffWords } from "utils/diff";
+
+// Constants
+import { theme } from "constants/theme";
+
+const { colors, typography } = theme;
+
+const RevisionsWrapper = styled.div`
+  font-family: ${typography.font.family.body};
+
+  .revision {
+    padding: 1rem 0;
+    &:not(:last-child) {
+      border-bottom: 0.1rem solid ${colors.lightGray};
+    }
+  }
+  .revision-date {
+    font-size: ${typography.size.small};
+    color: ${colors.darkishGray};
+  }
+  .revision-title {
+    font-weight: 600;
+  }
+  .revision-content {
+    white-space: pre-wrap;
+  }
+  .added {
+    background-color: #e6ffed;
+  }
+  .removed {
+    background-color: #ffeef0;
+    text-decoration: line-through;
+  }
+`;
+
+const ViewEditsButton = styled.button`
+  padding: 0;
+  background: transparent;
+  border: none;
+  color: ${colors.royalBlue};
+  font-size: ${typography.size.small};
+  cursor: pointer;
+`;
+
+const Diff = ({ before, after }) =>
+  diffWords(before, after).map(({ added, removed, value }, idx) => (
+    <span
+      key={idx}
+      className={(added && "added") || (removed && "removed") || undefined}
+    >
+      {value}
+    </span>
+  ));
+
+export const loadRevisions = async (postId) => {
+  const { data } = await axios.get(`/api/posts/${postId}/revisions`);
+  return data;
+};
+
+/**
+ * Lists what each edit changed, newest first. Revisions hold the version an
+ * edit replaced, so each one is compared with the version that followed it.
+ */
+export const RevisionsList = ({ post, revisions }) => {
+  const { t } = useTranslation();
+  const { comments = [], post: postRevisions = [] } = revisions;
+
+  return (
+    <RevisionsWrapper>
+      {postRevisions.map((revision, idx) => {
+        const next = idx ? postRevisions[idx - 1] : post;
+        return (
+          <div className="revision" key={revision._id}>
+            <div className="revision-date">
+              {t("post.revisions.editedAt", {
+                date: translateISOTimeTitle(revision.createdAt),
+              })}
+            </div>
+            <div className="revision-title">
+              <Diff before={revision.title} after={next.title} />
+            </div>
+            <div className="revision-content">
+              <Diff before={revision.content} after={next.content} />
+            </div>
+          </div>
+        );
+      })}
+      {comments.map((revision) => (
+        <div className="revision" key={revision._id}>
+          <div className="revision-date">
+            {t("post.revisions.commentEditedAt", {
+              date: translateISOTimeTitle(revision.createdAt),
+            })}
+          </div>
+          <div className="revision-content removed">{revision.content}</div>
+        </div>
+      ))}
+      {!postRevisions.length && !comments.length && (
+        <p>{t("post.revisions.empty")}</p>
+      )}
+    </RevisionsWrapper>
+  );
+};
+
+const PostRevisions = ({ post }) => {
+  const { t } = useTranslation();
+  const [revisions, setRevisions] = useState(null);
+  const [visible, setVisible] = useState(false);
+  const [error, setError] = useState(false);
+
+  const showRevisions = async () => {
+    setVisible(true);
+    try {
+      setRevisions(await loadRevisions(post._id));
+      setError(false);
+    } catch (err) {
+      console.log({ err });
+      setError(true);
+    }
+  };
+
+  return (
+    <>
+      <ViewEditsButton onClick={showRevisions}>
+        {t("post.revisions.viewEdits")}
+      </ViewEditsButton>
+      <Modal
+        title={t("post.revisions.title")}
+        visible={visible}
+        footer={null}
+        onCancel={() => setVisible(false)}
+      >
+        {error && <p>{t("post.revisions.loadError")}</p>}
+        {revisions && <RevisionsList post={post} revisions={revisions} />}
+      </Modal>
+    </>
+  );
+};
+
+export default PostRevisions;
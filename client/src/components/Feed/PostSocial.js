@@ -16,6 +16,8 @@ import { postsActions } from "reducers/posts";
 import SvgIcon from "../Icon/SvgIcon";
 import heartFilled from "assets/icons/heart-filled.svg";
 import heartOutline from "assets/icons/heart-outline.svg";
+import saveFilled from "assets/icons/save-filled.svg";
+import saveOutline from "assets/icons/save.svg";
 import commentFilled from "assets/icons/comment-filled.svg";
 import commentOutline from "assets/icons/comment-outline.svg";
 import share from "assets/icons/share.svg";
@@ -42,6 +44,7 @@ const PostSocial = ({
   authorId,
   postDispatch,
   liked,
+  bookmarked,
   showComments,
   numLikes,
   commentsCount,
@@ -107,6 +110,16 @@ const PostSocial = ({
     }
   });
 
+  const handlePostBookmark = async () => {
+    const request = bookmarked ? axios.delete : axios.put;
+    try {
+      const { data } = await request(`/api/posts/${id}/bookmark`);
+      postDispatch(postsActions.setBookmarkAction(id, data.bookmarked));
+    } catch (error) {
+      console.log({ error });
+    }
+  };
+
   useEffect(() => {
     const likePost = sessionStorage.getItem("likePost");
 
@@ -234,6 +247,21 @@ const PostSocial = ({
           <StyledSpan>{t("post.share")}</StyledSpan>
         </div>
       </div>
+      {isAuthenticated && (
+        <>
+          <span></span>
+          <div
+            id={gtmTag("bookmark", postId ? GTM.post.prefix : GTM.feed.prefix)}
+            className="social-icon"
+            onClick={handlePostBookmark}
+          >
+            {renderBookmarkIcon(bookmarked)}
+            <StyledSpan>
+              {t(bookmarked ? "post.bookmarks.saved" : "post.bookmarks.save")}
+            </StyledSpan>
+          </div>
+        </>
+      )}
       {!isOwnPost &&
         !/Sourced by FightPandemics\ \(.*?\)/.test(postAuthorName) && (
           <>
@@ -280,6 +308,15 @@ const renderShareIcon = () => {
   return <StyledSvg src={share} className="social-icon-svg" />;
 };
 
+const renderBookmarkIcon = (bookmarked) => {
+  return (
+    <StyledSvg
+      src={bookmarked ? saveFilled : saveOutline}
+      className="social-icon-svg"
+    />
+  );
+};
+
 const renderLabels = (label, count, t) => {
   return (
     <>
@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import { Input, Radio } from "antd";
+import axios from "axios";
+import styled from "styled-components";
+import { useTranslation } from "react-i18next";
+
+// Local
+import PostDeleteModal from "./PostDeleteModal";
+
+// Constants
+import { theme } from "constants/theme";
+
+const { colors } = theme;
+
+// mirrors POST_STATE_TRANSITIONS in the backend Post model
+export const POST_STATE_TRANSITIONS = {
+  closed: ["open"],
+  fulfilled: ["open"],
+  inProgress: ["open", "fulfilled", "closed"],
+  open: ["inProgress", "fulfilled", "closed"],
+};
+const CLOSING_STATES = ["fulfilled", "closed"];
+const CLOSING_REASON_MAX_LENGTH = 250;
+
+const StyledModal = styled(PostDeleteModal)`
+  .ant-modal-content .ant-modal-footer .ant-btn:last-child {
+    background-color: ${colors.royalBlue};
+  }
+  .ant-radio-group {
+    display: flex;
+    flex-direction: column;
+    margin-bottom: 1rem;
+  }
+  .ant-radio-wrapper {
+    line-height: 3rem;
+  }
+  .error {
+    color: ${colors.orangeRed};
+  }
+`;
+
+const PostStateModal = ({ post, visible, onCancel, onStateChange }) => {
+  const { t } = useTranslation();
+  const currentState = post.state || "open";
+  const nextStates = POST_STATE_TRANSITIONS[currentState];
+  const [state, setState] = useState(nextStates[0]);
+  const [closingReason, setClosingReason] = useState("");
+  const [error, setError] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleOk = async () => {
+    setLoading(true);
+    setError(false);
+    try {
+      const { data } = await axios.patch(`/api/posts/${post._id}/state`, {
+        state,
+        ...(CLOSING_STATES.includes(state) &&
+          closingReason && { closingReason }),
+      });
+      onStateChange(data);
+    } catch (err) {
+      console.log({ err });
+      setError(true);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <StyledModal
+      title={<p>{t("post.changeStateTitle")}</p>}
+      visible={visible}
+      onOk={handleOk}
+      onCancel={onCancel}
+      okText={t("post.confirm")}
+      cancelText={t("post.cancel")}
+      confirmLoading={loading}
+    >
+      <Radio.Group value={state} onChange={(e) => setState(e.target.value)}>
+        {nextStates.map((nextState) => (
+          <Radio key={nextState} value={nextState}>
+            {t(`post.states.${nextState}`)}
+          </Radio>
+        ))}
+      </Radio.Group>
+      {CLOSING_STATES.includes(state) && (
+        <Input.TextArea
+          value={closingReason}
+          maxLength={CLOSING_REASON_MAX_LENGTH}
+          placeholder={t("post.closingReason")}
+          onChange={(e) => setClosingReason(e.target.value)}
+        />
+      )}
+      {error && <p className="error">{t("post.stateChangeError")}</p>}
+    </StyledModal>
+  );
+};
+
+export default PostStateModal;
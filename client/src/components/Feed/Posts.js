@@ -47,7 +47,6 @@ const Posts = ({
   itemCount,
   isItemLoaded,
   hasNextPage,
-  totalPostCount,
   page,
 }) => {
   const posts = Object.entries(filteredPosts);
@@ -178,7 +177,9 @@ const Posts = ({
             <InfiniteLoader
               isRowLoaded={isItemLoaded}
               loadMoreRows={loadMoreItems}
-              rowCount={totalPostCount}
+              // the next page is fetched from the cursor of the last loaded
+              // post, so only the row after it has to be known to the loader
+              rowCount={itemCount}
               threshold={5}
             >
               {({ onRowsRendered }) => (
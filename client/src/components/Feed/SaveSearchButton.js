@@ -0,0 +1,122 @@
+// Core
+import React, { useState } from "react";
+import { Input, Select } from "antd";
+import { useTranslation } from "react-i18next";
+import styled from "styled-components";
+import axios from "axios";
+
+// Local
+import PostDeleteModal from "./PostDeleteModal";
+
+// Constants
+import { theme } from "constants/theme";
+
+const { colors, typography } = theme;
+
+export const SAVED_SEARCH_FREQUENCIES = ["instant", "daily", "weekly"];
+const SAVED_SEARCH_NAME_MAX_LENGTH = 60;
+
+const SaveButton = styled.button`
+  margin-top: 1rem;
+  background: transparent;
+  border: none;
+  color: ${colors.royalBlue};
+  font-size: ${typography.size.medium};
+  cursor: pointer;
+`;
+
+const StyledModal = styled(PostDeleteModal)`
+  .ant-modal-content .ant-modal-footer .ant-btn:last-child {
+    background-color: ${colors.royalBlue};
+  }
+  .ant-select {
+    width: 100%;
+    margin-top: 1rem;
+  }
+  .status {
+    margin-top: 1rem;
+  }
+  .error {
+    color: ${colors.orangeRed};
+  }
+`;
+
+// drops empty filters so the saved search only keeps what was selected
+const cleanFilters = (filters) =>
+  Object.entries(filters).reduce((cleaned, [key, value]) => {
+    if (value && (!Array.isArray(value) || value.length)) cleaned[key] = value;
+    return cleaned;
+  }, {});
+
+const SaveSearchButton = ({ filters, id }) => {
+  const { t } = useTranslation();
+  const [visible, setVisible] = useState(false);
+  const [name, setName] = useState("");
+  const [frequency, setFrequency] = useState("instant");
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleOpen = () => {
+    setName("");
+    setFrequency("instant");
+    setStatus(null);
+    setVisible(true);
+  };
+
+  const handleSave = async () => {
+    setLoading(true);
+    try {
+      await axios.post("/api/users/current/saved-searches", {
+        filters: cleanFilters(filters),
+        frequency,
+        name,
+      });
+      setVisible(false);
+    } catch (error) {
+      console.log({ error });
+      setStatus(
+        error.response?.data?.message === "savedSearchesLimitReached"
+          ? "savedSearches.limitReached"
+          : "savedSearches.saveError",
+      );
+    }
+    setLoading(false);
+  };
+
+  return (
+    <>
+      <SaveButton id={id} onClick={handleOpen}>
+        {t("savedSearches.save")}
+      </SaveButton>
+      {visible && (
+        <StyledModal
+          title={<p>{t("savedSearches.save")}</p>}
+          visible={visible}
+          onOk={handleSave}
+          onCancel={() => setVisible(false)}
+          okText={t("post.confirm")}
+          cancelText={t("post.cancel")}
+          okButtonProps={{ disabled: !name.trim() }}
+          confirmLoading={loading}
+        >
+          <Input
+            value={name}
+            maxLength={SAVED_SEARCH_NAME_MAX_LENGTH}
+            placeholder={t("savedSearches.namePlaceholder")}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <Select value={frequency} onChange={setFrequency}>
+            {SAVED_SEARCH_FREQUENCIES.map((option) => (
+              <Select.Option key={option} value={option}>
+                {t(`profile.common.${option}`)}
+              </Select.Option>
+            ))}
+          </Select>
+          {status && <p className="status error">{t(status)}</p>}
+        </StyledModal>
+      )}
+    </>
+  );
+};
+
+export default SaveSearchButton;
@@ -1,6 +1,6 @@
 import styled from "styled-components";
 import { Accordion } from "antd-mobile";
-import { Checkbox } from "antd";
+import { Checkbox, Slider } from "antd";
 import { theme, mq } from "constants/theme";
 const { display } = theme.typography.font.family;
 
@@ -94,6 +94,23 @@ export const FilterAccordionPanel = styled(Accordion.Panel)`
   }
 `;
 
+export const DistanceFilter = styled.div`
+  margin-top: 1.6rem;
+  .label {
+    font-size: ${theme.typography.size.medium};
+  }
+`;
+
+export const StyledSlider = styled(Slider)`
+  margin: 1rem 1rem 2.4rem;
+  .ant-slider-track {
+    background-color: ${theme.colors.royalBlue};
+  }
+  .ant-slider-handle {
+    border-color: ${theme.colors.royalBlue};
+  }
+`;
+
 export const StyledCheckbox = styled(Checkbox)`
   padding: 1.6rem 1.29rem;
   font-size: ${theme.typography.size.large};
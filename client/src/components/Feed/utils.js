@@ -1,5 +1,6 @@
 import qs from "query-string";
 const INDIVIDUAL_AUTHOR_TYPE = "Individual";
+const METERS_IN_KM = 1000;
 
 export const authorProfileLink = (post) =>
   `/${
@@ -13,6 +14,9 @@ export const buildLocationString = ({ city = "", country }) => {
   return city ? `${city}, ${country}` : country;
 };
 
+// distances returned by the api are in meters
+export const distanceInKm = (meters) => Math.round(meters / METERS_IN_KM);
+
 export const getOptionText = (filterOptions, filterLabel, option) =>
   filterOptions
     .filter(({ label }) => label === filterLabel)[0]
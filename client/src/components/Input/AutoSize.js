@@ -1,6 +1,6 @@
 import React from "react";
 import styled from "styled-components";
-import TextArea from "./TextArea";
+import MentionsTextArea from "./MentionsTextArea";
 import SvgIcon from "components/Icon/SvgIcon";
 import send from "assets/icons/send.svg";
 import { Button } from "antd";
@@ -27,17 +27,18 @@ const AutoSize = ({
   placeholder,
   value,
   onChange,
+  onMentionSelect,
   onPressEnter,
   gtmTag = "",
   maxLength,
 }) => {
   return (
     <>
-      <TextArea
+      <MentionsTextArea
         id={gtmTag}
-        autoSize
         value={value}
         onChange={onChange}
+        onMentionSelect={onMentionSelect}
         placeholder={placeholder}
         maxLength={maxLength}
       />
@@ -0,0 +1,88 @@
+import React, { useRef, useState } from "react";
+import styled from "styled-components";
+import axios from "axios";
+import { Mentions } from "antd";
+import { debounce } from "lodash";
+
+import { theme } from "constants/theme";
+
+const { darkishGray, lighterGray } = theme.colors;
+const MENTION_SUGGESTIONS_SIZE = 5;
+
+// same look as TextArea, "@" opens suggestions of people and organisations
+const StyledMentions = styled(Mentions)`
+  background-color: ${lighterGray};
+  font-size: 1.4rem;
+  color: black;
+  border: none;
+  width: 87%;
+  border-radius: 4rem;
+  padding: 0.4rem 1rem;
+
+  textarea {
+    resize: none;
+    overflow: hidden;
+  }
+  &.ant-mentions-focused {
+    box-shadow: unset;
+  }
+`;
+
+const SuggestionType = styled.span`
+  margin-left: 0.6rem;
+  color: ${darkishGray};
+`;
+
+const MentionsTextArea = ({ onChange, onMentionSelect, ...props }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const searchSuggestions = useRef(
+    debounce(async (keywords) => {
+      try {
+        const { data } = await axios.get(
+          `/api/users/mention-suggestions?keywords=${encodeURIComponent(
+            keywords,
+          )}&limit=${MENTION_SUGGESTIONS_SIZE}`,
+        );
+        setSuggestions(data);
+      } catch (err) {
+        console.log({ err });
+      } finally {
+        setLoading(false);
+      }
+    }, 300),
+  ).current;
+
+  const handleSearch = (keywords) => {
+    setSuggestions([]);
+    if (!keywords) return;
+    setLoading(true);
+    searchSuggestions(keywords);
+  };
+
+  const handleSelect = ({ value }) => {
+    const user = suggestions.find(({ name }) => name === value);
+    if (user) onMentionSelect(user);
+  };
+
+  return (
+    <StyledMentions
+      {...props}
+      autoSize
+      loading={loading}
+      onChange={onChange}
+      onSearch={handleSearch}
+      onSelect={handleSelect}
+    >
+      {suggestions.map(({ _id, name, type }) => (
+        <Mentions.Option key={_id} value={name}>
+          {name}
+          <SuggestionType>{type}</SuggestionType>
+        </Mentions.Option>
+      ))}
+    </StyledMentions>
+  );
+};
+
+export default MentionsTextArea;
@@ -0,0 +1,89 @@
+// Core
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { Card } from "antd-mobile";
+import { useTranslation } from "react-i18next";
+import axios from "axios";
+
+// Local
+import PostCard from "components/Feed/PostCard";
+import { NoPosts } from "pages/Feed";
+import Tiles from "./tiles";
+import { MAX_ZOOM, MIN_ZOOM, clusterFeatures } from "./cluster";
+import { Previews } from "./StyledMap";
+
+const DEFAULT_CENTER = { lat: 20, lng: 0 };
+const ZOOM_IN_STEPS = 2;
+
+// filtersQuery holds the same filters as the posts list, e.g. "&objective=offer"
+const PostsMap = ({ filtersQuery }) => {
+  const { t } = useTranslation();
+  const [features, setFeatures] = useState([]);
+  const [error, setError] = useState(false);
+  const [center, setCenter] = useState(DEFAULT_CENTER);
+  const [zoom, setZoom] = useState(MIN_ZOOM);
+  const [selectedPosts, setSelectedPosts] = useState([]);
+
+  useEffect(() => {
+    const loadFeatures = async () => {
+      try {
+        const { data } = await axios.get(`/api/posts/geo?${filtersQuery}`);
+        setFeatures(data.features);
+        setError(false);
+      } catch (err) {
+        console.log({ err });
+        setError(true);
+      }
+      setSelectedPosts([]);
+    };
+    loadFeatures();
+  }, [filtersQuery]);
+
+  const clusters = useMemo(() => clusterFeatures(features, zoom), [
+    features,
+    zoom,
+  ]);
+
+  const handleClusterClick = useCallback(
+    (cluster) => {
+      // zoom in on clusters until their posts can be told apart
+      if (cluster.samePlace || zoom >= MAX_ZOOM) {
+        setSelectedPosts(cluster.posts);
+      } else {
+        setCenter({ lat: cluster.lat, lng: cluster.lng });
+        setZoom(Math.min(zoom + ZOOM_IN_STEPS, MAX_ZOOM));
+      }
+    },
+    [zoom],
+  );
+
+  if (error) return <NoPosts>{t("feed.map.loadError")}</NoPosts>;
+
+  return (
+    <>
+      <Tiles
+        center={center}
+        clusters={clusters}
+        onClusterClick={handleClusterClick}
+        onZoomChange={setZoom}
+        zoom={zoom}
+      />
+      <Previews>
+        {selectedPosts.map((post) => (
+          <PostCard key={post.id}>
+            <Card.Header
+              title={<Link to={`/post/${post.id}`}>{post.title}</Link>}
+            />
+            <Card.Body>
+              <div className="preview-details">
+                {post.author.name} · {t(`feed.${post.objective}`)}
+              </div>
+            </Card.Body>
+          </PostCard>
+        ))}
+      </Previews>
+    </>
+  );
+};
+
+export default PostsMap;
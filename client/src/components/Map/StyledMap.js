@@ -0,0 +1,71 @@
+import styled from "styled-components";
+
+import { theme } from "constants/theme";
+
+const { colors, typography } = theme;
+
+export const MapCanvas = styled.div`
+  width: 100%;
+  height: 60vh;
+  min-height: 30rem;
+  border-radius: 0.4rem;
+`;
+
+export const MockCanvas = styled(MapCanvas)`
+  position: relative;
+  overflow: hidden;
+  background-color: ${colors.selago};
+  background-image: linear-gradient(${colors.lightGray} 1px, transparent 1px),
+    linear-gradient(90deg, ${colors.lightGray} 1px, transparent 1px);
+  background-size: 4rem 4rem;
+
+  .notice {
+    position: absolute;
+    left: 1rem;
+    bottom: 1rem;
+    color: ${colors.darkishGray};
+    font-size: ${typography.size.xsmall};
+  }
+  .zoom {
+    position: absolute;
+    right: 1rem;
+    top: 1rem;
+    display: flex;
+    flex-direction: column;
+    z-index: 1;
+  }
+  .zoom button {
+    width: 3rem;
+    height: 3rem;
+    margin-bottom: 0.4rem;
+    border: none;
+    border-radius: 0.4rem;
+    background: ${colors.white};
+    cursor: pointer;
+  }
+  .marker {
+    position: absolute;
+    transform: translate(-50%, -50%);
+    min-width: 3rem;
+    height: 3rem;
+    border: none;
+    border-radius: 1.5rem;
+    background: ${colors.royalBlue};
+    color: ${colors.white};
+    font-weight: 600;
+    cursor: pointer;
+  }
+`;
+
+export const Previews = styled.div`
+  margin-top: 2rem;
+
+  .am-card-header-content {
+    font-weight: 600;
+  }
+  .preview-details {
+    color: ${colors.darkishGray};
+    font-size: ${typography.size.small};
+    padding-bottom: 2rem;
+  }
+`;
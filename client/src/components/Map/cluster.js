@@ -0,0 +1,43 @@
+export const MIN_ZOOM = 2;
+export const MAX_ZOOM = 16;
+
+// a 256px tile covers 360 / 2^zoom degrees of longitude
+const TILE_SIZE_PX = 256;
+const CLUSTER_SIZE_PX = 60;
+
+/**
+ * Groups GeoJSON post features into grid cells that are about
+ * CLUSTER_SIZE_PX wide at the given zoom. Each cluster is placed at the
+ * average position of its posts.
+ */
+export const clusterFeatures = (features, zoom) => {
+  const cellDegrees = ((360 / 2 ** zoom) * CLUSTER_SIZE_PX) / TILE_SIZE_PX;
+  const cells = new Map();
+  features.forEach(({ geometry, properties }) => {
+    const [lng, lat] = geometry.coordinates;
+    const key = `${Math.floor(lng / cellDegrees)}:${Math.floor(
+      lat / cellDegrees,
+    )}`;
+    const cell = cells.get(key) || {
+      latSum: 0,
+      lngSum: 0,
+      places: new Set(),
+      posts: [],
+    };
+    cell.latSum += lat;
+    cell.lngSum += lng;
+    cell.places.add(`${lng}:${lat}`);
+    cell.posts.push(properties);
+    cells.set(key, cell);
+  });
+  return [...cells.entries()].map(
+    ([id, { latSum, lngSum, places, posts }]) => ({
+      id,
+      lat: latSum / posts.length,
+      lng: lngSum / posts.length,
+      posts,
+      // locations are coarsened, so zooming in won't split these
+      samePlace: places.size === 1,
+    }),
+  );
+};
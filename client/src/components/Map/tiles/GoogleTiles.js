@@ -0,0 +1,80 @@
+import React, { useEffect, useRef, useState } from "react";
+
+import { MapCanvas } from "../StyledMap";
+import { MAX_ZOOM, MIN_ZOOM } from "../cluster";
+
+const GOOGLE_MAPS_URL = `https://maps.googleapis.com/maps/api/js?key=${process.env.REACT_APP_GOOGLE_KEY}`;
+
+// the script is only added once, whichever map is rendered first
+let googleMapsLoading;
+const loadGoogleMaps = () => {
+  if (!googleMapsLoading) {
+    googleMapsLoading = new Promise((resolve, reject) => {
+      if (window.google?.maps) return resolve();
+      const script = document.createElement("script");
+      script.src = GOOGLE_MAPS_URL;
+      script.addEventListener("load", resolve);
+      script.addEventListener("error", reject);
+      window.document.body.appendChild(script);
+    });
+  }
+  return googleMapsLoading;
+};
+
+const GoogleTiles = ({
+  center,
+  clusters,
+  onClusterClick,
+  onZoomChange,
+  zoom,
+}) => {
+  const mapRef = useRef();
+  const map = useRef();
+  const markers = useRef([]);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    loadGoogleMaps()
+      .then(() => {
+        map.current = new window.google.maps.Map(mapRef.current, {
+          center,
+          disableDefaultUI: true,
+          maxZoom: MAX_ZOOM,
+          minZoom: MIN_ZOOM,
+          zoom,
+          zoomControl: true,
+        });
+        map.current.addListener("zoom_changed", () =>
+          onZoomChange(map.current.getZoom()),
+        );
+        setLoaded(true);
+      })
+      .catch((err) => console.log({ err }));
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    if (loaded) map.current.setCenter(center);
+  }, [loaded, center]);
+
+  useEffect(() => {
+    if (loaded && map.current.getZoom() !== zoom) map.current.setZoom(zoom);
+  }, [loaded, zoom]);
+
+  useEffect(() => {
+    if (!loaded) return;
+    markers.current.forEach((marker) => marker.setMap(null));
+    markers.current = clusters.map((cluster) => {
+      const marker = new window.google.maps.Marker({
+        label: cluster.posts.length > 1 ? `${cluster.posts.length}` : undefined,
+        map: map.current,
+        position: { lat: cluster.lat, lng: cluster.lng },
+      });
+      marker.addListener("click", () => onClusterClick(cluster));
+      return marker;
+    });
+  }, [loaded, clusters, onClusterClick]);
+
+  return <MapCanvas ref={mapRef} />;
+};
+
+export default GoogleTiles;
@@ -0,0 +1,62 @@
+import React from "react";
+import { useTranslation } from "react-i18next";
+
+import { MockCanvas } from "../StyledMap";
+import { MAX_ZOOM, MIN_ZOOM } from "../cluster";
+
+// how many 256px tiles the view is wide, to match the clustering grid
+const VIEW_WIDTH_TILES = 4;
+
+// plain equirectangular view for local dev, where there is no Google key
+const MockTiles = ({
+  center,
+  clusters,
+  onClusterClick,
+  onZoomChange,
+  zoom,
+}) => {
+  const { t } = useTranslation();
+  const lngSpan = (360 / 2 ** zoom) * VIEW_WIDTH_TILES;
+  const latSpan = lngSpan / 2;
+
+  const isInView = ({ lat, lng }) =>
+    Math.abs(lng - center.lng) <= lngSpan / 2 &&
+    Math.abs(lat - center.lat) <= latSpan / 2;
+
+  const toPosition = ({ lat, lng }) => ({
+    left: `${((lng - center.lng) / lngSpan + 0.5) * 100}%`,
+    top: `${(0.5 - (lat - center.lat) / latSpan) * 100}%`,
+  });
+
+  return (
+    <MockCanvas>
+      <span className="notice">{t("feed.map.mockTiles")}</span>
+      <div className="zoom">
+        <button
+          disabled={zoom >= MAX_ZOOM}
+          onClick={() => onZoomChange(zoom + 1)}
+        >
+          +
+        </button>
+        <button
+          disabled={zoom <= MIN_ZOOM}
+          onClick={() => onZoomChange(zoom - 1)}
+        >
+          −
+        </button>
+      </div>
+      {clusters.filter(isInView).map((cluster) => (
+        <button
+          key={cluster.id}
+          className="marker"
+          style={toPosition(cluster)}
+          onClick={() => onClusterClick(cluster)}
+        >
+          {cluster.posts.length}
+        </button>
+      ))}
+    </MockCanvas>
+  );
+};
+
+export default MockTiles;
@@ -0,0 +1,10 @@
+import GoogleTiles from "./GoogleTiles";
+import MockTiles from "./MockTiles";
+
+// like the backend Geo component, dev works without a Google key
+const Tiles =
+  process.env.NODE_ENV === "development" && !process.env.REACT_APP_GOOGLE_KEY
+    ? MockTiles
+    : GoogleTiles;
+
+export default Tiles;
@@ -10,6 +10,8 @@ import cmntflwpost from "../../assets/icons/notification-icons/comment-following
 import likeheart from "../../assets/icons/notification-icons/like-heart.svg";
 import sharedpost from "../../assets/icons/notification-icons/shared-post.svg";
 import reportedpost from "../../assets/icons/notification-icons/report-red.svg";
+import matchedpost from "../../assets/icons/notification-icons/match-post.svg";
+import statusIndicator from "assets/icons/status-indicator.svg";
 import bell from "../../assets/icons/notification-icons/header-bell.svg";
 import amt from "../../assets/icons/notification-icons/notification-amt.svg";
 import gear from "../../assets/icons/notification-icons/gear-logo.svg";
@@ -215,6 +217,9 @@ const MenuItem = ({
   actionAvatar,
   createdAt,
   postTitle,
+  matchedPostTitle,
+  savedSearchName,
+  organisationName,
   unread,
   sharedVia,
   t,
@@ -242,7 +247,14 @@ const MenuItem = ({
           <Trans
             i18nKey={action}
             components={[<span />, <span />, <span />]}
-            values={{ username: author, postTitle, shareMedium: sharedVia }}
+            values={{
+              username: author,
+              postTitle,
+              matchedPostTitle,
+              savedSearchName,
+              organisationName,
+              shareMedium: sharedVia,
+            }}
           ></Trans>
         </div>
         <div>
@@ -307,6 +319,9 @@ const menu = (notifications, clearAllNotifications, organisationId, t) => {
               author={each.author}
               action={each.action}
               postTitle={each.postTitle}
+              matchedPostTitle={each.matchedPostTitle}
+              savedSearchName={each.savedSearchName}
+              organisationName={each.organisationName}
               actionAvatar={each.actionAvatar}
               createdAt={each.createdAt}
               avatar={each.avatar}
@@ -365,6 +380,47 @@ export const NotificationDropDown = ({
       icon: reportedpost,
       gtmId: GTM.notifications.prefix + GTM.notifications.report,
     },
+    match: {
+      text: "notifications.matched",
+      icon: matchedpost,
+      gtmId: GTM.notifications.prefix + GTM.notifications.match,
+    },
+    mention: {
+      text: "notifications.mentioned",
+      icon: commentpost,
+      gtmId: GTM.notifications.prefix + GTM.notifications.mention,
+    },
+    postExpiring: {
+      text: "notifications.postExpiring",
+      icon: statusIndicator,
+      gtmId: GTM.notifications.prefix + GTM.notifications.postExpiring,
+    },
+    savedSearch: {
+      text: "notifications.savedSearch",
+      icon: matchedpost,
+      gtmId: GTM.notifications.prefix + GTM.notifications.savedSearch,
+    },
+    appealAccepted: {
+      text: "notifications.appealAccepted",
+      icon: statusIndicator,
+      gtmId: GTM.notifications.prefix + GTM.notifications.appealAccepted,
+    },
+    appealDenied: {
+      text: "notifications.appealDenied",
+      icon: reportedpost,
+      gtmId: GTM.notifications.prefix + GTM.notifications.appealDenied,
+    },
+    ownershipTransferRequested: {
+      text: "notifications.ownershipTransferRequested",
+      icon: statusIndicator,
+      gtmId:
+        GTM.notifications.prefix + GTM.notifications.ownershipTransferRequested,
+    },
+    ownershipTransferred: {
+      text: "notifications.ownershipTransferred",
+      icon: statusIndicator,
+      gtmId: GTM.notifications.prefix + GTM.notifications.ownershipTransferred,
+    },
   };
 
   const mappedNotifications = notifications
@@ -373,8 +429,14 @@ export const NotificationDropDown = ({
       _id: n._id,
       author: n.triggeredBy.name,
       action: notificationTypes[n.action].text,
-      postTitle: n.post.title,
-      path: `/post/${n.post.id}`,
+      postTitle: n.post?.title,
+      matchedPostTitle: n.matchedPost?.title,
+      savedSearchName: n.savedSearch?.name,
+      organisationName: n.organisation?.name,
+      // ownership notifications are about an organisation, not a post
+      path: n.organisation?.id
+        ? `/organisation/${n.organisation.id}`
+        : `/post/${n.matchedPost ? n.matchedPost.id : n.post.id}`,
       actionAvatar: notificationTypes[n.action].icon,
       createdAt: getRelativeTime(n.createdAt),
       avatar: n.triggeredBy.photo,
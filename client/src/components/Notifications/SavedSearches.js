@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from "react";
+import styled from "styled-components";
+import { Select } from "antd";
+import { WhiteSpace } from "antd-mobile";
+import { useTranslation } from "react-i18next";
+import axios from "axios";
+
+import InputLabel from "components/Input/Label";
+import { SAVED_SEARCH_FREQUENCIES } from "components/Feed/SaveSearchButton";
+import { buildLocationString } from "components/Feed/utils";
+import { blockLabelStyles } from "constants/formStyles";
+import { theme } from "constants/theme";
+import search from "assets/icons/search.svg";
+
+const { colors, typography } = theme;
+
+const SavedSearchItem = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 1rem 0;
+  border-bottom: 0.1rem solid ${colors.lightGray};
+
+  .name {
+    font-weight: 500;
+    font-size: ${typography.size.large};
+  }
+  .summary {
+    color: ${colors.darkishGray};
+    font-size: ${typography.size.small};
+  }
+  .actions {
+    display: flex;
+    flex: 0 0 auto;
+    align-items: center;
+    margin-left: 1rem;
+  }
+  .ant-select {
+    min-width: 10rem;
+  }
+  button {
+    margin-left: 1rem;
+    background: transparent;
+    border: none;
+    color: ${colors.orangeRed};
+    cursor: pointer;
+  }
+`;
+
+const Empty = styled.p`
+  color: ${colors.darkishGray};
+`;
+
+const SavedSearches = () => {
+  const { t } = useTranslation();
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [error, setError] = useState(false);
+
+  useEffect(() => {
+    (async function fetchSavedSearches() {
+      try {
+        const res = await axios.get("/api/users/current/saved-searches");
+        setSavedSearches(res.data);
+      } catch (err) {
+        console.log({ err });
+        setError(true);
+      }
+    })();
+  }, []);
+
+  const updateFrequency = async (searchId, frequency) => {
+    try {
+      const res = await axios.patch(
+        `/api/users/current/saved-searches/${searchId}`,
+        { frequency },
+      );
+      setSavedSearches(
+        savedSearches.map((savedSearch) =>
+          savedSearch._id === searchId ? res.data : savedSearch,
+        ),
+      );
+    } catch (err) {
+      console.log({ err });
+      setError(true);
+    }
+  };
+
+  const deleteSavedSearch = async (searchId) => {
+    try {
+      await axios.delete(`/api/users/current/saved-searches/${searchId}`);
+      setSavedSearches(
+        savedSearches.filter((savedSearch) => savedSearch._id !== searchId),
+      );
+    } catch (err) {
+      console.log({ err });
+      setError(true);
+    }
+  };
+
+  const summarize = ({ filters = {} }) =>
+    [
+      filters.objective && t(`feed.${filters.objective}`),
+      ...(filters.type || []).map((type) =>
+        t(`feed.filters.typesOptions.${type}`),
+      ),
+      ...(filters.providers || []).map((provider) =>
+        t(`feed.filters.providersOptions.${provider}`),
+      ),
+      filters.location && buildLocationString(filters.location),
+      filters.keywords && `"${filters.keywords}"`,
+    ]
+      .filter(Boolean)
+      .join(" · ") || t("feed.allPosts");
+
+  return (
+    <div>
+      <InputLabel
+        htmlFor="savedSearches"
+        icon={search}
+        style={blockLabelStyles}
+        label={t("savedSearches.title")}
+      />
+      <WhiteSpace />
+      {error && <Empty>{t("savedSearches.loadError")}</Empty>}
+      {!savedSearches.length ? (
+        <Empty>{t("savedSearches.empty")}</Empty>
+      ) : (
+        savedSearches.map((savedSearch) => (
+          <SavedSearchItem key={savedSearch._id}>
+            <div>
+              <div className="name">{savedSearch.name}</div>
+              <div className="summary">{summarize(savedSearch)}</div>
+            </div>
+            <div className="actions">
+              <Select
+                value={savedSearch.frequency}
+                onChange={(frequency) =>
+                  updateFrequency(savedSearch._id, frequency)
+                }
+              >
+                {SAVED_SEARCH_FREQUENCIES.map((option) => (
+                  <Select.Option key={option} value={option}>
+                    {t(`profile.common.${option}`)}
+                  </Select.Option>
+                ))}
+              </Select>
+              <button
+                type="button"
+                onClick={() => deleteSavedSearch(savedSearch._id)}
+              >
+                {t("savedSearches.delete")}
+              </button>
+            </div>
+          </SavedSearchItem>
+        ))
+      )}
+      <WhiteSpace size="lg" />
+    </div>
+  );
+};
+
+export default SavedSearches;
@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from "react";
+import styled from "styled-components";
+import { Link } from "react-router-dom";
+import { Button } from "antd";
+import { useTranslation } from "react-i18next";
+import axios from "axios";
+
+import { theme } from "constants/theme";
+
+const { colors, typography } = theme;
+const BOOKMARKS_PAGE_SIZE = 20;
+
+const BookmarkItem = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 1rem 0;
+  border-bottom: 0.1rem solid ${colors.lightGray};
+
+  .title {
+    font-weight: 500;
+    font-size: ${typography.size.large};
+  }
+  .unavailable .title {
+    color: ${colors.darkishGray};
+  }
+  .summary {
+    color: ${colors.darkishGray};
+    font-size: ${typography.size.small};
+  }
+  .status {
+    margin-left: 0.5rem;
+    color: ${colors.orangeRed};
+  }
+  button.remove {
+    flex: 0 0 auto;
+    margin-left: 1rem;
+    background: transparent;
+    border: none;
+    color: ${colors.orangeRed};
+    cursor: pointer;
+  }
+`;
+
+const Empty = styled.p`
+  color: ${colors.darkishGray};
+`;
+
+const Bookmarks = () => {
+  const { t } = useTranslation();
+  const [bookmarks, setBookmarks] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(false);
+
+  const loadBookmarks = async (skip) => {
+    setLoading(true);
+    try {
+      const res = await axios.get(
+        `/api/users/current/bookmarks?limit=${BOOKMARKS_PAGE_SIZE}&skip=${skip}`,
+      );
+      setBookmarks((loaded) => [...loaded, ...res.data]);
+      setHasMore(res.data.length === BOOKMARKS_PAGE_SIZE);
+    } catch (err) {
+      console.log({ err });
+      setError(true);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    loadBookmarks(0);
+  }, []);
+
+  const removeBookmark = async (postId) => {
+    try {
+      await axios.delete(`/api/posts/${postId}/bookmark`);
+      setBookmarks((loaded) =>
+        loaded.filter((bookmark) => bookmark.postId !== postId),
+      );
+    } catch (err) {
+      console.log({ err });
+    }
+  };
+
+  if (error) return <Empty>{t("post.bookmarks.loadError")}</Empty>;
+  if (!loading && !bookmarks.length) {
+    return <Empty>{t("post.bookmarks.empty")}</Empty>;
+  }
+
+  return (
+    <>
+      {bookmarks.map(({ _id, post, postId, status, title }) => (
+        <BookmarkItem key={_id}>
+          {/* unavailable posts stay listed so users know what happened */}
+          <div className={status === "available" ? "" : "unavailable"}>
+            <div className="title">
+              {status === "removed" ? (
+                title
+              ) : (
+                <Link to={`/post/${postId}`}>{title}</Link>
+              )}
+              {status !== "available" && (
+                <span className="status">
+                  {t(`post.bookmarks.status.${status}`)}
+                </span>
+              )}
+            </div>
+            {post && (
+              <div className="summary">
+                {post.author.name} · {t(`feed.${post.objective}`)}
+              </div>
+            )}
+          </div>
+          <button className="remove" onClick={() => removeBookmark(postId)}>
+            {t("post.bookmarks.remove")}
+          </button>
+        </BookmarkItem>
+      ))}
+      {hasMore && (
+        <Button
+          type="link"
+          loading={loading}
+          onClick={() => loadBookmarks(bookmarks.length)}
+        >
+          {t("post.bookmarks.loadMore")}
+        </Button>
+      )}
+    </>
+  );
+};
+
+export default Bookmarks;
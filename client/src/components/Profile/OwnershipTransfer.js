@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+import { Alert, Button } from "antd";
+import axios from "axios";
+import styled from "styled-components";
+import { useTranslation } from "react-i18next";
+import { useDispatch } from "react-redux";
+
+import { refetchUser } from "actions/authActions";
+
+const TransferAlert = styled(Alert)`
+  margin-bottom: 2rem;
+  width: 100%;
+  .ant-btn {
+    margin-left: 1rem;
+  }
+`;
+
+// offer to the nominee of a pending ownership transfer
+const OwnershipTransfer = ({ organisation, onChange }) => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const transferUrl = `/api/organisations/${organisation._id}/transfer`;
+
+  const respond = async (accept) => {
+    setError(null);
+    setLoading(true);
+    try {
+      const res = accept
+        ? await axios.post(`${transferUrl}/accept`)
+        : await axios.delete(transferUrl);
+      if (accept) dispatch(refetchUser());
+      onChange({
+        ...organisation,
+        isNominee: false,
+        ...(accept && { isOwner: true, role: res.data.role }),
+      });
+    } catch (err) {
+      const message = err.response?.data?.message || err.message;
+      setError(t([`orgMembers.errors.${message}`, "orgMembers.errors.update"]));
+      setLoading(false);
+    }
+  };
+
+  return (
+    <TransferAlert
+      type={error ? "error" : "info"}
+      message={
+        <>
+          {error || t("orgMembers.transferOffer", { name: organisation.name })}
+          <Button
+            type="primary"
+            size="small"
+            loading={loading}
+            onClick={() => respond(true)}
+          >
+            {t("orgMembers.acceptTransfer")}
+          </Button>
+          <Button
+            size="small"
+            disabled={loading}
+            onClick={() => respond(false)}
+          >
+            {t("orgMembers.declineTransfer")}
+          </Button>
+        </>
+      }
+    />
+  );
+};
+
+export default OwnershipTransfer;
@@ -0,0 +1,42 @@
+import React, { useState } from "react";
+import styled from "styled-components";
+import { useTranslation } from "react-i18next";
+
+import CreateReport from "components/CreateReport/CreateReport";
+import { theme } from "constants/theme";
+
+const { colors, typography } = theme;
+
+const ReportButton = styled.button`
+  align-self: center;
+  margin-left: 1rem;
+  background: transparent;
+  border: none;
+  color: ${colors.orangeRed};
+  font-size: ${typography.size.small};
+  cursor: pointer;
+`;
+
+// targetType is "users" or "organisations"
+const ReportProfile = ({ targetType, profileId }) => {
+  const { t } = useTranslation();
+  const [callReport, setCallReport] = useState(false);
+
+  return (
+    <>
+      <ReportButton onClick={() => setCallReport(true)}>
+        {t("moderation.report")}
+      </ReportButton>
+      {callReport && (
+        <CreateReport
+          callReport={callReport}
+          setCallReport={setCallReport}
+          targetType={targetType}
+          targetId={profileId}
+        />
+      )}
+    </>
+  );
+};
+
+export default ReportProfile;
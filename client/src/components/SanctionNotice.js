@@ -0,0 +1,26 @@
+import React from "react";
+import { Alert } from "antd";
+import { Link } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+
+import { SUSPENDED } from "templates/RouteWithSubRoutes";
+
+// reminds warned and suspended accounts of their sanction on every page
+const SanctionNotice = ({ sanction }) => {
+  const { t } = useTranslation();
+
+  return (
+    <Alert
+      banner
+      type={sanction.type === "warning" ? "warning" : "error"}
+      message={
+        <>
+          {t(`sanction.notice.${sanction.type}`)}{" "}
+          <Link to={SUSPENDED}>{t("sanction.learnMore")}</Link>
+        </>
+      }
+    />
+  );
+};
+
+export default SanctionNotice;
@@ -57,6 +57,9 @@ module.exports = {
     button: "_PO",
     delete: "_DEL",
     edit: "_EDT",
+    saveSearch: "_SS",
+    bookmark: "_BM",
+    mapView: "_MAP",
   },
   user: {
     completedPrefix: "PC",
@@ -200,6 +203,14 @@ module.exports = {
     comment: "_CM",
     settings: "_SET",
     report: "_RP",
+    match: "_MT",
+    mention: "_MN",
+    postExpiring: "_PEX",
+    savedSearch: "_SVS",
+    appealAccepted: "_APA",
+    appealDenied: "_APD",
+    ownershipTransferRequested: "_OTR",
+    ownershipTransferred: "_OTD",
   },
   moderation: {
     hide: "_HIP",
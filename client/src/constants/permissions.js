@@ -5,6 +5,7 @@ const SCOPES = {
   MANAGE_USERS: 0x00000004,
   LOGS_READ: 0x00000008,
   STATS_READ: 0x00000010,
+  MANAGE_RULES: 0x00000020,
 };
 
 const ROLES = {
@@ -13,10 +14,25 @@ const ROLES = {
   "business intelligence": SCOPES.STATS_READ,
   moderator: SCOPES.REPORT_READ | SCOPES.REPORT_WRITE,
   inspector: SCOPES.REPORT_READ | SCOPES.LOGS_READ | SCOPES.STATS_READ,
-  administrator: SCOPES.REPORT_READ | SCOPES.REPORT_WRITE | SCOPES.MANAGE_USERS | SCOPES.LOGS_READ | SCOPES.STATS_READ,
+  administrator: SCOPES.REPORT_READ | SCOPES.REPORT_WRITE | SCOPES.MANAGE_USERS | SCOPES.LOGS_READ | SCOPES.STATS_READ | SCOPES.MANAGE_RULES,
 };
 
+// roles of organisation members, and what they can do as the organisation
+const ORG_MEMBER_ROLES = ["admin", "editor", "responder"];
+
+const ORG_ROLE_ACTIONS = {
+  admin: ["editProfile", "manageMembers", "message", "post"],
+  editor: ["editProfile", "message", "post"],
+  responder: ["message"],
+};
+
+const canOrgRole = (role, action) =>
+  role === "owner" || !!ORG_ROLE_ACTIONS[role]?.includes(action);
+
 module.exports = {
+  canOrgRole,
+  ORG_MEMBER_ROLES,
+  ORG_ROLE_ACTIONS,
   ROLES,
   SCOPES,
 };
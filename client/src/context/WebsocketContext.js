@@ -19,6 +19,7 @@ import {
   getNotificationsSuccess,
   notificationReceived,
 } from "../actions/wsActions";
+import { postsActions } from "reducers/posts";
 import i18n from "i18next";
 
 const isLocalhost = Boolean(
@@ -107,6 +108,13 @@ export default class SocketManager extends React.Component {
       this.getUserRooms();
     });
 
+    // moderators claiming and releasing reported items
+    this.socket.on("REPORT_CLAIM_UPDATE", ({ claim, targetId }) => {
+      this.props.store.dispatch(
+        postsActions.setClaimAction({ postId: targetId, claim }),
+      );
+    });
+
     this.socket.on("NEW_NOTIFICATION", (notificationData) => {
       this.props.store.dispatch(notificationReceived(notificationData));
       this.emitPushNotification(notificationData);
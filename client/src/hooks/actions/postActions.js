@@ -5,6 +5,8 @@ export const RESET_POST = "RESET_POST";
 export const RESET_PAGE = "RESET_PAGE";
 export const SET_PAGE = "SET_PAGE";
 export const SET_POST = "SET_POST";
+export const SET_POST_STATE = "SET_POST_STATE";
+export const SET_POST_EXPIRATION = "SET_POST_EXPIRATION";
 export const SET_SHORT_CONTENT = "SET_SHORT_CONTENT";
 export const SET_FULL_CONTENT = "SET_FULL_CONTENT";
 export const SET_DELETE_MODAL_VISIBILITY = "SET_DELETE_MODAL_VISIBILITY";
@@ -16,4 +18,5 @@ export const SHOW_COMMENTS = "SHOW_COMMENTS";
 export const TOGGLE_COMMENTS = "TOGGLE_COMMENTS";
 export const TOGGLE_SHOW_COMMENTS = "TOGGLE_SHOW_COMMENTS";
 export const SET_LIKE = "SET_LIKE";
+export const SET_BOOKMARK = "SET_BOOKMARK";
 export const SHOW_ANYWAY = "SHOW_ANYWAY";
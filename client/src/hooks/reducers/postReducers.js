@@ -1,5 +1,7 @@
 import {
   SET_POST,
+  SET_POST_STATE,
+  SET_POST_EXPIRATION,
   FETCH_POST,
   SET_SHORT_CONTENT,
   SET_FULL_CONTENT,
@@ -17,6 +19,7 @@ import {
   SET_DELETE_MODAL_VISIBILITY,
   SET_EDIT_POST_MODAL_VISIBILITY,
   SET_LIKE,
+  SET_BOOKMARK,
   SHOW_ANYWAY,
 } from "../actions/postActions";
 import { DELETE_MODAL_HIDE } from "../actions/feedActions";
@@ -32,6 +35,8 @@ export const postState = {
   partialContent: "",
   expireAt: null,
   objective: "",
+  state: "open",
+  closingReason: "",
   visibility: "",
   author: {},
   createdAt: "",
@@ -77,6 +82,18 @@ export const postReducer = (state = postState, action) => {
         editPostModalVisibility: false,
         isLoading: false,
       };
+    case SET_POST_STATE:
+      return {
+        ...state,
+        state: action.state,
+        closingReason: action.closingReason,
+      };
+    case SET_POST_EXPIRATION:
+      return {
+        ...state,
+        expireAt: action.expireAt,
+        expirationOption: action.expirationOption,
+      };
     case RESET_POST:
       return {
         ...state,
@@ -155,6 +172,11 @@ export const postReducer = (state = postState, action) => {
         liked: !!!state.liked,
         likesCount: payload.count,
       };
+    case SET_BOOKMARK:
+      return {
+        ...state,
+        bookmarked: action.payload.bookmarked,
+      };
     case SHOW_ANYWAY: {
       return {
         ...state,
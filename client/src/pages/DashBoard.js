@@ -17,12 +17,13 @@ import { useDispatch, useSelector } from "react-redux";
 
 import AdminDashboard from "components/DashBoard/AdminDashboard";
 import AuditLog from "components/DashBoard/AuditLog";
+import Sanctions from "components/DashBoard/Sanctions";
 import Stats from "components/DashBoard/Stats";
 
 // ICONS
 import { ReactComponent as BackIcon } from "assets/icons/back-black.svg";
 // Antd
-import { Menu } from "antd";
+import { Menu, Radio } from "antd";
 import Posts from "components/DashBoard/Posts";
 import { SET_VALUE } from "hooks/actions/feedActions";
 import axios from "axios";
@@ -42,9 +43,18 @@ let REPORTS_TYPE = {
   PENDING: "Pending",
   ACCEPTED: "Removed Posts",
   REJECTED: "Kept Posts",
+  APPEALS: "Appeals",
+};
+
+let REPORT_TARGETS = {
+  posts: "Posts",
+  comments: "Comments",
+  users: "Users",
+  organisations: "Organisations",
 };
 
 let ADMIN_PANELS = {
+  SANCTIONS: "Sanctions",
   STATS: "Statistics",
   LOGS: "Audit Logs",
   MANAGE: "Manage Users",
@@ -56,6 +66,8 @@ const initialState = {
   activePanel: null,
   status: "STATS",
   logs: [],
+  roles: [],
+  sanctions: [],
   users: [],
   stats: null,
 };
@@ -76,6 +88,10 @@ const StyledForwardIcon = styled(BackIcon)`
   transform: rotate(180deg);
 `;
 
+const TargetFilter = styled(Radio.Group)`
+  margin-bottom: 1.5rem;
+`;
+
 const StyledMenuItem = styled(Menu.Item)`
   display: flex;
   justify-content: space-between;
@@ -99,6 +115,9 @@ const Feed = (props) => {
   const [toggleRefetch, setToggleRefetch] = useState(false);
   const [totalPostCount, setTotalPostCount] = useState(ARBITRARY_LARGE_NUM);
   const [totalLogsCount, setTotalLogsCount] = useState(0);
+  const [totalSanctionsCount, setTotalSanctionsCount] = useState(0);
+  const [logFilters, setLogFilters] = useState({});
+  const [statsRange, setStatsRange] = useState({});
   const [queryParams, setQueryParams] = useState({});
   const {
     activePanel,
@@ -107,6 +126,8 @@ const Feed = (props) => {
     showFilters,
     status,
     logs,
+    roles,
+    sanctions,
     stats,
     users,
   } = feedState;
@@ -120,6 +141,9 @@ const Feed = (props) => {
   } = posts;
   const feedPosts = Object.entries(postsList);
   const prevTotalPostCount = usePrevious(totalPostCount);
+  // appeals are only about removed posts
+  const targetType =
+    status === "APPEALS" ? "posts" : queryParams.target || "posts";
 
   function usePrevious(value) {
     const ref = useRef();
@@ -166,6 +190,11 @@ const Feed = (props) => {
     dispatchAction(SET_VALUE, "status", value);
   };
 
+  const handleTargetType = (e) => {
+    const { value } = e.target;
+    setQueryKeysValue(history, { target: value === "posts" ? null : value });
+  };
+
   const loadPosts = async () => {
     if (!applyFilters) return;
 
@@ -191,13 +220,16 @@ const Feed = (props) => {
 
     const limit = PAGINATION_LIMIT;
     const skip = page * limit;
-    let baseURL = `/api/reports/posts?includeMeta=true&limit=${limit}&skip=${skip}`;
+    let baseURL = `/api/reports/${targetType}?includeMeta=true&limit=${limit}&skip=${skip}`;
     let endpoint = `${baseURL}${statusURL()}${searchURL()}`;
+    if (status === "APPEALS") {
+      endpoint = `/api/reports/appeals?limit=${limit}&skip=${skip}`;
+    }
     dispatch(postsActions.fetchPostsBegin());
 
     if (status === "STATS") {
       // Audit log
-      endpoint = `/api/reports/stats`;
+      endpoint = `/api/reports/stats?${qs.stringify(statsRange)}`;
       try {
         const {
           data: { stats },
@@ -210,7 +242,11 @@ const Feed = (props) => {
       }
     } else if (status === "LOGS") {
       // Audit log
-      endpoint = `/api/reports/logs?limit=${limit}&skip=${skip}`;
+      endpoint = `/api/reports/logs?${qs.stringify({
+        ...logFilters,
+        limit,
+        skip,
+      })}`;
       try {
         const {
           data: { logs, meta },
@@ -223,14 +259,30 @@ const Feed = (props) => {
       } catch (error) {
         console.log(error);
       }
+    } else if (status === "SANCTIONS") {
+      // sanctioned accounts
+      endpoint = `/api/moderation/sanctions?limit=${limit}&skip=${skip}`;
+      try {
+        const {
+          data: { data: sanctions, meta },
+        } = await axios.get(endpoint);
+        if (sanctions) {
+          setTotalSanctionsCount(meta.total);
+          dispatchAction(SET_VALUE, "sanctions", sanctions);
+          dispatch(postsActions.finishLoadingAction());
+        }
+      } catch (error) {
+        console.log(error);
+      }
     } else if (status === "MANAGE") {
       // manage users
       endpoint = `/api/users/roles`;
       try {
         const {
-          data: { users },
+          data: { roles, users },
         } = await axios.get(endpoint);
         if (users) {
+          dispatchAction(SET_VALUE, "roles", roles);
           dispatchAction(SET_VALUE, "users", users);
           dispatch(postsActions.finishLoadingAction());
         }
@@ -366,6 +418,17 @@ const Feed = (props) => {
     setItemCount(loadMore ? feedPosts.length + 1 : feedPosts.length);
   }, [feedPosts.length, loadMore]);
 
+  // filtered logs are listed from their first page
+  const handleLogFilters = (filters) => {
+    setLogFilters(filters);
+    refetchPosts();
+  };
+
+  const handleStatsRange = (range) => {
+    setStatsRange(range);
+    refetchPosts();
+  };
+
   const emptyFeed = () => Object.keys(postsList).length < 1 && !isLoading;
 
   return (
@@ -402,7 +465,13 @@ const Feed = (props) => {
                     </StyledMenuItem>
                   </>
                 ))}
-                <div style={{ height: "calc(100% - 27rem)" }} />
+                <div style={{ height: "calc(100% - 36rem)" }} />
+                {user?.permissions & SCOPES.REPORT_READ && (
+                  <StyledMenuItem key={"SANCTIONS"}>
+                    {ADMIN_PANELS["SANCTIONS"]}
+                    <StyledForwardIcon />
+                  </StyledMenuItem>
+                )}
                 {user?.permissions & SCOPES.LOGS_READ && (
                   <StyledMenuItem key={"LOGS"}>
                     {ADMIN_PANELS["LOGS"]}
@@ -436,20 +505,57 @@ const Feed = (props) => {
                       total: totalLogsCount,
                     }}
                     loadNextPage={loadNextPage}
+                    filters={logFilters}
+                    setFilters={handleLogFilters}
+                  />
+                );
+              else if (status === "SANCTIONS")
+                return (
+                  <Sanctions
+                    sanctions={sanctions}
+                    pagination={{
+                      current: page + 1,
+                      pageSize: 10,
+                      total: totalSanctionsCount,
+                    }}
+                    loadNextPage={loadNextPage}
+                    canRevoke={Boolean(user?.permissions & SCOPES.REPORT_WRITE)}
+                    onRevoke={() => refetchPosts()}
                   />
                 );
               else if (status === "MANAGE")
                 return (
                   <AdminDashboard
+                    roles={roles}
                     users={users}
                     toggleRefetch={toggleRefetch}
                     setToggleRefetch={setToggleRefetch}
                   />
                 );
-              else if (status === "STATS") return <Stats stats={stats} />;
+              else if (status === "STATS")
+                return (
+                  <Stats
+                    stats={stats}
+                    range={statsRange}
+                    setRange={handleStatsRange}
+                  />
+                );
               else
                 return (
                   <>
+                    {status !== "APPEALS" && (
+                      <TargetFilter
+                        value={targetType}
+                        onChange={handleTargetType}
+                        buttonStyle="solid"
+                      >
+                        {Object.keys(REPORT_TARGETS).map((target) => (
+                          <Radio.Button key={target} value={target}>
+                            {REPORT_TARGETS[target]}
+                          </Radio.Button>
+                        ))}
+                      </TargetFilter>
+                    )}
                     <Posts
                       isAuthenticated={isAuthenticated}
                       filteredPosts={postsList}
@@ -465,6 +571,7 @@ const Feed = (props) => {
                       page={page}
                       changeType={handleChangeType}
                       activeTab={status}
+                      targetType={targetType}
                     />
                     {emptyFeed() ? (
                       <NoPosts>
@@ -7,6 +7,7 @@ import FormInput from "components/Input/FormInput";
 import ProfilePic from "components/Picture/ProfilePic";
 import { Link } from "react-router-dom";
 import UnderLineDescription from "components/Input/UnderlineDescription";
+import AccountData from "components/EditProfile/AccountData";
 import InputLabel from "components/Input/Label";
 import {
   EditLayout,
@@ -82,6 +83,7 @@ function EditAccount(props) {
   const dispatch = useDispatch();
   const { error, loading, user } = userProfileState;
   const {
+    deletionScheduledAt,
     firstName,
     hide = {},
     lastName,
@@ -131,6 +133,9 @@ function EditAccount(props) {
     }
   };
 
+  const handleDeletionChange = (deletionScheduledAt) =>
+    userProfileDispatch(fetchUserSuccess({ ...user, deletionScheduledAt }));
+
   useEffect(() => {
     (async function fetchProfile() {
       userProfileDispatch(fetchUser());
@@ -300,6 +305,10 @@ function EditAccount(props) {
             <CustomSubmitButton primary="true" onClick={handleSubmit(onSubmit)}>
               {t("profile.common.saveChanges")}
             </CustomSubmitButton>
+            <AccountData
+              deletionScheduledAt={deletionScheduledAt}
+              onDeletionChange={handleDeletionChange}
+            />
           </CustomForm>
         </FormLayout>
       </EditLayout>
@@ -30,6 +30,7 @@ import {
 } from "hooks/actions/userActions";
 import { getInitialsFromFullName } from "utils/userInfo";
 import NotifyPreferenceInput from "components/Input/NotifyPreferenceInput";
+import SavedSearches from "components/Notifications/SavedSearches";
 import isEqual from "lodash/isEqual";
 
 function EditNotifications(props) {
@@ -141,6 +142,7 @@ function EditNotifications(props) {
               switchOnOff={switchOnOff}
               setSwitchOnOff={setSwitchOnOff}
             />
+            <SavedSearches />
             {/* Button that saves changes */}
             <CustomSubmitButton
               disabled={!formState.isValid}
@@ -429,6 +429,9 @@ function EditOrganisationAccount({ refetchUser, history }) {
             >
               {t("profile.common.notificationInfo")}
             </CustomLink>
+            <CustomLink to={`/edit-organisation-members/${organisationId}`}>
+              {t("orgMembers.title")}
+            </CustomLink>
           </OptionDiv>
           <CustomForm>
             {renderFormInputs()}
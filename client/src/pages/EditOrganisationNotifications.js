@@ -158,6 +158,9 @@ function EditOrganisationNotifications(props) {
             >
               {t("profile.common.notificationInfo")}
             </CustomLink>
+            <CustomLink to={`/edit-organisation-members/${organisationId}`}>
+              {t("orgMembers.title")}
+            </CustomLink>
           </OptionDiv>
           <CustomForm>
             {error && <ErrorAlert message={error} type="error" />}
@@ -225,6 +225,9 @@ function EditOrganisationProfile(props) {
             >
               {t("profile.common.notificationInfo")}
             </CustomLink>
+            <CustomLink to={`/edit-organisation-members/${organisationId}`}>
+              {t("orgMembers.title")}
+            </CustomLink>
           </OptionDiv>
           <CustomForm>
             <FormInput
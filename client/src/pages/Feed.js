@@ -13,7 +13,7 @@ import axios from "axios";
 import qs from "query-string";
 
 // Antd
-import { Menu } from "antd";
+import { Menu, Radio } from "antd";
 import { WhiteSpace } from "antd-mobile";
 // Local
 import CreatePost from "components/CreatePost/CreatePost";
@@ -35,12 +35,14 @@ import FilterBox from "components/Feed/FilterBox";
 import FiltersSidebar from "components/Feed/FiltersSidebar";
 import FiltersList from "components/Feed/FiltersList";
 import Posts from "components/Feed/Posts";
+import PostsMap from "components/Map/PostsMap";
 import { selectOrganisationId } from "reducers/session";
 import { selectPosts, postsActions } from "reducers/posts";
 import Users from "components/Feed/Users";
 import FeedSearch from "components/Input/FeedSearch";
 import { setQueryKeysValue } from "components/Feed/utils";
 import CreatePostButton from "components/Feed/CreatePostButton";
+import SaveSearchButton from "components/Feed/SaveSearchButton";
 import { ReactComponent as PlusIcon } from "assets/icons/pretty-plus.svg";
 
 import {
@@ -57,6 +59,7 @@ import { ReactComponent as FiltersIcon } from "assets/icons/filters.svg";
 
 // Constants
 import { theme } from "constants/theme";
+import { canOrgRole } from "constants/permissions";
 import {
   ADD_OPTION,
   REMOVE_OPTION,
@@ -73,9 +76,12 @@ import GTM from "../constants/gtm-tags";
 import TagManager from "react-gtm-module";
 import WithSummitBanner from "components/WithSummitBanner";
 
+// members who can't post for the organisation can't edit its posts either
 export const isAuthorOrg = (organisations, author) => {
   const isValid = organisations?.some(
-    (organisation) => organisation.name === author.name,
+    (organisation) =>
+      organisation.name === author.name &&
+      canOrgRole(organisation.role, "post"),
   );
   return isValid;
 };
@@ -125,6 +131,12 @@ export const NoPosts = styled.div`
   }
 `;
 
+const ViewToggle = styled(Radio.Group)`
+  display: block;
+  margin-bottom: 1.6rem;
+  text-align: right;
+`;
+
 const PAGINATION_LIMIT = 10;
 const ARBITRARY_LARGE_NUM = 10000;
 
@@ -161,6 +173,7 @@ const Feed = (props) => {
     error: postsError,
     isLoading,
     loadMore,
+    nextCursor,
     page,
     posts: postsList,
   } = posts;
@@ -168,6 +181,9 @@ const Feed = (props) => {
   const feedPosts = Object.entries(postsList);
   const prevTotalPostCount = usePrevious(totalPostCount);
   const [queryParams, setQueryParams] = useState({});
+  const [mapView, setMapView] = useState(false);
+  // post counts of each filter option, by facet
+  const [facets, setFacets] = useState({});
   const SEARCH_OPTIONS = [
     { name: "feed.search.options.posts", id: "POSTS", default: true },
     {
@@ -309,7 +325,7 @@ const Feed = (props) => {
     e.preventDefault();
     optionsDispatch({ type: REMOVE_ALL_OPTIONS, payload: {} });
     dispatchAction(SET_VALUE, "location", null);
-    setQueryKeysValue(history, { location: null });
+    setQueryKeysValue(history, { location: null, radius_km: null });
     setTimeout(() => {
       dispatchAction(SET_VALUE, "activePanel", null);
     }, 500);
@@ -323,6 +339,11 @@ const Feed = (props) => {
     });
   };
 
+  // null searches at any distance
+  const handleRadius = (radiusKm) => {
+    setQueryKeysValue(history, { radius_km: radiusKm });
+  };
+
   const changeHelpType = (selectedValue) => {
     switch (selectedValue) {
       case "INDIVIDUALS":
@@ -418,48 +439,58 @@ const Feed = (props) => {
     });
   };
 
+  // filters of the api requests, shared by the list and the map
+  const filterURL = () => {
+    const filterObj = { ...(queryParams.filters || {}) };
+    delete filterObj["lookingFor"];
+    if (location) filterObj.location = location;
+    return Object.keys(filterObj).length === 0
+      ? ""
+      : `&filter=${encodeURIComponent(JSON.stringify(filterObj))}`;
+  };
+
+  const objectiveURL = () => {
+    let objective = queryParams.objective;
+    if (
+      selectedOptions["lookingFor"] &&
+      selectedOptions["lookingFor"].length < 2
+    ) {
+      objective =
+        selectedOptions["lookingFor"][0] === "Request Help"
+          ? "REQUEST"
+          : "OFFER";
+    }
+    switch (objective) {
+      case "REQUEST":
+        return "&objective=request";
+      case "OFFER":
+        return "&objective=offer";
+      default:
+        return "";
+    }
+  };
+  const searchURL = () => {
+    if (queryParams.s_keyword)
+      return `&keywords=${encodeURIComponent(queryParams.s_keyword)}`;
+    else return "";
+  };
+  // posts only, around the selected location or the user's location
+  const radiusURL = () =>
+    queryParams.radius_km && [null, "POSTS"].includes(queryParams.s_category)
+      ? `&radiusKm=${queryParams.radius_km}`
+      : "";
+
   const loadPosts = async () => {
     if (!applyFilters) return;
     dispatchAction(SET_VALUE, "applyFilters", false);
-    const filterURL = () => {
-      const filterObj = { ...(queryParams.filters || {}) };
-      delete filterObj["lookingFor"];
-      if (location) filterObj.location = location;
-      return Object.keys(filterObj).length === 0
-        ? ""
-        : `&filter=${encodeURIComponent(JSON.stringify(filterObj))}`;
-    };
-
-    const objectiveURL = () => {
-      let objective = queryParams.objective;
-      if (
-        selectedOptions["lookingFor"] &&
-        selectedOptions["lookingFor"].length < 2
-      ) {
-        objective =
-          selectedOptions["lookingFor"][0] === "Request Help"
-            ? "REQUEST"
-            : "OFFER";
-      }
-      switch (objective) {
-        case "REQUEST":
-          return "&objective=request";
-        case "OFFER":
-          return "&objective=offer";
-        default:
-          return "";
-      }
-    };
     const searchKeyword = queryParams.s_keyword;
-    const searchURL = () => {
-      if (searchKeyword)
-        return `&keywords=${encodeURIComponent(searchKeyword)}`;
-      else return "";
-    };
 
     const limit = PAGINATION_LIMIT;
     const skip = page * limit;
-    let baseURL = gePostsBasetUrl(organisationId, limit, skip);
+    // continue from the last loaded post so new posts don't shift the pages,
+    // skip is only used when the cursor is unknown (e.g. restoring a page)
+    const cursor = page ? nextCursor : null;
+    let baseURL = gePostsBasetUrl(organisationId, limit, skip, cursor);
     switch (queryParams.s_category) {
       case "POSTS":
         break;
@@ -472,7 +503,7 @@ const Feed = (props) => {
       default:
         break;
     }
-    let endpoint = `${baseURL}${objectiveURL()}${filterURL()}${searchURL()}&ignoreUserLocation=${ignoreUserLocation}`;
+    let endpoint = `${baseURL}${objectiveURL()}${filterURL()}${searchURL()}${radiusURL()}&ignoreUserLocation=${ignoreUserLocation}`;
     dispatch(postsActions.fetchPostsBegin());
 
     try {
@@ -498,13 +529,19 @@ const Feed = (props) => {
           },
         });
       }
+      const isPostsSearch =
+        !queryParams.s_category || queryParams.s_category === "POSTS";
+      if (isPostsSearch) {
+        dispatch(postsActions.setNextCursorAction(meta.nextCursor));
+        setFacets(meta.facets || {});
+      }
       if (posts.length && meta.total) {
         if (prevTotalPostCount !== meta.total) {
           setTotalPostCount(meta.total);
         }
 
         const lastPage = Math.ceil(meta.total / limit) - 1;
-        if (page === lastPage) {
+        if (page === lastPage || (isPostsSearch && !meta.nextCursor)) {
           dispatch(postsActions.finishLoadingAction());
         }
 
@@ -514,6 +551,8 @@ const Feed = (props) => {
           postsInState = keepPostsState;
           if (keepPageState >= page) {
             dispatch(postsActions.setPageAction(keepPageState));
+            // the cursor points after the first page, not the restored one
+            dispatch(postsActions.setNextCursorAction(null));
           }
         }
         if (postsInState) {
@@ -661,12 +700,15 @@ const Feed = (props) => {
           location,
           ignoreUserLocation,
           dispatchAction,
+          facets,
           selectedOptions,
           handleShowFilters,
           handleOption,
           handleFilterModal,
           handleQuit,
           handleLocation,
+          handleRadius,
+          radiusKm: Number(queryParams.radius_km) || null,
           handleOnClose,
           toggleShowNearMe,
           showFilters,
@@ -711,6 +753,24 @@ const Feed = (props) => {
                     {t("feed.filters.title")}
                   </button>
                   <FiltersList />
+                  {isAuthenticated &&
+                    (!queryParams.s_category ||
+                      queryParams.s_category === "POSTS") && (
+                      <SaveSearchButton
+                        id={gtmTag(GTM.post.saveSearch)}
+                        filters={{
+                          keywords: queryParams.s_keyword,
+                          location,
+                          objective: ["REQUEST", "OFFER"].includes(
+                            queryParams.objective?.toUpperCase(),
+                          )
+                            ? queryParams.objective.toLowerCase()
+                            : null,
+                          providers: queryParams.filters?.providers,
+                          type: queryParams.filters?.type,
+                        }}
+                      />
+                    )}
                 </FiltersWrapper>
               </>
               <FiltersSidebar
@@ -767,7 +827,28 @@ const Feed = (props) => {
                 </div>
               }
               <WhiteSpace size={"lg"} />
-              {!queryParams.s_category || queryParams.s_category === "POSTS" ? (
+              {(!queryParams.s_category ||
+                queryParams.s_category === "POSTS") && (
+                <ViewToggle
+                  buttonStyle="solid"
+                  size="small"
+                  value={mapView ? "map" : "list"}
+                  onChange={(e) => setMapView(e.target.value === "map")}
+                >
+                  <Radio.Button value="list">{t("feed.map.list")}</Radio.Button>
+                  <Radio.Button id={gtmTag(GTM.post.mapView)} value="map">
+                    {t("feed.map.map")}
+                  </Radio.Button>
+                </ViewToggle>
+              )}
+              {(!queryParams.s_category ||
+                queryParams.s_category === "POSTS") &&
+              mapView ? (
+                <PostsMap
+                  filtersQuery={`${objectiveURL()}${filterURL()}${searchURL()}${radiusURL()}&ignoreUserLocation=${ignoreUserLocation}`}
+                />
+              ) : !queryParams.s_category ||
+                queryParams.s_category === "POSTS" ? (
                 <Posts
                   isAuthenticated={isAuthenticated}
                   filteredPosts={postsList}
@@ -782,7 +863,6 @@ const Feed = (props) => {
                   itemCount={itemCount}
                   isItemLoaded={isItemLoaded}
                   hasNextPage={loadMore}
-                  totalPostCount={totalPostCount}
                   highlightWords={queryParams.s_keyword}
                   page={page}
                 />
@@ -800,7 +880,7 @@ const Feed = (props) => {
                   highlightWords={queryParams.s_keyword}
                 />
               )}
-              {emptyFeed() ? (
+              {emptyFeed() && !mapView ? (
                 <NoPosts>
                   <Trans
                     i18nKey={
@@ -845,9 +925,12 @@ const Feed = (props) => {
   );
 };
 
-const gePostsBasetUrl = (organisationId, limit, skip) => {
+const gePostsBasetUrl = (organisationId, limit, skip, cursor) => {
   const actorId = organisationId ? `&actorId=${organisationId}` : "";
-  return `/api/posts?&includeMeta=true&limit=${limit}&skip=${skip}${actorId}`;
+  const pagination = cursor
+    ? `&cursor=${encodeURIComponent(cursor)}`
+    : `&skip=${skip}`;
+  return `/api/posts?&includeMeta=true&limit=${limit}${pagination}${actorId}`;
 };
 
 export default Feed;
@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import styled from "styled-components";
+import { connect } from "react-redux";
+import { Link, useParams } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+
+import { refetchUser } from "actions/authActions";
+import { theme, mq } from "constants/theme";
+import Button from "components/Button/SubmitButton";
+import { FEED, LOGIN } from "templates/RouteWithSubRoutes";
+
+const InviteContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  padding: 4rem 2rem;
+  text-align: center;
+`;
+
+const StyledHeading = styled.h5`
+  font-size: 1.6rem;
+  font-weight: bold;
+  line-height: 2rem;
+  margin-bottom: 2.4rem;
+
+  @media screen and (min-width: ${mq.tablet.narrow.maxWidth}) {
+    font-size: 2.4rem;
+    line-height: 2.8rem;
+  }
+`;
+
+const Paragraph = styled.p`
+  color: ${theme.colors.darkerGray};
+  font-size: 1.4rem;
+  line-height: 1.8rem;
+  margin-bottom: 1.6rem;
+  max-width: 48rem;
+`;
+
+const StyledButton = styled(Button)`
+  height: 5.4rem;
+  width: 19rem;
+`;
+
+// landing page of the emailed invitations to join an organisation
+const OrganisationInvite = ({ history, isAuthenticated, refetchUser }) => {
+  const { token } = useParams();
+  const { t } = useTranslation();
+  const [invite, setInvite] = useState(null);
+  const [error, setError] = useState(null);
+  const [accepting, setAccepting] = useState(false);
+
+  useEffect(() => {
+    (async function fetchInvite() {
+      try {
+        const res = await axios.get(`/api/organisations/invites/${token}`);
+        setInvite(res.data);
+      } catch (err) {
+        setError(t("orgMembers.errors.inviteNotFound"));
+      }
+    })();
+  }, [token, t]);
+
+  const handleAccept = async () => {
+    setAccepting(true);
+    try {
+      const res = await axios.post(
+        `/api/organisations/invites/${token}/accept`,
+      );
+      refetchUser();
+      history.push(`/organisation/${res.data.organisationId}`);
+    } catch (err) {
+      const message = err.response?.data?.message || err.message;
+      setError(
+        t([`orgMembers.errors.${message}`, "orgMembers.errors.accept"], {
+          email: invite.email,
+        }),
+      );
+      setAccepting(false);
+    }
+  };
+
+  // back to this page once logged in
+  const handleLogin = () => {
+    sessionStorage.setItem("postredirect", window.location.pathname);
+  };
+
+  if (error || !invite) {
+    return (
+      <InviteContainer>
+        <StyledHeading>{error || t("profile.common.loading")}</StyledHeading>
+        {error && (
+          <Link to={FEED}>
+            <StyledButton primary="true">
+              {t("sanction.backToFeed")}
+            </StyledButton>
+          </Link>
+        )}
+      </InviteContainer>
+    );
+  }
+
+  const { organisation, role, status } = invite;
+  return (
+    <InviteContainer>
+      <StyledHeading>
+        {t("orgMembers.inviteTitle", { name: organisation.name })}
+      </StyledHeading>
+      <Paragraph>
+        {t("orgMembers.inviteRole", {
+          role: t(`orgMembers.roles.${role}`),
+        })}
+      </Paragraph>
+      <Paragraph>{t(`orgMembers.roleDescriptions.${role}`)}</Paragraph>
+      {status !== "pending" ? (
+        <Paragraph>{t(`orgMembers.inviteStatus.${status}`)}</Paragraph>
+      ) : isAuthenticated ? (
+        <StyledButton
+          primary="true"
+          disabled={accepting}
+          onClick={handleAccept}
+        >
+          {t("orgMembers.accept")}
+        </StyledButton>
+      ) : (
+        <>
+          <Paragraph>
+            {t("orgMembers.loginToAccept", { email: invite.email })}
+          </Paragraph>
+          <Link to={LOGIN} onClick={handleLogin}>
+            <StyledButton primary="true">{t("orgMembers.login")}</StyledButton>
+          </Link>
+        </>
+      )}
+    </InviteContainer>
+  );
+};
+
+const mapDispatchToProps = {
+  refetchUser,
+};
+
+export default connect(null, mapDispatchToProps)(OrganisationInvite);
@@ -0,0 +1,356 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Alert, Button, Input, List, Popconfirm, Select } from "antd";
+import axios from "axios";
+import moment from "moment";
+import { useTranslation } from "react-i18next";
+import { connect } from "react-redux";
+import styled from "styled-components";
+
+import { refetchUser } from "actions/authActions";
+import { canOrgRole, ORG_MEMBER_ROLES } from "constants/permissions";
+import { theme } from "constants/theme";
+import {
+  Background,
+  CustomHeading,
+  CustomLink,
+  EditLayout,
+  FillEmptySpace,
+  FormLayout,
+  OptionDiv,
+  TitlePictureWrapper,
+} from "components/EditProfile/EditComponents";
+
+const { colors } = theme;
+
+const MembersWrapper = styled.div`
+  flex: 1;
+  h5 {
+    margin-top: 2rem;
+  }
+  .ant-alert {
+    margin-bottom: 1rem;
+  }
+  .ant-list-item-meta-description {
+    color: ${colors.darkerGray};
+  }
+`;
+
+const InviteForm = styled.div`
+  display: flex;
+  margin: 1rem 0 2rem;
+  > * {
+    margin-right: 1rem;
+  }
+  .ant-input {
+    flex: 1;
+  }
+  .ant-select {
+    width: 14rem;
+  }
+`;
+
+// members of an organisation with their roles, and the invitations to join it
+function OrganisationMembers({ history, refetchUser, user }) {
+  const organisationId = window.location.pathname.split("/")[2];
+  const { t } = useTranslation();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [{ invites, members, ownershipTransfer, role }, setTeam] = useState({
+    invites: [],
+    members: [],
+    ownershipTransfer: null,
+    role: null,
+  });
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("editor");
+  const [inviting, setInviting] = useState(false);
+  const userId = user?.id || user?._id;
+  const canManage = canOrgRole(role, "manageMembers");
+  const nomineeId = ownershipTransfer?.nomineeId;
+  const nominee = members.find((member) => member.id === nomineeId);
+
+  const showError = (err, fallback) => {
+    const message = err.response?.data?.message || err.message;
+    setError(t([`orgMembers.errors.${message}`, fallback]));
+  };
+
+  const loadMembers = useCallback(async () => {
+    try {
+      const res = await axios.get(
+        `/api/organisations/${organisationId}/members`,
+      );
+      setTeam(res.data);
+    } catch (err) {
+      showError(err, "orgMembers.errors.loading");
+    }
+    setLoading(false);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [organisationId]);
+
+  useEffect(() => {
+    loadMembers();
+  }, [loadMembers]);
+
+  const handleInvite = async () => {
+    setError(null);
+    setInviting(true);
+    try {
+      await axios.post(`/api/organisations/${organisationId}/invites`, {
+        email: inviteEmail,
+        role: inviteRole,
+      });
+      setInviteEmail("");
+      await loadMembers();
+    } catch (err) {
+      showError(err, "orgMembers.errors.invite");
+    }
+    setInviting(false);
+  };
+
+  const handleRevoke = async (inviteId) => {
+    setError(null);
+    try {
+      await axios.delete(
+        `/api/organisations/${organisationId}/invites/${inviteId}`,
+      );
+      await loadMembers();
+    } catch (err) {
+      showError(err, "orgMembers.errors.update");
+    }
+  };
+
+  const handleRoleChange = async (memberId, newRole) => {
+    setError(null);
+    try {
+      await axios.patch(
+        `/api/organisations/${organisationId}/members/${memberId}`,
+        { role: newRole },
+      );
+      await loadMembers();
+    } catch (err) {
+      showError(err, "orgMembers.errors.update");
+    }
+  };
+
+  const handleRemove = async (memberId) => {
+    setError(null);
+    try {
+      await axios.delete(
+        `/api/organisations/${organisationId}/members/${memberId}`,
+      );
+      if (memberId !== userId) return loadMembers();
+      // a member who left can't see the team anymore
+      refetchUser();
+      history.push("/feed");
+    } catch (err) {
+      showError(err, "orgMembers.errors.update");
+    }
+  };
+
+  // the member becomes the owner once they accept
+  const handleTransfer = async (memberId) => {
+    setError(null);
+    try {
+      await axios.post(`/api/organisations/${organisationId}/transfer`, {
+        userId: memberId,
+      });
+      await loadMembers();
+    } catch (err) {
+      showError(err, "orgMembers.errors.update");
+    }
+  };
+
+  const handleCancelTransfer = async () => {
+    setError(null);
+    try {
+      await axios.delete(`/api/organisations/${organisationId}/transfer`);
+      await loadMembers();
+    } catch (err) {
+      showError(err, "orgMembers.errors.update");
+    }
+  };
+
+  const renderRole = (member) =>
+    canManage && member.role !== "owner" ? (
+      <Select
+        key="role"
+        value={member.role}
+        onChange={(newRole) => handleRoleChange(member.id, newRole)}
+      >
+        {ORG_MEMBER_ROLES.map((memberRole) => (
+          <Select.Option key={memberRole} value={memberRole}>
+            {t(`orgMembers.roles.${memberRole}`)}
+          </Select.Option>
+        ))}
+      </Select>
+    ) : (
+      t(`orgMembers.roles.${member.role}`)
+    );
+
+  const renderMemberActions = (member) => {
+    if (member.role === "owner") return [renderRole(member)];
+    const isSelf = member.id === userId;
+    if (!canManage && !isSelf) return [renderRole(member)];
+    return [
+      renderRole(member),
+      role === "owner" && member.id !== nomineeId && (
+        <Popconfirm
+          key="transfer"
+          title={t("orgMembers.transferConfirm", { name: member.name })}
+          onConfirm={() => handleTransfer(member.id)}
+        >
+          <Button size="small">{t("orgMembers.transfer")}</Button>
+        </Popconfirm>
+      ),
+      <Popconfirm
+        key="remove"
+        title={t(
+          isSelf ? "orgMembers.leaveConfirm" : "orgMembers.removeConfirm",
+        )}
+        onConfirm={() => handleRemove(member.id)}
+      >
+        <Button danger size="small">
+          {t(isSelf ? "orgMembers.leave" : "orgMembers.remove")}
+        </Button>
+      </Popconfirm>,
+    ].filter(Boolean);
+  };
+
+  return (
+    <Background>
+      <EditLayout>
+        <TitlePictureWrapper>
+          <CustomHeading level={4} className="h4">
+            {t("orgMembers.title")}
+          </CustomHeading>
+          <FillEmptySpace />
+        </TitlePictureWrapper>
+        <FormLayout>
+          <OptionDiv>
+            {canOrgRole(role, "editProfile") && (
+              <>
+                <CustomLink to={`/edit-organisation-account/${organisationId}`}>
+                  {t("profile.common.accountInfo")}
+                </CustomLink>
+                <CustomLink to={`/edit-organisation-profile/${organisationId}`}>
+                  {t("profile.common.profileInfo")}
+                </CustomLink>
+                <CustomLink
+                  to={`/edit-organisation-notifications/${organisationId}`}
+                >
+                  {t("profile.common.notificationInfo")}
+                </CustomLink>
+              </>
+            )}
+            <CustomLink
+              to={`/edit-organisation-members/${organisationId}`}
+              isSelected
+            >
+              {t("orgMembers.title")}
+            </CustomLink>
+          </OptionDiv>
+          <MembersWrapper>
+            {error && <Alert type="error" message={error} />}
+            {nomineeId && role === "owner" && (
+              <Alert
+                type="info"
+                message={
+                  <>
+                    {t("orgMembers.transferPending", {
+                      name: nominee?.name || t("orgMembers.anotherUser"),
+                    })}{" "}
+                    <Button size="small" onClick={handleCancelTransfer}>
+                      {t("orgMembers.cancelTransfer")}
+                    </Button>
+                  </>
+                }
+              />
+            )}
+            <p>{t("orgMembers.description")}</p>
+            {canManage && (
+              <InviteForm>
+                <Input
+                  type="email"
+                  placeholder={t("orgMembers.inviteEmail")}
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                />
+                <Select value={inviteRole} onChange={setInviteRole}>
+                  {ORG_MEMBER_ROLES.map((memberRole) => (
+                    <Select.Option key={memberRole} value={memberRole}>
+                      {t(`orgMembers.roles.${memberRole}`)}
+                    </Select.Option>
+                  ))}
+                </Select>
+                <Button
+                  type="primary"
+                  loading={inviting}
+                  disabled={!inviteEmail}
+                  onClick={handleInvite}
+                >
+                  {t("orgMembers.invite")}
+                </Button>
+              </InviteForm>
+            )}
+            <List
+              loading={loading}
+              dataSource={members}
+              rowKey="id"
+              renderItem={(member) => (
+                <List.Item actions={renderMemberActions(member)}>
+                  <List.Item.Meta
+                    title={member.name}
+                    description={
+                      member.addedAt &&
+                      t("orgMembers.since", {
+                        date: moment(member.addedAt).format("LL"),
+                      })
+                    }
+                  />
+                </List.Item>
+              )}
+            />
+            {canManage && invites.length > 0 && (
+              <>
+                <CustomHeading level={5}>
+                  {t("orgMembers.pendingInvites")}
+                </CustomHeading>
+                <List
+                  dataSource={invites}
+                  rowKey="_id"
+                  renderItem={(invite) => (
+                    <List.Item
+                      actions={[
+                        t(`orgMembers.roles.${invite.role}`),
+                        <Button
+                          key="revoke"
+                          size="small"
+                          onClick={() => handleRevoke(invite._id)}
+                        >
+                          {t("orgMembers.revoke")}
+                        </Button>,
+                      ]}
+                    >
+                      <List.Item.Meta
+                        title={invite.email}
+                        description={t("orgMembers.inviteExpires", {
+                          date: moment(invite.expiresAt).format("LL"),
+                        })}
+                      />
+                    </List.Item>
+                  )}
+                />
+              </>
+            )}
+          </MembersWrapper>
+        </FormLayout>
+      </EditLayout>
+    </Background>
+  );
+}
+
+const mapDispatchToProps = {
+  refetchUser,
+};
+
+export default connect(null, mapDispatchToProps)(OrganisationMembers);
@@ -34,6 +34,8 @@ import { FeedWrapper } from "components/Feed/FeedWrappers";
 import ProfilePic from "components/Picture/ProfilePic";
 import UploadPic from "components/Picture/UploadPic";
 import MessageModal from "../components/Feed/MessagesModal/MessageModal.js";
+import OwnershipTransfer from "components/Profile/OwnershipTransfer";
+import ReportProfile from "components/Profile/ReportProfile";
 
 import Loader from "components/Feed/StyledLoader";
 import {
@@ -93,6 +95,7 @@ import {
 } from "hooks/reducers/feedReducers";
 import { UserContext, withUserContext } from "context/UserContext";
 import GTM from "constants/gtm-tags";
+import { canOrgRole } from "constants/permissions";
 import { selectPosts, postsActions } from "reducers/posts";
 import { selectOrganisationId } from "reducers/session";
 import CreatePostButton from "components/Feed/CreatePostButton";
@@ -138,7 +141,7 @@ const OrganisationProfile = ({ isAuthenticated }) => {
   const [itemCount, setItemCount] = useState(0);
   const [toggleRefetch, setToggleRefetch] = useState(false);
   const [totalPostCount, setTotalPostCount] = useState(ARBITRARY_LARGE_NUM);
-  const { email, name, location = {}, about = "", isOwner, urls = {} } =
+  const { email, name, location = {}, about = "", isOwner, role, urls = {} } =
     organisation || {};
 
   const urlsAndEmail = { ...urls, email: isOwner ? null : email };
@@ -157,6 +160,9 @@ const OrganisationProfile = ({ isAuthenticated }) => {
   const organisationPosts = Object.entries(postsList);
   const actorOrganisationId = useSelector(selectOrganisationId);
   const isSelf = organisation && actorOrganisationId == organisation._id;
+  // members acting as the organisation only do what their role allows
+  const canEdit = isSelf && canOrgRole(role, "editProfile");
+  const canPost = isSelf && canOrgRole(role, "post");
 
   function usePrevious(value) {
     const ref = useRef();
@@ -425,6 +431,14 @@ const OrganisationProfile = ({ isAuthenticated }) => {
       <>
         <ProfileBackgroup />
         <ProfileLayout>
+          {organisation.isNominee && (
+            <OwnershipTransfer
+              organisation={organisation}
+              onChange={(updated) =>
+                orgProfileDispatch(fetchOrganisationSuccess(updated))
+              }
+            />
+          )}
           <UserInfoContainer>
             <AvatarPhotoContainer>
               <ProfilePic
@@ -432,7 +446,7 @@ const OrganisationProfile = ({ isAuthenticated }) => {
                 initials={getInitialsFromFullName(name)}
               />
               <PhotoUploadButton>
-                {isSelf && (
+                {canEdit && (
                   <UploadPic
                     gtmPrefix={GTM.organisation.orgPrefix}
                     user={organisation}
@@ -468,6 +482,12 @@ const OrganisationProfile = ({ isAuthenticated }) => {
                       authorId={organisationId}
                     />
                   )}
+                {isAuthenticated && !isOwner && (
+                  <ReportProfile
+                    targetType="organisations"
+                    profileId={organisationId}
+                  />
+                )}
               </NameDiv>
               {about && <DescriptionDesktop> {about} </DescriptionDesktop>}
               <IconsContainer>
@@ -480,7 +500,7 @@ const OrganisationProfile = ({ isAuthenticated }) => {
             <SectionHeader>
               {t("profile.org.activity")}
               <PlaceholderIcon />
-              {isSelf && (
+              {canPost && (
                 <>
                   <CreatePostIcon
                     id={GTM.organisation.orgPrefix + GTM.post.createPost}
@@ -524,7 +544,7 @@ const OrganisationProfile = ({ isAuthenticated }) => {
                 />
               )}
               {emptyFeed() && <></>}
-              {isSelf && (
+              {canPost && (
                 <CreatePost
                   gtmPrefix={GTM.organisation.orgPrefix}
                   onCancel={onToggleCreatePostDrawer}
@@ -544,19 +564,30 @@ const OrganisationProfile = ({ isAuthenticated }) => {
               height="auto"
               key="bottom"
             >
+              {canEdit && (
+                <>
+                  <DrawerHeader>
+                    <Link to={`/edit-organisation-account/${organisationId}`}>
+                      {t("profile.org.editOrgAccount")}
+                    </Link>
+                  </DrawerHeader>
+                  <DrawerHeader>
+                    <Link to={`/edit-organisation-profile/${organisationId}`}>
+                      {t("profile.org.editOrgProfile") + " "}
+                    </Link>
+                  </DrawerHeader>
+                  <DrawerHeader>
+                    <Link
+                      to={`/edit-organisation-notifications/${organisationId}`}
+                    >
+                      {t("profile.org.editOrgNotification")}{" "}
+                    </Link>
+                  </DrawerHeader>
+                </>
+              )}
               <DrawerHeader>
-                <Link to={`/edit-organisation-account/${organisationId}`}>
-                  {t("profile.org.editOrgAccount")}
-                </Link>
-              </DrawerHeader>
-              <DrawerHeader>
-                <Link to={`/edit-organisation-profile/${organisationId}`}>
-                  {t("profile.org.editOrgProfile") + " "}
-                </Link>
-              </DrawerHeader>
-              <DrawerHeader>
-                <Link to={`/edit-organisation-notifications/${organisationId}`}>
-                  {t("profile.org.editOrgNotification")}{" "}
+                <Link to={`/edit-organisation-members/${organisationId}`}>
+                  {t("orgMembers.title")}
                 </Link>
               </DrawerHeader>
             </CustomDrawer>
@@ -12,6 +12,8 @@ import EditPost from "components/CreatePost/EditPost";
 import { ProfileCompletedButtonsWrapper } from "components/CompletedProfile/CompletedProfile";
 import Loader from "components/Feed/StyledLoader";
 import Post, { CONTENT_LENGTH } from "components/Feed/Post";
+import PostMatches from "components/Feed/PostMatches";
+import PostRevisions from "components/Feed/PostRevisions";
 import { StyledPostPage } from "components/Feed/StyledPostPage";
 import PostMetaContainer from "components/Meta/PostMetaContainer";
 import { typeToTag } from "assets/data/formToPostMappings";
@@ -83,6 +85,11 @@ const StyledLink = styled(Link)`
   }
 `;
 
+const PostRevisionsWrapper = styled.div`
+  margin: -3rem 0 3rem;
+  text-align: right;
+`;
+
 export const PostContext = React.createContext();
 
 const PostPage = ({ user, updateComments, isAuthenticated }) => {
@@ -321,6 +328,12 @@ const PostPage = ({ user, updateComments, isAuthenticated }) => {
                 user={user}
                 convertTextToURL={true}
               />
+              {post.isEdited && (
+                <PostRevisionsWrapper>
+                  <PostRevisions post={post} />
+                </PostRevisionsWrapper>
+              )}
+              <PostMatches postId={postId} postState={post.state} />
               <EditPost
                 user={user}
                 dispatchAction={dispatchPostAction}
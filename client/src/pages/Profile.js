@@ -1,4 +1,5 @@
 import { WhiteSpace } from "antd-mobile";
+import { Tabs } from "antd";
 import axios from "axios";
 import React, {
   useContext,
@@ -13,6 +14,8 @@ import { useSelector, useDispatch } from "react-redux";
 import { useTranslation } from "react-i18next";
 
 import Activity from "components/Profile/Activity";
+import Bookmarks from "components/Profile/Bookmarks";
+import ReportProfile from "components/Profile/ReportProfile";
 import CreatePost from "components/CreatePost/CreatePost";
 import ErrorAlert from "../components/Alert/ErrorAlert";
 import { FeedWrapper } from "components/Feed/FeedWrappers";
@@ -93,6 +96,8 @@ const URLS = {
   website: [websiteIcon],
 };
 
+const { TabPane } = Tabs;
+
 const getHref = (url) => (url.startsWith("http") ? url : `//${url}`);
 const PAGINATION_LIMIT = 10;
 const ARBITRARY_LARGE_NUM = 10000;
@@ -343,6 +348,46 @@ const Profile = ({
     return <ErrorAlert message={error} type="error" />;
   }
   if (loading) return <Loader />;
+
+  const activityFeed = (
+    <FeedWrapper isProfile>
+      <Activity
+        postDispatch={dispatch}
+        filteredPosts={postsList}
+        user={user}
+        postDelete={postDelete}
+        handlePostDelete={handlePostDelete}
+        handleEditPost={handleEditPost}
+        deleteModalVisibility={deleteModalVisibility}
+        handleCancelPostDelete={handleCancelPostDelete}
+        loadNextPage={loadNextPage}
+        isNextPageLoading={isLoading}
+        itemCount={itemCount}
+        isItemLoaded={isItemLoaded}
+        hasNextPage={loadMore}
+        totalPostCount={totalPostCount}
+      />
+      {postsError && (
+        <ErrorAlert
+          message={t([
+            `error.${postsError.message}`,
+            `error.http.${postsError.message}`,
+          ])}
+        />
+      )}
+      {emptyFeed() && <></>}
+      {isSelf && (
+        <CreatePost
+          onCancel={onToggleCreatePostDrawer}
+          loadPosts={refetchPosts}
+          visible={modal}
+          user={user}
+          gtmPrefix={GTM.user.profilePrefix}
+        />
+      )}
+    </FeedWrapper>
+  );
+
   return (
     <>
       <ProfileBackgroup />
@@ -388,6 +433,9 @@ const Profile = ({
                   authorId={userId}
                 />
               )}
+              {isAuthenticated && !ownUser && (
+                <ReportProfile targetType="users" profileId={userId} />
+              )}
             </NameDiv>
             {about && <DescriptionDesktop> {about} </DescriptionDesktop>}
             <IconsContainer>
@@ -443,42 +491,21 @@ const Profile = ({
               </>
             )}
           </SectionHeader>
-          <FeedWrapper isProfile>
-            <Activity
-              postDispatch={dispatch}
-              filteredPosts={postsList}
-              user={user}
-              postDelete={postDelete}
-              handlePostDelete={handlePostDelete}
-              handleEditPost={handleEditPost}
-              deleteModalVisibility={deleteModalVisibility}
-              handleCancelPostDelete={handleCancelPostDelete}
-              loadNextPage={loadNextPage}
-              isNextPageLoading={isLoading}
-              itemCount={itemCount}
-              isItemLoaded={isItemLoaded}
-              hasNextPage={loadMore}
-              totalPostCount={totalPostCount}
-            />
-            {postsError && (
-              <ErrorAlert
-                message={t([
-                  `error.${postsError.message}`,
-                  `error.http.${postsError.message}`,
-                ])}
-              />
-            )}
-            {emptyFeed() && <></>}
-            {isSelf && (
-              <CreatePost
-                onCancel={onToggleCreatePostDrawer}
-                loadPosts={refetchPosts}
-                visible={modal}
-                user={user}
-                gtmPrefix={GTM.user.profilePrefix}
-              />
-            )}
-          </FeedWrapper>
+          {isSelf ? (
+            <Tabs
+              defaultActiveKey="activity"
+              tabBarStyle={{ color: "#425AF2" }}
+            >
+              <TabPane tab={t("profile.individual.activityTab")} key="activity">
+                {activityFeed}
+              </TabPane>
+              <TabPane tab={t("profile.individual.savedTab")} key="saved">
+                <Bookmarks />
+              </TabPane>
+            </Tabs>
+          ) : (
+            activityFeed
+          )}
         </div>
         {isSelf && (
           <CustomDrawer
@@ -0,0 +1,96 @@
+import React from "react";
+import styled from "styled-components";
+import { Link } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { theme, mq } from "constants/theme";
+import Button from "components/Button/SubmitButton";
+import { FEED, LOGOUT } from "templates/RouteWithSubRoutes";
+
+const SanctionContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  padding: 4rem 2rem;
+  text-align: center;
+`;
+
+const StyledHeading = styled.h5`
+  font-size: 1.6rem;
+  font-weight: bold;
+  line-height: 2rem;
+  margin-bottom: 2.4rem;
+
+  @media screen and (min-width: ${mq.tablet.narrow.maxWidth}) {
+    font-size: 2.4rem;
+    line-height: 2.8rem;
+  }
+`;
+
+const Paragraph = styled.p`
+  color: ${theme.colors.darkerGray};
+  font-size: 1.4rem;
+  line-height: 1.8rem;
+  margin-bottom: 1.6rem;
+  max-width: 48rem;
+`;
+
+const Reason = styled.blockquote`
+  margin: 0 0 2.4rem;
+  padding-left: 1rem;
+  border-left: 0.3rem solid ${theme.colors.lightGray};
+  max-width: 48rem;
+  text-align: left;
+  white-space: pre-wrap;
+`;
+
+const StyledButton = styled(Button)`
+  height: 5.4rem;
+  width: 19rem;
+`;
+
+// explains an account's sanction, banned accounts are kept on this page
+const Suspended = ({ user }) => {
+  const { t } = useTranslation();
+  const sanction = user?.sanction;
+
+  if (!sanction) {
+    return (
+      <SanctionContainer>
+        <StyledHeading>{t("sanction.none")}</StyledHeading>
+        <Link to={FEED}>
+          <StyledButton primary="true">{t("sanction.backToFeed")}</StyledButton>
+        </Link>
+      </SanctionContainer>
+    );
+  }
+
+  const { expiresAt, reason, type } = sanction;
+  return (
+    <SanctionContainer>
+      <StyledHeading>{t(`sanction.title.${type}`)}</StyledHeading>
+      <Paragraph>{t(`sanction.explanation.${type}`)}</Paragraph>
+      <Paragraph>{t("sanction.reason")}</Paragraph>
+      <Reason>{reason}</Reason>
+      <Paragraph>
+        {expiresAt
+          ? t("sanction.until", {
+              date: new Date(expiresAt).toLocaleString(),
+            })
+          : t("sanction.permanent")}
+      </Paragraph>
+      <Paragraph>{t("sanction.contact")}</Paragraph>
+      {type === "ban" ? (
+        <Link to={LOGOUT}>
+          <StyledButton primary="true">{t("sanction.logout")}</StyledButton>
+        </Link>
+      ) : (
+        <Link to={FEED}>
+          <StyledButton primary="true">{t("sanction.backToFeed")}</StyledButton>
+        </Link>
+      )}
+    </SanctionContainer>
+  );
+};
+
+export default Suspended;
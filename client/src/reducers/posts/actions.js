@@ -6,8 +6,13 @@ export const POSTS_ACTIONS = {
   NEXT_PAGE: "NEXT_PAGE",
   SET_PAGE: "SET_PAGE",
   RESET_PAGE: "RESET_PAGE",
+  SET_BOOKMARK: "SET_BOOKMARK",
   SET_LIKE: "SET_LIKE",
   SET_LOADING: "SET_LOADING",
+  SET_NEXT_CURSOR: "SET_NEXT_CURSOR",
+  SET_CLAIM: "SET_CLAIM",
+  SET_POST_EXPIRATION: "SET_POST_EXPIRATION",
+  SET_POST_STATE: "SET_POST_STATE",
   SET_REPORTED: "SET_REPORTED",
   SHOW_ANYWAY: "SHOW_ANYWAY",
 };
@@ -28,6 +33,14 @@ export const setLikeAction = (postId, count) => ({
   },
 });
 
+export const setBookmarkAction = (postId, bookmarked) => ({
+  type: POSTS_ACTIONS.SET_BOOKMARK,
+  payload: {
+    postId,
+    bookmarked,
+  },
+});
+
 export const fetchPostsBegin = () => ({
   type: POSTS_ACTIONS.FETCH_POSTS_BEGIN,
 });
@@ -60,11 +73,35 @@ export const setLoadingAction = ({ isLoading, loadMore }) => ({
   payload: { isLoading, loadMore },
 });
 
+export const setNextCursorAction = (nextCursor) => ({
+  type: POSTS_ACTIONS.SET_NEXT_CURSOR,
+  payload: { nextCursor },
+});
+
 export const setReported = ({ postId }) => ({
   type: POSTS_ACTIONS.SET_REPORTED,
   payload: { postId },
 });
 
+export const setClaimAction = ({ postId, claim }) => ({
+  type: POSTS_ACTIONS.SET_CLAIM,
+  payload: { postId, claim },
+});
+
+export const setPostExpirationAction = ({
+  postId,
+  expireAt,
+  expirationOption,
+}) => ({
+  type: POSTS_ACTIONS.SET_POST_EXPIRATION,
+  payload: { postId, expireAt, expirationOption },
+});
+
+export const setPostStateAction = ({ postId, state, closingReason }) => ({
+  type: POSTS_ACTIONS.SET_POST_STATE,
+  payload: { postId, state, closingReason },
+});
+
 export const showAnyway = ({ postId }) => ({
   type: POSTS_ACTIONS.SHOW_ANYWAY,
   payload: { postId },
@@ -73,13 +110,18 @@ export const showAnyway = ({ postId }) => ({
 export const postsActions = {
   resetPageAction,
   setLikeAction,
+  setBookmarkAction,
   fetchPostsBegin,
   fetchPostsSuccess,
   fetchPostsError,
   finishLoadingAction,
   setLoadingAction,
+  setNextCursorAction,
   setNextPageAction,
   setPageAction,
+  setClaimAction,
+  setPostExpirationAction,
+  setPostStateAction,
   setReported,
   showAnyway,
 };
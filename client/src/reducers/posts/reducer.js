@@ -3,6 +3,7 @@ import { POSTS_ACTIONS } from "./actions";
 const innitialState = {
   posts: [],
   page: 0,
+  nextCursor: null,
   error: null,
   isLoading: false,
   loadMore: true,
@@ -43,11 +44,14 @@ const postsReducer = (state = innitialState, action) => {
       return {
         ...state,
         page: 0,
+        nextCursor: null,
         posts: [],
         loadMore: payload.loadMore,
         isLoading: payload.isLoading,
       };
     }
+    case POSTS_ACTIONS.SET_NEXT_CURSOR:
+      return { ...state, nextCursor: action.payload.nextCursor };
     case POSTS_ACTIONS.FINISH_LOADING:
       return {
         ...state,
@@ -68,6 +72,19 @@ const postsReducer = (state = innitialState, action) => {
         },
       };
     }
+    case POSTS_ACTIONS.SET_BOOKMARK: {
+      const { payload } = action;
+      return {
+        ...state,
+        posts: {
+          ...state.posts,
+          [payload.postId]: {
+            ...state.posts[payload.postId],
+            bookmarked: payload.bookmarked,
+          },
+        },
+      };
+    }
     case POSTS_ACTIONS.SET_REPORTED: {
       const { payload } = action;
       return {
@@ -81,6 +98,49 @@ const postsReducer = (state = innitialState, action) => {
         },
       };
     }
+    case POSTS_ACTIONS.SET_CLAIM: {
+      const { payload } = action;
+      // claims are pushed for every reported item, loaded or not
+      if (!state.posts[payload.postId]) return state;
+      return {
+        ...state,
+        posts: {
+          ...state.posts,
+          [payload.postId]: {
+            ...state.posts[payload.postId],
+            claim: payload.claim,
+          },
+        },
+      };
+    }
+    case POSTS_ACTIONS.SET_POST_EXPIRATION: {
+      const { payload } = action;
+      return {
+        ...state,
+        posts: {
+          ...state.posts,
+          [payload.postId]: {
+            ...state.posts[payload.postId],
+            expireAt: payload.expireAt,
+            expirationOption: payload.expirationOption,
+          },
+        },
+      };
+    }
+    case POSTS_ACTIONS.SET_POST_STATE: {
+      const { payload } = action;
+      return {
+        ...state,
+        posts: {
+          ...state.posts,
+          [payload.postId]: {
+            ...state.posts[payload.postId],
+            state: payload.state,
+            closingReason: payload.closingReason,
+          },
+        },
+      };
+    }
     case POSTS_ACTIONS.SHOW_ANYWAY: {
       const { payload } = action;
       return {
@@ -7,6 +7,8 @@ import OrganisationProfile from "./pages/OrganisationProfile";
 import EditOrganisationProfile from "./pages/EditOrganisationProfile";
 import EditOrganisationAccount from "./pages/EditOrganisationAccount";
 import EditOrganisationNotifications from "./pages/EditOrganisationNotifications";
+import OrganisationMembers from "./pages/OrganisationMembers";
+import OrganisationInvite from "./pages/OrganisationInvite";
 import Medical from "./pages/Medical";
 import SymptomsCheck from "./pages/SymptomsCheck";
 import TermsConditions from "./pages/TermsConditions";
@@ -31,6 +33,7 @@ import Inbox from "./pages/Inbox";
 import ToggleQAMode from "./pages/ToggleQAMode.js";
 import Unsubscribe from "./pages/Unsubscribe.js";
 import EditSecurity from "./pages/EditSecurity";
+import Suspended from "./pages/Suspended";
 
 import { SCOPES } from "constants/permissions";
 
@@ -133,6 +136,18 @@ const routes = [
       loggedInOnly: true,
     },
   },
+  {
+    path: "/edit-organisation-members",
+    component: OrganisationMembers,
+    props: {
+      loggedInOnly: true,
+    },
+  },
+  {
+    path: "/organisation-invite/:token",
+    component: OrganisationInvite,
+    layout: "logo",
+  },
   {
     path: "/medical",
     component: Medical,
@@ -275,6 +290,14 @@ const routes = [
     component: Unsubscribe,
     layout: "logo",
   },
+  {
+    path: "/suspended",
+    component: Suspended,
+    layout: "logo",
+    props: {
+      loggedInOnly: true,
+    },
+  },
 
   {
     path: "*",
@@ -15,6 +15,7 @@ export const CREATE_PROFILE = "/create-profile";
 export const PROFILE = "/profile";
 export const ABOUT_US = "/about-us";
 export const FAQ = "/faq";
+export const SUSPENDED = "/suspended";
 
 const getLayoutComponent = (layout) => {
   switch (layout) {
@@ -102,6 +103,12 @@ export const RouteWithSubRoutes = (route) => {
             redirect = CHECK_EMAIL;
           } else if (isAuthenticated) {
             if (
+              user?.sanction?.type === "ban" &&
+              ![LOGOUT, SUSPENDED].includes(location.pathname)
+            ) {
+              // banned accounts can only see why and log out
+              redirect = SUSPENDED;
+            } else if (
               !emailVerified &&
               location.pathname !== CHECK_EMAIL &&
               !forgotPassword
@@ -5,6 +5,7 @@ import { Link } from "react-router-dom";
 import styled from "styled-components";
 import { useTranslation } from "react-i18next";
 import CookieAlert from "components/CookieAlert";
+import SanctionNotice from "components/SanctionNotice";
 import FeedbackSubmitButton from "components/Button/FeedbackModalButton";
 import Footnote from "components/Footnote";
 import Header from "components/Header";
@@ -425,6 +426,7 @@ const NavigationLayout = (props) => {
             onOrganisationChange={onOrganisationChange}
             navSearch={navSearch}
           />
+          {user?.sanction && <SanctionNotice sanction={user.sanction} />}
           {mobiletabs ? (
             <MobileTabs tabIndex={tabIndex} childComponent={props.children} />
           ) : null}
@@ -0,0 +1,57 @@
+// splits on whitespace but keeps it, so joining the parts gives back the text
+const tokenize = (text = "") => text.split(/(\s+)/).filter(Boolean);
+
+/**
+ * Word by word diff of two texts, based on their longest common subsequence.
+ * Returns the parts of both texts in order, flagged as added or removed when
+ * they only appear in one of them.
+ */
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // lengths[i][j] = longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (value, change) => {
+    const last = parts[parts.length - 1];
+    if (
+      last &&
+      last.added === change.added &&
+      last.removed === change.removed
+    ) {
+      last.value += value;
+    } else {
+      parts.push({ value, ...change });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push(a[i], { added: false, removed: false });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push(a[i++], { added: false, removed: true });
+    } else {
+      push(b[j++], { added: true, removed: false });
+    }
+  }
+  a.slice(i).forEach((token) => push(token, { added: false, removed: true }));
+  b.slice(j).forEach((token) => push(token, { added: true, removed: false }));
+
+  return parts;
+};
@@ -0,0 +1,30 @@
+import { diffWords } from "./diff";
+
+const join = (parts, keep) =>
+  parts
+    .filter((part) => keep(part))
+    .map(({ value }) => value)
+    .join("");
+
+test("keeps both texts in the diff", () => {
+  const before = "Need  masks for the clinic\nasap";
+  const after = "Need gloves for the new clinic\nasap";
+  const parts = diffWords(before, after);
+  expect(join(parts, ({ added }) => !added)).toBe(before);
+  expect(join(parts, ({ removed }) => !removed)).toBe(after);
+});
+
+test("flags the words only in one text", () => {
+  expect(diffWords("help with food", "help with groceries")).toEqual([
+    { added: false, removed: false, value: "help with " },
+    { added: false, removed: true, value: "food" },
+    { added: true, removed: false, value: "groceries" },
+  ]);
+});
+
+test("handles empty texts", () => {
+  expect(diffWords("", "")).toEqual([]);
+  expect(diffWords(undefined, "new post")).toEqual([
+    { added: true, removed: false, value: "new post" },
+  ]);
+});
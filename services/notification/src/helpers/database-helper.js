@@ -4,6 +4,37 @@ const { MessageThreadStatus } = require("../models/message-thread-status");
 const { MongoClient } = require("mongodb");
 const { NotificationAction } = require("../models/notification-action");
 
+// Saved search alerts are only sent with the frequency chosen for the search,
+// expiry reminders and mentions are only useful right away, and every other
+// action is sent both instantly and in the digests.
+const actionFilter = (frequency) => {
+  const instantActions = [
+    NotificationAction.MENTION,
+    NotificationAction.POST_EXPIRING,
+  ];
+  const digestActions = Object.values(NotificationAction).filter(
+    (action) =>
+      !instantActions.includes(action) &&
+      action !== NotificationAction.SAVED_SEARCH,
+  );
+  return {
+    $or: [
+      {
+        action: {
+          $in:
+            frequency === EmailFrequency.INSTANT
+              ? [...digestActions, ...instantActions]
+              : digestActions,
+        },
+      },
+      {
+        action: NotificationAction.SAVED_SEARCH,
+        "savedSearch.frequency": frequency,
+      },
+    ],
+  };
+};
+
 class DatabaseHelper {
   constructor(config) {
     this.uri = this._buildUri(config);
@@ -28,10 +59,66 @@ class DatabaseHelper {
       return this._findInstantNotifications();
     } else if (frequency === EmailFrequency.MESSAGE) {
       return this._findUnreadDirectMessages();
+    } else if (frequency === EmailFrequency.INVITE) {
+      return this._findOrganisationInvites();
     }
     return this._findDigestNotifications(frequency);
   }
 
+  // Invites to join an organisation, sent to emails which may not have an
+  // account yet.
+  async _findOrganisationInvites() {
+    const invites = await this.db
+      .collection("organisationinvites")
+      .aggregate([
+        {
+          $match: {
+            emailSentAt: null,
+            expiresAt: { $gt: new Date() },
+            status: "pending",
+          },
+        },
+        {
+          $lookup: {
+            as: "organisation",
+            foreignField: "_id",
+            from: "users",
+            localField: "organisationId",
+          },
+        },
+        { $unwind: { path: "$organisation" } },
+        {
+          $lookup: {
+            as: "invitedBy",
+            foreignField: "_id",
+            from: "users",
+            localField: "invitedBy",
+          },
+        },
+        { $unwind: { path: "$invitedBy" } },
+        {
+          $project: {
+            email: 1,
+            expiresAt: 1,
+            "invitedBy.firstName": 1,
+            "invitedBy.lastName": 1,
+            "organisation.name": 1,
+            role: 1,
+            token: 1,
+          },
+        },
+      ])
+      .toArray();
+    // Set emailSentAt timestamp right away so we don't risk sending duplicate emails.
+    await this.db
+      .collection("organisationinvites")
+      .updateMany(
+        { _id: { $in: invites.map((invite) => invite._id) } },
+        { $set: { emailSentAt: new Date() } },
+      );
+    return invites;
+  }
+
   async _findUnreadDirectMessages() {
     const threads = await this.db
       .collection("threads")
@@ -213,7 +300,7 @@ class DatabaseHelper {
               this.instantUnreadLookbackInterval,
             ),
           },
-          action: { $in: Object.values(NotificationAction) },
+          ...actionFilter(EmailFrequency.INSTANT),
         },
       },
       {
@@ -258,7 +345,7 @@ class DatabaseHelper {
             createdAt: {
               $gt: DateHelper.subtractDays(new Date(), intervalDays),
             },
-            action: { $in: Object.values(NotificationAction) },
+            ...actionFilter(frequency),
           },
         },
         {
@@ -314,16 +401,21 @@ class DatabaseHelper {
       const action = notification.action;
       if (!notificationCountsByPost.hasOwnProperty(postId)) {
         notificationCountsByPost[postId] = {
-          latest: null,
-          post: notification.post,
           counts: {
             comment: 0,
             like: 0,
+            savedSearch: 0,
             share: 0,
             total: 0,
           },
+          latest: null,
+          post: notification.post,
+          savedSearch: null,
         };
       }
+      if (action === NotificationAction.SAVED_SEARCH) {
+        notificationCountsByPost[postId].savedSearch = notification.savedSearch;
+      }
       notificationCountsByPost[postId].counts[action] += 1;
       notificationCountsByPost[postId].counts.total += 1;
       if (notification.action !== NotificationAction.COMMENT) {
@@ -342,7 +434,12 @@ class DatabaseHelper {
     }
 
     const topThreePosts = Object.values(notificationCountsByPost)
-      .filter((post) => post.counts.comment > 0 || post.counts.like > 0) // we don't care about share count
+      .filter(
+        (post) =>
+          post.counts.comment > 0 ||
+          post.counts.like > 0 ||
+          post.counts.savedSearch > 0,
+      ) // we don't care about share count
       .sort((a, b) => b.counts.total - a.counts.total)
       .slice(0, 3);
     return topThreePosts;
@@ -8,6 +8,7 @@ const { MessageThreadStatus } = require("../models/message-thread-status");
 const Mustache = require("mustache");
 const path = require("path");
 const { ShareMedium } = require("../models/share-medium");
+const { NotificationAction } = require("../models/notification-action");
 
 class TemplateBuilder {
   constructor(baseUrl, tokenKey) {
@@ -40,6 +41,12 @@ class TemplateBuilder {
           subject: "{{triggeredBy.name}} liked your post: {{post.title}}",
           text: this._loadTemplateFile("../templates/instant/like.txt"),
         },
+        mention: {
+          html: this._loadTemplateFile("../templates/instant/mention.html"),
+          subject:
+            "{{triggeredBy.name}} mentioned you in a comment on: {{post.title}}",
+          text: this._loadTemplateFile("../templates/instant/mention.txt"),
+        },
         message: {
           html: this._loadTemplateFile("../templates/instant/message.html"),
           subject: "{{senderName}} sent you a direct message",
@@ -54,12 +61,38 @@ class TemplateBuilder {
             "../templates/instant/message-request.txt",
           ),
         },
+        postExpiring: {
+          html: this._loadTemplateFile(
+            "../templates/instant/post-expiring.html",
+          ),
+          subject: "Your post {{post.title}} expires soon",
+          text: this._loadTemplateFile(
+            "../templates/instant/post-expiring.txt",
+          ),
+        },
+        savedSearch: {
+          html: this._loadTemplateFile(
+            "../templates/instant/saved-search.html",
+          ),
+          subject: "New post matching your saved search: {{savedSearch.name}}",
+          text: this._loadTemplateFile("../templates/instant/saved-search.txt"),
+        },
         share: {
           html: this._loadTemplateFile("../templates/instant/share.html"),
           subject: "{{triggeredBy.name}} shared your post: {{post.title}}",
           text: this._loadTemplateFile("../templates/instant/share.txt"),
         },
       },
+      organisationInvite: {
+        html: this._loadTemplateFile(
+          "../templates/instant/organisation-invite.html",
+        ),
+        subject:
+          "{{inviterName}} invited you to join {{organisation.name}} on FightPandemics",
+        text: this._loadTemplateFile(
+          "../templates/instant/organisation-invite.txt",
+        ),
+      },
       post: {
         html: this._loadTemplateFile("../templates/digests/_post.html"),
         text: this._loadTemplateFile("../templates/digests/_post.txt"),
@@ -77,10 +110,51 @@ class TemplateBuilder {
       return this._buildInstant(notifications);
     } else if (frequency === EmailFrequency.MESSAGE) {
       return this._buildDirectMessages(notifications);
+    } else if (frequency === EmailFrequency.INVITE) {
+      return this._buildOrganisationInvites(notifications);
     }
     return this._buildDigest(frequency, notifications);
   }
 
+  // The invited email may not belong to a user, so there's nothing to
+  // unsubscribe from.
+  _buildOrganisationInvites(invites) {
+    return invites.map((invite) => {
+      const { invitedBy, organisation } = invite;
+      const inviterName = `${invitedBy.firstName} ${invitedBy.lastName}`;
+      const htmlTemplate = Mustache.render(this.templates.base.html, {
+        baseUrl: this.baseUrl,
+        body: this.templates.organisationInvite.html,
+      });
+      const textTemplate = Mustache.render(this.templates.base.text, {
+        baseUrl: this.baseUrl,
+        body: this.templates.organisationInvite.text,
+      });
+      const subject = Mustache.render(
+        this.templates.organisationInvite.subject,
+        { inviterName, organisation },
+      );
+      const view = {
+        baseUrl: this.baseUrl,
+        expiresAt: new Date(invite.expiresAt).toDateString(),
+        inviterName,
+        organisation,
+        role: invite.role,
+        token: invite.token,
+      };
+
+      const trackerParams = this._buildTrackerParams(EmailFrequency.INVITE);
+
+      return {
+        htmlBody: Mustache.render(htmlTemplate, { ...view, trackerParams }),
+        notificationId: invite._id,
+        subject,
+        textBody: Mustache.render(textTemplate, view),
+        toEmailAddress: invite.email,
+      };
+    });
+  }
+
   _buildDirectMessages(notifications) {
     return notifications
       .map((notification) => {
@@ -158,19 +232,21 @@ class TemplateBuilder {
 
         const postHtmlTemplates = posts.map((post) =>
           Mustache.render(this.templates.post.html, {
+            actionCounts: this._generatePostCountsCopy(post.counts),
             baseUrl: this.baseUrl,
             latestComment: post.latest,
             post: post.post,
-            actionCounts: this._generatePostCountsCopy(post.counts),
+            savedSearch: post.savedSearch,
             trackerParams: this._buildTrackerParams(frequency),
           }),
         );
         const postTextTemplates = posts.map((post) =>
           Mustache.render(this.templates.post.text, {
+            actionCounts: this._generatePostCountsCopy(post.counts),
             baseUrl: this.baseUrl,
             latestComment: post.latest,
             post: post.post,
-            actionCounts: this._generatePostCountsCopy(post.counts),
+            savedSearch: post.savedSearch,
           }),
         );
 
@@ -197,7 +273,19 @@ class TemplateBuilder {
       .map((notification) => {
         const action = notification.action;
         const notifyPrefs = notification.receiver.notifyPrefs;
-        if (notifyPrefs && !notifyPrefs.instant[action]) {
+        // saved searches carry their own frequency instead of a preference,
+        // and expiry reminders go out regardless so posts don't lapse silently.
+        // Mentions are comments, so they follow the comment preference.
+        const preference =
+          action === NotificationAction.MENTION
+            ? NotificationAction.COMMENT
+            : action;
+        if (
+          action !== NotificationAction.POST_EXPIRING &&
+          action !== NotificationAction.SAVED_SEARCH &&
+          notifyPrefs &&
+          !notifyPrefs.instant[preference]
+        ) {
           return;
         }
         const token = this._generateToken(notification.receiver._id);
@@ -215,12 +303,14 @@ class TemplateBuilder {
           this.templates.instant[action].subject,
           {
             post: notification.post,
+            savedSearch: notification.savedSearch,
             triggeredBy: notification.triggeredBy,
           },
         );
         const view = {
           baseUrl: this.baseUrl,
           post: notification.post,
+          savedSearch: notification.savedSearch,
           triggeredBy: notification.triggeredBy,
         };
 
@@ -274,6 +364,9 @@ class TemplateBuilder {
     if (counts.like > 0) {
       countCopies.push(`${counts.like} like(s)`);
     }
+    if (counts.savedSearch > 0 && countCopies.length === 0) {
+      countCopies.push("post");
+    }
     // Commenting out since shares can't be seen on the post. If we implement badge counter for shares, we can uncomment
     // if (counts.share > 0) {
     //   countCopies.push(`${counts.share} share(s)`);
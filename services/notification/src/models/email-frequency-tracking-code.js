@@ -2,6 +2,7 @@ const EmailFrequencyTrackingCode = Object.freeze({
   biweekly: "BW",
   daily: "D",
   instant: "I",
+  invite: "OI",
   message: "M",
   weekly: "W",
 });
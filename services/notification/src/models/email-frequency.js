@@ -2,6 +2,7 @@ const EmailFrequency = Object.freeze({
   BIWEEKLY: "biweekly",
   DAILY: "daily",
   INSTANT: "instant",
+  INVITE: "invite",
   MESSAGE: "message",
   WEEKLY: "weekly",
 });
@@ -1,6 +1,9 @@
 const NotificationAction = Object.freeze({
   COMMENT: "comment",
   LIKE: "like",
+  MENTION: "mention",
+  POST_EXPIRING: "postExpiring",
+  SAVED_SEARCH: "savedSearch",
   SHARE: "share",
 });
 
@@ -19,4 +19,30 @@ describe("DatabaseHelper tests", () => {
     //   console.log(JSON.stringify(notification));
     // }
   });
+
+  it("aggregates saved search matches into digests", () => {
+    const dbHelper = new DatabaseHelper(config);
+    const savedSearch = {
+      frequency: "daily",
+      id: "5f8b9228653a234a3a62d10b",
+      name: "Food near me",
+    };
+    const posts = dbHelper._aggregateNotifications([
+      {
+        action: "savedSearch",
+        createdAt: "2020-10-17T01:51:52.534Z",
+        post: { id: "5f87ab5524acbb001d812fd9", title: "Groceries delivery" },
+        savedSearch,
+      },
+      {
+        action: "share",
+        createdAt: "2020-10-17T01:51:52.534Z",
+        post: { id: "5f87ab5524acbb001d812fd1", title: "Test post 1" },
+      },
+    ]);
+    expect(posts.length).to.equal(1);
+    expect(posts[0].post.title).to.equal("Groceries delivery");
+    expect(posts[0].savedSearch).to.deep.equal(savedSearch);
+    expect(posts[0].counts.savedSearch).to.equal(1);
+  });
 });
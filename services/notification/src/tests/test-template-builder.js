@@ -331,6 +331,183 @@ describe("TemplateBuilder tests", () => {
     );
   });
 
+  it("builds instant emails for saved search matches", () => {
+    const builder = new TemplateBuilder("https://fightpandemics.com", "abc");
+    const notifications = [
+      {
+        _id: "5f8b9228653a234a3a62d99a",
+        action: "savedSearch",
+        createdAt: "2020-10-17T01:51:52.534Z",
+        emailSentAt: {
+          biweekly: null,
+          daily: null,
+          instant: null,
+          weekly: null,
+        },
+        post: { id: "5f87ab5524acbb001d812fd9", title: "Groceries delivery" },
+        readAt: null,
+        receiver: {
+          _id: "5f60488a1f5b72120034d148",
+          email: "some.fake.email@gmail.com",
+          notifyPrefs: {
+            digest: {
+              biweekly: false,
+              daily: false,
+              weekly: false,
+            },
+            instant: {
+              comment: false,
+              like: false,
+              message: false,
+              share: false,
+            },
+          },
+        },
+        savedSearch: {
+          frequency: "instant",
+          id: "5f8b9228653a234a3a62d10b",
+          name: "Food near me",
+        },
+        triggeredBy: {
+          id: "5f88f281c2de24001d579daa",
+          name: "Test Manny org",
+          type: "Startup",
+        },
+      },
+    ];
+    const emails = builder.build("instant", notifications);
+    expect(emails.length).to.equal(1);
+    expect(emails[0].toEmailAddress).to.equal("some.fake.email@gmail.com");
+    expect(emails[0].subject).to.equal(
+      "New post matching your saved search: Food near me",
+    );
+    expect(emails[0].textBody).to.contain(
+      "Test Manny org posted Groceries delivery, matching your saved search: Food near me",
+    );
+  });
+
+  it("builds instant expiry reminders whatever the instant preferences", () => {
+    const builder = new TemplateBuilder("https://fightpandemics.com", "abc");
+    const notifications = [
+      {
+        _id: "5f8b9228653a234a3a62d99b",
+        action: "postExpiring",
+        createdAt: "2020-10-17T01:51:52.534Z",
+        emailSentAt: {
+          biweekly: null,
+          daily: null,
+          instant: null,
+          weekly: null,
+        },
+        post: { id: "5f87ab5524acbb001d812fd9", title: "Groceries delivery" },
+        readAt: null,
+        receiver: {
+          _id: "5f60488a1f5b72120034d148",
+          email: "some.fake.email@gmail.com",
+          notifyPrefs: {
+            digest: {
+              biweekly: false,
+              daily: false,
+              weekly: false,
+            },
+            instant: {
+              comment: false,
+              like: false,
+              message: false,
+              share: false,
+            },
+          },
+        },
+        triggeredBy: {
+          id: "5f60488a1f5b72120034d148",
+          name: "Manny",
+          type: "Individual",
+        },
+      },
+    ];
+    const emails = builder.build("instant", notifications);
+    expect(emails.length).to.equal(1);
+    expect(emails[0].subject).to.equal(
+      "Your post Groceries delivery expires soon",
+    );
+    expect(emails[0].textBody).to.contain(
+      "Renew post: https://fightpandemics.com/post/5f87ab5524acbb001d812fd9",
+    );
+  });
+
+  it("builds instant mention emails following the comment preference", () => {
+    const builder = new TemplateBuilder("https://fightpandemics.com", "abc");
+    const mention = (comment) => ({
+      _id: "5f8b9228653a234a3a62d99c",
+      action: "mention",
+      commentText: "@Manny can you help with this?",
+      createdAt: "2020-10-17T01:51:52.534Z",
+      emailSentAt: {
+        biweekly: null,
+        daily: null,
+        instant: null,
+        weekly: null,
+      },
+      post: { id: "5f87ab5524acbb001d812fd9", title: "Groceries delivery" },
+      readAt: null,
+      receiver: {
+        _id: "5f60488a1f5b72120034d148",
+        email: "some.fake.email@gmail.com",
+        notifyPrefs: {
+          digest: {
+            biweekly: false,
+            daily: false,
+            weekly: false,
+          },
+          instant: {
+            comment,
+            like: false,
+            message: false,
+            share: false,
+          },
+        },
+      },
+      triggeredBy: {
+        id: "5f60488a1f5b72120034d149",
+        name: "Jane",
+        type: "Individual",
+      },
+    });
+    const emails = builder.build("instant", [mention(true), mention(false)]);
+    expect(emails.length).to.equal(1);
+    expect(emails[0].subject).to.equal(
+      "Jane mentioned you in a comment on: Groceries delivery",
+    );
+    expect(emails[0].textBody).to.contain("@Manny can you help with this?");
+  });
+
+  it("builds organisation invite emails without an unsubscribe link", () => {
+    const builder = new TemplateBuilder("https://fightpandemics.com", "abc");
+    const invites = [
+      {
+        _id: "5f8b9228653a234a3a62d20a",
+        email: "new.member@gmail.com",
+        expiresAt: new Date("2020-10-24T01:51:52.534Z"),
+        invitedBy: { firstName: "Manny", lastName: "Smith" },
+        organisation: { name: "Test Manny org" },
+        role: "editor",
+        token: "f00d",
+      },
+    ];
+    const emails = builder.build("invite", invites);
+    expect(emails.length).to.equal(1);
+    expect(emails[0].toEmailAddress).to.equal("new.member@gmail.com");
+    expect(emails[0].subject).to.equal(
+      "Manny Smith invited you to join Test Manny org on FightPandemics",
+    );
+    expect(emails[0].textBody).to.contain("as editor");
+    expect(emails[0].textBody).to.contain(
+      "View invitation: https://fightpandemics.com/organisation-invite/f00d",
+    );
+    expect(emails[0].textBody).not.to.contain("/unsubscribe");
+    expect(emails[0].htmlBody).not.to.contain("/unsubscribe");
+  });
+
   it("builds tracker params correctly", () => {
     const builder = new TemplateBuilder("https://fightpandemics.com", "abc");
     expect(builder._buildTrackerParams("instant")).to.equal(